@@ -23,11 +23,18 @@ import receiptsRouter from "./routes/receipts.routes.js";
 import adminLedgerRoutes from "./routes/admin.ledger.routes.js";
 // (Opcional) cron de pricing (puede moverse al bootstrap/server.js)
 import { scheduleDailyPricingRecompute } from "./job/pricing.jobs.js";
+import { scheduleOutboxDispatcher } from "./job/outbox.jobs.js";
+import { schedulePaymentPlanSweep } from "./job/payment-plans.jobs.js";
+import { scheduleMonthlyBillingRun } from "./job/billing.jobs.js";
+import { scheduleCreditReconciliation } from "./job/credit.jobs.js";
 import adminOutboxRoutes from "./routes/admin.outbox.routes.js";
 import adminArqueosRoutes from "./routes/admin.arqueos.routes.js";
 import adminStatsRoutes from "./routes/admin.stats.routes.js";
 import adminItemsRoutes from "./routes/admin.items.routes.js";
 import adminPaymentsRoutes from "./routes/admin.payments.routes.js";
+import webhooksRoutes from "./routes/webhooks.routes.js";
+import portalRoutes from "./routes/portal.routes.js";
+import publicRoutes from "./routes/public.routes.js";
 dotenv.config();
 
 const app = express();
@@ -139,6 +146,9 @@ app.use("/api", adminOutboxRoutes);
 app.use("/api", adminArqueosRoutes);
 app.use("/api", adminStatsRoutes);
 app.use("/api/admin", adminPaymentsRoutes);
+app.use("/api/webhooks", webhooksRoutes);
+app.use("/api/portal", portalRoutes);
+app.use("/api/public", publicRoutes);
 app.use("/admin/items", adminItemsRoutes);
 // 404
 app.use((req, res) => {
@@ -163,4 +173,24 @@ if (process.env.ENABLE_PRICING_CRON === "1") {
   scheduleDailyPricingRecompute();
 }
 
+// (Opcional) dispatcher de outbox
+if (process.env.ENABLE_OUTBOX_WORKER === "1") {
+  scheduleOutboxDispatcher();
+}
+
+// (Opcional) barrido diario de planes de pago (cuotas vencidas / cierre)
+if (process.env.ENABLE_PAYMENT_PLAN_CRON === "1") {
+  schedulePaymentPlanSweep();
+}
+
+// (Opcional) facturación mensual (snapshot de cargos por período)
+if (process.env.ENABLE_BILLING_CRON === "1") {
+  scheduleMonthlyBillingRun();
+}
+
+// (Opcional) reimputación diaria del crédito a cuenta a períodos adeudados
+if (process.env.ENABLE_CREDIT_CRON === "1") {
+  scheduleCreditReconciliation();
+}
+
 export default app;
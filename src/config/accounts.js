@@ -1,5 +1,12 @@
-// src/controllers/collector.shared.js (o donde tengas ACCOUNTS)
+// src/config/accounts.js
+/**
+ * Plan de cuentas lógico de Memorial (no es el plan contable completo,
+ * solo las cuentas que el sistema necesita conocer para asientos automáticos).
+ *
+ * OJO: los nombres (values) son los códigos que van a LedgerEntry.accountCode.
+ */
 export const ACCOUNTS = Object.freeze({
+  // 💵 Cajas de cobradores de campo
   CAJA_COBRADOR: "CAJA_COBRADOR",
 
   // 💵 Cajas de oficina
@@ -8,8 +15,33 @@ export const ACCOUNTS = Object.freeze({
 
   // 📈 Resultados
   INGRESOS_CUOTAS: "INGRESOS_CUOTAS",
+  CONDONACIONES: "CONDONACIONES", // deuda condonada (write-off)
+  DESCUENTOS_PREPAGO: "DESCUENTOS_PREPAGO", // descuento del plan anual
 
   // 🏦 Medios de cobro / bancos
   BANCO_NACION: "BANCO_NACION",
   TARJETA_NARANJA: "TARJETA_NARANJA",
+  MERCADOPAGO: "MERCADOPAGO", // cobros online (Checkout Pro)
 });
+
+/**
+ * Mapa rol → cuenta de caja principal.
+ *
+ * Esto evita tener que hardcodear strings en cada controlador.
+ * Si mañana cambiás la lógica (p. ej. superAdmin usa otra caja),
+ * tocás solo acá.
+ */
+export const CASH_ROLE_ACCOUNT = Object.freeze({
+  cobrador: ACCOUNTS.CAJA_COBRADOR,
+  admin: ACCOUNTS.CAJA_ADMIN,
+  superAdmin: ACCOUNTS.CAJA_SUPERADMIN,
+});
+
+/**
+ * Devuelve la cuenta de caja que corresponde al rol de usuario.
+ * Fallback: CAJA_COBRADOR si el rol no está mapeado.
+ */
+export function getCashAccountForRole(role) {
+  const key = String(role || "").trim();
+  return CASH_ROLE_ACCOUNT[key] || ACCOUNTS.CAJA_COBRADOR;
+}
@@ -3,6 +3,7 @@ import User from "../models/user.model.js";
 import LedgerEntry from "../models/ledger-entry.model.js";
 import Payment from "../models/payment.model.js";
 import Cliente from "../models/client.model.js";
+import CashSession from "../models/cash-session.model.js";
 
 // ───────────────────── Helpers ─────────────────────
 const toInt = (v, d = 0) => {
@@ -1021,6 +1022,7 @@ export async function crearArqueoUsuario(req, res, next) {
       dateTo: dt,
       destAccountCode,
       minAmount = 1,
+      cashSessionId,
     } = req.body || {};
 
     // 0) permisos mínimos
@@ -1032,9 +1034,55 @@ export async function crearArqueoUsuario(req, res, next) {
         .json({ ok: false, message: "Permisos insuficientes" });
     }
 
+    // 0.1) Arqueo de una caja diaria cerrada: dueño, cuenta y ventana salen de la caja
+    let cashSession = null;
+    if (cashSessionId) {
+      if (!asObjectId(cashSessionId)) {
+        await session.abortTransaction();
+        return res
+          .status(400)
+          .json({ ok: false, message: "cashSessionId inválido" });
+      }
+      cashSession = await CashSession.findById(cashSessionId).session(session);
+      if (!cashSession) {
+        await session.abortTransaction();
+        return res
+          .status(404)
+          .json({ ok: false, message: "Caja no encontrada" });
+      }
+      if (cashSession.accountCode !== "CAJA_COBRADOR") {
+        await session.abortTransaction();
+        return res.status(400).json({
+          ok: false,
+          message: "Sólo se arquean cajas de cobrador.",
+        });
+      }
+      if (cashSession.status !== "closed") {
+        await session.abortTransaction();
+        return res.status(409).json({
+          ok: false,
+          code: "CASH_SESSION_OPEN",
+          message: "Cerrá la caja antes de arquearla.",
+        });
+      }
+      if (cashSession.arqueo?.at) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          ok: false,
+          code: "CASH_SESSION_ALREADY_ARQUEADA",
+          message: "Esta caja ya fue arqueada.",
+        });
+      }
+    }
+
     // 1) Cobrador origen (puede ser cobrador/admin/superAdmin si tiene caja)
     let cobradorUser = null;
-    if (bodyUserId) {
+    if (cashSession) {
+      cobradorUser = await User.findById(cashSession.userId)
+        .select("_id name email role idCobrador")
+        .session(session)
+        .lean();
+    } else if (bodyUserId) {
       cobradorUser = await User.findById(bodyUserId)
         .select("_id name email role idCobrador")
         .session(session)
@@ -1100,7 +1148,11 @@ export async function crearArqueoUsuario(req, res, next) {
       .map((s) => s.trim())
       .filter(Boolean);
 
-    const accts = parsed.length > 0 ? parsed : DEFAULT_ACCOUNTS;
+    const accts = cashSession
+      ? [cashSession.accountCode]
+      : parsed.length > 0
+      ? parsed
+      : DEFAULT_ACCOUNTS;
 
     const destAcct =
       String(destAccountCode || DEST_DEFAULT).trim() || DEST_DEFAULT;
@@ -1112,8 +1164,8 @@ export async function crearArqueoUsuario(req, res, next) {
         .json({ ok: false, message: "Cuenta destino inválida" });
     }
 
-    const fromDt = parseISODate(df);
-    const toDt = parseISODate(dt, true);
+    const fromDt = cashSession ? cashSession.openedAt : parseISODate(df);
+    const toDt = cashSession ? cashSession.closedAt : parseISODate(dt, true);
 
     // 4) Saldo por cuenta+moneda del ORIGEN
     // ✅ NEW-ONLY: calculamos saldo de caja del cobrador por dimensions.idCobrador (no por legacy matchers)
@@ -1249,6 +1301,20 @@ export async function crearArqueoUsuario(req, res, next) {
       });
     }
 
+    // 6) Caja diaria → queda marcada como arqueada
+    if (cashSession) {
+      cashSession.arqueo = {
+        at: postedAt,
+        by: adminUserId,
+        amount: created.reduce((a, c) => a + c.amount, 0),
+        destAccountCode: destAcct,
+        paymentIds: created.map(
+          (c) => new mongoose.Types.ObjectId(c.paymentId)
+        ),
+      };
+      await cashSession.save({ session });
+    }
+
     await session.commitTransaction();
 
     return res.status(201).json({
@@ -1260,7 +1326,11 @@ export async function crearArqueoUsuario(req, res, next) {
         totalPosAntes: totalPos,
         cuentasOrigen: accts,
         cuentaDestino: destAcct,
-        ventana: { dateFrom: df || null, dateTo: dt || null },
+        ventana: {
+          dateFrom: cashSession ? fromDt : df || null,
+          dateTo: cashSession ? toDt : dt || null,
+        },
+        cashSessionId: cashSession ? String(cashSession._id) : null,
         cobrador: {
           userId: String(cobradorUser._id),
           idCobrador: safeIdCob,
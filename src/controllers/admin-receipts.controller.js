@@ -2,6 +2,8 @@
 import mongoose from "mongoose";
 import Receipt from "../models/receipt.model.js";
 import Payment from "../models/payment.model.js";
+import { voidReceipt } from "../services/receipt-void.service.js";
+import { restampReceiptPdf } from "../utils/receiptPdf.util.js";
 
 const toInt = (v, def = 0) => {
   const n = Number.parseInt(v, 10);
@@ -24,6 +26,7 @@ export async function listAdminReceipts(req, res, next) {
     const method = String(req.query.method || ""); // ej: "efectivo"
     const status = String(req.query.status || ""); // ej: "posted"
     const onlyWithPdf = String(req.query.onlyWithPdf || "true") === "true";
+    const voided = String(req.query.voided || ""); // "true" | "false"
 
     const sortByParam = (req.query.sortBy || "postedAt").toString();
     const sortDirParam = toDir(req.query.sortDir || "desc");
@@ -31,6 +34,8 @@ export async function listAdminReceipts(req, res, next) {
     // Receipt base filter
     const matchReceipt = {};
     if (onlyWithPdf) matchReceipt.pdfUrl = { $nin: [null, "", false] };
+    if (voided === "true") matchReceipt.voided = true;
+    if (voided === "false") matchReceipt.voided = { $ne: true };
 
     // Buscador por número de recibo
     let receiptOr = [];
@@ -115,6 +120,10 @@ export async function listAdminReceipts(req, res, next) {
         pdfUrl: 1,
         qrData: 1,
         voided: 1,
+        voidedAt: 1,
+        voidedBy: 1,
+        voidReason: 1,
+        reissueOf: 1,
         signature: 1,
         payment: {
           _id: "$payment._id",
@@ -155,14 +164,42 @@ export async function listAdminReceipts(req, res, next) {
       sortStage,
       { $skip: (page - 1) * limit },
       { $limit: limit },
+      // Recibo que reemplazó a uno anulado (reemisión)
+      {
+        $lookup: {
+          from: Receipt.collection.name,
+          let: { rid: "$_id" },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$reissueOf", "$$rid"] } } },
+            { $project: { _id: 1, number: 1 } },
+          ],
+          as: "replacement",
+        },
+      },
+      { $addFields: { replacedBy: { $arrayElemAt: ["$replacement", 0] } } },
+      { $project: { replacement: 0 } },
     ];
 
     // Conteo sin sort/skip/limit (más simple y preciso)
     const countPipeline = [...pipeline, { $count: "n" }];
 
-    const [items, countRes] = await Promise.all([
+    // Totales sólo de recibos vigentes (los anulados no suman)
+    const totalsPipeline = [
+      ...pipeline,
+      { $match: { voided: { $ne: true } } },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          amount: { $sum: { $ifNull: ["$payment.amount", 0] } },
+        },
+      },
+    ];
+
+    const [items, countRes, totalsRes] = await Promise.all([
       Receipt.aggregate(dataPipeline).allowDiskUse(true),
       Receipt.aggregate(countPipeline).allowDiskUse(true),
+      Receipt.aggregate(totalsPipeline).allowDiskUse(true),
     ]);
 
     const total = countRes?.[0]?.n || 0;
@@ -171,6 +208,10 @@ export async function listAdminReceipts(req, res, next) {
       ok: true,
       items,
       total,
+      totals: {
+        count: totalsRes?.[0]?.count || 0,
+        amount: totalsRes?.[0]?.amount || 0,
+      },
       page,
       pageSize: limit,
       sortBy,
@@ -180,3 +221,89 @@ export async function listAdminReceipts(req, res, next) {
     next(err);
   }
 }
+
+/**
+ * POST /adminReceipts/receipts/:id/void
+ * Body: { reason, reissue?: boolean }
+ *
+ * Anula el recibo (el pago no cambia) y, si se pide, emite uno nuevo con
+ * otro número enlazado al anterior (reissueOf). Después del commit se
+ * regenera el PDF guardado con el sello "ANULADO".
+ */
+export async function voidAdminReceipt(req, res, next) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const myUserId = req.user?._id || req.user?.id;
+    if (!myUserId) {
+      await session.abortTransaction();
+      return res
+        .status(400)
+        .json({ ok: false, message: "Sesión inválida: falta userId." });
+    }
+
+    const id = String(req.params.id || "").trim();
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      await session.abortTransaction();
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const reissue =
+      req.body?.reissue === true || String(req.body?.reissue) === "true";
+    const { receipt, reissued } = await voidReceipt({
+      session,
+      receiptId: id,
+      reason: req.body?.reason,
+      reissue,
+      actorUserId: myUserId,
+    });
+
+    await session.commitTransaction();
+
+    // Sello en el PDF (fuera de la transacción: si falla, la anulación vale)
+    let stamped = false;
+    try {
+      await restampReceiptPdf(receipt);
+      stamped = true;
+    } catch (e) {
+      console.error("[receipts] no se pudo sellar el PDF anulado:", e);
+    }
+
+    return res.json({
+      ok: true,
+      data: {
+        receipt: {
+          _id: receipt._id,
+          number: receipt.number,
+          voided: true,
+          voidedAt: receipt.voidedAt,
+          voidReason: receipt.voidReason,
+          pdfUrl: receipt.pdfUrl || null,
+          stamped,
+        },
+        reissued: reissued
+          ? {
+              _id: reissued._id,
+              number: reissued.number,
+              pdfUrl: reissued.pdfUrl || null,
+              reissueOf: reissued.reissueOf,
+            }
+          : null,
+      },
+    });
+  } catch (err) {
+    try {
+      await session.abortTransaction();
+    } catch {}
+
+    if (err?.status && err?.code) {
+      return res
+        .status(err.status)
+        .json({ ok: false, code: err.code, message: err.message });
+    }
+    return next(err);
+  } finally {
+    session.endSession();
+  }
+}
@@ -0,0 +1,79 @@
+// src/controllers/admin.billing.controller.js
+import PeriodCharge from "../models/period-charge.model.js";
+import { runMonthlyBilling } from "../services/billing.service.js";
+import { toInt, normalizePeriod } from "./payments.shared.js";
+
+/**
+ * Facturación mensual (snapshots de cargo por grupo y período)
+ *
+ *  - POST /admin/billing/run       → corre la facturación (superAdmin)
+ *  - GET  /admin/billing/charges   → consulta de cargos congelados
+ */
+
+/* ============ POST /admin/billing/run ============ */
+/**
+ * body: { period?: "YYYY-MM" (default mes actual), force?, idClientes? }
+ * force=true re-congela con la cuota vigente los períodos ya facturados.
+ */
+export async function runBilling(req, res, next) {
+  try {
+    const myUserId = req.user?._id || req.user?.id || null;
+    const { period, force, idClientes } = req.body || {};
+
+    const r = await runMonthlyBilling({
+      period: period ? String(period) : undefined,
+      force: force === true || force === "true",
+      idClientes: Array.isArray(idClientes) ? idClientes : null,
+      by: myUserId,
+    });
+
+    return res.json({ ok: true, data: r });
+  } catch (err) {
+    if (err?.status && err?.code) {
+      return res
+        .status(err.status)
+        .json({ ok: false, code: err.code, message: err.message });
+    }
+    next(err);
+  }
+}
+
+/* ============ GET /admin/billing/charges ============ */
+/**
+ * Query: idCliente?, period?, periodFrom?, periodTo?, page?, limit?
+ */
+export async function listPeriodCharges(req, res, next) {
+  try {
+    const page = Math.max(toInt(req.query.page, 1), 1);
+    const limit = Math.min(toInt(req.query.limit, 50), 200);
+
+    const match = {};
+    if (req.query.idCliente != null && req.query.idCliente !== "") {
+      match.idCliente = toInt(req.query.idCliente, -1);
+    }
+    const period = normalizePeriod(req.query.period);
+    const from = normalizePeriod(req.query.periodFrom);
+    const to = normalizePeriod(req.query.periodTo);
+    if (period) {
+      match.period = period;
+    } else if (from || to) {
+      match.period = {
+        ...(from ? { $gte: from } : {}),
+        ...(to ? { $lte: to } : {}),
+      };
+    }
+
+    const [items, total] = await Promise.all([
+      PeriodCharge.find(match)
+        .sort({ period: -1, idCliente: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      PeriodCharge.countDocuments(match),
+    ]);
+
+    return res.json({ ok: true, items, total, page, pageSize: limit });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,139 @@
+// src/controllers/admin.credit.controller.js
+import mongoose from "mongoose";
+import Cliente from "../models/client.model.js";
+import {
+  reconcileClientCredit,
+  runCreditReconciliation,
+} from "../services/credit.service.js";
+import { isObjectId, serializePayment } from "./payments.shared.js";
+
+/**
+ * Reimputación de crédito (pagos a cuenta → períodos adeudados)
+ *
+ *  - GET  /admin/clientes/:id/credit            → vista previa (no escribe)
+ *  - POST /admin/clientes/:id/credit/reconcile  → reimputa un cliente
+ *  - POST /admin/credit/reconcile               → barrido (superAdmin)
+ */
+
+const MEMBER_FIELDS = "_id idCliente nombre usarCuotaIdeal cuota cuotaIdeal";
+
+/* ============ GET /admin/clientes/:id/credit ============ */
+export async function previewClientCredit(req, res, next) {
+  try {
+    const id = String(req.params.id || "").trim();
+    if (!isObjectId(id)) {
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const member = await Cliente.findById(id).select(MEMBER_FIELDS).lean();
+    if (!member) {
+      return res
+        .status(404)
+        .json({ ok: false, message: "Cliente no encontrado" });
+    }
+
+    const r = await reconcileClientCredit({ clienteDoc: member, dryRun: true });
+    return res.json({
+      ok: true,
+      data: {
+        clientId: String(member._id),
+        idCliente: member.idCliente,
+        creditAmount: r.creditAmount,
+        reconcilable: r.total,
+        moves: r.moves,
+      },
+    });
+  } catch (err) {
+    if (err?.status && err?.code) {
+      return res
+        .status(err.status)
+        .json({ ok: false, code: err.code, message: err.message });
+    }
+    next(err);
+  }
+}
+
+/* ============ POST /admin/clientes/:id/credit/reconcile ============ */
+export async function reconcileClientCreditAdmin(req, res, next) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const myUserId = req.user?._id || req.user?.id;
+    if (!myUserId) {
+      await session.abortTransaction();
+      return res
+        .status(400)
+        .json({ ok: false, message: "Sesión inválida: falta userId." });
+    }
+
+    const id = String(req.params.id || "").trim();
+    if (!isObjectId(id)) {
+      await session.abortTransaction();
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const member = await Cliente.findById(id)
+      .select(MEMBER_FIELDS)
+      .session(session)
+      .lean();
+    if (!member) {
+      await session.abortTransaction();
+      return res
+        .status(404)
+        .json({ ok: false, message: "Cliente no encontrado" });
+    }
+
+    const r = await reconcileClientCredit({
+      clienteDoc: member,
+      session,
+      by: myUserId,
+      trigger: "manual",
+    });
+
+    await session.commitTransaction();
+    return res.status(r.moved ? 201 : 200).json({
+      ok: true,
+      data: {
+        moved: r.moved,
+        total: r.total,
+        moves: r.moves,
+        adjustment: r.adjustment ? serializePayment(r.adjustment) : null,
+      },
+    });
+  } catch (err) {
+    try {
+      await session.abortTransaction();
+    } catch {}
+
+    if (err?.status && err?.code) {
+      return res
+        .status(err.status)
+        .json({ ok: false, code: err.code, message: err.message });
+    }
+    return next(err);
+  } finally {
+    session.endSession();
+  }
+}
+
+/* ============ POST /admin/credit/reconcile ============ */
+/**
+ * body: { idClientes? } — sin idClientes, todos los candidatos del barrido
+ */
+export async function runCreditReconciliationAdmin(req, res, next) {
+  try {
+    const myUserId = req.user?._id || req.user?.id || null;
+    const { idClientes } = req.body || {};
+
+    const r = await runCreditReconciliation({
+      idClientes: Array.isArray(idClientes) ? idClientes : null,
+      by: myUserId,
+      trigger: "manual",
+    });
+
+    return res.json({ ok: true, data: r });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -1,5 +1,13 @@
 // src/controllers/admin.outbox.controller.js
+import mongoose from "mongoose";
 import Outbox from "../models/outbox.model.js";
+import {
+  getById,
+  requeue,
+  requeueMany,
+  countRequeueable,
+  discard,
+} from "../services/outbox.service.js";
 
 const toInt = (v, def = 0) => {
   const n = Number.parseInt(v, 10);
@@ -30,7 +38,7 @@ export async function listAdminOutbox(req, res, next) {
 
     const qRaw = String(req.query.q || "").trim();
     const topic = String(req.query.topic || "").trim();
-    const status = String(req.query.status || "").trim(); // pending|sent|failed (ajusta si tenés otros)
+    const status = String(req.query.status || "").trim(); // pending|sent|failed|discarded
     const dateFrom = String(req.query.dateFrom || "");
     const dateTo = String(req.query.dateTo || "");
     const minAttempts = toNum(req.query.minAttempts, null);
@@ -140,8 +148,10 @@ export async function listAdminOutbox(req, res, next) {
         lastError: 1,
         createdAt: 1,
         updatedAt: 1,
-        // opcional: si tenés nextAttemptAt en otro lado, proyectalo
-        // nextAttemptAt: 1,
+        lastAttemptAt: 1,
+        nextAttemptAt: 1,
+        lockedUntil: 1,
+        discardReason: 1,
       },
     };
 
@@ -199,3 +209,189 @@ export async function listAdminOutbox(req, res, next) {
     next(err);
   }
 }
+
+const isObjectId = (v) => mongoose.Types.ObjectId.isValid(String(v || ""));
+const toBool = (v) => v === true || v === 1 || v === "1" || v === "true";
+const actorId = (req) => String(req.user?._id || req.user?.id || "") || null;
+
+// Estados que admiten retry puntual y requeue masivo
+const RETRYABLE = new Set(["pending", "failed", "discarded"]);
+
+/** Un worker lo tiene tomado (lease vigente): no se reintenta ni descarta */
+const isLeased = (item) =>
+  Boolean(item?.lockedUntil) && new Date(item.lockedUntil) > new Date();
+
+const leasedResponse = (res) =>
+  res.status(409).json({
+    ok: false,
+    code: "OUTBOX_IN_PROGRESS",
+    message:
+      "El evento se está despachando en este momento. Probá de nuevo en unos segundos.",
+  });
+
+/**
+ * GET /admin/outbox/:id
+ * Evento completo: payload + historial de intentos/acciones.
+ */
+export async function getAdminOutboxEvent(req, res, next) {
+  try {
+    const id = String(req.params.id || "").trim();
+    if (!isObjectId(id)) {
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const item = await getById(id);
+    if (!item) {
+      return res
+        .status(404)
+        .json({ ok: false, message: "Evento no encontrado" });
+    }
+
+    const history = Array.isArray(item.history) ? item.history : [];
+    return res.json({
+      ok: true,
+      item: {
+        ...item,
+        history: [...history].sort(
+          (a, b) => new Date(b.at).getTime() - new Date(a.at).getTime()
+        ),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /admin/outbox/:id/retry
+ * body: { resetAttempts?: boolean, note?: string }
+ * Reencola un evento failed/discarded (o adelanta un pending en backoff).
+ */
+export async function retryAdminOutboxEvent(req, res, next) {
+  try {
+    const id = String(req.params.id || "").trim();
+    if (!isObjectId(id)) {
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const cur = await getById(id);
+    if (!cur) {
+      return res
+        .status(404)
+        .json({ ok: false, message: "Evento no encontrado" });
+    }
+    if (!RETRYABLE.has(cur.status)) {
+      return res.status(409).json({
+        ok: false,
+        code: "OUTBOX_NOT_RETRYABLE",
+        message: `El evento está en estado "${cur.status}" y no puede reintentarse.`,
+      });
+    }
+    if (isLeased(cur)) return leasedResponse(res);
+
+    const item = await requeue(id, {
+      resetAttempts: toBool(req.body?.resetAttempts),
+      by: actorId(req),
+      note: String(req.body?.note || "").trim() || null,
+    });
+    // Lo reclamó un worker entre la lectura y el update
+    if (!item) return leasedResponse(res);
+
+    return res.json({ ok: true, item });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /admin/outbox/requeue
+ * body: { topic?, status? (failed|discarded|pending, default failed),
+ *         dateFrom?, dateTo? (YYYY-MM-DD, por createdAt),
+ *         resetAttempts?, note?, dryRun? }
+ * Reencolado masivo. Nunca toca eventos "sent" ni los que un worker está
+ * despachando (lease vigente): esos quedan fuera de matched.
+ */
+export async function bulkRequeueAdminOutbox(req, res, next) {
+  try {
+    const body = req.body || {};
+    const topic = String(body.topic || "").trim();
+    const status = String(body.status || "failed").trim();
+    const fromDt = parseISODate(String(body.dateFrom || ""));
+    const toDt = parseISODate(String(body.dateTo || ""));
+
+    if (!RETRYABLE.has(status)) {
+      return res.status(400).json({
+        ok: false,
+        message: `status inválido para reencolar: ${status}`,
+      });
+    }
+
+    const match = { status };
+    if (topic) match.topic = topic;
+    if (fromDt || toDt) {
+      match.createdAt = {};
+      if (fromDt) match.createdAt.$gte = fromDt;
+      if (toDt) {
+        match.createdAt.$lte = new Date(
+          new Date(toDt).setHours(23, 59, 59, 999)
+        );
+      }
+    }
+
+    if (toBool(body.dryRun)) {
+      const matched = await countRequeueable(match);
+      return res.json({ ok: true, dryRun: true, filter: match, matched });
+    }
+
+    const r = await requeueMany(match, {
+      resetAttempts: toBool(body.resetAttempts),
+      by: actorId(req),
+      note: String(body.note || "").trim() || null,
+    });
+
+    return res.json({ ok: true, filter: match, ...r });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /admin/outbox/:id/discard
+ * body: { reason } (obligatorio)
+ */
+export async function discardAdminOutboxEvent(req, res, next) {
+  try {
+    const id = String(req.params.id || "").trim();
+    if (!isObjectId(id)) {
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const reason = String(req.body?.reason || "").trim();
+    if (!reason) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "El motivo (reason) es obligatorio." });
+    }
+
+    const cur = await getById(id);
+    if (!cur) {
+      return res
+        .status(404)
+        .json({ ok: false, message: "Evento no encontrado" });
+    }
+    if (cur.status === "sent" || cur.status === "discarded") {
+      return res.status(409).json({
+        ok: false,
+        code: "OUTBOX_NOT_DISCARDABLE",
+        message: `El evento está en estado "${cur.status}" y no puede descartarse.`,
+      });
+    }
+    if (isLeased(cur)) return leasedResponse(res);
+
+    const item = await discard(id, reason, { by: actorId(req) });
+    if (!item) return leasedResponse(res);
+    return res.json({ ok: true, item });
+  } catch (err) {
+    next(err);
+  }
+}
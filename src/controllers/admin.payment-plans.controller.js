@@ -0,0 +1,359 @@
+// src/controllers/admin.payment-plans.controller.js
+import mongoose from "mongoose";
+
+import Cliente from "../models/client.model.js";
+import PaymentPlan from "../models/payment-plan.model.js";
+
+import { enqueue } from "../services/outbox.service.js";
+import { getClientPeriodState } from "../services/debt.service.js";
+import {
+  buildInstallments,
+  cancelPaymentPlan,
+} from "../services/payment-plan.service.js";
+
+import {
+  isObjectId,
+  toInt,
+  yyyymmAR,
+  normalizePeriod,
+  comparePeriod,
+  countArrearsMonths,
+} from "./payments.shared.js";
+
+/**
+ * Planes de pago (refinanciación) — admin / superAdmin
+ *
+ *  - POST /admin/payment-plans              → crear plan
+ *  - GET  /admin/payment-plans              → listado
+ *  - GET  /admin/payment-plans/:id          → detalle con avance en vivo
+ *  - POST /admin/payment-plans/:id/cancel   → cancelar (vuelve a deuda común)
+ *
+ * Pensado para grupos que superaron el corte de 4 meses (ARREARS_CUTOFF_4M):
+ * los períodos vencidos se congelan y se reparten en N cuotas mensuales que
+ * el cobrador SÍ puede cobrar (POST /collector/pagos con paymentPlanId).
+ */
+
+const MAX_INSTALLMENTS = Number(
+  process.env.PAYMENT_PLAN_MAX_INSTALLMENTS || 24
+);
+const PLAN_STATUSES = ["active", "completed", "cancelled"];
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/** 1ª cuota por defecto: día 10 del mes siguiente */
+function defaultFirstDueDate(now = new Date()) {
+  return new Date(now.getFullYear(), now.getMonth() + 1, 10);
+}
+
+/* ============ POST /admin/payment-plans ============ */
+/**
+ * body: {
+ *   clienteId,                      // integrante (titular) del grupo
+ *   installments,                   // cantidad de cuotas (2..MAX)
+ *   firstDueDate?,                  // ISO; default día 10 del mes siguiente
+ *   periods?: ["YYYY-MM", ...],     // default: todos los vencidos con saldo
+ *   maxMissedInstallments?, graceDays?, notes?
+ * }
+ */
+export async function createPaymentPlan(req, res, next) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const myUserId = req.user?._id || req.user?.id;
+    if (!myUserId) {
+      await session.abortTransaction();
+      return res
+        .status(400)
+        .json({ ok: false, message: "Sesión inválida: falta userId." });
+    }
+
+    const {
+      clienteId,
+      installments,
+      firstDueDate,
+      periods: wantedPeriods,
+      maxMissedInstallments,
+      graceDays,
+      notes,
+    } = req.body || {};
+
+    if (!isObjectId(clienteId)) {
+      await session.abortTransaction();
+      return res.status(400).json({ ok: false, message: "clienteId inválido" });
+    }
+
+    const count = toInt(installments, 0);
+    if (count < 2 || count > MAX_INSTALLMENTS) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        ok: false,
+        code: "INVALID_INSTALLMENTS",
+        message: `installments debe estar entre 2 y ${MAX_INSTALLMENTS}.`,
+      });
+    }
+
+    const firstDue = firstDueDate
+      ? new Date(firstDueDate)
+      : defaultFirstDueDate();
+    if (Number.isNaN(firstDue.getTime())) {
+      await session.abortTransaction();
+      return res
+        .status(400)
+        .json({ ok: false, message: "firstDueDate inválido (ISO 8601)." });
+    }
+
+    const member = await Cliente.findById(clienteId)
+      .select("_id idCliente nombre usarCuotaIdeal cuota cuotaIdeal")
+      .session(session)
+      .lean();
+    if (!member) {
+      await session.abortTransaction();
+      return res
+        .status(404)
+        .json({ ok: false, message: "Cliente no encontrado" });
+    }
+
+    const nowPeriod = yyyymmAR(new Date());
+    const state = await getClientPeriodState(member, {
+      to: nowPeriod,
+      includeFuture: 0,
+    });
+
+    if (state?.plan) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        ok: false,
+        code: "PAYMENT_PLAN_EXISTS",
+        message: "El grupo ya tiene un plan de pagos activo.",
+        planId: state.plan._id,
+      });
+    }
+
+    let due = (state?.periods || []).filter(
+      (p) => comparePeriod(p.period, nowPeriod) <= 0 && Number(p.balance) > 0
+    );
+
+    if (Array.isArray(wantedPeriods) && wantedPeriods.length) {
+      const wanted = new Set(
+        wantedPeriods.map((p) => normalizePeriod(p)).filter(Boolean)
+      );
+      const missing = [...wanted].filter(
+        (p) => !due.some((row) => row.period === p)
+      );
+      if (missing.length) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          ok: false,
+          code: "PERIOD_NOT_DUE",
+          message: "Hay períodos sin saldo vencido para refinanciar.",
+          periods: missing,
+        });
+      }
+      due = due.filter((row) => wanted.has(row.period));
+    }
+
+    if (!due.length) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        ok: false,
+        code: "CLIENT_UP_TO_DATE",
+        message: "El cliente no tiene períodos vencidos para refinanciar.",
+        nowPeriod,
+      });
+    }
+
+    const planPeriods = due.map((row) => ({
+      period: row.period,
+      charge: round2(row.charge),
+      paidAtStart: round2(row.paid),
+      balanceAtStart: round2(row.balance),
+    }));
+    const totalAmount = round2(
+      planPeriods.reduce((acc, p) => acc + p.balanceAtStart, 0)
+    );
+
+    const [plan] = await PaymentPlan.create(
+      [
+        {
+          idCliente: member.idCliente,
+          memberId: member._id,
+          periods: planPeriods,
+          totalAmount,
+          installmentsCount: count,
+          installments: buildInstallments({
+            total: totalAmount,
+            count,
+            firstDueDate: firstDue,
+          }),
+          ...(maxMissedInstallments != null
+            ? { maxMissedInstallments: toInt(maxMissedInstallments, 2) }
+            : {}),
+          ...(graceDays != null ? { graceDays: toInt(graceDays, 10) } : {}),
+          notes: notes || "",
+          createdBy: myUserId,
+        },
+      ],
+      { session }
+    );
+
+    await enqueue(
+      "payment_plan.created",
+      {
+        planId: String(plan._id),
+        idCliente: plan.idCliente,
+        memberId: String(plan.memberId),
+        totalAmount: plan.totalAmount,
+        installmentsCount: plan.installmentsCount,
+        periods: planPeriods.map((p) => p.period),
+        arrearsMonths: countArrearsMonths(state, nowPeriod),
+        createdBy: String(myUserId),
+      },
+      { session }
+    );
+
+    await session.commitTransaction();
+    return res.status(201).json({ ok: true, data: plan.toObject() });
+  } catch (err) {
+    try {
+      await session.abortTransaction();
+    } catch {}
+
+    // Carrera contra el índice único parcial (un plan activo por integrante)
+    if (err?.code === 11000) {
+      return res.status(409).json({
+        ok: false,
+        code: "PAYMENT_PLAN_EXISTS",
+        message: "El grupo ya tiene un plan de pagos activo.",
+      });
+    }
+    return next(err);
+  } finally {
+    session.endSession();
+  }
+}
+
+/* ============ GET /admin/payment-plans ============ */
+/**
+ * Query: status?, idCliente?, page?, limit?
+ */
+export async function listPaymentPlans(req, res, next) {
+  try {
+    const page = Math.max(toInt(req.query.page, 1), 1);
+    const limit = Math.min(toInt(req.query.limit, 25), 100);
+
+    const match = {};
+    if (PLAN_STATUSES.includes(String(req.query.status))) {
+      match.status = String(req.query.status);
+    }
+    if (req.query.idCliente != null && req.query.idCliente !== "") {
+      match.idCliente = toInt(req.query.idCliente, -1);
+    }
+
+    const [items, total] = await Promise.all([
+      PaymentPlan.find(match)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      PaymentPlan.countDocuments(match),
+    ]);
+
+    return res.json({ ok: true, items, total, page, pageSize: limit });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ============ GET /admin/payment-plans/:id ============ */
+/**
+ * Detalle del plan. Si está activo, las cuotas salen EN VIVO del estado de
+ * deuda (el snapshot persistido puede estar atrasado hasta el próximo cobro
+ * o barrido).
+ */
+export async function getPaymentPlan(req, res, next) {
+  try {
+    const id = String(req.params.id || "");
+    if (!isObjectId(id)) {
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const plan = await PaymentPlan.findById(id).lean();
+    if (!plan) {
+      return res
+        .status(404)
+        .json({ ok: false, message: "Plan de pagos no encontrado" });
+    }
+
+    let progress = null;
+    if (plan.status === "active") {
+      const member = await Cliente.findById(plan.memberId)
+        .select("_id idCliente usarCuotaIdeal cuota cuotaIdeal")
+        .lean();
+      if (member) {
+        const state = await getClientPeriodState(member, {
+          to: yyyymmAR(new Date()),
+          includeFuture: 0,
+        });
+        if (String(state?.plan?._id || "") === String(plan._id)) {
+          progress = state.plan;
+        }
+      }
+    }
+
+    return res.json({ ok: true, data: { ...plan, progress } });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ============ POST /admin/payment-plans/:id/cancel ============ */
+/**
+ * body: { reason }
+ * Los períodos refinanciados vuelven a la deuda común con lo ya cobrado.
+ */
+export async function cancelPaymentPlanAdmin(req, res, next) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const myUserId = req.user?._id || req.user?.id;
+    const id = String(req.params.id || "");
+    if (!isObjectId(id)) {
+      await session.abortTransaction();
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const reason = String(req.body?.reason || "").trim();
+    if (!reason) {
+      await session.abortTransaction();
+      return res
+        .status(400)
+        .json({ ok: false, message: "reason es obligatorio." });
+    }
+
+    const plan = await cancelPaymentPlan({
+      session,
+      planId: id,
+      reason: `manual: ${reason}`,
+      by: myUserId || null,
+    });
+    if (!plan) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        ok: false,
+        code: "PAYMENT_PLAN_NOT_ACTIVE",
+        message: "El plan no existe o ya no está activo.",
+      });
+    }
+
+    await session.commitTransaction();
+    return res.json({ ok: true, data: plan });
+  } catch (err) {
+    try {
+      await session.abortTransaction();
+    } catch {}
+    return next(err);
+  } finally {
+    session.endSession();
+  }
+}
@@ -4,13 +4,19 @@ import crypto from "crypto";
 
 import Cliente from "../models/client.model.js";
 import Payment from "../models/payment.model.js";
-import LedgerEntry from "../models/ledger-entry.model.js";
 import Receipt from "../models/receipt.model.js";
 import User from "../models/user.model.js";
 
-import { generateReceipt } from "../services/receipt.service.js";
-import { enqueue } from "../services/outbox.service.js";
 import { getClientPeriodState } from "../services/debt.service.js";
+import { reversePayment } from "../services/reversal.service.js";
+import { reallocatePayment } from "../services/reallocation.service.js";
+import { resolvePaymentCashSession } from "../services/cash-session.service.js";
+import { buildAnnualPrepayment } from "../services/prepayment.service.js";
+import { postPayment } from "../services/payment-posting.service.js";
+import {
+  toPlanDebtState,
+  syncPaymentPlanProgress,
+} from "../services/payment-plan.service.js";
 
 import {
   ACCOUNTS,
@@ -20,6 +26,10 @@ import {
   yyyymmAR,
   comparePeriod,
   fifoAllocateUntilNow,
+  allocationKey,
+  buildBalanceMap,
+  sumSurchargeBalance,
+  toPaymentAllocation,
   serializePayment,
 } from "./payments.shared.js";
 
@@ -36,6 +46,9 @@ const { Types } = mongoose;
  *  - Asiento:
  *      DEBIT  CAJA_ADMIN / CAJA_SUPERADMIN (según rol)
  *      CREDIT INGRESOS_CUOTAS
+ *  - annualPlan: true → plan anual (N cuotas adelantadas con descuento,
+ *    ver prepayment.service); el descuento suma DEBIT DESCUENTOS_PREPAGO /
+ *    CREDIT INGRESOS_CUOTAS.
  */
 
 const ADMIN_COLLECTOR_ID = 0; // idCobrador simbólico para caja de oficina
@@ -93,6 +106,8 @@ export async function createAdminPayment(req, res, next) {
       strategy = "auto", // "auto" | "manual"
       breakdown = [], // [{ period, amount }]
       collectedAt,
+      paymentPlanId, // cobro de cuota de plan de pagos
+      annualPlan, // plan anual (pago adelantado con descuento)
     } = req.body || {};
 
     if (!isObjectId(clienteId)) {
@@ -133,11 +148,55 @@ export async function createAdminPayment(req, res, next) {
       includeFuture: 0,
     });
 
-    const totalDueUpToNow = (debtState?.periods || [])
-      .filter((p) => comparePeriod(p.period, nowPeriod) <= 0)
-      .reduce((acc, p) => acc + Math.max(0, Number(p.balance || 0)), 0);
+    // 2.0) Cuota de plan de pagos: la deuda a cobrar es SOLO la del plan
+    const planMode = Boolean(paymentPlanId);
+    const activePlan = debtState?.plan || null;
+    if (planMode) {
+      if (String(activePlan?._id || "") !== String(paymentPlanId)) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          ok: false,
+          code: "PAYMENT_PLAN_NOT_ACTIVE",
+          message: "El plan de pagos no existe o no está activo para este cliente.",
+        });
+      }
+      debtState = toPlanDebtState(debtState);
+    }
 
-    if (totalDueUpToNow <= 0) {
+    // 2.1) Plan anual: N cuotas adelantadas con descuento
+    const annualMode = annualPlan === true || annualPlan === "true";
+    if (annualMode && planMode) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        ok: false,
+        message: "annualPlan y paymentPlanId no se pueden combinar.",
+      });
+    }
+    let prepayment = null;
+    if (annualMode) {
+      try {
+        prepayment = await buildAnnualPrepayment({ clienteDoc: member, amount });
+      } catch (err) {
+        if (!(err?.status && err?.code)) throw err;
+        await session.abortTransaction();
+        return res.status(err.status).json({
+          ok: false,
+          code: err.code,
+          message: err.message,
+          ...(err.expectedAmount != null
+            ? { expectedAmount: err.expectedAmount }
+            : {}),
+        });
+      }
+    }
+
+    const totalDueUpToNow =
+      (debtState?.periods || [])
+        .filter((p) => comparePeriod(p.period, nowPeriod) <= 0)
+        .reduce((acc, p) => acc + Math.max(0, Number(p.balance || 0)), 0) +
+      sumSurchargeBalance(debtState, nowPeriod); // + recargos por mora
+
+    if (!prepayment && totalDueUpToNow <= 0) {
       await session.abortTransaction();
       return res.status(409).json({
         ok: false,
@@ -150,7 +209,19 @@ export async function createAdminPayment(req, res, next) {
     // 3) Monto final (usa cuota vigente si no mandan amount)
     const computedAmount =
       Number(member.usarCuotaIdeal ? member.cuotaIdeal : member.cuota) || 0;
-    const finalAmount = Number(amount) > 0 ? Number(amount) : computedAmount;
+    const planAmount = planMode
+      ? Math.min(
+          Number(activePlan.nextInstallment?.balance || 0),
+          totalDueUpToNow
+        )
+      : 0;
+    const finalAmount = prepayment
+      ? prepayment.netAmount
+      : Number(amount) > 0
+      ? Number(amount)
+      : planMode
+      ? planAmount
+      : computedAmount;
 
     if (!(finalAmount > 0)) {
       await session.abortTransaction();
@@ -172,6 +243,7 @@ export async function createAdminPayment(req, res, next) {
       .lean();
     if (existing) {
       const rx = await Receipt.findOne({ paymentId: existing._id })
+        .sort({ createdAt: -1 })
         .session(session)
         .lean();
       return res
@@ -183,20 +255,21 @@ export async function createAdminPayment(req, res, next) {
     let allocations = [];
     let periodsApplied = [];
 
-    const balMap = new Map(
-      (debtState?.periods || []).map((p) => [
-        p.period,
-        Math.max(0, Number(p.balance || 0)),
-      ])
-    );
+    // Saldos por línea: cuota del período y recargo por mora (si hay)
+    const balMap = buildBalanceMap(debtState);
 
     const STRAT = String(strategy || "auto").toLowerCase();
 
-    if (STRAT === "manual") {
+    if (prepayment) {
+      allocations = prepayment.allocations;
+      periodsApplied = prepayment.periodsApplied;
+    } else if (STRAT === "manual") {
       let sum = 0;
       for (const row of breakdown) {
         const period = String(row?.period || "");
         const amt = Number(row?.amount || 0);
+        // concept "surcharge" → recargo por mora del período
+        const concept = row?.concept === "surcharge" ? "surcharge" : null;
         if (!period || !(amt > 0)) {
           await session.abortTransaction();
           return res
@@ -211,7 +284,7 @@ export async function createAdminPayment(req, res, next) {
             message: `No se puede imputar a un período futuro (${period}).`,
           });
         }
-        const bal = balMap.get(period) || 0;
+        const bal = balMap.get(allocationKey({ period, concept })) || 0;
         if (amt > bal) {
           await session.abortTransaction();
           return res.status(409).json({
@@ -226,6 +299,7 @@ export async function createAdminPayment(req, res, next) {
           amountApplied: amt,
           statusAfter: amt === bal ? "paid" : "partial",
           memberId: member._id,
+          ...(concept ? { concept } : {}),
         });
       }
 
@@ -246,13 +320,7 @@ export async function createAdminPayment(req, res, next) {
           remaining
         );
         for (const a of auto) {
-          const bal = balMap.get(a.period) || 0;
-          allocations.push({
-            period: a.period,
-            amountApplied: a.amount,
-            statusAfter: a.amount >= bal ? "paid" : "partial",
-            memberId: member._id,
-          });
+          allocations.push(toPaymentAllocation(a, balMap, member._id));
         }
       }
       periodsApplied = Array.from(new Set(allocations.map((a) => a.period)));
@@ -272,202 +340,101 @@ export async function createAdminPayment(req, res, next) {
             "No hay períodos con saldo para imputar hasta el período actual.",
         });
       }
-      allocations = fifo.map((a) => {
-        const bal = balMap.get(a.period) || 0;
-        return {
-          period: a.period,
-          amountApplied: a.amount,
-          statusAfter: a.amount >= bal ? "paid" : "partial",
-          memberId: member._id,
-        };
-      });
-      periodsApplied = allocations.map((a) => a.period);
+      allocations = fifo.map((a) =>
+        toPaymentAllocation(a, balMap, member._id)
+      );
+      periodsApplied = Array.from(new Set(allocations.map((a) => a.period)));
     }
 
     // 6) Re-chequeo anti-carrera con estado fresco dentro de la TX
-    debtState = await getClientPeriodState(member, {
-      to: nowPeriod,
-      includeFuture: 0,
-    });
-    const freshBal = new Map(
-      (debtState?.periods || []).map((p) => [
-        p.period,
-        Math.max(0, Number(p.balance || 0)),
-      ])
-    );
-    for (const a of allocations) {
-      const bal = freshBal.get(a.period) ?? 0;
-      if (a.amount > bal + 0.0001) {
+    //    (el plan anual se revalida entero: mismos períodos, sin pagos)
+    if (prepayment) {
+      try {
+        await buildAnnualPrepayment({
+          clienteDoc: member,
+          amount: prepayment.netAmount,
+        });
+      } catch (err) {
+        if (!(err?.status && err?.code)) throw err;
         await session.abortTransaction();
         return res.status(409).json({
           ok: false,
           code: "RACE_CONDITION_OVERPAY",
-          message: `El período ${a.period} cambió y ya no admite ${a.amount} (saldo: ${bal}). Refrescá y reintentá.`,
+          message: `${err.message} Refrescá y reintentá.`,
         });
-      } else {
-        freshBal.set(a.period, Math.max(0, bal - a.amount));
+      }
+    } else {
+      debtState = await getClientPeriodState(member, {
+        to: nowPeriod,
+        includeFuture: 0,
+      });
+      if (planMode) debtState = toPlanDebtState(debtState);
+      const freshBal = buildBalanceMap(debtState);
+      for (const a of allocations) {
+        const bal = freshBal.get(allocationKey(a)) ?? 0;
+        if (a.amountApplied > bal + 0.0001) {
+          await session.abortTransaction();
+          return res.status(409).json({
+            ok: false,
+            code: "RACE_CONDITION_OVERPAY",
+            message: `El período ${a.period} cambió y ya no admite ${a.amountApplied} (saldo: ${bal}). Refrescá y reintentá.`,
+          });
+        } else {
+          freshBal.set(allocationKey(a), Math.max(0, bal - a.amountApplied));
+        }
       }
     }
 
-    // 7) Crear Payment (draft → posted)
-    const payDocs = await Payment.create(
-      [
-        {
-          kind: "payment",
-          cliente: {
-            memberId: member._id,
-            idCliente: member.idCliente,
-            nombre: member.nombre,
-            nombreTitular: member.nombreTitular || null,
-          },
-          collector: {
-            idCobrador: ADMIN_COLLECTOR_ID,
-            userId: myUserId,
-          },
-          currency: "ARS",
-          amount: finalAmount,
-          method: finalMethod,
-          channel,
-          intendedPeriod: intendedPeriod || null,
-          notes: notes || "",
-          idempotencyKey: finalIdem,
-          externalRef: externalRef || null,
-          cashSessionId: cashSessionId || null,
-          geo: geo || undefined,
-          device: device || undefined,
-          ip: ip || undefined,
-          createdBy: myUserId,
-          allocations,
-          meta: { periodsApplied },
-        },
-      ],
-      { session }
-    );
-
-    const p = payDocs[0];
-    p.markPosted();
-    if (collectedAt) p.postedAt = new Date(collectedAt);
-    await p.save({ session });
-
-    const postedAt = p.postedAt || new Date();
-
-    // 8) Ledger (doble partida) — CAJA_ADMIN / CAJA_SUPERADMIN vs INGRESOS_CUOTAS
-    const cashAccountCode =
-      userRole === "superAdmin"
-        ? ACCOUNTS.CAJA_SUPERADMIN
-        : ACCOUNTS.CAJA_ADMIN;
-
-    if (!cashAccountCode) {
-      throw new Error(
-        "Configuración de cuentas contables inválida: falta CAJA_ADMIN/CAJA_SUPERADMIN en ACCOUNTS."
-      );
-    }
-    if (!ACCOUNTS.INGRESOS_CUOTAS) {
-      throw new Error(
-        "Configuración de cuentas contables inválida: falta INGRESOS_CUOTAS en ACCOUNTS."
-      );
-    }
-
-    await LedgerEntry.insertMany(
-      [
-        {
-          paymentId: p._id,
-          userId: myUserId,
-          side: "debit",
-          accountCode: cashAccountCode,
-          amount: Math.abs(p.amount),
-          currency: p.currency,
-          postedAt,
-          dimensions: {
-            idCobrador: ADMIN_COLLECTOR_ID,
-            idCliente: p.cliente.idCliente,
-            canal: p.channel,
-          },
-        },
-        {
-          paymentId: p._id,
-          userId: myUserId,
-          side: "credit",
-          accountCode: ACCOUNTS.INGRESOS_CUOTAS,
-          amount: Math.abs(p.amount),
-          currency: p.currency,
-          postedAt,
-          dimensions: {
-            idCobrador: ADMIN_COLLECTOR_ID,
-            idCliente: p.cliente.idCliente,
-            canal: p.channel,
-          },
-        },
-      ],
-      { session }
-    );
-
-    // 9) Recibo
-    let receipt;
+    // 6.1) Caja diaria: cashSessionId explícito (validado) o la caja abierta
+    let finalCashSessionId = null;
     try {
-      const { pdfPath, pdfUrl, receiptNumber, qrData, signature } =
-        await generateReceipt(
-          p.toObject(),
-          {
-            _id: member._id,
-            idCliente: member.idCliente,
-            nombre: member.nombre,
-            nombreTitular: member.nombreTitular || null,
-          },
-          { at: postedAt }
-        );
-
-      const rxDocs = await Receipt.create(
-        [
-          {
-            paymentId: p._id,
-            number: receiptNumber,
-            qrData,
-            pdfPath,
-            pdfUrl,
-            signature,
-            voided: false,
-          },
-        ],
-        { session }
-      );
-      receipt = rxDocs[0];
-    } catch {
-      const rxDocs = await Receipt.create(
-        [
-          {
-            paymentId: p._id,
-            number: null,
-            qrData: { error: "pdf_generation_failed" },
-            pdfPath: null,
-            pdfUrl: null,
-            voided: false,
-          },
-        ],
-        { session }
-      );
-      receipt = rxDocs[0];
+      finalCashSessionId = await resolvePaymentCashSession({
+        session,
+        userId: myUserId,
+        cashSessionId,
+      });
+    } catch (err) {
+      if (!(err?.status && err?.code)) throw err;
+      await session.abortTransaction();
+      return res
+        .status(err.status)
+        .json({ ok: false, code: err.code, message: err.message });
     }
 
-    // 10) Outbox
-    await enqueue(
-      "payment.posted",
-      {
-        paymentId: p._id.toString(),
-        idCliente: p.cliente.idCliente,
-        memberId: p.cliente.memberId.toString(),
-        amount: p.amount,
-        currency: p.currency,
-        method: p.method,
-        channel: p.channel,
-        postedAt: (p.postedAt || new Date()).toISOString(),
-        idCobrador: p.collector.idCobrador,
-        userId: String(p.collector.userId),
-        externalRef: p.externalRef || null,
-        periodsApplied: p.meta?.periodsApplied || [],
+    // 7-10) Payment + ledger + recibo + outbox
+    //       Asiento: CAJA_ADMIN / CAJA_SUPERADMIN (según rol) vs INGRESOS_CUOTAS
+    const { payment: p, receipt } = await postPayment({
+      session,
+      member,
+      collector: { idCobrador: ADMIN_COLLECTOR_ID, userId: myUserId },
+      amount: finalAmount,
+      method: finalMethod,
+      channel,
+      allocations,
+      periodsApplied,
+      cashAccountCode:
+        userRole === "superAdmin"
+          ? ACCOUNTS.CAJA_SUPERADMIN
+          : ACCOUNTS.CAJA_ADMIN,
+      prepayment,
+      paymentPlanId: planMode ? activePlan._id : null,
+      postedAt: collectedAt || null,
+      fields: {
+        idempotencyKey: finalIdem,
+        intendedPeriod,
+        notes,
+        externalRef,
+        cashSessionId: finalCashSessionId,
+        geo,
+        device,
+        ip,
       },
-      { session }
-    );
+    });
+
+    // 11) Plan de pagos: refrescar cuotas (y cerrar el plan si quedó saldado)
+    if (planMode) {
+      await syncPaymentPlanProgress({ session, planId: paymentPlanId });
+    }
 
     await session.commitTransaction();
     return res.status(201).json({
@@ -486,7 +453,9 @@ export async function createAdminPayment(req, res, next) {
           idempotencyKey: req.body?.idempotencyKey,
         }).lean();
         const rx = dup
-          ? await Receipt.findOne({ paymentId: dup._id }).lean()
+          ? await Receipt.findOne({ paymentId: dup._id })
+              .sort({ createdAt: -1 })
+              .lean()
           : null;
         if (dup) {
           return res
@@ -502,6 +471,124 @@ export async function createAdminPayment(req, res, next) {
   }
 }
 
+/* ============ POST /admin/pagos/:id/reverse ============ */
+/**
+ * Reversa de cualquier pago (campo, oficina o débito automático).
+ * Acepta pagos "posted" y "settled".
+ * body: { reason }
+ */
+export async function reverseAdminPayment(req, res, next) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const myUserId = req.user?._id || req.user?.id;
+    if (!myUserId) {
+      await session.abortTransaction();
+      return res
+        .status(400)
+        .json({ ok: false, message: "Sesión inválida: falta userId." });
+    }
+
+    const id = String(req.params.id || "").trim();
+    if (!isObjectId(id)) {
+      await session.abortTransaction();
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const { reversal, original, receipt, reused } = await reversePayment({
+      session,
+      paymentId: id,
+      actorUserId: myUserId,
+      reason: req.body?.reason,
+      channel: "backoffice",
+    });
+
+    await session.commitTransaction();
+    return res.status(reused ? 200 : 201).json({
+      ok: true,
+      data: {
+        reversal: serializePayment(reversal),
+        original: serializePayment(original, receipt || null),
+      },
+    });
+  } catch (err) {
+    try {
+      await session.abortTransaction();
+    } catch {}
+
+    if (err?.status && err?.code) {
+      return res
+        .status(err.status)
+        .json({ ok: false, code: err.code, message: err.message });
+    }
+    return next(err);
+  } finally {
+    session.endSession();
+  }
+}
+
+/* ============ POST /admin/pagos/:id/reallocate ============ */
+/**
+ * Re-imputación de un pago (cualquier canal) a otros períodos.
+ * No toca montos ni ledger: reemplaza allocations (quedan en
+ * allocationHistory) y reemite el recibo.
+ * body: { breakdown: [{ period, amount, concept? }], reason }
+ */
+export async function reallocateAdminPayment(req, res, next) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const myUserId = req.user?._id || req.user?.id;
+    if (!myUserId) {
+      await session.abortTransaction();
+      return res
+        .status(400)
+        .json({ ok: false, message: "Sesión inválida: falta userId." });
+    }
+
+    const id = String(req.params.id || "").trim();
+    if (!isObjectId(id)) {
+      await session.abortTransaction();
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const { payment, receipt, previousReceipt } = await reallocatePayment({
+      session,
+      paymentId: id,
+      breakdown: req.body?.breakdown,
+      reason: req.body?.reason,
+      actorUserId: myUserId,
+    });
+
+    await session.commitTransaction();
+    return res.json({
+      ok: true,
+      data: {
+        payment: serializePayment(payment, receipt),
+        allocationHistory: payment.allocationHistory || [],
+        previousReceipt: previousReceipt
+          ? { _id: previousReceipt._id, number: previousReceipt.number }
+          : null,
+      },
+    });
+  } catch (err) {
+    try {
+      await session.abortTransaction();
+    } catch {}
+
+    if (err?.status && err?.code) {
+      return res
+        .status(err.status)
+        .json({ ok: false, code: err.code, message: err.message });
+    }
+    return next(err);
+  } finally {
+    session.endSession();
+  }
+}
+
 /**
  * Listado de pagos de oficina (admin / superAdmin)
  *
@@ -667,8 +754,10 @@ export async function listAdminPayments(req, res, next) {
     ]);
 
     const ids = items.map((p) => p._id);
+    // ascendente: si un pago tiene recibos reemitidos, gana el último
     const receipts = await Receipt.find({ paymentId: { $in: ids } })
       .select("paymentId number pdfUrl voided")
+      .sort({ createdAt: 1 })
       .lean();
     const rxByPay = new Map(receipts.map((r) => [String(r.paymentId), r]));
 
@@ -229,6 +229,7 @@ async function aggregatePaymentsForPeriod({
   idCobradorFilter,
 }) {
   const payMatch = {
+    kind: "payment", // sin ajustes de crédito (reimputan, no cobran)
     status: { $in: ["posted", "settled"] },
     ...(methodFilter ? { method: methodFilter } : {}),
     ...(channelFilter ? { channel: channelFilter } : {}),
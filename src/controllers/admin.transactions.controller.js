@@ -1,71 +1,33 @@
 // src/controllers/admin.transactions.controller.js
 import mongoose from "mongoose";
 import fs from "fs";
+import crypto from "crypto";
 
 import Payment from "../models/payment.model.js";
 import Receipt from "../models/receipt.model.js";
 import Cliente from "../models/client.model.js";
 import LedgerEntry from "../models/ledger-entry.model.js";
+import DebitPresentation from "../models/debit-presentation.model.js";
+import DebitImportPreview from "../models/debit-import-preview.model.js";
+import DebitImportBatch from "../models/debit-import-batch.model.js";
 import { ACCOUNTS } from "../config/accounts.js";
 import { generateReceipt } from "../services/receipt.service.js";
 import { enqueue } from "../services/outbox.service.js";
 import { getClientPeriodState } from "../services/debt.service.js"; // ⬅️ solo este
+import { reversePayment } from "../services/reversal.service.js";
+import {
+  yyyymmAR,
+  PERIOD_RE,
+  comparePeriod,
+  fifoAllocateUntilNow,
+  allocationKey,
+  buildBalanceMap,
+  sumSurchargeBalance,
+  toPaymentAllocation,
+} from "../services/periods.util.js";
 
 const toDir = (v) => (String(v || "").toLowerCase() === "asc" ? 1 : -1);
 
-// Comparación simple de períodos "YYYY-MM"
-const comparePeriod = (a, b) => {
-  if (!a && !b) return 0;
-  if (!a) return -1;
-  if (!b) return 1;
-  if (a === b) return 0;
-  // Como usamos formato "YYYY-MM", la comparación lexicográfica funciona
-  return a < b ? -1 : 1;
-};
-
-/* =================== Helpers de periodo/alloc locales =================== */
-
-// YYYY-MM (hora AR no nos importa para ordenar)
-function yyyymmAR(date = new Date()) {
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, "0");
-  return `${y}-${m}`;
-}
-
-/**
- * FIFO simple usando el resultado de getClientPeriodState:
- * - Usa debtState.periods (array de { period, balance, status, ... })
- * - Recorre desde el período más viejo hasta nowPeriod
- * - Imputa hasta donde alcance "amount" contra balance>0
- *
- * Devuelve: { allocations: [{ period, amount }], remaining }
- */
-function fifoAllocateUntilNow(debtState, nowPeriod, amount) {
-  const allocations = [];
-  let remaining = Number(amount) || 0;
-  if (!debtState || !Array.isArray(debtState.periods) || !(remaining > 0)) {
-    return { allocations, remaining };
-  }
-
-  const sorted = [...debtState.periods]
-    .filter((p) => p.period && p.period <= nowPeriod)
-    .sort((a, b) => (a.period < b.period ? -1 : a.period > b.period ? 1 : 0));
-
-  for (const row of sorted) {
-    if (remaining <= 0) break;
-    const bal = Math.max(0, Number(row.balance || 0));
-    if (bal <= 0) continue;
-
-    const take = Math.min(bal, remaining);
-    if (take <= 0) continue;
-
-    allocations.push({ period: row.period, amount: take });
-    remaining -= take;
-  }
-
-  return { allocations, remaining };
-}
-
 /* ===================== Listado normal de transacciones ===================== */
 
 /**
@@ -225,8 +187,10 @@ export async function listAllPayments(req, res, next) {
 
     // Adjuntar número de recibo rápido
     const ids = items.map((p) => p._id);
+    // ascendente: si un pago tiene recibos reemitidos, gana el último
     const receipts = await Receipt.find({ paymentId: { $in: ids } })
       .select("paymentId number pdfUrl voided")
+      .sort({ createdAt: 1 })
       .lean();
     const rxByPay = new Map(receipts.map((r) => [String(r.paymentId), r]));
 
@@ -282,8 +246,12 @@ async function readUploadedTextFile(file) {
  *  90–112     : datosAdicionales (23)
  *  113–115    : resultado (en DAR) / espacios en DAF
  */
+const NARANJA_LINE_LENGTH = 115;
+
 function parseNaranjaDetailLine(line) {
-  if (!line || line[0] !== "D" || line.length < 115) return null;
+  if (!line || line[0] !== "D" || line.length < NARANJA_LINE_LENGTH) {
+    return null;
+  }
 
   const tipo = line[0];
   const tarjeta = line.slice(1, 17);
@@ -352,6 +320,219 @@ function isNaranjaApproved(resultCode) {
   return NARANJA_APPROVED_CODES.has(code);
 }
 
+/* ======================== Helpers Banco Nación ======================== */
+
+/**
+ * Layout BNA (rendición de débito directo) 100 caracteres:
+ *  1          : tipo ("2" = detalle; "1" header / "3" trailer se ignoran)
+ *  2–5        : sucursal (4)
+ *  6–7        : tipoCuenta (2) → "CA" | "CC"
+ *  8–22       : nroCuenta (15)
+ *  23–36      : importe (14, 12 enteros + 2 decimales, sin separador)
+ *  37–44      : fechaVto AAAAMMDD
+ *  45–66      : referencia (22) → idCliente en la empresa (legacy)
+ *  67–69      : resultado (en rendición) / espacios en presentación
+ *  70–100     : datosAdicionales (31)
+ *
+ * Header ("1") y trailer ("3") de la presentación (ver buildBancoNacion*):
+ *  header : "1" + fechaGeneracion AAAAMMDD + período AAAAMM + "MEMORIAL"
+ *  trailer: "3" + cantidad (7) + importe total (16, con 2 decimales)
+ */
+const BNA_LINE_LENGTH = 100;
+// Mínimo para leer hasta "resultado" (datosAdicionales puede venir recortado)
+const BNA_MIN_DETAIL_LENGTH = 69;
+
+// Rendición BNA: vacío / "000" = debitado OK; Rxx = rechazo (tabla BCRA débito directo)
+const BNA_APPROVED_CODES = new Set(["000"]);
+const BNA_RESULT_CODES = Object.freeze({
+  "000": "Débito realizado",
+  R02: "Cuenta cerrada o suspendida",
+  R03: "Cuenta inexistente",
+  R04: "Número de cuenta inválido",
+  R08: "Orden de no pagar",
+  R10: "Falta de fondos",
+  R13: "Sucursal inexistente",
+  R14: "Identificación del cliente en la empresa errónea",
+  R15: "Baja del servicio",
+  R17: "Error de formato",
+  R19: "Importe erróneo",
+  R20: "Moneda distinta a la de la cuenta",
+  R24: "Transacción duplicada",
+});
+
+function parseBancoNacionDetailLine(line) {
+  if (!line || line[0] !== "2" || line.length < BNA_MIN_DETAIL_LENGTH) {
+    return null;
+  }
+
+  const tipo = line[0];
+  const sucursal = line.slice(1, 5);
+  const tipoCuenta = line.slice(5, 7);
+  const nroCuenta = line.slice(7, 22);
+  const importeRaw = line.slice(22, 36);
+  const fechaVto = line.slice(36, 44);
+  const referenciaRaw = line.slice(44, 66);
+  const resultCode = line.slice(66, 69); // rendición: código; presentación: espacios
+  const datosAdic = line.slice(69, BNA_LINE_LENGTH);
+
+  const importeCentavos = Number(importeRaw);
+  const importe = isNaN(importeCentavos) ? 0 : importeCentavos / 100;
+
+  const referencia = referenciaRaw.trim();
+  const legacyIdCliente = referencia ? Number(referencia) : NaN;
+
+  const toDate = (yyyymmdd) => {
+    if (!/^\d{8}$/.test(yyyymmdd)) return null;
+    const y = Number(yyyymmdd.slice(0, 4));
+    const m = Number(yyyymmdd.slice(4, 6)) - 1;
+    const d = Number(yyyymmdd.slice(6, 8));
+    const dt = new Date(Date.UTC(y, m, d, 3, 0, 0)); // AR aprox
+    return isNaN(dt.getTime()) ? null : dt;
+  };
+
+  const code = resultCode.trim() || null;
+
+  return {
+    tipo,
+    sucursal,
+    tipoCuenta,
+    nroCuenta: nroCuenta.trim(),
+    importeRaw,
+    importeCentavos,
+    importe,
+    fechaVto,
+    fechaVtoDate: toDate(fechaVto),
+    referenciaRaw,
+    referencia,
+    legacyIdCliente: Number.isFinite(legacyIdCliente) ? legacyIdCliente : null,
+    datosAdic,
+    resultCode: code,
+    resultDescription: code
+      ? BNA_RESULT_CODES[code] || "Código desconocido"
+      : null,
+    rawLine: line,
+  };
+}
+
+function isBancoNacionApproved(resultCode) {
+  const code = String(resultCode || "").trim();
+  if (!code) return true; // presentación sin código → se asume debitado
+  return BNA_APPROVED_CODES.has(code);
+}
+
+/* ================= Builders de presentación (Naranja / BNA) ================= */
+
+const padNum = (v, len) =>
+  String(Math.max(0, Math.round(Number(v) || 0)))
+    .padStart(len, "0")
+    .slice(-len);
+const padText = (v, len) => String(v ?? "").slice(0, len).padEnd(len, " ");
+const onlyDigits = (v) => String(v ?? "").replace(/\D+/g, "");
+
+// AAAAMMDD (TZ Mendoza)
+const fmtYMD = new Intl.DateTimeFormat("en-CA", {
+  timeZone: "America/Argentina/Mendoza",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+const toYYYYMMDD = (date) => fmtYMD.format(date).replace(/-/g, "");
+
+/**
+ * Línea de detalle Naranja (DAF) con el mismo layout que parseNaranjaDetailLine.
+ * El resultado (113–115) va en blanco: lo completa Naranja en la rendición.
+ */
+function buildNaranjaDetailLine({
+  nroTarjeta,
+  amount,
+  fechaAlta,
+  idCliente,
+  fechaVto,
+  nroCuota,
+  nroFactura,
+  anioCuota,
+  datosAdic = "",
+}) {
+  const line =
+    "D" +
+    padNum(onlyDigits(nroTarjeta), 16) +
+    padNum(Math.round(Number(amount) * 100), 12) +
+    toYYYYMMDD(fechaAlta) +
+    padText(idCliente, 30) +
+    toYYYYMMDD(fechaVto) +
+    padNum(nroCuota, 2) +
+    padNum(nroFactura, 8) +
+    padNum(anioCuota, 4) +
+    padText(datosAdic, 23) +
+    "   ";
+  if (line.length !== 115) {
+    throw new Error(`Línea Naranja inválida (${line.length} caracteres)`);
+  }
+  return line;
+}
+
+/** Línea de detalle BNA con el mismo layout que parseBancoNacionDetailLine. */
+function buildBancoNacionDetailLine({
+  sucursal,
+  tipoCuenta,
+  nroCuenta,
+  amount,
+  fechaVto,
+  idCliente,
+  datosAdic = "",
+}) {
+  const line =
+    "2" +
+    padNum(onlyDigits(sucursal), 4) +
+    padText(tipoCuenta || "CA", 2) +
+    padNum(onlyDigits(nroCuenta), 15) +
+    padNum(Math.round(Number(amount) * 100), 14) +
+    toYYYYMMDD(fechaVto) +
+    padText(idCliente, 22) +
+    "   " +
+    padText(datosAdic, 31);
+  if (line.length !== BNA_LINE_LENGTH) {
+    throw new Error(`Línea BNA inválida (${line.length} caracteres)`);
+  }
+  return line;
+}
+
+function buildBancoNacionHeader({ generatedAt, period }) {
+  return padText(
+    "1" + toYYYYMMDD(generatedAt) + period.replace("-", "") + "MEMORIAL",
+    BNA_LINE_LENGTH
+  );
+}
+
+function buildBancoNacionTrailer({ count, total }) {
+  return padText(
+    "3" + padNum(count, 7) + padNum(Math.round(Number(total) * 100), 16),
+    BNA_LINE_LENGTH
+  );
+}
+
+/**
+ * Clave de idempotencia de pagos / intentos de débito automático.
+ * La usan el registro real y la vista previa (detección de duplicados).
+ *  - pago:    auto_<source>_<memberId>_<monto>_<YYYY-MM-DD>
+ *  - intento: auto_attempt_<source>_<memberId>_<monto>_<YYYY-MM-DD>_<código>
+ */
+function autoDebitIdemKey({
+  source,
+  memberId,
+  amount,
+  collectedAt,
+  attempt = false,
+  resultCode,
+}) {
+  const day = collectedAt ? collectedAt.toISOString().slice(0, 10) : "nodate";
+  return attempt
+    ? `auto_attempt_${source}_${memberId}_${amount}_${day}_${
+        resultCode || "noresult"
+      }`
+    : `auto_${source}_${memberId}_${amount}_${day}`;
+}
+
 /**
  * PAGO de débito automático APROBADO:
  * - Crea Payment POSTED.
@@ -369,6 +550,7 @@ async function registerAutoDebitPayment({
   collectedAt,
   assetAccountCode, // cuenta de activo (BANCO_NACION / TARJETA_NARANJA / CAJA_COBRADOR)
   resultCode,
+  importBatchId = null, // lote de importación (DebitImportBatch)
 }) {
   const nowPeriod = yyyymmAR(new Date());
 
@@ -378,9 +560,11 @@ async function registerAutoDebitPayment({
     includeFuture: 0,
   });
 
-  const totalDueUpToNow = (debtState?.periods || [])
-    .filter((p) => comparePeriod(p.period, nowPeriod) <= 0)
-    .reduce((acc, p) => acc + Math.max(0, Number(p.balance || 0)), 0);
+  const totalDueUpToNow =
+    (debtState?.periods || [])
+      .filter((p) => comparePeriod(p.period, nowPeriod) <= 0)
+      .reduce((acc, p) => acc + Math.max(0, Number(p.balance || 0)), 0) +
+    sumSurchargeBalance(debtState, nowPeriod); // + recargos por mora
 
   const finalAmount = Number(amount);
   if (!(finalAmount > 0)) {
@@ -398,30 +582,29 @@ async function registerAutoDebitPayment({
       : "debito_automatico_bna";
 
   // 2) Idempotencia: cliente + origen + monto + fecha
-  const finalIdem =
-    `auto_${source}_${member._id}_${finalAmount}_` +
-    (collectedAt ? collectedAt.toISOString().slice(0, 10) : "nodate");
+  const finalIdem = autoDebitIdemKey({
+    source,
+    memberId: member._id,
+    amount: finalAmount,
+    collectedAt,
+  });
 
   const existing = await Payment.findOne({ idempotencyKey: finalIdem })
     .session(session)
     .lean();
   if (existing) {
     const rx = await Receipt.findOne({ paymentId: existing._id })
+      .sort({ createdAt: -1 })
       .session(session)
       .lean();
     return { reused: true, payment: existing, receipt: rx };
   }
 
-  // 3) Imputaciones FIFO
+  // 3) Imputaciones FIFO (cuotas y recargos, mismo orden que el cobrador)
   let allocations = [];
   let periodsApplied = [];
 
-  const balMap = new Map(
-    (debtState?.periods || []).map((p) => [
-      p.period,
-      Math.max(0, Number(p.balance || 0)),
-    ])
-  );
+  const balMap = buildBalanceMap(debtState);
 
   const { allocations: fifo } = fifoAllocateUntilNow(
     debtState,
@@ -431,16 +614,8 @@ async function registerAutoDebitPayment({
   const totalAllocated = fifo.reduce((acc, a) => acc + a.amount, 0);
 
   if (totalAllocated > 0) {
-    allocations = fifo.map((a) => {
-      const bal = balMap.get(a.period) || 0;
-      return {
-        period: a.period,
-        amountApplied: a.amount,
-        statusAfter: a.amount >= bal ? "paid" : "partial",
-        memberId: member._id,
-      };
-    });
-    periodsApplied = allocations.map((a) => a.period);
+    allocations = fifo.map((a) => toPaymentAllocation(a, balMap, member._id));
+    periodsApplied = Array.from(new Set(allocations.map((a) => a.period)));
   } else {
     allocations = [];
     periodsApplied = [];
@@ -451,20 +626,15 @@ async function registerAutoDebitPayment({
     to: nowPeriod,
     includeFuture: 0,
   });
-  const freshBal = new Map(
-    (debtState?.periods || []).map((p) => [
-      p.period,
-      Math.max(0, Number(p.balance || 0)),
-    ])
-  );
+  const freshBal = buildBalanceMap(debtState);
   for (const a of allocations) {
-    const bal = freshBal.get(a.period) ?? 0;
-    if (a.amount > bal + 0.0001) {
+    const bal = freshBal.get(allocationKey(a)) ?? 0;
+    if (a.amountApplied > bal + 0.0001) {
       throw new Error(
-        `El período ${a.period} cambió y ya no admite ${a.amount} (saldo: ${bal}).`
+        `El período ${a.period} cambió y ya no admite ${a.amountApplied} (saldo: ${bal}).`
       );
     } else {
-      freshBal.set(a.period, Math.max(0, bal - a.amount));
+      freshBal.set(allocationKey(a), Math.max(0, bal - a.amountApplied));
     }
   }
 
@@ -504,6 +674,7 @@ async function registerAutoDebitPayment({
           autoDebitAttempt: false,
           autoDebitApproved: true,
           gatewayResultCode: resultCode || null,
+          importBatchId: importBatchId || undefined,
         },
       },
     ],
@@ -603,7 +774,14 @@ async function registerAutoDebitPayment({
   // 7) Recibo
   let receipt;
   try {
-    const { pdfPath, pdfUrl, receiptNumber, qrData, signature } =
+    const {
+      pdfPath,
+      pdfUrl,
+      receiptNumber,
+      qrData,
+      signature,
+      remainingBalance,
+    } =
       await generateReceipt(
         p.toObject(),
         {
@@ -624,6 +802,7 @@ async function registerAutoDebitPayment({
           pdfPath,
           pdfUrl,
           signature,
+          remainingBalance,
           voided: false,
         },
       ],
@@ -685,6 +864,7 @@ async function registerAutoDebitAttempt({
   externalRef,
   collectedAt,
   resultCode,
+  importBatchId = null,
 }) {
   const finalAmount = Number(amount);
   if (!(finalAmount > 0)) {
@@ -701,10 +881,14 @@ async function registerAutoDebitAttempt({
       ? "debito_automatico_naranja"
       : "debito_automatico_bna";
 
-  const finalIdem =
-    `auto_attempt_${source}_${member._id}_${finalAmount}_` +
-    (collectedAt ? collectedAt.toISOString().slice(0, 10) : "nodate") +
-    `_${resultCode || "noresult"}`;
+  const finalIdem = autoDebitIdemKey({
+    source,
+    memberId: member._id,
+    amount: finalAmount,
+    collectedAt,
+    attempt: true,
+    resultCode,
+  });
 
   const existing = await Payment.findOne({ idempotencyKey: finalIdem })
     .session(session)
@@ -746,6 +930,7 @@ async function registerAutoDebitAttempt({
           autoDebitApproved: false,
           gatewayResultCode: resultCode || null,
           attemptAt: collectedAt ? collectedAt.toISOString() : null,
+          importBatchId: importBatchId || undefined,
         },
       },
     ],
@@ -757,162 +942,1320 @@ async function registerAutoDebitAttempt({
   return { reused: false, payment: p };
 }
 
-/* ==================== Controlador de importación Naranja ==================== */
+/* ============== Procesamiento común de archivos de débito ============== */
 
 const COLLECTOR_ID_NARANJA = 14; // Tarjeta Naranja
 const COLLECTOR_ID_BNA = 6; // Banco Nación
 
 /**
- * POST /api/adminTransactions/import-naranja
- * body: multipart/form-data con campo "file"
+ * Configuración por origen: cómo detectar/parsear líneas de detalle,
+ * cómo decidir aprobación y a qué cuenta/cobrador imputar.
  */
-export async function importNaranjaResultFile(req, res, next) {
-  const session = await mongoose.startSession();
-  session.startTransaction();
+const AUTO_DEBIT_SOURCES = Object.freeze({
+  naranja: {
+    source: "naranja",
+    isDetailLine: (l) => l[0] === "D" && l.length >= NARANJA_LINE_LENGTH,
+    parseLine: parseNaranjaDetailLine,
+    isApproved: isNaranjaApproved,
+    collectorId: COLLECTOR_ID_NARANJA,
+    assetAccountCode: ACCOUNTS.TARJETA_NARANJA,
+    externalRefFor: (parsed) =>
+      `naranja:${parsed.tarjeta}:${parsed.legacyIdCliente}`,
+    fileExt: "txt",
+    presentationLine: ({ member, amount, period, dueDate, lineNumber, now }) => {
+      const nroTarjeta = onlyDigits(member?.debitoAutomatico?.nroTarjeta);
+      if (nroTarjeta.length !== 16) return { skip: "missing_card_number" };
+      const [anio, mes] = period.split("-");
+      return {
+        accountRef: `************${nroTarjeta.slice(-4)}`,
+        line: buildNaranjaDetailLine({
+          nroTarjeta,
+          amount,
+          fechaAlta: now,
+          idCliente: member.idCliente,
+          fechaVto: dueDate,
+          nroCuota: mes,
+          nroFactura: lineNumber,
+          anioCuota: anio,
+          datosAdic: `CUOTA ${period}`,
+        }),
+      };
+    },
+  },
+  bna: {
+    source: "bna",
+    isDetailLine: (l) => l[0] === "2" && l.length >= BNA_MIN_DETAIL_LENGTH,
+    parseLine: parseBancoNacionDetailLine,
+    isApproved: isBancoNacionApproved,
+    collectorId: COLLECTOR_ID_BNA,
+    assetAccountCode: ACCOUNTS.BANCO_NACION,
+    externalRefFor: (parsed) =>
+      `bna:${parsed.sucursal}${parsed.nroCuenta}:${parsed.legacyIdCliente}`,
+    fileExt: "txt",
+    presentationHeader: buildBancoNacionHeader,
+    presentationTrailer: buildBancoNacionTrailer,
+    presentationLine: ({ member, amount, period, dueDate }) => {
+      const d = member?.debitoAutomatico || {};
+      const nroCuenta = onlyDigits(d.nroCuenta);
+      const sucursal = onlyDigits(d.sucursal);
+      if (!nroCuenta || !sucursal) return { skip: "missing_account" };
+      return {
+        accountRef: `${sucursal}-****${nroCuenta.slice(-4)}`,
+        line: buildBancoNacionDetailLine({
+          sucursal,
+          tipoCuenta: d.tipoCuenta || "CA",
+          nroCuenta,
+          amount,
+          fechaVto: dueDate,
+          idCliente: member.idCliente,
+          datosAdic: `CUOTA ${period}`,
+        }),
+      };
+    },
+  },
+});
+
+function splitFileLines(raw) {
+  return String(raw)
+    .split(/\r?\n/)
+    .map((l) => l.replace(/\r$/, ""))
+    .filter((l) => l.trim().length > 0);
+}
 
-  try {
-    const file = req.file;
-    if (!file) {
-      await session.abortTransaction();
-      return res
-        .status(400)
-        .json({ ok: false, message: "Falta archivo (campo file)." });
+/**
+ * Período ("YYYY-MM") al que corresponde una línea de rendición:
+ *  - datosAdic "CUOTA YYYY-MM" (lo escribimos al presentar, Naranja y BNA)
+ *  - Naranja: anioCuota + nroCuota
+ * Sin período reconocible → null (no se vincula a ninguna presentación).
+ */
+function presentationPeriodOf(parsed) {
+  const m = /CUOTA (\d{4}-\d{2})/.exec(String(parsed?.datosAdic || ""));
+  if (m && PERIOD_RE.test(m[1])) return m[1];
+
+  const anio = String(parsed?.anioCuota || "").trim();
+  const mes = String(parsed?.nroCuota || "").trim();
+  if (/^\d{4}$/.test(anio) && /^\d{2}$/.test(mes)) {
+    const period = `${anio}-${mes}`;
+    if (PERIOD_RE.test(period)) return period;
+  }
+  return null;
+}
+
+/**
+ * Cierra el ciclo presentación → rendición: marca el ítem pendiente del
+ * grupo en la presentación vigente del mismo origen y período.
+ * Devuelve el _id del lote afectado (o null si el grupo no se presentó).
+ */
+async function linkPresentationResult({
+  session,
+  source,
+  period,
+  idCliente,
+  approved,
+  resultCode,
+  paymentId,
+}) {
+  if (!period) return null;
+
+  const batch = await DebitPresentation.findOne({
+    source,
+    period,
+    status: { $ne: "cancelled" },
+    items: { $elemMatch: { idCliente, result: "pending" } },
+  })
+    .sort({ createdAt: -1 })
+    .select("_id items.idCliente items.result")
+    .session(session)
+    .lean();
+
+  if (!batch) return null;
+
+  await DebitPresentation.updateOne(
+    { _id: batch._id },
+    {
+      $set: {
+        "items.$[it].result": approved ? "approved" : "rejected",
+        "items.$[it].resultCode": resultCode || null,
+        "items.$[it].paymentId": paymentId || null,
+        "items.$[it].resultAt": new Date(),
+      },
+    },
+    {
+      session,
+      arrayFilters: [{ "it.idCliente": idCliente, "it.result": "pending" }],
     }
+  );
 
-    const raw = await readUploadedTextFile(file);
-    const lines = String(raw)
-      .split(/\r?\n/)
-      .map((l) => l.replace(/\r$/, ""))
-      .filter((l) => l.trim().length > 0);
+  // Si ya no quedan pendientes, el lote queda conciliado
+  const stillPending = (batch.items || []).some(
+    (it) => it.result === "pending" && it.idCliente !== idCliente
+  );
+  if (!stillPending) {
+    await DebitPresentation.updateOne(
+      { _id: batch._id },
+      { $set: { status: "reconciled" } },
+      { session }
+    );
+  }
 
-    const detailLines = lines.filter((l) => l[0] === "D" && l.length >= 50);
+  return batch._id;
+}
 
-    const userId = req.user?._id || req.user?.id || null;
+/**
+ * Recorre las líneas de detalle y registra pagos / intentos.
+ * Devuelve el summary que responden los endpoints de importación.
+ */
+async function processAutoDebitLines({
+  session,
+  lines,
+  cfg,
+  userId,
+  importBatchId = null,
+}) {
+  const detailLines = lines.filter(cfg.isDetailLine);
+
+  const summary = {
+    source: cfg.source,
+    totalLines: lines.length,
+    detailLines: detailLines.length,
+    processed: 0,
+    reused: 0,
+    attempts: 0,
+    skippedNoCliente: 0,
+    skippedParseError: 0,
+    results: [],
+  };
 
-    const summary = {
-      totalLines: lines.length,
-      detailLines: detailLines.length,
-      processed: 0,
-      reused: 0,
-      attempts: 0,
-      skippedNoCliente: 0,
-      skippedParseError: 0,
-      results: [],
-    };
+  for (const line of detailLines) {
+    const parsed = cfg.parseLine(line);
+    if (!parsed) {
+      summary.skippedParseError++;
+      summary.results.push({
+        line,
+        status: "skipped_parse_error",
+      });
+      continue;
+    }
 
-    for (const line of detailLines) {
-      const parsed = parseNaranjaDetailLine(line);
-      if (!parsed) {
-        summary.skippedParseError++;
-        summary.results.push({
-          line,
-          status: "skipped_parse_error",
-        });
-        continue;
-      }
+    const { legacyIdCliente, importe, fechaVtoDate, resultCode } = parsed;
 
-      const { legacyIdCliente, importe, fechaVtoDate, tarjeta, resultCode } =
-        parsed;
+    if (!legacyIdCliente) {
+      summary.skippedNoCliente++;
+      summary.results.push({
+        ...parsed,
+        status: "skipped_no_legacy_idCliente",
+      });
+      continue;
+    }
 
-      if (!legacyIdCliente) {
-        summary.skippedNoCliente++;
-        summary.results.push({
-          ...parsed,
-          status: "skipped_no_legacy_idCliente",
-        });
-        continue;
-      }
+    const member = await Cliente.findOne({
+      idCliente: legacyIdCliente,
+    }).session(session);
 
-      const member = await Cliente.findOne({
-        idCliente: legacyIdCliente,
-      }).session(session);
+    if (!member) {
+      summary.skippedNoCliente++;
+      summary.results.push({
+        ...parsed,
+        status: "skipped_cliente_not_found",
+      });
+      continue;
+    }
 
-      if (!member) {
-        summary.skippedNoCliente++;
-        summary.results.push({
-          ...parsed,
-          status: "skipped_cliente_not_found",
-        });
-        continue;
-      }
+    const externalRef = cfg.externalRefFor(parsed);
+
+    if (cfg.isApproved(resultCode)) {
+      // PAGO APROBADO (incluye presentación donde resultCode está vacío)
+      const { reused, payment, receipt } = await registerAutoDebitPayment({
+        session,
+        member,
+        amount: importe,
+        collectorId: cfg.collectorId,
+        userId,
+        source: cfg.source,
+        externalRef,
+        collectedAt: fechaVtoDate || null,
+        assetAccountCode: cfg.assetAccountCode,
+        resultCode,
+        importBatchId,
+      });
+
+      if (reused) summary.reused++;
+      else summary.processed++;
+
+      // Un pago reusado ya se vinculó en la importación que lo creó
+      const presentationId = reused
+        ? null
+        : await linkPresentationResult({
+            session,
+            source: cfg.source,
+            period: presentationPeriodOf(parsed),
+            idCliente: legacyIdCliente,
+            approved: true,
+            resultCode,
+            paymentId: payment._id,
+          });
+
+      summary.results.push({
+        ...parsed,
+        status: reused ? "created_approved_reused" : "created_approved",
+        approved: true,
+        paymentId: payment._id,
+        receiptId: receipt?._id || null,
+        presentationId,
+      });
+    } else {
+      // INTENTO NO APROBADO (rendición con código de rechazo)
+      const { reused, payment } = await registerAutoDebitAttempt({
+        session,
+        member,
+        amount: importe,
+        collectorId: cfg.collectorId,
+        userId,
+        source: cfg.source,
+        externalRef,
+        collectedAt: fechaVtoDate || null,
+        resultCode,
+        importBatchId,
+      });
 
-      const externalRef = `naranja:${tarjeta}:${legacyIdCliente}`;
+      if (reused) summary.reused++;
+      else summary.attempts++;
+
+      const presentationId = reused
+        ? null
+        : await linkPresentationResult({
+            session,
+            source: cfg.source,
+            period: presentationPeriodOf(parsed),
+            idCliente: legacyIdCliente,
+            approved: false,
+            resultCode,
+            paymentId: payment._id,
+          });
+
+      summary.results.push({
+        ...parsed,
+        status: reused ? "attempt_reused" : "attempt_created",
+        approved: false,
+        paymentId: payment._id,
+        receiptId: null,
+        presentationId,
+      });
+    }
+  }
 
-      if (isNaranjaApproved(resultCode)) {
-        // PAGO APROBADO (incluye DAF donde resultCode está vacío)
-        const { reused, payment, receipt } = await registerAutoDebitPayment({
-          session,
-          member,
-          amount: importe,
-          collectorId: COLLECTOR_ID_NARANJA,
-          userId,
-          source: "naranja",
-          externalRef,
-          collectedAt: fechaVtoDate || null,
-          assetAccountCode: ACCOUNTS.TARJETA_NARANJA,
-          resultCode,
-        });
+  return summary;
+}
 
-        if (reused) summary.reused++;
-        else summary.processed++;
+/* ====================== Lotes de importación ====================== */
 
-        summary.results.push({
-          ...parsed,
-          status: reused ? "created_approved_reused" : "created_approved",
-          approved: true,
-          paymentId: payment._id,
-          receiptId: receipt?._id || null,
-        });
-      } else {
-        // INTENTO NO APROBADO (DAR con código ≠ "000")
-        const { reused, payment } = await registerAutoDebitAttempt({
-          session,
-          member,
-          amount: importe,
-          collectorId: COLLECTOR_ID_NARANJA,
-          userId,
-          source: "naranja",
-          externalRef,
-          collectedAt: fechaVtoDate || null,
-          resultCode,
-        });
+/** Error con status HTTP + code (lo traducen los handlers) */
+function importError(status, code, message, extra = {}) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  Object.assign(e, extra);
+  return e;
+}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const sha256Latin1 = (raw) =>
+  crypto.createHash("sha256").update(raw, "latin1").digest("hex");
+
+/**
+ * Importa un archivo dentro de la TX recibida y deja registrado el lote.
+ * Rechaza (409 DUPLICATE_FILE) un archivo idéntico ya importado.
+ * return: summary de processAutoDebitLines + { batchId, contentHash }
+ */
+async function runAutoDebitImport({
+  session,
+  raw,
+  fileName = null,
+  cfg,
+  userId,
+  previewId = null,
+}) {
+  const contentHash = sha256Latin1(raw);
+
+  const previous = await DebitImportBatch.findOne({
+    source: cfg.source,
+    contentHash,
+  })
+    .select("_id status createdAt uploadedBy fileName")
+    .session(session)
+    .lean();
+  if (previous) {
+    throw importError(
+      409,
+      "DUPLICATE_FILE",
+      `Este archivo ya fue importado (lote ${previous._id}).`,
+      { batch: previous }
+    );
+  }
+
+  const batchId = new mongoose.Types.ObjectId();
+  const summary = await processAutoDebitLines({
+    session,
+    lines: splitFileLines(raw),
+    cfg,
+    userId,
+    importBatchId: batchId,
+  });
+
+  const results = summary.results || [];
+  const paymentIds = results
+    .filter((r) => r.status === "created_approved")
+    .map((r) => r.paymentId);
+  const attemptIds = results
+    .filter((r) => r.status === "attempt_created")
+    .map((r) => r.paymentId);
+  const approvedAmount = round2(
+    results
+      .filter((r) => r.status === "created_approved")
+      .reduce((acc, r) => acc + Number(r.importe || 0), 0)
+  );
+
+  try {
+    await DebitImportBatch.create(
+      [
+        {
+          _id: batchId,
+          source: cfg.source,
+          fileName,
+          contentHash,
+          fileSize: Buffer.byteLength(raw, "latin1"),
+          previewId,
+          counts: {
+            totalLines: summary.totalLines,
+            detailLines: summary.detailLines,
+            processed: summary.processed,
+            reused: summary.reused,
+            attempts: summary.attempts,
+            skippedNoCliente: summary.skippedNoCliente,
+            skippedParseError: summary.skippedParseError,
+          },
+          approvedAmount,
+          paymentIds,
+          attemptIds,
+          uploadedBy: new mongoose.Types.ObjectId(String(userId)),
+        },
+      ],
+      { session }
+    );
+  } catch (err) {
+    // Carrera: otro admin importó el mismo archivo en paralelo
+    if (err?.code === 11000) {
+      throw importError(
+        409,
+        "DUPLICATE_FILE",
+        "Este archivo ya fue importado."
+      );
+    }
+    throw err;
+  }
+
+  return { ...summary, batchId, contentHash };
+}
+
+/* ===================== Vista previa (dry-run) ===================== */
+
+const PREVIEW_TTL_MINUTES = Number(
+  process.env.DEBIT_IMPORT_PREVIEW_TTL_MINUTES || 60
+);
+
+/**
+ * Igual que processAutoDebitLines pero SIN escribir nada:
+ *  - matchea cada línea con un grupo por legacyIdCliente
+ *  - detecta duplicados (ya importados o repetidos dentro del archivo)
+ *    con la misma clave auto_<source>_... que usa el registro real
+ *  - totales aprobados / rechazados
+ *  - diferencias de importe contra el saldo adeudado del grupo
+ */
+async function previewAutoDebitLines({ lines, cfg }) {
+  const detailLines = lines.filter(cfg.isDetailLine);
+  const nowPeriod = yyyymmAR(new Date());
+
+  const report = {
+    source: cfg.source,
+    totalLines: lines.length,
+    detailLines: detailLines.length,
+    matched: 0,
+    unmatched: 0,
+    parseErrors: 0,
+    duplicates: 0,
+    amountMismatches: 0,
+    totals: {
+      approved: { count: 0, amount: 0 },
+      rejected: { count: 0, amount: 0 },
+    },
+    results: [],
+  };
 
-        if (reused) summary.reused++;
-        else summary.attempts++;
+  const seenKeys = new Set();
+  const memberCache = new Map(); // idCliente → { member, due }
+
+  for (const line of detailLines) {
+    const parsed = cfg.parseLine(line);
+    if (!parsed) {
+      report.parseErrors++;
+      report.results.push({ line, status: "parse_error" });
+      continue;
+    }
+
+    const { legacyIdCliente, importe, fechaVtoDate, resultCode } = parsed;
+    const approved = cfg.isApproved(resultCode);
+    const bucket = approved ? report.totals.approved : report.totals.rejected;
+    bucket.count++;
+    bucket.amount = round2(bucket.amount + Number(importe || 0));
+
+    if (!legacyIdCliente) {
+      report.unmatched++;
+      report.results.push({
+        ...parsed,
+        approved,
+        status: "unmatched",
+        reason: "no_legacy_idCliente",
+      });
+      continue;
+    }
 
-        summary.results.push({
-          ...parsed,
-          status: reused ? "attempt_reused" : "attempt_created",
-          approved: false,
-          paymentId: payment._id,
-          receiptId: null,
+    if (!memberCache.has(legacyIdCliente)) {
+      const m = await Cliente.findOne({ idCliente: legacyIdCliente });
+      let due = null;
+      if (m) {
+        const state = await getClientPeriodState(m, {
+          to: nowPeriod,
+          includeFuture: 0,
         });
+        due = round2(
+          (state?.periods || [])
+            .filter((p) => comparePeriod(p.period, nowPeriod) <= 0)
+            .reduce((acc, p) => acc + Math.max(0, Number(p.balance || 0)), 0) +
+            sumSurchargeBalance(state, nowPeriod)
+        );
       }
+      memberCache.set(legacyIdCliente, { member: m, due });
+    }
+    const { member, due } = memberCache.get(legacyIdCliente);
+
+    if (!member) {
+      report.unmatched++;
+      report.results.push({
+        ...parsed,
+        approved,
+        status: "unmatched",
+        reason: "cliente_not_found",
+      });
+      continue;
     }
+    report.matched++;
+
+    const idempotencyKey = autoDebitIdemKey({
+      source: cfg.source,
+      memberId: member._id,
+      amount: Number(importe),
+      collectedAt: fechaVtoDate || null,
+      attempt: !approved,
+      resultCode,
+    });
 
-    await session.commitTransaction();
-    return res.status(200).json({
-      ok: true,
-      data: summary,
+    let duplicateOf = null;
+    if (seenKeys.has(idempotencyKey)) {
+      duplicateOf = "same_file";
+    } else {
+      const existing = await Payment.findOne({ idempotencyKey })
+        .select("_id")
+        .lean();
+      if (existing) duplicateOf = String(existing._id);
+    }
+    seenKeys.add(idempotencyKey);
+    if (duplicateOf) report.duplicates++;
+
+    // Sólo los aprobados imputan deuda: ahí importa la diferencia
+    const diff = approved && due != null ? round2(Number(importe) - due) : 0;
+    if (diff !== 0) report.amountMismatches++;
+
+    report.results.push({
+      ...parsed,
+      approved,
+      status: duplicateOf ? "duplicate" : approved ? "would_pay" : "would_attempt",
+      memberId: member._id,
+      nombre: member.nombreTitular || member.nombre || "",
+      idempotencyKey,
+      duplicateOf,
+      dueBalance: due,
+      amountDiff: diff,
+      amountMismatch: diff !== 0,
     });
-  } catch (err) {
-    try {
-      await session.abortTransaction();
-    } catch {}
-    return next(err);
-  } finally {
-    session.endSession();
   }
+
+  return report;
 }
 
 /**
- * POST /api/adminTransactions/import-bna
- * Por ahora stub (no implementado aún).
+ * Handler común de vista previa: lee el archivo, arma el reporte, guarda
+ * el archivo con un token de un solo uso y responde { ok, token, data }.
  */
-export async function importBancoNacionResultFile(req, res, next) {
-  return res.status(501).json({
-    ok: false,
-    message:
-      "Importación de Banco Nación todavía no implementada. Primero terminamos Naranja.",
-  });
+async function previewAutoDebitResultFile(req, res, next, cfg) {
+  try {
+    const file = req.file;
+    if (!file) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "Falta archivo (campo file)." });
+    }
+
+    const userId = req.user?._id || req.user?.id || null;
+    if (!userId) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "Sesión inválida: falta userId." });
+    }
+
+    const raw = await readUploadedTextFile(file);
+    const contentHash = sha256Latin1(raw);
+
+    const previous = await DebitImportBatch.findOne({
+      source: cfg.source,
+      contentHash,
+    })
+      .select("_id status createdAt uploadedBy fileName")
+      .lean();
+    if (previous) {
+      return res.status(409).json({
+        ok: false,
+        code: "DUPLICATE_FILE",
+        message: `Este archivo ya fue importado (lote ${previous._id}).`,
+        batch: previous,
+      });
+    }
+
+    const report = await previewAutoDebitLines({
+      lines: splitFileLines(raw),
+      cfg,
+    });
+
+    const token = crypto.randomBytes(24).toString("hex");
+    const expiresAt = new Date(Date.now() + PREVIEW_TTL_MINUTES * 60_000);
+
+    await DebitImportPreview.create({
+      token,
+      source: cfg.source,
+      fileName: file.originalname || null,
+      content: raw,
+      contentHash,
+      report: { ...report, results: undefined },
+      createdBy: new mongoose.Types.ObjectId(String(userId)),
+      expiresAt,
+    });
+
+    return res.status(200).json({
+      ok: true,
+      dryRun: true,
+      token,
+      expiresAt,
+      data: report,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Handler común de confirmación: consume el token de la vista previa y
+ * procesa exactamente el archivo que se previsualizó.
+ * body: { token }
+ */
+async function confirmAutoDebitImport(req, res, next, cfg) {
+  const token = String(req.body?.token || "").trim();
+  if (!token) {
+    return res
+      .status(400)
+      .json({ ok: false, code: "TOKEN_REQUIRED", message: "Falta token." });
+  }
+
+  const userId = req.user?._id || req.user?.id || null;
+  if (!userId) {
+    return res
+      .status(400)
+      .json({ ok: false, message: "Sesión inválida: falta userId." });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Consumo atómico: un token confirma una sola vez
+    const preview = await DebitImportPreview.findOneAndUpdate(
+      {
+        token,
+        source: cfg.source,
+        status: "pending",
+        expiresAt: { $gt: new Date() },
+      },
+      {
+        $set: {
+          status: "confirmed",
+          confirmedBy: new mongoose.Types.ObjectId(String(userId)),
+          confirmedAt: new Date(),
+        },
+      },
+      { new: true, session }
+    );
+
+    if (!preview) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        ok: false,
+        code: "PREVIEW_NOT_FOUND",
+        message:
+          "Vista previa inexistente, vencida o ya confirmada. Volvé a subir el archivo.",
+      });
+    }
+
+    const summary = await runAutoDebitImport({
+      session,
+      raw: preview.content,
+      fileName: preview.fileName,
+      cfg,
+      userId,
+      previewId: preview._id,
+    });
+
+    await session.commitTransaction();
+    return res.status(200).json({
+      ok: true,
+      data: { ...summary, previewId: preview._id },
+    });
+  } catch (err) {
+    try {
+      await session.abortTransaction();
+    } catch {}
+    if (err?.status && err?.code) {
+      return res.status(err.status).json({
+        ok: false,
+        code: err.code,
+        message: err.message,
+        ...(err.batch ? { batch: err.batch } : {}),
+      });
+    }
+    return next(err);
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Handler común de importación (Naranja / BNA): abre TX, lee archivo,
+ * procesa y responde { ok, data: summary }.
+ */
+async function importAutoDebitResultFile(req, res, next, cfg) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const file = req.file;
+    if (!file) {
+      await session.abortTransaction();
+      return res
+        .status(400)
+        .json({ ok: false, message: "Falta archivo (campo file)." });
+    }
+
+    const raw = await readUploadedTextFile(file);
+    const userId = req.user?._id || req.user?.id || null;
+
+    const summary = await runAutoDebitImport({
+      session,
+      raw,
+      fileName: file.originalname || null,
+      cfg,
+      userId,
+    });
+
+    await session.commitTransaction();
+    return res.status(200).json({
+      ok: true,
+      data: summary,
+    });
+  } catch (err) {
+    try {
+      await session.abortTransaction();
+    } catch {}
+    if (err?.status && err?.code) {
+      return res.status(err.status).json({
+        ok: false,
+        code: err.code,
+        message: err.message,
+        ...(err.batch ? { batch: err.batch } : {}),
+      });
+    }
+    return next(err);
+  } finally {
+    session.endSession();
+  }
+}
+
+/* ==================== Controladores de importación ==================== */
+
+/**
+ * POST /api/adminTransactions/import-naranja
+ * body: multipart/form-data con campo "file"
+ */
+export async function importNaranjaResultFile(req, res, next) {
+  return importAutoDebitResultFile(req, res, next, AUTO_DEBIT_SOURCES.naranja);
+}
+
+/**
+ * POST /api/adminTransactions/import-bna
+ * body: multipart/form-data con campo "file" (layout BNA, ver parseBancoNacionDetailLine)
+ */
+export async function importBancoNacionResultFile(req, res, next) {
+  return importAutoDebitResultFile(req, res, next, AUTO_DEBIT_SOURCES.bna);
+}
+
+/**
+ * POST /api/adminTransactions/import-naranja/preview
+ * body: multipart/form-data con campo "file" → reporte sin escribir + token
+ */
+export async function previewNaranjaResultFile(req, res, next) {
+  return previewAutoDebitResultFile(
+    req,
+    res,
+    next,
+    AUTO_DEBIT_SOURCES.naranja
+  );
+}
+
+/**
+ * POST /api/adminTransactions/import-naranja/confirm
+ * body: { token } (devuelto por la vista previa)
+ */
+export async function confirmNaranjaImport(req, res, next) {
+  return confirmAutoDebitImport(req, res, next, AUTO_DEBIT_SOURCES.naranja);
+}
+
+/** POST /api/adminTransactions/import-bna/preview */
+export async function previewBancoNacionResultFile(req, res, next) {
+  return previewAutoDebitResultFile(req, res, next, AUTO_DEBIT_SOURCES.bna);
+}
+
+/** POST /api/adminTransactions/import-bna/confirm — body: { token } */
+export async function confirmBancoNacionImport(req, res, next) {
+  return confirmAutoDebitImport(req, res, next, AUTO_DEBIT_SOURCES.bna);
+}
+
+/* ================= Historial de lotes / deshacer lote ================= */
+
+/**
+ * GET /api/adminTransactions/import-batches
+ * Query: source?, status?, page?, limit?
+ */
+export async function listDebitImportBatches(req, res, next) {
+  try {
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || 25, 100);
+    const source = String(req.query.source || "").trim();
+    const status = String(req.query.status || "").trim();
+
+    const match = {};
+    if (source) match.source = source;
+    if (status) match.status = status;
+
+    const [items, total] = await Promise.all([
+      DebitImportBatch.find(match)
+        .select("-paymentIds -attemptIds -reversalIds")
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      DebitImportBatch.countDocuments(match),
+    ]);
+
+    return res.json({ ok: true, items, total, page, pageSize: limit });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/adminTransactions/import-batches/:id
+ * Detalle del lote con sus pagos / intentos.
+ */
+export async function getDebitImportBatch(req, res, next) {
+  try {
+    const id = String(req.params.id || "").trim();
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const batch = await DebitImportBatch.findById(id).lean();
+    if (!batch) {
+      return res.status(404).json({ ok: false, message: "Lote no encontrado" });
+    }
+
+    const payments = await Payment.find({
+      _id: { $in: [...batch.paymentIds, ...batch.attemptIds] },
+    })
+      .select(
+        "_id status amount cliente.idCliente cliente.nombre externalRef postedAt meta.autoDebitApproved meta.gatewayResultCode"
+      )
+      .lean();
+
+    return res.json({ ok: true, data: { ...batch, payments } });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/adminTransactions/import-batches/:id/undo
+ * body: { reason }
+ * Revierte (reversal.service) cada pago aprobado que creó el lote y
+ * devuelve a "pending" los ítems de presentación que había conciliado.
+ * Los intentos rechazados quedan en borrador (no tienen ledger).
+ * El archivo sigue registrado: no se puede volver a importar tal cual.
+ */
+export async function undoDebitImportBatch(req, res, next) {
+  const id = String(req.params.id || "").trim();
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ ok: false, message: "ID inválido" });
+  }
+
+  const reason = String(req.body?.reason || "").trim();
+  if (!reason) {
+    return res.status(400).json({
+      ok: false,
+      code: "REASON_REQUIRED",
+      message: "El motivo es obligatorio.",
+    });
+  }
+
+  const userId = req.user?._id || req.user?.id || null;
+  if (!userId) {
+    return res
+      .status(400)
+      .json({ ok: false, message: "Sesión inválida: falta userId." });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const batch = await DebitImportBatch.findById(id).session(session);
+    if (!batch) {
+      await session.abortTransaction();
+      return res.status(404).json({ ok: false, message: "Lote no encontrado" });
+    }
+    if (batch.status === "undone") {
+      await session.abortTransaction();
+      return res.status(409).json({
+        ok: false,
+        code: "BATCH_ALREADY_UNDONE",
+        message: "El lote ya fue deshecho.",
+      });
+    }
+
+    const results = [];
+    for (const paymentId of batch.paymentIds) {
+      const r = await reversePayment({
+        session,
+        paymentId,
+        actorUserId: userId,
+        reason: `Deshacer lote ${batch.source} ${batch._id}: ${reason}`,
+        channel: "backoffice",
+      });
+      results.push({
+        paymentId,
+        reversalId: r.reversal?._id || null,
+        reused: r.reused,
+      });
+    }
+
+    // Ítems de presentación conciliados por este lote → vuelven a pendiente
+    const touchedIds = [...batch.paymentIds, ...batch.attemptIds];
+    if (touchedIds.length) {
+      await DebitPresentation.updateMany(
+        { source: batch.source, "items.paymentId": { $in: touchedIds } },
+        {
+          $set: {
+            status: "generated",
+            "items.$[it].result": "pending",
+            "items.$[it].resultCode": null,
+            "items.$[it].paymentId": null,
+            "items.$[it].resultAt": null,
+          },
+        },
+        {
+          session,
+          arrayFilters: [{ "it.paymentId": { $in: touchedIds } }],
+        }
+      );
+    }
+
+    batch.status = "undone";
+    batch.undoneAt = new Date();
+    batch.undoneBy = new mongoose.Types.ObjectId(String(userId));
+    batch.undoReason = reason;
+    batch.reversalIds = results.map((r) => r.reversalId).filter(Boolean);
+    await batch.save({ session });
+
+    await session.commitTransaction();
+    return res.json({
+      ok: true,
+      data: {
+        batchId: batch._id,
+        status: batch.status,
+        reversed: results.filter((r) => !r.reused).length,
+        alreadyReversed: results.filter((r) => r.reused).length,
+        results,
+      },
+    });
+  } catch (err) {
+    try {
+      await session.abortTransaction();
+    } catch {}
+    if (err?.status && err?.code) {
+      return res
+        .status(err.status)
+        .json({ ok: false, code: err.code, message: err.message });
+    }
+    return next(err);
+  } finally {
+    session.endSession();
+  }
+}
+
+/* ==================== Presentación (archivo de envío) ==================== */
+
+/**
+ * Grupos activos con tarjeta=true que corresponden al origen:
+ *  - debitoAutomatico.medio === source, o
+ *  - sin medio cargado y cartera del cobrador simbólico (14 Naranja / 6 BNA).
+ * Un registro por grupo (titular primero).
+ */
+async function findPresentationCandidates(cfg) {
+  const members = await Cliente.aggregate([
+    {
+      $match: {
+        activo: { $ne: false },
+        tarjeta: true,
+        idCliente: { $ne: null },
+      },
+    },
+    { $sort: { idCliente: 1, integrante: 1 } },
+    { $group: { _id: "$idCliente", doc: { $first: "$$ROOT" } } },
+    { $replaceRoot: { newRoot: "$doc" } },
+    { $sort: { idCliente: 1 } },
+  ]).allowDiskUse(true);
+
+  return members.filter((m) => {
+    const medio = m?.debitoAutomatico?.medio || null;
+    if (medio) return medio === cfg.source;
+    return Number(m.idCobrador) === cfg.collectorId;
+  });
+}
+
+/**
+ * Handler común de presentación (Naranja / BNA).
+ * body: { period: "YYYY-MM", dueDate?: "YYYY-MM-DD", force?: boolean }
+ */
+async function generateAutoDebitPresentation(req, res, next, cfg) {
+  try {
+    const userId = req.user?._id || req.user?.id || null;
+    if (!userId) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "Sesión inválida: falta userId." });
+    }
+
+    const period = String(req.body?.period || "").trim();
+    if (!PERIOD_RE.test(period)) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "period inválido (YYYY-MM)." });
+    }
+
+    const dueRaw = String(req.body?.dueDate || `${period}-10`).trim();
+    const dueDate = new Date(`${dueRaw}T12:00:00`);
+    if (Number.isNaN(dueDate.getTime())) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "dueDate inválida (YYYY-MM-DD)." });
+    }
+
+    const force = req.body?.force === true || req.body?.force === "true";
+    const previous = await DebitPresentation.findOne({
+      source: cfg.source,
+      period,
+      status: { $ne: "cancelled" },
+    })
+      .select("_id fileName createdAt lineCount totalAmount")
+      .lean();
+
+    if (previous && !force) {
+      return res.status(409).json({
+        ok: false,
+        code: "PRESENTATION_EXISTS",
+        message: `Ya existe una presentación ${cfg.source} para ${period}. Usá force=true para regenerarla.`,
+        previous,
+      });
+    }
+
+    const now = new Date();
+    const candidates = await findPresentationCandidates(cfg);
+
+    const lines = [];
+    const items = [];
+    const skipped = [];
+    let total = 0;
+
+    for (const member of candidates) {
+      const state = await getClientPeriodState(member, { includeFuture: 2 });
+      const row = (state?.periods || []).find((p) => p.period === period);
+      const amount = row
+        ? Math.max(0, Number(row.charge || 0) - Number(row.paid || 0))
+        : Number(state?.meta?.quotaValueUsed || 0);
+
+      if (!(amount > 0)) {
+        skipped.push({
+          idCliente: member.idCliente,
+          memberId: member._id,
+          reason: row ? "period_already_paid" : "no_quota",
+        });
+        continue;
+      }
+
+      const built = cfg.presentationLine({
+        member,
+        amount,
+        period,
+        dueDate,
+        lineNumber: items.length + 1,
+        now,
+      });
+      if (built.skip) {
+        skipped.push({
+          idCliente: member.idCliente,
+          memberId: member._id,
+          reason: built.skip,
+        });
+        continue;
+      }
+
+      lines.push(built.line);
+      total += amount;
+      items.push({
+        idCliente: member.idCliente,
+        memberId: member._id,
+        nombre: member.nombreTitular || member.nombre || "",
+        amount,
+        quotaBase: state?.meta?.quotaBase || null,
+        lineNumber: items.length + 1,
+        accountRef: built.accountRef || null,
+      });
+    }
+
+    if (!items.length) {
+      return res.status(422).json({
+        ok: false,
+        code: "NO_GROUPS_TO_PRESENT",
+        message: `Sin grupos para presentar (${cfg.source}, ${period}).`,
+        skippedCount: skipped.length,
+        skipped,
+      });
+    }
+
+    if (cfg.presentationHeader) {
+      lines.unshift(cfg.presentationHeader({ generatedAt: now, period }));
+    }
+    if (cfg.presentationTrailer) {
+      lines.push(cfg.presentationTrailer({ count: items.length, total }));
+    }
+
+    const content = lines.join("\r\n") + (lines.length ? "\r\n" : "");
+    const contentHash = crypto
+      .createHash("sha256")
+      .update(content, "latin1")
+      .digest("hex");
+    const fileName = `${cfg.source.toUpperCase()}_${period.replace(
+      "-",
+      ""
+    )}_${toYYYYMMDD(now)}.${cfg.fileExt}`;
+
+    // Cancelar la anterior y crear la nueva juntas: si algo falla, el
+    // período no queda sin presentación vigente
+    const session = await mongoose.startSession();
+    let batch;
+    try {
+      session.startTransaction();
+
+      if (previous && force) {
+        await DebitPresentation.updateMany(
+          { source: cfg.source, period, status: { $ne: "cancelled" } },
+          { $set: { status: "cancelled" } },
+          { session }
+        );
+      }
+
+      [batch] = await DebitPresentation.create(
+        [
+          {
+            source: cfg.source,
+            period,
+            dueDate,
+            fileName,
+            content,
+            contentHash,
+            lineCount: items.length,
+            totalAmount: Math.round(total * 100) / 100,
+            items,
+            skipped,
+            createdBy: new mongoose.Types.ObjectId(String(userId)),
+          },
+        ],
+        { session }
+      );
+
+      await session.commitTransaction();
+    } catch (err) {
+      try {
+        await session.abortTransaction();
+      } catch {}
+      throw err;
+    } finally {
+      session.endSession();
+    }
+
+    return res.status(201).json({
+      ok: true,
+      data: {
+        _id: batch._id,
+        source: batch.source,
+        period: batch.period,
+        dueDate: batch.dueDate,
+        fileName: batch.fileName,
+        contentHash: batch.contentHash,
+        lineCount: batch.lineCount,
+        totalAmount: batch.totalAmount,
+        skippedCount: skipped.length,
+        skipped,
+        replaced: previous?._id || null,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/adminTransactions/presentation-naranja
+ * body: { period, dueDate?, force? } → genera el DAF (115 caracteres)
+ */
+export async function generateNaranjaPresentationFile(req, res, next) {
+  return generateAutoDebitPresentation(
+    req,
+    res,
+    next,
+    AUTO_DEBIT_SOURCES.naranja
+  );
+}
+
+/**
+ * POST /api/adminTransactions/presentation-bna
+ * body: { period, dueDate?, force? } → genera el archivo BNA (100 caracteres)
+ */
+export async function generateBancoNacionPresentationFile(req, res, next) {
+  return generateAutoDebitPresentation(req, res, next, AUTO_DEBIT_SOURCES.bna);
+}
+
+/**
+ * GET /api/adminTransactions/presentations
+ * Query: source?, period?, page?, limit?
+ * Lista lotes (sin el contenido del archivo).
+ */
+export async function listDebitPresentations(req, res, next) {
+  try {
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || 25, 100);
+    const source = String(req.query.source || "").trim();
+    const period = String(req.query.period || "").trim();
+
+    const match = {};
+    if (source) match.source = source;
+    if (period) match.period = period;
+
+    const [items, total] = await Promise.all([
+      DebitPresentation.find(match)
+        .select("-content -items")
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      DebitPresentation.countDocuments(match),
+    ]);
+
+    return res.json({ ok: true, items, total, page, pageSize: limit });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/adminTransactions/presentations/:id
+ * Detalle del lote: grupos incluidos y su resultado en la rendición.
+ */
+export async function getDebitPresentation(req, res, next) {
+  try {
+    const id = String(req.params.id || "").trim();
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const batch = await DebitPresentation.findById(id)
+      .select("-content")
+      .lean();
+    if (!batch) {
+      return res.status(404).json({ ok: false, message: "Lote no encontrado" });
+    }
+
+    const byResult = (batch.items || []).reduce((acc, it) => {
+      acc[it.result] = (acc[it.result] || 0) + 1;
+      return acc;
+    }, {});
+
+    return res.json({ ok: true, data: { ...batch, byResult } });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/adminTransactions/presentations/:id/file
+ * Descarga el archivo tal cual se generó (latin1, CRLF).
+ */
+export async function downloadDebitPresentationFile(req, res, next) {
+  try {
+    const id = String(req.params.id || "").trim();
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const batch = await DebitPresentation.findById(id)
+      .select("fileName content")
+      .lean();
+    if (!batch) {
+      return res.status(404).json({ ok: false, message: "Lote no encontrado" });
+    }
+
+    res.setHeader("Content-Type", "text/plain; charset=latin1");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${batch.fileName}"`
+    );
+    res.setHeader("Access-Control-Expose-Headers", "Content-Disposition");
+    return res.send(Buffer.from(batch.content || "", "latin1"));
+  } catch (err) {
+    next(err);
+  }
 }
@@ -0,0 +1,214 @@
+// src/controllers/admin.write-offs.controller.js
+import mongoose from "mongoose";
+
+import Cliente from "../models/client.model.js";
+import WriteOff from "../models/write-off.model.js";
+import {
+  createWriteOffRequest,
+  approveWriteOff,
+  rejectWriteOff,
+} from "../services/writeoff.service.js";
+import { isObjectId, toInt, serializePayment } from "./payments.shared.js";
+
+/**
+ * Condonaciones de deuda (write-off)
+ *
+ *  - POST /admin/write-offs               → solicitud (admin)
+ *  - GET  /admin/write-offs               → listado
+ *  - GET  /admin/write-offs/:id           → detalle
+ *  - POST /admin/write-offs/:id/approve   → aprobar (superAdmin)
+ *  - POST /admin/write-offs/:id/reject    → rechazar (superAdmin)
+ */
+
+const WRITE_OFF_STATUSES = ["pending", "approved", "rejected"];
+
+/** Errores de writeoff.service → respuesta HTTP */
+function sendServiceError(res, err) {
+  return res.status(err.status).json({
+    ok: false,
+    code: err.code,
+    message: err.message,
+    ...(err.writeOffId ? { writeOffId: err.writeOffId } : {}),
+  });
+}
+
+/* ============ POST /admin/write-offs ============ */
+/**
+ * body: {
+ *   clienteId,                                   // integrante del grupo
+ *   periods: [{ period: "YYYY-MM", amount? }],   // sin amount = saldo total
+ *   reason
+ * }
+ */
+export async function createWriteOff(req, res, next) {
+  try {
+    const myUserId = req.user?._id || req.user?.id;
+    if (!myUserId) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "Sesión inválida: falta userId." });
+    }
+
+    const { clienteId, periods, reason } = req.body || {};
+    if (!isObjectId(clienteId)) {
+      return res.status(400).json({ ok: false, message: "clienteId inválido" });
+    }
+
+    const member = await Cliente.findById(clienteId)
+      .select("_id idCliente nombre usarCuotaIdeal cuota cuotaIdeal")
+      .lean();
+    if (!member) {
+      return res
+        .status(404)
+        .json({ ok: false, message: "Cliente no encontrado" });
+    }
+
+    const writeOff = await createWriteOffRequest({
+      clienteDoc: member,
+      periods,
+      reason,
+      by: myUserId,
+    });
+
+    return res.status(201).json({ ok: true, data: writeOff });
+  } catch (err) {
+    if (err?.status && err?.code) return sendServiceError(res, err);
+    next(err);
+  }
+}
+
+/* ============ GET /admin/write-offs ============ */
+/**
+ * Query: status?, idCliente?, page?, limit?
+ */
+export async function listWriteOffs(req, res, next) {
+  try {
+    const page = Math.max(toInt(req.query.page, 1), 1);
+    const limit = Math.min(toInt(req.query.limit, 25), 100);
+
+    const match = {};
+    if (WRITE_OFF_STATUSES.includes(String(req.query.status))) {
+      match.status = String(req.query.status);
+    }
+    if (req.query.idCliente != null && req.query.idCliente !== "") {
+      match.idCliente = toInt(req.query.idCliente, -1);
+    }
+
+    const [items, total] = await Promise.all([
+      WriteOff.find(match)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WriteOff.countDocuments(match),
+    ]);
+
+    return res.json({ ok: true, items, total, page, pageSize: limit });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ============ GET /admin/write-offs/:id ============ */
+export async function getWriteOff(req, res, next) {
+  try {
+    const id = String(req.params.id || "");
+    if (!isObjectId(id)) {
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const writeOff = await WriteOff.findById(id).lean();
+    if (!writeOff) {
+      return res
+        .status(404)
+        .json({ ok: false, message: "Condonación no encontrada" });
+    }
+
+    return res.json({ ok: true, data: writeOff });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ============ POST /admin/write-offs/:id/approve ============ */
+/**
+ * body: { note? }
+ */
+export async function approveWriteOffAdmin(req, res, next) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const myUserId = req.user?._id || req.user?.id;
+    if (!myUserId) {
+      await session.abortTransaction();
+      return res
+        .status(400)
+        .json({ ok: false, message: "Sesión inválida: falta userId." });
+    }
+
+    const r = await approveWriteOff({
+      session,
+      id: req.params.id,
+      by: myUserId,
+      note: req.body?.note,
+    });
+
+    await session.commitTransaction();
+    return res.json({
+      ok: true,
+      data: {
+        writeOff: r.writeOff,
+        adjustment: serializePayment(r.adjustment),
+        ledgerEntries: r.ledgerEntries,
+      },
+    });
+  } catch (err) {
+    try {
+      await session.abortTransaction();
+    } catch {}
+
+    if (err?.status && err?.code) return sendServiceError(res, err);
+    return next(err);
+  } finally {
+    session.endSession();
+  }
+}
+
+/* ============ POST /admin/write-offs/:id/reject ============ */
+/**
+ * body: { note? }
+ */
+export async function rejectWriteOffAdmin(req, res, next) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const myUserId = req.user?._id || req.user?.id;
+    if (!myUserId) {
+      await session.abortTransaction();
+      return res
+        .status(400)
+        .json({ ok: false, message: "Sesión inválida: falta userId." });
+    }
+
+    const writeOff = await rejectWriteOff({
+      session,
+      id: req.params.id,
+      by: myUserId,
+      note: req.body?.note,
+    });
+
+    await session.commitTransaction();
+    return res.json({ ok: true, data: writeOff });
+  } catch (err) {
+    try {
+      await session.abortTransaction();
+    } catch {}
+
+    if (err?.status && err?.code) return sendServiceError(res, err);
+    return next(err);
+  } finally {
+    session.endSession();
+  }
+}
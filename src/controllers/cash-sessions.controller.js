@@ -0,0 +1,236 @@
+// src/controllers/cash-sessions.controller.js
+import mongoose from "mongoose";
+
+import CashSession from "../models/cash-session.model.js";
+import Payment from "../models/payment.model.js";
+import {
+  openCashSession,
+  getOpenCashSession,
+  computeCashSessionTotals,
+  closeCashSession,
+} from "../services/cash-session.service.js";
+
+const toInt = (v, d = 0) => {
+  const n = Number.parseInt(v, 10);
+  return Number.isFinite(n) ? n : d;
+};
+
+const parseISODate = (s, endOfDay = false) => {
+  if (!s) return null;
+  const dt = new Date(`${s}T00:00:00`);
+  if (Number.isNaN(dt.getTime())) return null;
+  if (endOfDay) dt.setHours(23, 59, 59, 999);
+  return dt;
+};
+
+/** Traduce errores con status/code del service a JSON */
+function sendServiceError(res, err) {
+  return res.status(err.status).json({
+    ok: false,
+    code: err.code,
+    message: err.message,
+    ...(err.cashSession ? { cashSession: err.cashSession } : {}),
+  });
+}
+
+function myUser(req) {
+  const id = req.user?._id || req.user?.id || null;
+  return id
+    ? {
+        _id: new mongoose.Types.ObjectId(String(id)),
+        role: req.user?.role,
+        idCobrador: req.user?.idCobrador ?? null,
+      }
+    : null;
+}
+
+/* ─────────────── Dueño de la caja (cobrador / cajero) ─────────────── */
+
+/**
+ * POST /collector/cash-sessions/open  |  POST /admin/cash-sessions/open
+ * body: { openingFloat?, notes? }
+ */
+export async function openMyCashSession(req, res, next) {
+  try {
+    const user = myUser(req);
+    if (!user) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "Sesión inválida: falta userId." });
+    }
+
+    const cs = await openCashSession({
+      user,
+      openingFloat: req.body?.openingFloat,
+      notes: req.body?.notes,
+      actorUserId: user._id,
+    });
+
+    return res.status(201).json({ ok: true, data: cs });
+  } catch (err) {
+    if (err?.status && err?.code) return sendServiceError(res, err);
+    next(err);
+  }
+}
+
+/**
+ * GET /collector/cash-sessions/current  |  GET /admin/cash-sessions/current
+ * Caja abierta del usuario con totales en vivo (o data=null).
+ */
+export async function getMyCurrentCashSession(req, res, next) {
+  try {
+    const user = myUser(req);
+    if (!user) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "Sesión inválida: falta userId." });
+    }
+
+    const cs = await getOpenCashSession(user._id);
+    if (!cs) return res.json({ ok: true, data: null });
+
+    const { paymentIds, ...totals } = await computeCashSessionTotals(cs);
+    return res.json({ ok: true, data: { ...cs, totals } });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /collector/cash-sessions/:id/close  |  POST /admin/cash-sessions/:id/close
+ * body: { declaredAmount, notes? }
+ * El dueño cierra su caja; admin/superAdmin pueden cerrar cualquiera.
+ */
+export async function closeMyCashSession(req, res, next) {
+  const user = myUser(req);
+  if (!user) {
+    return res
+      .status(400)
+      .json({ ok: false, message: "Sesión inválida: falta userId." });
+  }
+  const isAdmin = ["admin", "superAdmin"].includes(String(user.role));
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { cashSession, totals } = await closeCashSession({
+      session,
+      cashSessionId: req.params.id,
+      actorUserId: user._id,
+      declaredAmount: req.body?.declaredAmount,
+      notes: req.body?.notes,
+      assertCanClose: (cs) => {
+        if (!isAdmin && String(cs.userId) !== String(user._id)) {
+          const e = new Error("La caja no es tuya.");
+          e.status = 403;
+          e.code = "CASH_SESSION_FORBIDDEN";
+          throw e;
+        }
+      },
+    });
+
+    await session.commitTransaction();
+
+    const { paymentIds, ...rest } = totals;
+    return res.json({
+      ok: true,
+      data: {
+        ...cashSession,
+        totals: rest,
+        // Para pasar la caja a administración (crearArqueoUsuario)
+        arqueo:
+          cashSession.idCobrador != null && cashSession.role === "cobrador"
+            ? {
+                cashSessionId: cashSession._id,
+                userId: cashSession.userId,
+                idCobrador: cashSession.idCobrador,
+              }
+            : null,
+      },
+    });
+  } catch (err) {
+    try {
+      await session.abortTransaction();
+    } catch {}
+    if (err?.status && err?.code) return sendServiceError(res, err);
+    next(err);
+  } finally {
+    session.endSession();
+  }
+}
+
+/* ─────────────────────────── Admin ─────────────────────────── */
+
+/**
+ * GET /admin/cash-sessions
+ * Query: userId?, idCobrador?, status?, dateFrom?, dateTo?, page?, limit?
+ */
+export async function listCashSessions(req, res, next) {
+  try {
+    const page = Math.max(toInt(req.query.page, 1), 1);
+    const limit = Math.min(toInt(req.query.limit, 25), 100);
+
+    const match = {};
+    if (mongoose.Types.ObjectId.isValid(String(req.query.userId || ""))) {
+      match.userId = new mongoose.Types.ObjectId(String(req.query.userId));
+    }
+    if (req.query.idCobrador != null && req.query.idCobrador !== "") {
+      match.idCobrador = Number(req.query.idCobrador);
+    }
+    if (["open", "closed"].includes(String(req.query.status))) {
+      match.status = String(req.query.status);
+    }
+    const from = parseISODate(req.query.dateFrom);
+    const to = parseISODate(req.query.dateTo, true);
+    if (from || to) {
+      match.openedAt = {
+        ...(from ? { $gte: from } : {}),
+        ...(to ? { $lte: to } : {}),
+      };
+    }
+
+    const [items, total] = await Promise.all([
+      CashSession.find(match)
+        .sort({ openedAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      CashSession.countDocuments(match),
+    ]);
+
+    return res.json({ ok: true, items, total, page, pageSize: limit });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /admin/cash-sessions/:id
+ * Detalle: snapshot de cierre (o totales en vivo si está abierta) + pagos.
+ */
+export async function getCashSessionDetail(req, res, next) {
+  try {
+    const id = String(req.params.id || "");
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const cs = await CashSession.findById(id).lean();
+    if (!cs) {
+      return res.status(404).json({ ok: false, message: "Caja no encontrada" });
+    }
+
+    const { paymentIds, ...totals } = await computeCashSessionTotals(cs);
+    const payments = await Payment.find({ _id: { $in: paymentIds } })
+      .select(
+        "_id kind status amount method postedAt cliente.idCliente cliente.nombre reversalOf"
+      )
+      .sort({ postedAt: 1, _id: 1 })
+      .lean();
+
+    return res.json({ ok: true, data: { ...cs, totals, payments } });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -7,7 +7,10 @@ import Payment from "../models/payment.model.js";
 import LedgerEntry from "../models/ledger-entry.model.js";
 import User from "../models/user.model.js";
 import { yyyymmAR, comparePeriod } from "./payments.shared.js";
-import { getClientPeriodState } from "../services/debt.service.js";
+import {
+  getClientPeriodState,
+  buildClientDebtView,
+} from "../services/debt.service.js";
 
 /* ===================== Helpers de parseo ===================== */
 
@@ -464,26 +467,16 @@ export async function getClienteById(req, res, next) {
       try {
         const { from, to, includeFuture } = req.query || {};
 
-        const base = await getClientPeriodState(baseDoc, {
+        // misma vista que GET /clientes/:id/deuda y la del cobrador
+        const view = await buildClientDebtView(baseDoc, {
           from,
           to,
           includeFuture: Number(includeFuture),
         });
 
-        let periods = Array.isArray(base?.periods) ? [...base.periods] : [];
-        const nowPeriod = yyyymmAR(new Date());
-
-        // ordenamos por período
-        periods.sort((a, b) => localComparePeriod(a.period, b.period));
-
-        const totalDueUpToNow = periods
-          .filter(
-            (p) =>
-              p?.period &&
-              localComparePeriod(p.period, nowPeriod) <= 0 &&
-              Number(p.balance ?? 0) > 0
-          )
-          .reduce((acc, p) => acc + Math.max(0, Number(p.balance || 0)), 0);
+        const periods = view.periods;
+        const nowPeriod = view.summary.nowPeriod;
+        const totalDueUpToNow = view.summary.totalDueUpToNow;
 
         const monthsDue = periods.filter(
           (p) =>
@@ -509,12 +502,15 @@ export async function getClienteById(req, res, next) {
         payload.__debt = {
           periods,
           summary: {
-            ...(base?.grandTotals || {}),
+            ...view.summary,
             monthsDue,
             totalBalanceDue: totalDueUpToNow,
           },
-          from: base?.from || from || null,
-          to: base?.to || to || null,
+          surcharges: view.surcharges,
+          plan: view.plan,
+          scope: view.scope,
+          from: view.from,
+          to: view.to,
           nowPeriod,
           totalDueUpToNow,
           lastDuePeriod,
@@ -565,89 +561,14 @@ export async function getClientDebtAdmin(req, res, next) {
         .json({ ok: false, message: "Cliente no encontrado" });
     }
 
-    // ───────────────────── Params de rango ─────────────────────
     const { from, to, includeFuture } = req.query || {};
-
-    const base = await getClientPeriodState(member, {
+    const view = await buildClientDebtView(member, {
       from,
       to,
       includeFuture: Number(includeFuture),
     });
 
-    let periods = Array.isArray(base?.periods) ? [...base.periods] : [];
-    const nowPeriod = yyyymmAR(new Date());
-
-    const cuotaVigente =
-      Number(member.usarCuotaIdeal ? member.cuotaIdeal : member.cuota) || 0;
-
-    // Suma ya imputada al período actual
-    const paidNowAgg = await Payment.aggregate([
-      { $match: { "cliente.memberId": new Types.ObjectId(member._id) } },
-      { $unwind: "$allocations" },
-      { $match: { "allocations.period": nowPeriod } },
-      {
-        $group: {
-          _id: null,
-          sum: {
-            $sum: {
-              $ifNull: ["$allocations.amountApplied", "$allocations.amount"],
-            },
-          },
-        },
-      },
-    ]).allowDiskUse(true);
-
-    const alreadyAppliedNow = Number(paidNowAgg?.[0]?.sum || 0);
-
-    // Ajustar / inyectar período actual
-    const idx = periods.findIndex((p) => p?.period === nowPeriod);
-    const computedBalanceNow = Math.max(0, cuotaVigente - alreadyAppliedNow);
-
-    if (idx === -1) {
-      periods.push({
-        period: nowPeriod,
-        charge: cuotaVigente,
-        paid: alreadyAppliedNow,
-        balance: computedBalanceNow,
-        status: computedBalanceNow > 0 ? "due" : "paid",
-      });
-    } else {
-      const cur = periods[idx] || {};
-      const charge = Number(cur.charge ?? cuotaVigente);
-      const paid = Math.max(Number(cur.paid || 0), alreadyAppliedNow);
-      const balance = Math.max(0, charge - paid);
-      periods[idx] = {
-        ...cur,
-        period: nowPeriod,
-        charge,
-        paid,
-        balance,
-        status: balance > 0 ? "due" : "paid",
-      };
-    }
-
-    const totalDueUpToNow = periods
-      .filter((p) => comparePeriod(p.period, nowPeriod) <= 0)
-      .reduce((acc, p) => acc + Math.max(0, Number(p.balance || 0)), 0);
-
-    return res.json({
-      ok: true,
-      clientId: String(member._id),
-      currency: "ARS",
-      from: base?.from || from || null,
-      to: base?.to || to || null,
-      grandTotals: base?.grandTotals || null,
-      periods: periods.sort((a, b) =>
-        a.period < b.period ? -1 : a.period > b.period ? 1 : 0
-      ),
-      summary: {
-        nowPeriod,
-        cuotaVigente,
-        alreadyAppliedNow,
-        balanceNow: computedBalanceNow,
-        totalDueUpToNow,
-      },
-    });
+    return res.json({ ok: true, ...view });
   } catch (err) {
     next(err);
   }
@@ -845,6 +766,7 @@ export async function getCollectorSummaryAdmin(req, res, next) {
       {
         $match: {
           "collector.idCobrador": targetId,
+          kind: "payment", // los ajustes de crédito heredan el cobrador
           status: { $in: ["posted", "settled"] },
           $expr: {
             $and: [
@@ -1672,8 +1594,9 @@ export async function getClientesStats(req, res, next) {
     const df = parseISODate(dateFrom, defaultFrom);
     const dt = parseISODate(dateTo, now);
 
-    // Filtros comunes para pagos
+    // Filtros comunes para pagos (sólo cobros: los ajustes no son plata)
     const paymentMatch = {
+      kind: "payment",
       currency,
       status: { $in: ["posted", "settled"] },
       ...(idCobrador ? { "collector.idCobrador": Number(idCobrador) } : {}),
@@ -1769,7 +1692,12 @@ export async function getClientesStats(req, res, next) {
         },
       },
       { $unwind: "$allocations" },
-      { $match: { "allocations.period": period } },
+      {
+        $match: {
+          "allocations.period": period,
+          "allocations.concept": { $ne: "writeoff" },
+        },
+      },
       {
         $group: {
           _id: "$cliente.idCliente",
@@ -1787,6 +1715,40 @@ export async function getClientesStats(req, res, next) {
       totalPagadoPeriodo += row.pagado || 0;
     }
 
+    // ===== 2.1) CONDONADO del período (write-off aprobado, aparte de lo pagado) =====
+    // No se filtra por cobrador/método/canal: la condonación no es un cobro.
+    const condonadoPeriodo = await Payment.aggregate([
+      {
+        $match: {
+          kind: "adjustment",
+          currency,
+          status: { $in: ["posted", "settled"] },
+          "allocations.period": period,
+          "allocations.concept": "writeoff",
+        },
+      },
+      { $unwind: "$allocations" },
+      {
+        $match: {
+          "allocations.period": period,
+          "allocations.concept": "writeoff",
+        },
+      },
+      {
+        $group: {
+          _id: "$cliente.idCliente",
+          condonado: { $sum: "$allocations.amountApplied" },
+        },
+      },
+    ]);
+
+    const condonadoMap = new Map();
+    let totalCondonadoPeriodo = 0;
+    for (const row of condonadoPeriodo) {
+      condonadoMap.set(row._id, row.condonado || 0);
+      totalCondonadoPeriodo += row.condonado || 0;
+    }
+
     // ===== 3) Construimos COVERAGE por grupo + gaps (top +/-) =====
     const coverage = [];
     const positive = [];
@@ -1795,11 +1757,13 @@ export async function getClientesStats(req, res, next) {
     for (const row of debidoPorGrupo) {
       const due = row.debido || 0;
       const paid = pagoMap.get(row.idCliente) || 0;
-      const gap = Number((paid - due).toFixed(2));
+      const writtenOff = condonadoMap.get(row.idCliente) || 0;
+      const covered = paid + writtenOff;
+      const gap = Number((covered - due).toFixed(2));
       const statusAfter =
-        paid >= due
+        covered >= due
           ? "paid"
-          : paid > 0
+          : covered > 0
           ? "partial"
           : due > 0
           ? "unpaid"
@@ -1812,6 +1776,7 @@ export async function getClientesStats(req, res, next) {
         miembros: row.miembros,
         due,
         paid,
+        writtenOff,
         gap,
         status: statusAfter,
       };
@@ -2076,6 +2041,7 @@ export async function getClientesStats(req, res, next) {
           totalMiembros,
           totalDebido: Number(totalDebido.toFixed(2)),
           totalPagadoPeriodo: Number(totalPagadoPeriodo.toFixed(2)),
+          totalCondonadoPeriodo: Number(totalCondonadoPeriodo.toFixed(2)),
           coverageRate: coverageRateGlobal,
           grupos: { paid: fullyPaid, partial: partially, unpaid },
           ticketsGlobal,
@@ -2098,6 +2064,7 @@ export async function getClientesStats(req, res, next) {
           "El debido del período por grupo usa solo integrantes activos (activo=true y baja!=true).",
           "Si todos los integrantes de un grupo están dados de baja, el grupo no aparece en coverage.",
           "La cobertura del período usa Payment.allocations filtradas por allocations.period === period.",
+          "Lo condonado (write-off) se informa aparte (writtenOff / totalCondonadoPeriodo) y no cuenta como pagado ni en tickets/mix.",
           "El aging que ves es del período actual (0-30). Para aging multi-mes armamos V2 con saldos acumulados.",
         ],
       },
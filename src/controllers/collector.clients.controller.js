@@ -4,7 +4,7 @@ import Cliente from "../models/client.model.js";
 import Payment from "../models/payment.model.js";
 import LedgerEntry from "../models/ledger-entry.model.js"; // ⬅️ ajusta el path si es distinto
 import User from "../models/user.model.js";
-import { getClientPeriodState } from "../services/debt.service.js";
+import { buildClientDebtView } from "../services/debt.service.js";
 import {
   isObjectId,
   toInt,
@@ -12,7 +12,6 @@ import {
   onlyDigits,
   projectCollector,
   yyyymmAR,
-  comparePeriod,
 } from "./payments.shared.js";
 
 const { Types } = mongoose;
@@ -446,94 +445,13 @@ export async function getCollectorClientDebt(req, res, next) {
     }
 
     const { from, to, includeFuture } = req.query || {};
-    const base = await getClientPeriodState(member, {
+    const view = await buildClientDebtView(member, {
       from,
       to,
       includeFuture: Number(includeFuture),
     });
 
-    let periods = Array.isArray(base?.periods) ? [...base.periods] : [];
-    const nowPeriod = yyyymmAR(new Date());
-
-    const cuotaVigente =
-      Number(member.usarCuotaIdeal ? member.cuotaIdeal : member.cuota) || 0;
-
-    // ✅ Suma ya imputada al período actual (solo pagos válidos)
-    const paidNowAgg = await Payment.aggregate([
-      {
-        $match: {
-          status: { $in: ["posted", "settled"] },
-          // memberId robusto (ObjectId/string)
-          $expr: {
-            $eq: [{ $toString: "$cliente.memberId" }, String(member._id)],
-          },
-        },
-      },
-      { $unwind: "$allocations" },
-      { $match: { "allocations.period": nowPeriod } },
-      {
-        $group: {
-          _id: null,
-          sum: {
-            $sum: {
-              $ifNull: ["$allocations.amountApplied", "$allocations.amount"],
-            },
-          },
-        },
-      },
-    ]).allowDiskUse(true);
-
-    const alreadyAppliedNow = Number(paidNowAgg?.[0]?.sum || 0);
-
-    // Ajustar/inyectar período actual
-    const idx = periods.findIndex((p) => p?.period === nowPeriod);
-    const computedBalanceNow = Math.max(0, cuotaVigente - alreadyAppliedNow);
-
-    if (idx === -1) {
-      periods.push({
-        period: nowPeriod,
-        charge: cuotaVigente,
-        paid: alreadyAppliedNow,
-        balance: computedBalanceNow,
-        status: computedBalanceNow > 0 ? "due" : "paid",
-      });
-    } else {
-      const cur = periods[idx] || {};
-      const charge = Number(cur.charge ?? cuotaVigente);
-      const paid = Math.max(Number(cur.paid || 0), alreadyAppliedNow);
-      const balance = Math.max(0, charge - paid);
-      periods[idx] = {
-        ...cur,
-        period: nowPeriod,
-        charge,
-        paid,
-        balance,
-        status: balance > 0 ? "due" : "paid",
-      };
-    }
-
-    const totalDueUpToNow = periods
-      .filter((p) => comparePeriod(p.period, nowPeriod) <= 0)
-      .reduce((acc, p) => acc + Math.max(0, Number(p.balance || 0)), 0);
-
-    return res.json({
-      ok: true,
-      clientId: String(member._id),
-      currency: "ARS",
-      from: base?.from || from || null,
-      to: base?.to || to || null,
-      grandTotals: base?.grandTotals || null,
-      periods: periods.sort((a, b) =>
-        a.period < b.period ? -1 : a.period > b.period ? 1 : 0
-      ),
-      summary: {
-        nowPeriod,
-        cuotaVigente,
-        alreadyAppliedNow,
-        balanceNow: computedBalanceNow,
-        totalDueUpToNow,
-      },
-    });
+    return res.json({ ok: true, ...view });
   } catch (err) {
     next(err);
   }
@@ -1,30 +1,42 @@
 // src/controllers/collector.payments.controller.js
 import mongoose from "mongoose";
-import crypto from "crypto";
 
-import Cliente from "../models/client.model.js";
 import Payment from "../models/payment.model.js";
-import LedgerEntry from "../models/ledger-entry.model.js";
 import Receipt from "../models/receipt.model.js";
-import User from "../models/user.model.js";
 
-import { generateReceipt } from "../services/receipt.service.js";
-import { enqueue } from "../services/outbox.service.js";
-import { getClientPeriodState } from "../services/debt.service.js";
+import { reversePayment } from "../services/reversal.service.js";
+import {
+  postCollectorPayment,
+  findPaymentByIdempotencyKey,
+} from "../services/collector-payment.service.js";
 
 import {
-  ACCOUNTS,
   isObjectId,
   toInt,
   toDir,
-  yyyymmAR,
-  comparePeriod,
-  fifoAllocateUntilNow,
   serializePayment,
-  // 🆕 nuevas utils de períodos / atrasos
-  countArrearsMonths,
 } from "./payments.shared.js";
 
+/** Rechazo de postCollectorPayment (status + code + datos del corte) */
+function sendServiceError(res, err) {
+  return res.status(err.status).json({
+    ok: false,
+    code: err.code,
+    message: err.message,
+    ...(err.nowPeriod ? { nowPeriod: err.nowPeriod } : {}),
+    ...(err.arrearsMonths != null
+      ? { arrearsMonths: err.arrearsMonths }
+      : {}),
+    ...(err.paymentPlan !== undefined
+      ? { paymentPlan: err.paymentPlan }
+      : {}),
+    ...(err.expectedAmount != null
+      ? { expectedAmount: err.expectedAmount }
+      : {}),
+  });
+}
+
+/* ============ POST /collector/pagos ============ */
 export async function createCollectorPayment(req, res, next) {
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -46,498 +58,129 @@ export async function createCollectorPayment(req, res, next) {
       });
     }
 
-    const {
-      clienteId,
-      idCliente: legacyIdCliente,
-      amount,
-      method,
-      notes,
-      idempotencyKey,
-      channel = "field",
-      intendedPeriod,
-      externalRef,
-      geo,
-      device,
-      ip,
-      cashSessionId,
-      strategy = "auto", // "auto" | "manual"
-      breakdown = [], // [{ period, amount }]
-      collectedAt,
-    } = req.body || {};
-
-    if (!isObjectId(clienteId)) {
-      await session.abortTransaction();
-      return res.status(400).json({ ok: false, message: "clienteId inválido" });
-    }
-
-    // 1) Validar cliente y scope
-    const member = await Cliente.findById(clienteId)
-      .select(
-        "_id idCliente nombre nombreTitular idCobrador usarCuotaIdeal cuota cuotaIdeal"
-      )
-      .session(session)
-      .lean();
+    const { payment, receipt, reused } = await postCollectorPayment({
+      session,
+      collector: { idCobrador: myCollectorId, userId: myUserOid },
+      input: req.body || {},
+    });
 
-    if (!member) {
+    if (reused) {
       await session.abortTransaction();
       return res
-        .status(404)
-        .json({ ok: false, message: "Cliente no encontrado" });
+        .status(200)
+        .json({ ok: true, data: serializePayment(payment, receipt) });
     }
 
-    if (Number(member.idCobrador) !== myCollectorId) {
+    await session.commitTransaction();
+    return res
+      .status(201)
+      .json({ ok: true, data: serializePayment(payment, receipt) });
+  } catch (err) {
+    try {
       await session.abortTransaction();
-      return res
-        .status(403)
-        .json({ ok: false, message: "El cliente no pertenece a tu cartera." });
-    }
+    } catch {}
 
-    if (
-      legacyIdCliente != null &&
-      Number(legacyIdCliente) !== Number(member.idCliente)
-    ) {
-      await session.abortTransaction();
-      return res.status(400).json({
-        ok: false,
-        message: "idCliente no coincide con el del cliente",
-      });
-    }
+    if (err?.status && err?.code) return sendServiceError(res, err);
 
-    // 2) Estado de deuda hasta periodo actual
-    const nowPeriod = yyyymmAR(new Date());
-    let debtState = await getClientPeriodState(member, {
-      to: nowPeriod,
-      includeFuture: 0,
-    });
+    if (err?.code === 11000 && err?.keyPattern?.idempotencyKey) {
+      try {
+        const dup = await findPaymentByIdempotencyKey(
+          req.body?.idempotencyKey
+        );
+        if (dup) {
+          return res.status(200).json({
+            ok: true,
+            data: serializePayment(dup.payment, dup.receipt),
+          });
+        }
+      } catch {}
+    }
 
-    const totalDueUpToNow = (debtState?.periods || [])
-      .filter((p) => comparePeriod(p.period, nowPeriod) <= 0)
-      .reduce((acc, p) => acc + Math.max(0, Number(p.balance || 0)), 0);
+    return next(err);
+  } finally {
+    session.endSession();
+  }
+}
 
-    if (totalDueUpToNow <= 0) {
-      await session.abortTransaction();
-      return res.status(409).json({
-        ok: false,
-        code: "CLIENT_UP_TO_DATE",
-        message: "El cliente está al día hasta el período actual.",
-        nowPeriod,
-      });
-    }
+/* ============ POST /collector/pagos/:id/reverse ============ */
+/**
+ * Reversa de un cobro de campo hecho por el propio cobrador.
+ * Reglas:
+ *  - Sólo pagos de su cartera (collector.idCobrador === el suyo).
+ *  - Sólo "posted" (un pago ya conciliado/settled lo revierte oficina).
+ *  - Dentro de COLLECTOR_REVERSE_WINDOW_HOURS desde postedAt (default 24h).
+ * body: { reason }
+ */
+const COLLECTOR_REVERSE_WINDOW_HOURS = Number(
+  process.env.COLLECTOR_REVERSE_WINDOW_HOURS || 24
+);
+
+export async function reverseCollectorPayment(req, res, next) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
 
-    // 🆕 2.1) Meses de atraso (solo lectura para reglas de negocio)
-    const arrearsMonths = countArrearsMonths(debtState, nowPeriod);
+  try {
+    const myCollectorId = Number(req.user?.idCobrador);
+    const myUserIdRaw = req.user?._id || req.user?.id;
 
-    // 🆕 Regla de corte: 4+ meses de atraso → no se permite cobrar por cobrador
-    if (arrearsMonths >= 4) {
+    if (!Number.isFinite(myCollectorId) || !myUserIdRaw) {
       await session.abortTransaction();
-      return res.status(409).json({
+      return res.status(400).json({
         ok: false,
-        code: "ARREARS_CUTOFF_4M",
-        message:
-          "El grupo familiar supera el límite de 4 meses de atraso. Contactar administración.",
-        nowPeriod,
-        arrearsMonths,
+        message: "Sesión inválida: falta idCobrador o userId.",
       });
     }
 
-    // 3) Monto final
-    const cuotaVigente =
-      Number(member.usarCuotaIdeal ? member.cuotaIdeal : member.cuota) || 0;
-
-    const hasExplicitAmount = Number(amount) > 0;
-    const isAuto = String(strategy).toLowerCase() === "auto";
-
-    let finalAmount;
-    if (hasExplicitAmount) {
-      finalAmount = Number(amount);
-    } else if (isAuto) {
-      finalAmount = totalDueUpToNow;
-    } else {
-      finalAmount = cuotaVigente;
-    }
-
-    if (!(finalAmount > 0)) {
+    const id = String(req.params.id || "").trim();
+    if (!isObjectId(id)) {
       await session.abortTransaction();
-      return res
-        .status(400)
-        .json({ ok: false, message: "No hay monto válido para cobrar (> 0)." });
-    }
-
-    // 4) Método + idempotencia
-    const finalMethod = (method || "efectivo").toString().trim().toLowerCase();
-    const finalIdem =
-      (idempotencyKey && String(idempotencyKey).trim()) ||
-      `pay_${member._id}_${Date.now()}_${crypto
-        .randomBytes(4)
-        .toString("hex")}`;
-
-    const existing = await Payment.findOne({ idempotencyKey: finalIdem })
-      .session(session)
-      .lean();
-
-    if (existing) {
-      const rx = await Receipt.findOne({ paymentId: existing._id })
-        .session(session)
-        .lean();
-
-      // ✅ OJO: acá NO abortamos TX porque no hicimos writes todavía,
-      // pero igual devolvemos respuesta directa.
-      await session.abortTransaction();
-      return res
-        .status(200)
-        .json({ ok: true, data: serializePayment(existing, rx) });
+      return res.status(400).json({ ok: false, message: "ID inválido" });
     }
 
-    // 5) Construcción de imputaciones
-    let allocations = [];
-    let periodsApplied = [];
-
-    const balMap = new Map(
-      (debtState?.periods || []).map((p) => [
-        p.period,
-        Math.max(0, Number(p.balance || 0)),
-      ])
-    );
-
-    if (String(strategy).toLowerCase() === "manual") {
-      let sum = 0;
-
-      for (const row of breakdown) {
-        const period = String(row?.period || "");
-        const amt = Number(row?.amount || 0);
-
-        if (!period || !(amt > 0)) {
-          await session.abortTransaction();
-          return res
-            .status(400)
-            .json({ ok: false, message: "breakdown inválido" });
-        }
-
-        if (comparePeriod(period, nowPeriod) > 0) {
-          await session.abortTransaction();
-          return res.status(409).json({
-            ok: false,
-            code: "PERIOD_IN_FUTURE",
-            message: `No se puede imputar a un período futuro (${period}).`,
-          });
-        }
-
-        const bal = balMap.get(period) || 0;
-        if (amt > bal) {
-          await session.abortTransaction();
-          return res.status(409).json({
-            ok: false,
-            code: "OVERPAY_PERIOD",
-            message: `El período ${period} no admite más cobros (saldo: ${bal}).`,
-          });
+    const { reversal, original, receipt, reused } = await reversePayment({
+      session,
+      paymentId: id,
+      actorUserId: myUserIdRaw,
+      reason: req.body?.reason,
+      allowStatuses: ["posted"],
+      assertCanReverse: (pay) => {
+        if (Number(pay?.collector?.idCobrador) !== myCollectorId) {
+          const e = new Error("El pago no pertenece a tu cartera.");
+          e.status = 403;
+          e.code = "NOT_YOUR_PAYMENT";
+          throw e;
         }
-
-        sum += amt;
-        allocations.push({
-          period,
-          amountApplied: amt,
-          statusAfter: amt === bal ? "paid" : "partial",
-          memberId: member._id,
-        });
-      }
-
-      if (!hasExplicitAmount && sum > 0) {
-        finalAmount = sum;
-      }
-
-      if (sum > finalAmount) {
-        await session.abortTransaction();
-        return res.status(409).json({
-          ok: false,
-          code: "BREAKDOWN_EXCEEDS_AMOUNT",
-          message: "La suma del breakdown excede el monto del pago.",
-        });
-      }
-
-      const remaining = finalAmount - sum;
-
-      if (remaining > 0) {
-        const { allocations: auto } = fifoAllocateUntilNow(
-          debtState,
-          nowPeriod,
-          remaining
-        );
-
-        for (const a of auto) {
-          const bal = balMap.get(a.period) || 0;
-          allocations.push({
-            period: a.period,
-            amountApplied: a.amount,
-            statusAfter: a.amount >= bal ? "paid" : "partial",
-            memberId: member._id,
-          });
+        const postedAt = new Date(pay.postedAt || pay.createdAt);
+        const ageHours = (Date.now() - postedAt.getTime()) / 36e5;
+        if (ageHours > COLLECTOR_REVERSE_WINDOW_HOURS) {
+          const e = new Error(
+            `Sólo podés revertir cobros de las últimas ${COLLECTOR_REVERSE_WINDOW_HOURS} horas. Contactar administración.`
+          );
+          e.status = 409;
+          e.code = "REVERSE_WINDOW_EXPIRED";
+          throw e;
         }
-      }
-
-      periodsApplied = Array.from(new Set(allocations.map((a) => a.period)));
-    } else {
-      const { allocations: fifo } = fifoAllocateUntilNow(
-        debtState,
-        nowPeriod,
-        finalAmount
-      );
-
-      const totalAllocated = fifo.reduce((acc, a) => acc + a.amount, 0);
-      if (totalAllocated <= 0) {
-        await session.abortTransaction();
-        return res.status(409).json({
-          ok: false,
-          code: "NOTHING_TO_ALLOCATE",
-          message:
-            "No hay períodos con saldo para imputar hasta el período actual.",
-        });
-      }
-
-      allocations = fifo.map((a) => {
-        const bal = balMap.get(a.period) || 0;
-        return {
-          period: a.period,
-          amountApplied: a.amount,
-          statusAfter: a.amount >= bal ? "paid" : "partial",
-          memberId: member._id,
-        };
-      });
-
-      periodsApplied = allocations.map((a) => a.period);
-    }
-
-    // 6) Re-chequeo anti-carrera con estado fresco dentro de la misma TX
-    debtState = await getClientPeriodState(member, {
-      to: nowPeriod,
-      includeFuture: 0,
-    });
-
-    const freshBal = new Map(
-      (debtState?.periods || []).map((p) => [
-        p.period,
-        Math.max(0, Number(p.balance || 0)),
-      ])
-    );
-
-    for (const a of allocations) {
-      const bal = freshBal.get(a.period) ?? 0;
-
-      if (a.amountApplied > bal + 0.0001) {
-        await session.abortTransaction();
-        return res.status(409).json({
-          ok: false,
-          code: "RACE_CONDITION_OVERPAY",
-          message: `El período ${a.period} cambió y ya no admite ${a.amountApplied} (saldo: ${bal}). Refrescá y reintentá.`,
-        });
-      }
-
-      freshBal.set(a.period, Math.max(0, bal - a.amountApplied));
-    }
-
-    // 7) Crear Payment (draft → posted)
-    const payDocs = await Payment.create(
-      [
-        {
-          kind: "payment",
-          cliente: {
-            memberId: member._id,
-            idCliente: member.idCliente,
-            nombre: member.nombre,
-            nombreTitular: member.nombreTitular || null,
-          },
-          collector: { idCobrador: myCollectorId, userId: myUserOid },
-          currency: "ARS",
-          amount: finalAmount,
-          method: finalMethod,
-          channel,
-          intendedPeriod: intendedPeriod || null,
-          notes: notes || "",
-          idempotencyKey: finalIdem,
-          externalRef: externalRef || null,
-          cashSessionId: cashSessionId || null,
-          geo: geo || undefined,
-          device: device || undefined,
-          ip: ip || undefined,
-          createdBy: myUserOid,
-          allocations,
-          meta: {
-            periodsApplied,
-            arrearsMonthsAtPayment: arrearsMonths,
-          },
-        },
-      ],
-      { session }
-    );
-
-    const p = payDocs[0];
-    p.markPosted();
-    if (collectedAt) p.postedAt = new Date(collectedAt);
-    await p.save({ session });
-
-    // 8) Ledger (doble partida por total) — ✅ SCHEMA NUEVO (sin performedBy/cobradorId)
-    const postedAt = p.postedAt || new Date();
-
-    // ✅ Nombre del cliente (string)
-    const clientName =
-      String(member?.nombreTitular || member?.nombre || "").trim() ||
-      `Cliente #${member.idCliente}`;
-
-    // ✅ Buscar al cobrador en DB por userId y resolver nombre real
-    const collectorUser = await User.findById(myUserOid)
-      .select("_id name email")
-      .session(session)
-      .lean();
-
-    const collectorName =
-      String(collectorUser?.name || collectorUser?.email || "").trim() ||
-      `Cobrador #${myCollectorId}`;
-
-    // ✅ dimensions (solo lo que conservás en schema)
-    const ledgerDims = {
-      idCobrador: myCollectorId,
-      idCliente: Number(member.idCliente),
-      canal: String(p.channel || "").trim() || null,
-      plan: null,
-      note: String(p.notes || "").trim(),
-    };
-
-    const amtAbs = Math.abs(Number(p.amount) || 0);
-
-    const baseCommon = {
-      paymentId: p._id,
-      userId: myUserOid, // actor/dueño del asiento
-      kind: "payment_collector",
-      currency: p.currency,
-      postedAt,
-      dimensions: ledgerDims,
-    };
-
-    await LedgerEntry.insertMany(
-      [
-        // ✅ DÉBITO: del CLIENTE → al COBRADOR (entra a CAJA_COBRADOR)
-        {
-          ...baseCommon,
-          side: "debit",
-          accountCode: ACCOUNTS.CAJA_COBRADOR,
-          amount: amtAbs,
-
-          fromUser: clientName,
-          toUser: collectorName,
-          fromAccountCode: "CLIENTE",
-          toAccountCode: ACCOUNTS.CAJA_COBRADOR,
-        },
-
-        // ✅ CRÉDITO: del COBRADOR → al CLIENTE (como querés que se vea en UI)
-        // (y contablemente: de CAJA_COBRADOR → a INGRESOS_CUOTAS)
-        {
-          ...baseCommon,
-          side: "credit",
-          accountCode: ACCOUNTS.INGRESOS_CUOTAS,
-          amount: amtAbs,
-
-          fromUser: collectorName,
-          toUser: clientName,
-          fromAccountCode: ACCOUNTS.CAJA_COBRADOR,
-          toAccountCode: ACCOUNTS.INGRESOS_CUOTAS,
-        },
-      ],
-      { session, ordered: true }
-    );
-
-    // 9) Recibo
-    let receipt;
-    try {
-      const { pdfPath, pdfUrl, receiptNumber, qrData, signature } =
-        await generateReceipt(
-          p.toObject(),
-          {
-            _id: member._id,
-            idCliente: member.idCliente,
-            nombre: member.nombre,
-            nombreTitular: member.nombreTitular || null,
-          },
-          { at: postedAt }
-        );
-
-      const rxDocs = await Receipt.create(
-        [
-          {
-            paymentId: p._id,
-            number: receiptNumber,
-            qrData,
-            pdfPath,
-            pdfUrl,
-            signature,
-            voided: false,
-          },
-        ],
-        { session }
-      );
-      receipt = rxDocs[0];
-    } catch {
-      const rxDocs = await Receipt.create(
-        [
-          {
-            paymentId: p._id,
-            number: null,
-            qrData: { error: "pdf_generation_failed" },
-            pdfPath: null,
-            pdfUrl: null,
-            voided: false,
-          },
-        ],
-        { session }
-      );
-      receipt = rxDocs[0];
-    }
-
-    // 10) Outbox (igual)
-    await enqueue(
-      "payment.posted",
-      {
-        paymentId: p._id.toString(),
-        idCliente: p.cliente.idCliente,
-        memberId: p.cliente.memberId.toString(),
-        amount: p.amount,
-        currency: p.currency,
-        method: p.method,
-        channel: p.channel,
-        postedAt: (p.postedAt || new Date()).toISOString(),
-        idCobrador: p.collector.idCobrador,
-        userId: String(p.collector.userId),
-        externalRef: p.externalRef || null,
-        periodsApplied: p.meta?.periodsApplied || [],
-        arrearsMonthsAtPayment: p.meta?.arrearsMonthsAtPayment ?? null,
       },
-      { session }
-    );
+    });
 
     await session.commitTransaction();
-    return res.status(201).json({
+    return res.status(reused ? 200 : 201).json({
       ok: true,
-      data: serializePayment(p.toObject(), receipt.toObject()),
+      data: {
+        reversal: serializePayment(reversal),
+        original: serializePayment(original, receipt || null),
+      },
     });
   } catch (err) {
     try {
       await session.abortTransaction();
     } catch {}
 
-    if (err?.code === 11000 && err?.keyPattern?.idempotencyKey) {
-      try {
-        const dup = await Payment.findOne({
-          idempotencyKey: req.body?.idempotencyKey,
-        }).lean();
-        const rx = dup
-          ? await Receipt.findOne({ paymentId: dup._id }).lean()
-          : null;
-        if (dup) {
-          return res
-            .status(200)
-            .json({ ok: true, data: serializePayment(dup, rx) });
-        }
-      } catch {}
+    if (err?.status && err?.code) {
+      return res
+        .status(err.status)
+        .json({ ok: false, code: err.code, message: err.message });
     }
-
     return next(err);
   } finally {
     session.endSession();
@@ -677,8 +320,10 @@ export async function listCollectorPayments(req, res, next) {
     ]);
 
     const ids = items.map((p) => p._id);
+    // ascendente: si un pago tiene recibos reemitidos, gana el último
     const receipts = await Receipt.find({ paymentId: { $in: ids } })
       .select("paymentId number pdfUrl voided")
+      .sort({ createdAt: 1 })
       .lean();
     const rxByPay = new Map(receipts.map((r) => [String(r.paymentId), r]));
 
@@ -2,6 +2,13 @@
 import mongoose from "mongoose";
 import Receipt from "../models/receipt.model.js";
 import Payment from "../models/payment.model.js";
+import Cliente from "../models/client.model.js";
+import { loadReceiptRenderData } from "../services/receipt.service.js";
+import {
+  buildThermalReceiptPdf,
+  buildEscPosReceipt,
+  THERMAL_PAPERS,
+} from "../utils/receiptThermal.util.js";
 
 const { Types } = mongoose;
 
@@ -118,6 +125,9 @@ function buildPipeline({
         createdAt: 1,
         pdfUrl: 1,
         voided: 1,
+        voidedAt: 1,
+        voidReason: 1,
+        reissueOf: 1,
 
         amount: { $ifNull: ["$pay.amount", 0] },
         method: "$pay.method",
@@ -137,12 +147,24 @@ function buildPipeline({
       $facet: {
         items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
         totalRows: [{ $count: "count" }],
+        // los anulados se listan (includeVoided=1) pero no suman
+        totals: [
+          { $match: { voided: { $ne: true } } },
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              amount: { $sum: "$amount" },
+            },
+          },
+        ],
       },
     },
     {
       $project: {
         items: 1,
         total: { $ifNull: [{ $arrayElemAt: ["$totalRows.count", 0] }, 0] },
+        totals: { $arrayElemAt: ["$totals", 0] },
       },
     }
   );
@@ -189,7 +211,7 @@ export async function listCollectorReceipts(req, res) {
     });
 
     let agg = await Receipt.aggregate(pipeline);
-    let { items = [], total = 0 } = agg?.[0] || {};
+    let { items = [], total = 0, totals = null } = agg?.[0] || {};
 
     // (2) fallback: solo client (relajamos collector) si vino clientId
     if ((!items || items.length === 0) && clientMemberId) {
@@ -211,6 +233,7 @@ export async function listCollectorReceipts(req, res) {
       agg = await Receipt.aggregate(pipeline);
       items = agg?.[0]?.items || [];
       total = agg?.[0]?.total || 0;
+      totals = agg?.[0]?.totals || null;
       if (items.length > 0) {
         console.log("[Receipts] fallback sin collectorId →", items.length);
       }
@@ -259,6 +282,9 @@ export async function listCollectorReceipts(req, res) {
         idCliente: r.idCliente ?? null, // número de grupo
         collectorId: r.collectorId ?? null, // idCobrador (Number)
         voided: !!r.voided,
+        voidedAt: r.voidedAt || null,
+        voidReason: r.voidReason || null,
+        reissueOf: r.reissueOf || null,
         pdfUrl: pdf,
       };
     });
@@ -266,6 +292,10 @@ export async function listCollectorReceipts(req, res) {
     return res.json({
       items: norm,
       total,
+      totals: {
+        count: totals?.count || 0,
+        amount: Number(totals?.amount || 0),
+      },
       page,
       limit,
       sortBy,
@@ -299,3 +329,109 @@ export async function streamCollectorReceiptPdf(req, res) {
     return res.status(500).json({ message: "No se pudo abrir el PDF" });
   }
 }
+
+/**
+ * El cobrador ve recibos de sus propios cobros o de clientes de su cartera.
+ */
+async function canSeeReceipt(user, payment) {
+  const mine = Number(user?.idCobrador);
+  if (!Number.isFinite(mine) || !payment) return false;
+  if (Number(payment.collector?.idCobrador) === mine) return true;
+
+  const idCliente = Number(payment.cliente?.idCliente);
+  if (!Number.isFinite(idCliente)) return false;
+  return Boolean(await Cliente.exists({ idCliente, idCobrador: mine }));
+}
+
+const RECEIPT_FORMATS = ["json", "pdf", "thermal", "escpos"];
+
+/**
+ * GET /collector/receipts/:id?format=json|pdf|thermal|escpos&paper=58|80
+ *  - json     → datos del recibo (default)
+ *  - pdf      → PDF A4 (igual que /:id/pdf)
+ *  - thermal  → PDF angosto para impresora térmica
+ *  - escpos   → bytes ESC/POS (con QR) para mandar directo a la impresora
+ */
+export async function getCollectorReceipt(req, res) {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "ID inválido" });
+    }
+
+    const format = String(req.query.format || "json").toLowerCase();
+    if (!RECEIPT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        message: `format inválido (${RECEIPT_FORMATS.join(" | ")})`,
+      });
+    }
+    const paper = toInt(req.query.paper, 58);
+    if (!THERMAL_PAPERS.includes(paper)) {
+      return res
+        .status(400)
+        .json({ message: `paper inválido (${THERMAL_PAPERS.join(" | ")})` });
+    }
+
+    const rx = await Receipt.findById(id).lean();
+    const payment = rx
+      ? await Payment.findById(rx.paymentId)
+          .select("collector.idCobrador cliente.idCliente")
+          .lean()
+      : null;
+    if (!rx || !(await canSeeReceipt(req.user, payment))) {
+      return res.status(404).json({ message: "Recibo no encontrado" });
+    }
+
+    if (format === "pdf") return streamCollectorReceiptPdf(req, res);
+
+    const data = await loadReceiptRenderData(rx);
+    const safeName = (rx.number || id).toString().replace(/[^\w.-]+/g, "_");
+
+    if (format === "thermal") {
+      const pdf = await buildThermalReceiptPdf(data, { paper });
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `inline; filename="Recibo_${safeName}_${paper}mm.pdf"`
+      );
+      return res.send(pdf);
+    }
+
+    if (format === "escpos") {
+      const bytes = buildEscPosReceipt(data, { paper });
+      res.setHeader("Content-Type", "application/octet-stream");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="Recibo_${safeName}_${paper}mm.bin"`
+      );
+      return res.send(bytes);
+    }
+
+    return res.json({
+      _id: rx._id,
+      number: data.receiptNumber,
+      createdAt: data.issuedAt,
+      voided: !!rx.voided,
+      voidedAt: rx.voidedAt || null,
+      voidReason: rx.voidReason || null,
+      amount: Number(data.payment.amount || 0),
+      method: data.payment.method || null,
+      postedAt: data.payment.postedAt || null,
+      cliente: data.client,
+      collectorName: data.collectorName,
+      allocations: data.allocations.map((a) => ({
+        period: a.period,
+        concept: a.concept || "charge",
+        amountApplied: a.amountApplied,
+        statusAfter: a.statusAfter || null,
+      })),
+      remainingBalance: data.remainingBalance,
+      pdfUrl: rx.pdfUrl || null,
+      formats: RECEIPT_FORMATS,
+      papers: THERMAL_PAPERS,
+    });
+  } catch (err) {
+    console.error("getCollectorReceipt error:", err);
+    return res.status(500).json({ message: "No se pudo obtener el recibo" });
+  }
+}
@@ -0,0 +1,360 @@
+// src/controllers/collector.sync.controller.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+import Cliente from "../models/client.model.js";
+import Payment from "../models/payment.model.js";
+
+import { getClientPeriodState } from "../services/debt.service.js";
+import {
+  postCollectorPayment,
+  findPaymentByIdempotencyKey,
+} from "../services/collector-payment.service.js";
+import {
+  yyyymmAR,
+  getDuePeriodsUntilNow,
+  sumSurchargeBalance,
+  serializePayment,
+} from "./payments.shared.js";
+
+/**
+ * Sincronización del PWA del cobrador (modo offline).
+ *
+ *  - POST /collector/pagos/batch  → cola de pagos capturados sin señal
+ *  - GET  /collector/sync/delta   → clientes y deuda cambiados desde un cursor
+ *
+ * Cada pago de la cola se procesa con el MISMO flujo que POST /collector/pagos
+ * (postCollectorPayment: cartera, corte 4M, imputación, ledger, recibo,
+ * outbox), en su propia transacción: un ítem rechazado no frena al resto.
+ *
+ * El monto es obligatorio: es lo que el cobrador recibió en mano, no la
+ * deuda que el servidor calcule al sincronizar (que pudo cambiar).
+ */
+
+const SYNC_BATCH_MAX = Number(process.env.COLLECTOR_SYNC_BATCH_MAX || 100);
+const CLIENT_GENERATED_ID_RE = /^[A-Za-z0-9_-]{6,64}$/;
+
+/** Clave de idempotencia estable por cobrador + id generado en el dispositivo */
+const offlineIdemKey = (userId, clientGeneratedId) =>
+  `offline_${userId}_${clientGeneratedId}`;
+
+/**
+ * Registra un pago de la cola en su propia transacción.
+ * return: { payment, receipt, reused }  (rechazos: error con status + code)
+ */
+async function postQueuedPayment({ collector, input }) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const out = await postCollectorPayment({ session, collector, input });
+    if (out.reused) await session.abortTransaction();
+    else await session.commitTransaction();
+    return out;
+  } catch (err) {
+    try {
+      await session.abortTransaction();
+    } catch {}
+
+    // Carrera con otro envío del mismo ítem: gana el que ya quedó grabado
+    if (err?.code === 11000 && err?.keyPattern?.idempotencyKey) {
+      const dup = await findPaymentByIdempotencyKey(input.idempotencyKey);
+      if (dup) return { ...dup, reused: true };
+    }
+    throw err;
+  } finally {
+    session.endSession();
+  }
+}
+
+/* ============ POST /collector/pagos/batch ============ */
+/**
+ * body: {
+ *   batchId?: string,                  // id de la corrida (log del PWA)
+ *   items: [{
+ *     clientGeneratedId, collectedAt,  // obligatorios
+ *     clienteId, amount,               // obligatorios
+ *     method?, strategy?, breakdown?,
+ *     notes?, geo?: { lat, lng }, device?
+ *   }]
+ * }
+ *
+ * Respuesta: { ok, batchId, summary, results: [{ index, clientGeneratedId,
+ *   status: created|duplicate|rejected|error, httpStatus, code?, message?,
+ *   payment? }] }
+ */
+export async function syncCollectorPaymentsBatch(req, res, next) {
+  try {
+    const myUserId = req.user?._id || req.user?.id;
+    const myCollectorId = Number(req.user?.idCobrador);
+    if (!myUserId || !Number.isFinite(myCollectorId)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Sesión inválida: falta idCobrador o userId.",
+      });
+    }
+
+    const items = Array.isArray(req.body?.items) ? req.body.items : null;
+    if (!items || items.length === 0) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "items requerido (array no vacío)." });
+    }
+    if (items.length > SYNC_BATCH_MAX) {
+      return res.status(413).json({
+        ok: false,
+        code: "BATCH_TOO_LARGE",
+        message: `Máximo ${SYNC_BATCH_MAX} pagos por lote.`,
+      });
+    }
+
+    const batchId =
+      String(req.body?.batchId || "").trim() ||
+      `sync_${Date.now()}_${crypto.randomBytes(3).toString("hex")}`;
+
+    const summary = {
+      received: items.length,
+      created: 0,
+      duplicate: 0,
+      rejected: 0,
+      error: 0,
+    };
+    const results = [];
+    const seen = new Set();
+
+    // En orden de captura tal como vienen de la cola del dispositivo
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index] || {};
+      const cgid = String(item.clientGeneratedId || "").trim();
+      const push = (status, extra = {}) => {
+        summary[status]++;
+        results.push({
+          index,
+          clientGeneratedId: cgid || null,
+          status,
+          ...extra,
+        });
+      };
+
+      if (!CLIENT_GENERATED_ID_RE.test(cgid)) {
+        push("rejected", {
+          httpStatus: 400,
+          code: "INVALID_CLIENT_GENERATED_ID",
+          message: "clientGeneratedId inválido (6-64, [A-Za-z0-9_-]).",
+        });
+        continue;
+      }
+      if (seen.has(cgid)) {
+        push("duplicate", {
+          httpStatus: 200,
+          code: "DUPLICATE_IN_BATCH",
+          message: "clientGeneratedId repetido dentro del lote.",
+        });
+        continue;
+      }
+      seen.add(cgid);
+
+      const collectedAt = item.collectedAt ? new Date(item.collectedAt) : null;
+      if (!collectedAt || Number.isNaN(collectedAt.getTime())) {
+        push("rejected", {
+          httpStatus: 400,
+          code: "INVALID_COLLECTED_AT",
+          message: "collectedAt inválido (ISO 8601).",
+        });
+        continue;
+      }
+      if (collectedAt.getTime() > Date.now() + 5 * 60_000) {
+        push("rejected", {
+          httpStatus: 400,
+          code: "COLLECTED_AT_IN_FUTURE",
+          message: "collectedAt no puede ser futuro.",
+        });
+        continue;
+      }
+
+      const idempotencyKey = offlineIdemKey(myUserId, cgid);
+
+      // Ya sincronizado en una corrida anterior → devolvemos el mismo pago
+      const existing = await findPaymentByIdempotencyKey(idempotencyKey);
+      if (existing) {
+        push("duplicate", {
+          httpStatus: 200,
+          payment: serializePayment(existing.payment, existing.receipt),
+        });
+        continue;
+      }
+
+      if (!(Number(item.amount) > 0)) {
+        push("rejected", {
+          httpStatus: 400,
+          code: "AMOUNT_REQUIRED",
+          message: "amount obligatorio (> 0) en pagos offline.",
+        });
+        continue;
+      }
+
+      try {
+        const { payment, receipt, reused } = await postQueuedPayment({
+          collector: {
+            idCobrador: myCollectorId,
+            userId: new mongoose.Types.ObjectId(String(myUserId)),
+          },
+          input: {
+            clienteId: item.clienteId,
+            idCliente: item.idCliente,
+            amount: Number(item.amount),
+            method: item.method,
+            notes: item.notes,
+            strategy: item.strategy,
+            breakdown: item.breakdown,
+            intendedPeriod: item.intendedPeriod,
+            geo: item.geo,
+            device: item.device,
+            ip: req.ip,
+            channel: "field",
+            collectedAt: collectedAt.toISOString(),
+            idempotencyKey,
+            clientGeneratedId: cgid,
+            sync: { offlineQueued: true, batchId },
+          },
+        });
+        push(reused ? "duplicate" : "created", {
+          httpStatus: reused ? 200 : 201,
+          payment: serializePayment(payment, receipt),
+        });
+      } catch (err) {
+        if (err?.status && err?.code) {
+          push("rejected", {
+            httpStatus: err.status,
+            code: err.code,
+            message: err.message,
+          });
+        } else {
+          push("error", {
+            httpStatus: 500,
+            message: err?.message || "Error inesperado",
+          });
+        }
+      }
+    }
+
+    return res.status(200).json({ ok: true, batchId, summary, results });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ============ GET /collector/sync/delta ============ */
+/**
+ * Query: since? (cursor devuelto por la llamada anterior; sin since = full)
+ *
+ * Devuelve:
+ *  - clients: integrantes de la cartera con updatedAt > since
+ *  - debts:   resumen de deuda por grupo cuyo cliente o pagos cambiaron
+ *  - cursor:  pasar como `since` en la próxima sincronización
+ *
+ * El cursor es el instante del servidor al empezar la consulta (ISO), así
+ * lo que cambie mientras respondemos entra en la próxima corrida.
+ */
+export async function getCollectorSyncDelta(req, res, next) {
+  try {
+    const myCollectorId = Number(req.user?.idCobrador);
+    if (!Number.isFinite(myCollectorId)) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "Falta idCobrador en la sesión." });
+    }
+
+    const cursor = new Date();
+    let since = null;
+    if (req.query.since) {
+      since = new Date(String(req.query.since));
+      if (Number.isNaN(since.getTime())) {
+        return res.status(400).json({
+          ok: false,
+          code: "INVALID_CURSOR",
+          message: "Cursor inválido: hacé una sincronización completa.",
+        });
+      }
+    }
+
+    // idCobrador puede estar guardado como number o string
+    const carteraMatch = {
+      idCobrador: { $in: [myCollectorId, String(myCollectorId)] },
+    };
+
+    const clients = await Cliente.find({
+      ...carteraMatch,
+      ...(since ? { updatedAt: { $gt: since } } : {}),
+    })
+      .select(
+        "_id idCliente nombre nombreTitular rol integrante sexo edad " +
+          "domicilio ciudad provincia cp telefono " +
+          "cuota cuotaIdeal usarCuotaIdeal activo ingreso vigencia baja " +
+          "createdAt updatedAt idCobrador"
+      )
+      .sort({ idCliente: 1, integrante: 1, _id: 1 })
+      .lean();
+
+    // Grupos con deuda a recalcular: clientes cambiados + pagos cambiados
+    const groupIds = new Set(clients.map((c) => Number(c.idCliente)));
+    if (since) {
+      const changedPayGroups = await Payment.distinct("cliente.idCliente", {
+        updatedAt: { $gt: since },
+      });
+      if (changedPayGroups.length) {
+        const mine = await Cliente.distinct("idCliente", {
+          ...carteraMatch,
+          idCliente: { $in: changedPayGroups },
+        });
+        for (const id of mine) groupIds.add(Number(id));
+      }
+    }
+
+    const nowPeriod = yyyymmAR(new Date());
+    const debts = [];
+    for (const idCliente of groupIds) {
+      if (!Number.isFinite(idCliente)) continue;
+      const titular = await Cliente.findOne({ ...carteraMatch, idCliente })
+        .sort({ integrante: 1, _id: 1 })
+        .lean();
+      if (!titular) continue;
+
+      const state = await getClientPeriodState(titular, {
+        to: nowPeriod,
+        includeFuture: 0,
+      });
+      // Mismo criterio que el contador de atraso: períodos adeudados a hoy
+      const dueSet = new Set(getDuePeriodsUntilNow(state, nowPeriod));
+      const duePeriods = (state?.periods || []).filter((p) =>
+        dueSet.has(p.period)
+      );
+      const totalDueUpToNow =
+        duePeriods.reduce((acc, p) => acc + Number(p.balance || 0), 0) +
+        sumSurchargeBalance(state, nowPeriod); // + recargos por mora
+
+      debts.push({
+        idCliente,
+        memberId: titular._id,
+        nowPeriod,
+        totalDueUpToNow: Math.round(totalDueUpToNow * 100) / 100,
+        arrearsMonths: dueSet.size,
+        duePeriods: duePeriods.map((p) => ({
+          period: p.period,
+          balance: p.balance,
+          status: p.status,
+        })),
+      });
+    }
+
+    return res.json({
+      ok: true,
+      full: !since,
+      since: since ? since.toISOString() : null,
+      cursor: cursor.toISOString(),
+      clients,
+      debts,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,264 @@
+// src/controllers/mercadopago.controller.js
+import Cliente from "../models/client.model.js";
+import PaymentIntent from "../models/payment-intent.model.js";
+import {
+  createCheckoutPreference,
+  createCollectorQrIntent,
+  syncPaymentIntent,
+  processPaymentNotification,
+} from "../services/mercadopago.service.js";
+import { verifyWebhookSignature } from "../services/mercadopago.client.js";
+import { isObjectId, serializePayment } from "./payments.shared.js";
+
+/**
+ * Cobros online con Mercado Pago
+ *
+ *  - POST /admin/clientes/:id/mercadopago/preference → link de pago (admin)
+ *  - GET  /admin/payment-intents/:id                  → estado de la intención
+ *  - POST /collector/qr-intents                       → QR dinámico (cobrador)
+ *  - GET  /collector/qr-intents/:id                   → polling del QR
+ *  - POST /webhooks/mercadopago                       → notificaciones de MP
+ */
+
+/** Errores de mercadopago.service → respuesta HTTP */
+function sendServiceError(res, err) {
+  return res.status(err.status).json({
+    ok: false,
+    code: err.code,
+    message: err.message,
+    ...(err.nowPeriod ? { nowPeriod: err.nowPeriod } : {}),
+    ...(err.arrearsMonths != null
+      ? { arrearsMonths: err.arrearsMonths }
+      : {}),
+    ...(err.totalDue != null ? { totalDue: err.totalDue } : {}),
+  });
+}
+
+/** Vista de la intención para la app del cobrador (+ cobro si ya se aprobó) */
+function serializeQrIntent({ intent, payment = null, receipt = null }) {
+  return {
+    _id: intent._id,
+    status: intent.status,
+    amount: intent.amount,
+    currency: intent.currency,
+    idCliente: intent.idCliente,
+    periods: intent.periods || [],
+    qrData: intent.qrData || null,
+    expiresAt: intent.expiresAt || null,
+    mpStatus: intent.mpStatus || null,
+    mpStatusDetail: intent.mpStatusDetail || null,
+    payment: payment ? serializePayment(payment, receipt) : null,
+  };
+}
+
+/* ============ POST /admin/clientes/:id/mercadopago/preference ============ */
+/**
+ * Crea la preferencia por la deuda vencida del grupo (cuotas + recargos
+ * hasta el período actual). Devuelve el link de pago (initPoint).
+ */
+export async function createMercadoPagoPreference(req, res, next) {
+  try {
+    const myUserId = req.user?._id || req.user?.id;
+    if (!myUserId) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "Sesión inválida: falta userId." });
+    }
+
+    const { id } = req.params;
+    if (!isObjectId(id)) {
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const member = await Cliente.findById(id)
+      .select("_id idCliente nombre usarCuotaIdeal cuota cuotaIdeal")
+      .lean();
+    if (!member) {
+      return res
+        .status(404)
+        .json({ ok: false, message: "Cliente no encontrado" });
+    }
+
+    const data = await createCheckoutPreference({
+      clienteDoc: member,
+      by: myUserId,
+    });
+
+    return res.status(201).json({ ok: true, data });
+  } catch (err) {
+    if (err?.status && err?.code) return sendServiceError(res, err);
+    next(err);
+  }
+}
+
+/* ============ GET /admin/payment-intents/:id ============ */
+export async function getPaymentIntent(req, res, next) {
+  try {
+    const { id } = req.params;
+    if (!isObjectId(id)) {
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const intent = await PaymentIntent.findById(id).lean();
+    if (!intent) {
+      return res
+        .status(404)
+        .json({ ok: false, message: "Intención de pago no encontrada" });
+    }
+
+    return res.json({ ok: true, data: intent });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ============ POST /collector/qr-intents ============ */
+/**
+ * body: { clienteId, amount? }
+ * El monto sale de la deuda al período actual (amount puede ser menor).
+ */
+export async function createCollectorQrIntentHandler(req, res, next) {
+  try {
+    const myCollectorId = Number(req.user?.idCobrador);
+    const myUserId = req.user?._id || req.user?.id;
+    if (!Number.isFinite(myCollectorId) || !myUserId) {
+      return res.status(400).json({
+        ok: false,
+        message: "Sesión inválida: falta idCobrador o userId.",
+      });
+    }
+
+    const { clienteId, amount } = req.body || {};
+    if (!isObjectId(clienteId)) {
+      return res.status(400).json({ ok: false, message: "clienteId inválido" });
+    }
+
+    const member = await Cliente.findById(clienteId)
+      .select(
+        "_id idCliente nombre idCobrador usarCuotaIdeal cuota cuotaIdeal"
+      )
+      .lean();
+    if (!member) {
+      return res
+        .status(404)
+        .json({ ok: false, message: "Cliente no encontrado" });
+    }
+    if (Number(member.idCobrador) !== myCollectorId) {
+      return res
+        .status(403)
+        .json({ ok: false, message: "El cliente no pertenece a tu cartera." });
+    }
+
+    const { intent } = await createCollectorQrIntent({
+      clienteDoc: member,
+      collector: { idCobrador: myCollectorId, userId: myUserId },
+      amount,
+    });
+
+    return res
+      .status(201)
+      .json({ ok: true, data: serializeQrIntent({ intent }) });
+  } catch (err) {
+    if (err?.status && err?.code) return sendServiceError(res, err);
+    next(err);
+  }
+}
+
+/* ============ GET /collector/qr-intents/:id ============ */
+/**
+ * Polling: estado del QR; si ya se aprobó trae el Payment y su recibo.
+ */
+export async function getCollectorQrIntent(req, res, next) {
+  try {
+    const myCollectorId = Number(req.user?.idCobrador);
+    const { id } = req.params;
+    if (!isObjectId(id)) {
+      return res.status(400).json({ ok: false, message: "ID inválido" });
+    }
+
+    const own = await PaymentIntent.exists({
+      _id: id,
+      flow: "qr",
+      "collector.idCobrador": myCollectorId,
+    });
+    if (!own) {
+      return res
+        .status(404)
+        .json({ ok: false, message: "Intención de pago no encontrada" });
+    }
+
+    const out = await syncPaymentIntent({ intentId: id });
+    return res.json({ ok: true, data: serializeQrIntent(out) });
+  } catch (err) {
+    if (err?.status && err?.code) return sendServiceError(res, err);
+    next(err);
+  }
+}
+
+/* ============ POST /webhooks/mercadopago ============ */
+/**
+ * Notificación de MP (sin sesión; autenticada por x-signature).
+ * type/data.id llegan por query (?type=payment&data.id=…) y/o en el body.
+ *  - 401 si la firma no verifica
+ *  - 200 si se procesó o no aplica (MP deja de reintentar)
+ *  - 200 ante errores permanentes del servicio (status < 500, p. ej.
+ *    CLIENT_NOT_FOUND): reintentar no los arregla
+ *  - 500 ante errores transitorios: MP reintenta (el alta es idempotente)
+ */
+export async function mercadoPagoWebhook(req, res) {
+  const body = req.body || {};
+  const type = String(req.query?.type || req.query?.topic || body.type || "");
+  const dataId = req.query?.["data.id"] ?? body?.data?.id ?? null;
+
+  const valid = verifyWebhookSignature({
+    xSignature: req.get("x-signature"),
+    xRequestId: req.get("x-request-id"),
+    dataId,
+  });
+  if (!valid) {
+    return res.status(401).json({
+      ok: false,
+      code: "INVALID_SIGNATURE",
+      message: "Firma inválida",
+    });
+  }
+
+  if (type !== "payment" || dataId == null) {
+    return res.status(200).json({ ok: true, result: "ignored" });
+  }
+
+  try {
+    const out = await processPaymentNotification({ mpPaymentId: dataId });
+    return res.status(200).json({
+      ok: true,
+      result: out.result,
+      paymentId: out.payment?._id || null,
+    });
+  } catch (err) {
+    if (err?.status && err.status < 500 && err?.code) {
+      console.warn(
+        `[mercadopago] webhook descartado (${err.code}): ${err.message}`
+      );
+      return res.status(200).json({
+        ok: false,
+        result: "rejected",
+        code: err.code,
+        message: err.message,
+      });
+    }
+    console.error("[mercadopago] webhook error:", err);
+    return res.status(err?.status >= 500 ? err.status : 500).json({
+      ok: false,
+      code: err?.code || "INTERNAL",
+      message: err?.message || "Error interno",
+    });
+  }
+}
+
+export default {
+  createMercadoPagoPreference,
+  getPaymentIntent,
+  createCollectorQrIntentHandler,
+  getCollectorQrIntent,
+  mercadoPagoWebhook,
+};
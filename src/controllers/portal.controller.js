@@ -0,0 +1,295 @@
+// src/controllers/portal.controller.js
+import fs from "node:fs";
+
+import Cliente from "../models/client.model.js";
+import Payment from "../models/payment.model.js";
+import Receipt from "../models/receipt.model.js";
+import { buildClientDebtView } from "../services/debt.service.js";
+import {
+  requestPortalLink,
+  confirmPortalLink,
+  unlinkPortal,
+} from "../services/portal.service.js";
+import {
+  locateReceiptPdf,
+  backfillReceiptPdf,
+} from "../utils/receiptFile.util.js";
+import { isObjectId, toInt } from "./payments.shared.js";
+
+/**
+ * Portal de autogestión (rol "client")
+ *
+ *  - POST   /portal/link/request      → código por email
+ *                                       { documento, idCliente, fechaNac }
+ *  - POST   /portal/link/confirm      → vincula la cuenta { code }
+ *  - DELETE /portal/link              → desvincula
+ *  - GET    /portal/me                → grupo familiar
+ *  - GET    /portal/debt              → deuda por período
+ *  - GET    /portal/payments          → historial de pagos
+ *  - GET    /portal/receipts/:id/pdf  → PDF de un recibo propio
+ *
+ * Todo lo que devuelve datos se filtra por el idCliente vinculado
+ * (req.user.idCliente, ver ensurePortalLinked).
+ */
+
+/** Errores de portal.service → respuesta HTTP */
+function sendServiceError(res, err) {
+  return res
+    .status(err.status)
+    .json({ ok: false, code: err.code, message: err.message });
+}
+
+/* ============ POST /portal/link/request ============ */
+export async function requestPortalLinkHandler(req, res, next) {
+  try {
+    const data = await requestPortalLink({
+      userId: req.user._id,
+      documento: req.body?.documento,
+      idCliente: req.body?.idCliente,
+      fechaNac: req.body?.fechaNac,
+    });
+    return res.status(202).json({
+      ok: true,
+      message:
+        "Si los datos corresponden a un socio activo, te enviamos un código por email.",
+      data,
+    });
+  } catch (err) {
+    if (err?.status && err?.code) return sendServiceError(res, err);
+    next(err);
+  }
+}
+
+/* ============ POST /portal/link/confirm ============ */
+export async function confirmPortalLinkHandler(req, res, next) {
+  try {
+    const data = await confirmPortalLink({
+      userId: req.user._id,
+      code: req.body?.code,
+    });
+
+    // El rol cacheado en sesión pudo cambiar (user → client)
+    if (req.session?.user) req.session.user.role = "client";
+
+    return res.json({ ok: true, data });
+  } catch (err) {
+    if (err?.status && err?.code) return sendServiceError(res, err);
+    next(err);
+  }
+}
+
+/* ============ DELETE /portal/link ============ */
+export async function unlinkPortalHandler(req, res, next) {
+  try {
+    await unlinkPortal({ userId: req.user._id });
+    return res.json({ ok: true });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ============ GET /portal/me ============ */
+/**
+ * Grupo familiar vinculado: integrantes activos (sin datos sensibles)
+ * y cuota vigente del titular.
+ */
+export async function getPortalGroup(req, res, next) {
+  try {
+    const { idCliente, clienteId } = req.user;
+
+    const members = await Cliente.find({
+      idCliente,
+      activo: { $ne: false },
+      baja: { $not: { $type: "date" } },
+    })
+      .select("_id nombre rol integrante usarCuotaIdeal cuota cuotaIdeal")
+      .sort({ integrante: 1, _id: 1 })
+      .lean();
+
+    const titular = members.find((m) => m.rol === "TITULAR") || members[0];
+    const cuotaVigente = titular
+      ? Number(titular.usarCuotaIdeal ? titular.cuotaIdeal : titular.cuota) || 0
+      : 0;
+
+    return res.json({
+      ok: true,
+      data: {
+        idCliente,
+        memberId: clienteId,
+        cuotaVigente,
+        members: members.map((m) => ({
+          _id: m._id,
+          nombre: m.nombre,
+          rol: m.rol || null,
+          integrante: m.integrante ?? null,
+          isMe: String(m._id) === clienteId,
+        })),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ============ GET /portal/debt ============ */
+/**
+ * Query: from?, to?, includeFuture?
+ * Misma vista que ven admin y cobrador (buildClientDebtView).
+ */
+export async function getPortalDebt(req, res, next) {
+  try {
+    const member = await Cliente.findById(req.user.clienteId)
+      .select("_id idCliente nombre usarCuotaIdeal cuota cuotaIdeal")
+      .lean();
+    if (!member || Number(member.idCliente) !== req.user.idCliente) {
+      return res
+        .status(404)
+        .json({ ok: false, message: "Cliente no encontrado" });
+    }
+
+    const { from, to, includeFuture } = req.query || {};
+    const view = await buildClientDebtView(member, {
+      from,
+      to,
+      includeFuture: Number(includeFuture),
+    });
+
+    return res.json({ ok: true, ...view });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ============ GET /portal/payments ============ */
+/**
+ * Query: page?, limit?
+ * Pagos y reversas del grupo (las condonaciones se ven en /portal/debt).
+ */
+export async function listPortalPayments(req, res, next) {
+  try {
+    const page = Math.max(toInt(req.query.page, 1), 1);
+    const limit = Math.min(toInt(req.query.limit, 25), 100);
+
+    const match = {
+      "cliente.idCliente": req.user.idCliente,
+      kind: { $in: ["payment", "reversal"] },
+      status: { $in: ["posted", "settled", "reversed"] },
+    };
+
+    const [total, payments] = await Promise.all([
+      Payment.countDocuments(match),
+      Payment.find(match)
+        .select(
+          "_id kind status amount currency method channel postedAt createdAt reversalOf allocations meta.periodsApplied"
+        )
+        .sort({ postedAt: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    const receipts = await Receipt.find({
+      paymentId: { $in: payments.map((p) => p._id) },
+    })
+      .select("_id paymentId number voided createdAt")
+      .sort({ createdAt: -1 })
+      .lean();
+    const receiptByPayment = new Map();
+    for (const rx of receipts) {
+      const key = String(rx.paymentId);
+      if (!receiptByPayment.has(key)) receiptByPayment.set(key, rx);
+    }
+
+    const items = payments.map((p) => {
+      const rx = receiptByPayment.get(String(p._id)) || null;
+      return {
+        _id: p._id,
+        kind: p.kind,
+        status: p.status,
+        amount: p.amount,
+        currency: p.currency,
+        method: p.method,
+        channel: p.channel,
+        postedAt: p.postedAt || p.createdAt,
+        reversalOf: p.reversalOf || null,
+        periodsApplied: p.meta?.periodsApplied || [],
+        allocations: (p.allocations || []).map((a) => ({
+          period: a.period,
+          amountApplied: a.amountApplied,
+          concept: a.concept || "charge",
+        })),
+        receipt: rx
+          ? { _id: rx._id, number: rx.number, voided: Boolean(rx.voided) }
+          : null,
+      };
+    });
+
+    return res.json({
+      ok: true,
+      items,
+      total,
+      page,
+      limit,
+      hasMore: page * limit < total,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ============ GET /portal/receipts/:id/pdf ============ */
+export async function streamPortalReceiptPdf(req, res) {
+  try {
+    const { id } = req.params;
+    if (!isObjectId(id)) {
+      return res.status(404).json({ message: "Recibo no encontrado" });
+    }
+
+    const rx = await Receipt.findById(id).lean();
+    const payment = rx
+      ? await Payment.findById(rx.paymentId)
+          .select("cliente.idCliente")
+          .lean()
+      : null;
+    // Recibo de otro grupo: 404 (no se confirma que exista)
+    if (!payment || Number(payment.cliente?.idCliente) !== req.user.idCliente) {
+      return res.status(404).json({ message: "Recibo no encontrado" });
+    }
+
+    const found = await locateReceiptPdf(rx);
+    if (!found || !found.absPath || !fs.existsSync(found.absPath)) {
+      return res.status(404).json({ message: "PDF no disponible" });
+    }
+    await backfillReceiptPdf(rx, found);
+
+    const safeName = (rx.number || id).toString().replace(/[^\w.-]+/g, "_");
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="Recibo_${safeName}.pdf"`
+    );
+    res.setHeader("Cache-Control", "private, max-age=0, must-revalidate");
+
+    const stream = fs.createReadStream(found.absPath);
+    stream.on("error", (err) => {
+      console.error("[portal] stream error:", err);
+      if (!res.headersSent)
+        res.status(500).json({ message: "Error leyendo el PDF" });
+      else res.end();
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error("[portal] receipt pdf error:", err);
+    return res.status(500).json({ message: "No se pudo abrir el PDF" });
+  }
+}
+
+export default {
+  requestPortalLinkHandler,
+  confirmPortalLinkHandler,
+  unlinkPortalHandler,
+  getPortalGroup,
+  getPortalDebt,
+  listPortalPayments,
+  streamPortalReceiptPdf,
+};
@@ -0,0 +1,31 @@
+// src/controllers/public.receipts.controller.js
+import { verifyReceipt } from "../services/receipt-verification.service.js";
+
+/**
+ * Verificación pública de recibos (sin sesión)
+ *
+ *  - GET /public/receipts/verify?qr=<contenido del QR>
+ *  - GET /public/receipts/verify?number=MEM2025-0000123&sig=<firma>
+ *
+ * Siempre 200 con { authentic, status } salvo entrada inválida (400),
+ * demasiadas consultas desde la misma IP (429) o verificación no
+ * configurada (503).
+ */
+export async function verifyReceiptPublic(req, res, next) {
+  try {
+    const { qr, number, sig } = req.query || {};
+    const data = await verifyReceipt({ qr, number, sig, ip: req.ip });
+
+    res.setHeader("Cache-Control", "no-store");
+    return res.json({ ok: true, data });
+  } catch (err) {
+    if (err?.status && err?.code) {
+      return res
+        .status(err.status)
+        .json({ ok: false, code: err.code, message: err.message });
+    }
+    next(err);
+  }
+}
+
+export default { verifyReceiptPublic };
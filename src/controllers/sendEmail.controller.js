@@ -30,3 +30,25 @@ export const sendConfirmationEmail = async ({ name, email, token }) => {
   };
   await transporter.sendMail(mailOptions);
 };
+
+// Portal de clientes: código para vincular la cuenta a un grupo familiar
+export const sendPortalLinkCodeEmail = async ({
+  name,
+  email,
+  code,
+  expiresMinutes,
+}) => {
+  const mailOptions = {
+    from: '"ValleyPass" <ubikasite@gmail.com>',
+    to: email,
+    subject: "Código para vincular tu grupo familiar",
+    html: `
+      <h2>Hola, ${name}</h2>
+      <p>Tu código para vincular la cuenta con tu grupo familiar es:</p>
+      <p style="font-size:24px;letter-spacing:4px"><b>${code}</b></p>
+      <p>Vence en ${expiresMinutes} minutos.</p>
+      <p>Si no lo pediste, ignorá este mensaje.</p>
+    `,
+  };
+  await transporter.sendMail(mailOptions);
+};
@@ -0,0 +1,50 @@
+// src/job/billing.jobs.js
+import cron from "node-cron";
+import { runMonthlyBilling } from "../services/billing.service.js";
+
+/**
+ * ⏰ Facturación mensual: congela el cargo del período para cada grupo.
+ * Re-correrla es seguro (los períodos ya facturados no se tocan).
+ * Env vars:
+ *  - ENABLE_BILLING_CRON=1           (se inicia desde app.js)
+ *  - BILLING_CRON="0 2 1 * *"        (default día 1, 02:00 Buenos Aires)
+ *  - BILLING_TZ="America/Argentina/Buenos_Aires"
+ *  - BILLING_CRON_DEBUG=0|1
+ */
+export function scheduleMonthlyBillingRun() {
+  // Evita doble registro si se llama dos veces por error
+  if (global.__billingCronTask) return global.__billingCronTask;
+
+  const expr = process.env.BILLING_CRON || "0 2 1 * *";
+  const tz = process.env.BILLING_TZ || "America/Argentina/Buenos_Aires";
+  const debugCron = process.env.BILLING_CRON_DEBUG === "1";
+
+  if (!cron.validate(expr)) {
+    console.warn(
+      `⚠️  BILLING_CRON inválido ("${expr}"). Usando default "0 2 1 * *".`
+    );
+  }
+
+  const task = cron.schedule(
+    cron.validate(expr) ? expr : "0 2 1 * *",
+    async () => {
+      try {
+        console.log("⏰ [billing.cron] Facturación del período…");
+        const r = await runMonthlyBilling();
+        console.log("✅ [billing.cron] Finalizado:", r);
+      } catch (err) {
+        console.error("❌ [billing.cron] Error:", err?.message || err);
+      }
+    },
+    { timezone: tz, scheduled: true }
+  );
+
+  if (debugCron) {
+    console.log(`⏰ [billing.cron] Programado expr="${expr}" tz="${tz}"`);
+  }
+
+  global.__billingCronTask = task;
+  return task;
+}
+
+export default { scheduleMonthlyBillingRun };
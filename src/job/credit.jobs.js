@@ -0,0 +1,51 @@
+// src/job/credit.jobs.js
+import cron from "node-cron";
+import { runCreditReconciliation } from "../services/credit.service.js";
+
+/**
+ * ⏰ Reimputación diaria del crédito a cuenta: lo imputado a períodos
+ * futuros (o el excedente de un período) pasa a los adeudados más viejos.
+ * Corre antes del barrido de planes de pago.
+ * Env vars:
+ *  - ENABLE_CREDIT_CRON=1            (se inicia desde app.js)
+ *  - CREDIT_CRON="0 3 * * *"         (default 03:00 Buenos Aires)
+ *  - CREDIT_TZ="America/Argentina/Buenos_Aires"
+ *  - CREDIT_CRON_DEBUG=0|1
+ */
+export function scheduleCreditReconciliation() {
+  // Evita doble registro si se llama dos veces por error
+  if (global.__creditCronTask) return global.__creditCronTask;
+
+  const expr = process.env.CREDIT_CRON || "0 3 * * *";
+  const tz = process.env.CREDIT_TZ || "America/Argentina/Buenos_Aires";
+  const debugCron = process.env.CREDIT_CRON_DEBUG === "1";
+
+  if (!cron.validate(expr)) {
+    console.warn(
+      `⚠️  CREDIT_CRON inválido ("${expr}"). Usando default "0 3 * * *".`
+    );
+  }
+
+  const task = cron.schedule(
+    cron.validate(expr) ? expr : "0 3 * * *",
+    async () => {
+      try {
+        console.log("⏰ [credit.cron] Reimputación de crédito…");
+        const r = await runCreditReconciliation({ trigger: "cron" });
+        console.log("✅ [credit.cron] Finalizado:", r);
+      } catch (err) {
+        console.error("❌ [credit.cron] Error:", err?.message || err);
+      }
+    },
+    { timezone: tz, scheduled: true }
+  );
+
+  if (debugCron) {
+    console.log(`⏰ [credit.cron] Programado expr="${expr}" tz="${tz}"`);
+  }
+
+  global.__creditCronTask = task;
+  return task;
+}
+
+export default { scheduleCreditReconciliation };
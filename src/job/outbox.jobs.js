@@ -0,0 +1,112 @@
+// src/job/outbox.jobs.js
+import {
+  dispatchOutboxOnce,
+  registerOutboxHandler,
+  getRegisteredTopics,
+} from "../services/outbox.dispatcher.js";
+
+/**
+ * Handler por defecto: reenvía el evento por HTTP POST (ERP / integración).
+ * Sólo se registra si hay OUTBOX_WEBHOOK_URL.
+ *  - OUTBOX_WEBHOOK_URL="https://erp.local/hooks/memorial"
+ *  - OUTBOX_WEBHOOK_TOPICS="payment.posted,payment.reversed" (default "*")
+ *  - OUTBOX_WEBHOOK_TOKEN=...  (opcional, va como Bearer)
+ */
+function registerWebhookHandlerFromEnv() {
+  const url = String(process.env.OUTBOX_WEBHOOK_URL || "").trim();
+  if (!url) return;
+
+  const token = String(process.env.OUTBOX_WEBHOOK_TOKEN || "").trim();
+  const topics = String(process.env.OUTBOX_WEBHOOK_TOPICS || "*")
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+
+  const handler = async (event) => {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        "X-Outbox-Id": String(event._id),
+        "X-Outbox-Topic": String(event.topic),
+      },
+      body: JSON.stringify({
+        id: String(event._id),
+        topic: event.topic,
+        payload: event.payload,
+        createdAt: event.createdAt,
+        attempt: Number(event.attempts || 0) + 1,
+      }),
+    });
+    if (!res.ok) throw new Error(`webhook HTTP ${res.status}`);
+  };
+
+  for (const t of topics) registerOutboxHandler(t, handler);
+}
+
+/**
+ * ⏰ Arranca el dispatcher de outbox (polling).
+ * Env vars:
+ *  - ENABLE_OUTBOX_WORKER=1        (se inicia desde app.js)
+ *  - OUTBOX_POLL_MS=5000           (intervalo entre corridas)
+ *  - OUTBOX_BATCH_SIZE=25          (eventos por corrida)
+ *  - OUTBOX_LEASE_MS=60000         (lease por evento reclamado)
+ *  - OUTBOX_MAX_ATTEMPTS=10        (luego queda "failed")
+ *  - OUTBOX_BACKOFF_BASE_MS=30000 / OUTBOX_BACKOFF_MAX_MS=3600000
+ *  - OUTBOX_WORKER_DEBUG=0|1
+ *
+ * Los handlers se registran con registerOutboxHandler(topic, fn) antes o
+ * después de arrancar; la corrida siguiente ya los toma.
+ */
+export function scheduleOutboxDispatcher() {
+  // Evita doble registro si se llama dos veces por error
+  if (global.__outboxDispatcherTask) return global.__outboxDispatcherTask;
+
+  registerWebhookHandlerFromEnv();
+
+  const pollMs = Math.max(500, Number(process.env.OUTBOX_POLL_MS || 5000));
+  const debug = process.env.OUTBOX_WORKER_DEBUG === "1";
+  let running = false;
+
+  const tick = async () => {
+    if (running) return; // no solapar corridas
+    running = true;
+    try {
+      const r = await dispatchOutboxOnce();
+      if (debug && r.claimed > 0) {
+        console.log(
+          `📤 [outbox.worker] claimed=${r.claimed} sent=${r.sent} failed=${r.failed} lost=${r.lost}`
+        );
+      }
+    } catch (err) {
+      console.error("❌ [outbox.worker] Error:", err?.message || err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, pollMs);
+  timer.unref?.();
+
+  if (debug) {
+    console.log(
+      `📤 [outbox.worker] Programado cada ${pollMs}ms (topics: ${
+        getRegisteredTopics().join(", ") || "ninguno"
+      })`
+    );
+  }
+
+  const task = {
+    stop() {
+      clearInterval(timer);
+      global.__outboxDispatcherTask = null;
+    },
+    runNow: tick,
+  };
+
+  global.__outboxDispatcherTask = task;
+  return task;
+}
+
+export default { scheduleOutboxDispatcher };
@@ -0,0 +1,50 @@
+// src/job/payment-plans.jobs.js
+import cron from "node-cron";
+import { runPaymentPlanSweep } from "../services/payment-plan.service.js";
+
+/**
+ * ⏰ Barrido diario de planes de pago: refresca cuotas, cierra los saldados
+ * y cancela los que acumularon cuotas vencidas (+ días de gracia).
+ * Env vars:
+ *  - ENABLE_PAYMENT_PLAN_CRON=1         (se inicia desde app.js)
+ *  - PAYMENT_PLAN_CRON="30 3 * * *"     (default 03:30 Buenos Aires)
+ *  - PAYMENT_PLAN_TZ="America/Argentina/Buenos_Aires"
+ *  - PAYMENT_PLAN_CRON_DEBUG=0|1
+ */
+export function schedulePaymentPlanSweep() {
+  // Evita doble registro si se llama dos veces por error
+  if (global.__paymentPlanCronTask) return global.__paymentPlanCronTask;
+
+  const expr = process.env.PAYMENT_PLAN_CRON || "30 3 * * *";
+  const tz = process.env.PAYMENT_PLAN_TZ || "America/Argentina/Buenos_Aires";
+  const debugCron = process.env.PAYMENT_PLAN_CRON_DEBUG === "1";
+
+  if (!cron.validate(expr)) {
+    console.warn(
+      `⚠️  PAYMENT_PLAN_CRON inválido ("${expr}"). Usando default "30 3 * * *".`
+    );
+  }
+
+  const task = cron.schedule(
+    cron.validate(expr) ? expr : "30 3 * * *",
+    async () => {
+      try {
+        console.log("⏰ [payment-plans.cron] Barrido de planes activos…");
+        const r = await runPaymentPlanSweep();
+        console.log("✅ [payment-plans.cron] Finalizado:", r);
+      } catch (err) {
+        console.error("❌ [payment-plans.cron] Error:", err?.message || err);
+      }
+    },
+    { timezone: tz, scheduled: true }
+  );
+
+  if (debugCron) {
+    console.log(`⏰ [payment-plans.cron] Programado expr="${expr}" tz="${tz}"`);
+  }
+
+  global.__paymentPlanCronTask = task;
+  return task;
+}
+
+export default { schedulePaymentPlanSweep };
@@ -126,6 +126,12 @@ export const cobradorOnly = roleGuard([
   "superAdmin",
 ]);
 
+/** Cliente del portal de autogestión */
+export const clientOnly = roleGuard(["client"]);
+
+/** Cuentas que pueden vincularse a un grupo (client, o user todavía sin rol) */
+export const portalAccountOnly = roleGuard(["client", "user"]);
+
 /* ────────────── Carga/validación de idCobrador del cobrador ────────────── */
 /**
  * Si el usuario es cobrador:
@@ -194,4 +200,38 @@ export const ensureCollectorLoaded = async (req, res, next) => {
     );
   }
 };
-  
\ No newline at end of file
+  
+
+/* ─────────────── Grupo vinculado del cliente (portal) ─────────────── */
+/**
+ * Deja en req.user el grupo vinculado (idCliente + clienteId del integrante).
+ * Se lee siempre de DB: si oficina desvincula la cuenta, corta al instante.
+ * Sin vinculación → 403 PORTAL_NOT_LINKED.
+ *
+ * Requiere: requireSession + clientOnly antes.
+ */
+export const ensurePortalLinked = async (req, res, next) => {
+  try {
+    const id = getSessionUserId(req);
+    const user = await User.findById(id).select("idCliente clienteId").lean();
+    if (!user) return httpError(res, 401, "Usuario no encontrado");
+
+    if (user.idCliente == null || !user.clienteId) {
+      return res.status(403).json({
+        ok: false,
+        code: "PORTAL_NOT_LINKED",
+        message: "Tu cuenta no está vinculada a un grupo familiar.",
+      });
+    }
+
+    req.user.idCliente = Number(user.idCliente);
+    req.user.clienteId = String(user.clienteId);
+    return next();
+  } catch (err) {
+    return httpError(
+      res,
+      err.status || 500,
+      err.message || "Error cargando el grupo vinculado"
+    );
+  }
+};
@@ -0,0 +1,80 @@
+// src/models/cash-session.model.js
+import mongoose from "mongoose";
+
+/**
+ * Caja diaria (sesión de caja) de un cobrador o cajero de oficina.
+ * Se abre con un fondo inicial, los pagos que cobra el dueño mientras
+ * está abierta quedan vinculados (Payment.cashSessionId) y se cierra con
+ * el conteo declarado. El esperado sale del LedgerEntry de esos pagos.
+ */
+
+const STATUSES = ["open", "closed"];
+
+const CashSessionSchema = new mongoose.Schema(
+  {
+    // Dueño de la caja
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "userMemorial",
+      required: true,
+    },
+    role: { type: String, trim: true },
+    idCobrador: { type: Number, default: null, index: true },
+    accountCode: { type: String, required: true }, // CAJA_COBRADOR / CAJA_ADMIN / CAJA_SUPERADMIN
+    currency: { type: String, default: "ARS" },
+
+    status: { type: String, enum: STATUSES, default: "open", index: true },
+
+    // Apertura
+    openedAt: { type: Date, required: true },
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "userMemorial",
+      required: true,
+    },
+    openingFloat: { type: Number, default: 0, min: 0 }, // fondo inicial (cambio)
+    openingNotes: { type: String, trim: true },
+
+    // Cierre (snapshot)
+    closedAt: { type: Date, default: null },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "userMemorial",
+      default: null,
+    },
+    declaredAmount: { type: Number, default: null },
+    expectedAmount: { type: Number, default: null }, // openingFloat + neto ledger
+    difference: { type: Number, default: null }, // declarado - esperado
+    paymentsCount: { type: Number, default: 0 },
+    paymentsTotal: { type: Number, default: 0 },
+    closingNotes: { type: String, trim: true },
+
+    // Arqueo (crearArqueoUsuario con cashSessionId)
+    arqueo: {
+      at: { type: Date, default: null },
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "userMemorial",
+        default: null,
+      },
+      amount: { type: Number, default: null },
+      destAccountCode: { type: String, default: null },
+      paymentIds: [{ type: mongoose.Schema.Types.ObjectId }],
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+// Una sola caja abierta por usuario (nombre propio: no chocar con userId_1)
+CashSessionSchema.index(
+  { userId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: "open" },
+    name: "uniq_open_session_per_user",
+  }
+);
+CashSessionSchema.index({ userId: 1, openedAt: -1 });
+CashSessionSchema.index({ status: 1, openedAt: -1 });
+
+export default mongoose.model("cashsessions", CashSessionSchema);
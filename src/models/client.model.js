@@ -129,6 +129,15 @@ const ClienteSchema = new mongoose.Schema(
 
     tarjeta: { type: Boolean, default: false, set: toBool },
 
+    // Datos para la presentación de débito automático (Naranja DAF / BNA)
+    debitoAutomatico: {
+      medio: { type: String, enum: ["naranja", "bna", null], default: null },
+      nroTarjeta: { type: String, trim: true, set: cleanString }, // Naranja (16)
+      sucursal: { type: String, trim: true, set: cleanString }, // BNA (4)
+      tipoCuenta: { type: String, enum: ["CA", "CC", null], default: null }, // BNA
+      nroCuenta: { type: String, trim: true, set: cleanString }, // BNA (15)
+    },
+
     sexo: { type: String, enum: ["M", "F", "X"], default: "X" },
     cuil: { type: String, trim: true, set: cleanString },
 
@@ -136,6 +145,19 @@ const ClienteSchema = new mongoose.Schema(
     vigencia: { type: Date, set: toDateOrNull },
     baja: { type: Date, set: toDateOrNull },
     ingreso: { type: Date, set: toDateOrNull },
+    // Override por grupo del inicio de facturación (null = setting global)
+    billingStartField: {
+      type: String,
+      enum: ["createdAt", "ingreso", "vigencia", null],
+      default: null,
+    },
+    // Deuda por grupo (default) o cada integrante facturado aparte
+    // (se lee del titular, ver debt-scope.service)
+    billingMode: {
+      type: String,
+      enum: ["group", "member"],
+      default: "group",
+    },
 
     activo: { type: Boolean, default: true, set: toBool },
 
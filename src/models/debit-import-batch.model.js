@@ -0,0 +1,71 @@
+// src/models/debit-import-batch.model.js
+import mongoose from "mongoose";
+
+/**
+ * Lote de importación de un archivo de rendición (Naranja / BNA).
+ * Registra el archivo (hash), quién lo subió, los contadores del proceso
+ * y los Payments / intentos que generó. Permite rechazar un archivo ya
+ * importado y "deshacer" el lote revirtiendo sus pagos.
+ */
+
+const SOURCES = ["naranja", "bna"];
+const STATUSES = ["imported", "undone"];
+
+const DebitImportBatchSchema = new mongoose.Schema(
+  {
+    source: { type: String, enum: SOURCES, required: true, index: true },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: "imported",
+      index: true,
+    },
+
+    fileName: { type: String, default: null },
+    contentHash: { type: String, required: true }, // sha256 del archivo
+    fileSize: { type: Number, default: 0 },
+    previewId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "debitimportpreviews",
+      default: null,
+    },
+
+    counts: {
+      totalLines: { type: Number, default: 0 },
+      detailLines: { type: Number, default: 0 },
+      processed: { type: Number, default: 0 },
+      reused: { type: Number, default: 0 },
+      attempts: { type: Number, default: 0 },
+      skippedNoCliente: { type: Number, default: 0 },
+      skippedParseError: { type: Number, default: 0 },
+    },
+    approvedAmount: { type: Number, default: 0 },
+
+    // Sólo lo que ESTE lote creó (los reutilizados por idempotencia no)
+    paymentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "payments" }],
+    attemptIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "payments" }],
+
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "userMemorial",
+      required: true,
+    },
+
+    // Deshacer lote
+    undoneAt: { type: Date, default: null },
+    undoneBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "userMemorial",
+      default: null,
+    },
+    undoReason: { type: String, default: null },
+    reversalIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "payments" }],
+  },
+  { timestamps: true, versionKey: false }
+);
+
+// Un mismo archivo no se importa dos veces por origen
+DebitImportBatchSchema.index({ source: 1, contentHash: 1 }, { unique: true });
+DebitImportBatchSchema.index({ createdAt: -1 });
+
+export default mongoose.model("debitimportbatches", DebitImportBatchSchema);
@@ -0,0 +1,46 @@
+// src/models/debit-import-preview.model.js
+import mongoose from "mongoose";
+
+/**
+ * Vista previa (dry-run) de un archivo de rendición de débito automático.
+ * Guarda el archivo tal cual se subió + el reporte calculado, y un token
+ * de un solo uso con el que el admin confirma la importación real.
+ * Se borra sola (TTL) al vencer.
+ */
+
+const SOURCES = ["naranja", "bna"];
+const STATUSES = ["pending", "confirmed", "expired"];
+
+const DebitImportPreviewSchema = new mongoose.Schema(
+  {
+    token: { type: String, required: true, unique: true },
+    source: { type: String, enum: SOURCES, required: true },
+    status: { type: String, enum: STATUSES, default: "pending" },
+
+    fileName: { type: String, default: null },
+    content: { type: String, required: true }, // archivo completo (latin1)
+    contentHash: { type: String, required: true }, // sha256 del contenido
+
+    report: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "userMemorial",
+      required: true,
+    },
+    confirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "userMemorial",
+      default: null,
+    },
+    confirmedAt: { type: Date, default: null },
+
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+// TTL: Mongo elimina el documento al pasar expiresAt
+DebitImportPreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("debitimportpreviews", DebitImportPreviewSchema);
@@ -0,0 +1,84 @@
+// src/models/debit-presentation.model.js
+import mongoose from "mongoose";
+
+/**
+ * Lote de presentación de débito automático (archivo que ENVIAMOS a
+ * Naranja / BNA). Guarda qué grupos entraron, con qué importe, y el
+ * resultado que después trae la rendición (importNaranjaResultFile / BNA).
+ */
+
+const SOURCES = ["naranja", "bna"];
+const STATUSES = ["generated", "submitted", "reconciled", "cancelled"];
+const ITEM_RESULTS = ["pending", "approved", "rejected"];
+
+const PresentationItemSchema = new mongoose.Schema(
+  {
+    idCliente: { type: Number, required: true },
+    memberId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "clientes",
+      required: true,
+    },
+    nombre: { type: String, trim: true },
+    amount: { type: Number, required: true, min: 0 },
+    quotaBase: { type: String, default: null }, // cuota | cuotaIdeal
+    lineNumber: { type: Number, required: true }, // nro de línea de detalle (1..n)
+    accountRef: { type: String, default: null }, // tarjeta / sucursal+cuenta (enmascarado)
+
+    // Cierre del ciclo con la rendición
+    result: { type: String, enum: ITEM_RESULTS, default: "pending" },
+    resultCode: { type: String, default: null },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "payments",
+      default: null,
+    },
+    resultAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const DebitPresentationSchema = new mongoose.Schema(
+  {
+    source: { type: String, enum: SOURCES, required: true, index: true },
+    period: { type: String, required: true, index: true }, // "YYYY-MM"
+    dueDate: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: "generated",
+      index: true,
+    },
+
+    fileName: { type: String, required: true },
+    content: { type: String, required: true }, // archivo completo (latin1)
+    contentHash: { type: String, required: true }, // sha256 del contenido
+
+    lineCount: { type: Number, default: 0 },
+    totalAmount: { type: Number, default: 0 },
+    items: { type: [PresentationItemSchema], default: [] },
+    skipped: {
+      type: [
+        {
+          _id: false,
+          idCliente: Number,
+          memberId: mongoose.Schema.Types.ObjectId,
+          reason: String,
+        },
+      ],
+      default: [],
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "userMemorial",
+      required: true,
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+DebitPresentationSchema.index({ source: 1, period: 1, createdAt: -1 });
+DebitPresentationSchema.index({ source: 1, "items.idCliente": 1 });
+
+export default mongoose.model("debitpresentations", DebitPresentationSchema);
@@ -6,7 +6,23 @@ import mongoose from "mongoose";
  * - Un worker lee 'pending' y publica. Maneja retries.
  */
 
-const STATUSES = ["pending", "sent", "failed"];
+const STATUSES = ["pending", "sent", "failed", "discarded"];
+const HISTORY_ACTIONS = ["dispatch", "retry", "requeue", "discard"];
+
+// Bitácora de intentos del dispatcher y acciones de admin (acotada, ver outbox.service)
+const OutboxAttemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: () => new Date() },
+    action: { type: String, enum: HISTORY_ACTIONS, default: "dispatch" },
+    ok: { type: Boolean, required: true },
+    by: { type: String, default: null }, // userId del admin (acciones manuales)
+    note: { type: String, default: null },
+    error: { type: String, default: null },
+    workerId: { type: String, default: null },
+    durationMs: { type: Number, default: null },
+  },
+  { _id: false }
+);
 
 const OutboxSchema = new mongoose.Schema(
   {
@@ -15,10 +31,29 @@ const OutboxSchema = new mongoose.Schema(
     status: { type: String, enum: STATUSES, default: "pending", index: true },
     attempts: { type: Number, default: 0 },
     lastError: { type: String },
+    lastAttemptAt: { type: Date },
+    processedAt: { type: Date },
+
+    // Dedupe opcional (enqueue con dedupeKey)
+    dedupeKey: { type: String, index: true, sparse: true },
+    meta: { type: Object },
+
+    // Dispatcher: backoff + lease (claim exclusivo entre workers)
+    nextAttemptAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null },
+    lockedBy: { type: String, default: null },
+
+    // Descarte manual (admin): no se reintenta más
+    discardReason: { type: String, default: null },
+    discardedBy: { type: String, default: null },
+    discardedAt: { type: Date, default: null },
+
+    history: { type: [OutboxAttemptSchema], default: [] },
   },
   { timestamps: true, versionKey: false }
 );
 
 OutboxSchema.index({ status: 1, createdAt: 1 });
+OutboxSchema.index({ status: 1, nextAttemptAt: 1 });
 
 export default mongoose.model("outbox", OutboxSchema);
@@ -0,0 +1,85 @@
+// src/models/payment-intent.model.js
+import mongoose from "mongoose";
+
+/**
+ * Intención de cobro online (Mercado Pago).
+ *
+ * Se crea antes de ir a MP (su _id viaja como external_reference) con el
+ * monto y los períodos adeudados del momento. Cuando MP notifica el pago
+ * aprobado se registra el Payment (paymentId) y la intención queda
+ * "approved". El Payment guarda el id de pago de MP en externalRef.
+ *
+ * Flujos:
+ *  - "checkout": link de pago (Checkout Pro) generado desde oficina
+ *  - "qr": QR dinámico que el cobrador muestra en la puerta del cliente;
+ *          el cobro queda a su nombre (collector) para las comisiones
+ */
+
+// failed: no se pudo crear la preferencia / orden QR en MP (nunca se cobró)
+const STATUSES = [
+  "pending",
+  "approved",
+  "rejected",
+  "cancelled",
+  "expired",
+  "failed",
+];
+
+const PaymentIntentSchema = new mongoose.Schema(
+  {
+    provider: { type: String, enum: ["mercadopago"], default: "mercadopago" },
+    flow: { type: String, enum: ["checkout", "qr"], default: "checkout" },
+    status: { type: String, enum: STATUSES, default: "pending", index: true },
+
+    memberId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "clientes",
+      required: true,
+      index: true,
+    },
+    idCliente: { type: Number, required: true, index: true },
+
+    currency: { type: String, default: "ARS" },
+    amount: { type: Number, required: true, min: 0.01 },
+    periods: { type: [String], default: [] }, // adeudados al crear
+
+    // Cobrador que generó el QR (flow "qr")
+    collector: {
+      idCobrador: { type: Number, default: undefined, index: true },
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "userMemorial",
+        default: undefined,
+      },
+    },
+    arrearsMonths: { type: Number, default: null }, // al generar la intención
+
+    // Mercado Pago
+    preferenceId: { type: String, default: null, index: true },
+    initPoint: { type: String, default: null },
+    inStoreOrderId: { type: String, default: null }, // flow "qr"
+    qrData: { type: String, default: null }, // flow "qr": contenido del QR
+    expiresAt: { type: Date, default: null },
+    mpPaymentId: { type: String, default: null, index: true },
+    mpStatus: { type: String, default: null }, // approved | rejected | …
+    mpStatusDetail: { type: String, default: null },
+    lastNotificationAt: { type: Date, default: null },
+
+    // Cobro registrado al aprobarse
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "payments",
+      default: null,
+    },
+    approvedAt: { type: Date, default: null },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "userMemorial",
+      required: true,
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+export default mongoose.model("paymentintents", PaymentIntentSchema);
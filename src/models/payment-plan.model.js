@@ -0,0 +1,93 @@
+// src/models/payment-plan.model.js
+import mongoose from "mongoose";
+
+/**
+ * Plan de pagos (refinanciación) de un grupo que superó el corte de
+ * 4 meses de atraso. Congela los períodos vencidos incluidos y los
+ * reparte en N cuotas mensuales.
+ *
+ * Mientras el plan está "active", getClientPeriodState muestra esos
+ * períodos como "refinanced" (fuera de la deuda común y del corte 4M)
+ * y agrega las cuotas del plan. Los cobros del plan se imputan a esos
+ * mismos períodos, así que el avance sale de Payment.allocations.
+ */
+
+const STATUSES = ["active", "completed", "cancelled"];
+
+const PlanPeriodSchema = new mongoose.Schema(
+  {
+    period: { type: String, required: true }, // "YYYY-MM"
+    charge: { type: Number, required: true }, // cuota del período al refinanciar
+    paidAtStart: { type: Number, default: 0 }, // imputado antes del plan
+    balanceAtStart: { type: Number, required: true }, // saldo refinanciado
+  },
+  { _id: false }
+);
+
+const InstallmentSchema = new mongoose.Schema(
+  {
+    number: { type: Number, required: true }, // 1..N
+    dueDate: { type: Date, required: true },
+    amount: { type: Number, required: true, min: 0 },
+    // Snapshot del avance (lo refresca syncPaymentPlanProgress / job)
+    paid: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ["pending", "partial", "paid", "missed"],
+      default: "pending",
+    },
+    paidAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const PaymentPlanSchema = new mongoose.Schema(
+  {
+    idCliente: { type: Number, required: true, index: true },
+    memberId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "clientes",
+      required: true,
+    },
+    status: { type: String, enum: STATUSES, default: "active", index: true },
+
+    periods: { type: [PlanPeriodSchema], default: [] },
+    totalAmount: { type: Number, required: true, min: 0 },
+    installmentsCount: { type: Number, required: true, min: 1 },
+    installments: { type: [InstallmentSchema], default: [] },
+
+    // Auto-cancelación: cuotas vencidas (+ gracia) impagas toleradas
+    maxMissedInstallments: { type: Number, default: 2, min: 1 },
+    graceDays: { type: Number, default: 10, min: 0 },
+
+    notes: { type: String, trim: true },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "userMemorial",
+      required: true,
+    },
+
+    completedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "userMemorial",
+      default: null,
+    },
+    cancelReason: { type: String, default: null }, // missed_installments | manual: …
+  },
+  { timestamps: true, versionKey: false }
+);
+
+// Un solo plan activo por grupo (nombre propio: no chocar con idCliente_1)
+PaymentPlanSchema.index(
+  { idCliente: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: "active" },
+    name: "uniq_active_plan_per_group",
+  }
+);
+PaymentPlanSchema.index({ memberId: 1, status: 1 });
+
+export default mongoose.model("paymentplans", PaymentPlanSchema);
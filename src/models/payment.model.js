@@ -24,13 +24,75 @@ const ALLOC_STATUSES = ["paid", "partial"]; // estado del período después de a
 const PaymentAllocationSchema = new mongoose.Schema(
   {
     period: { type: String, required: true, trim: true }, // "YYYY-MM"
-    amountApplied: { type: Number, required: true, min: 0 },
+    // Negativo sólo en kind "adjustment" (ej. crédito que sale de un
+    // período al reimputarlo, ver credit.service)
+    amountApplied: {
+      type: Number,
+      required: true,
+      validate: {
+        validator(v) {
+          if (v >= 0) return true;
+          return this.ownerDocument?.()?.kind === "adjustment";
+        },
+        message: "amountApplied negativo sólo en ajustes",
+      },
+    },
     statusAfter: { type: String, enum: ALLOC_STATUSES, required: true },
     memberId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "clientes",
       default: null,
-    }, // MVP: titular, V2: por integrante
+    }, // integrante al que se imputa (billingMode "member", ver debt-scope)
+    // "charge" = cuota del período; "surcharge" = recargo por mora;
+    // "writeoff" = condonación aprobada (ver writeoff.service)
+    concept: {
+      type: String,
+      enum: ["charge", "surcharge", "writeoff"],
+      default: "charge",
+    },
+  },
+  { _id: false }
+);
+
+// Imputación reemplazada por una re-imputación (ver reallocation.service)
+const AllocationRevisionSchema = new mongoose.Schema(
+  {
+    allocations: { type: [PaymentAllocationSchema], default: [] },
+    periodsApplied: { type: [String], default: [] },
+    receiptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Receipt",
+      default: null,
+    },
+    receiptNumber: { type: String, default: null },
+    reason: { type: String, trim: true },
+    replacedAt: { type: Date, required: true },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Plan anual: N cuotas adelantadas con descuento (ver prepayment.service)
+const PrepaymentSchema = new mongoose.Schema(
+  {
+    months: { type: Number, required: true },
+    discountPercent: { type: Number, required: true },
+    grossAmount: { type: Number, required: true }, // suma de cuotas sin descuento
+    discountAmount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// Movimiento de crédito de un ajuste (período origen → período destino)
+const CreditMoveSchema = new mongoose.Schema(
+  {
+    from: { type: String, required: true }, // "YYYY-MM"
+    to: { type: String, required: true }, // "YYYY-MM"
+    amount: { type: Number, required: true, min: 0 },
   },
   { _id: false }
 );
@@ -88,6 +150,14 @@ const PaymentSchema = new mongoose.Schema(
     // Idempotencia / referencias externas
     idempotencyKey: { type: String, required: true, unique: true },
     externalRef: { type: String, index: true }, // id POS/MP/ERP si aplica
+    clientGeneratedId: { type: String, trim: true, index: true, sparse: true }, // PWA offline
+
+    // Sincronización offline (cola del PWA del cobrador)
+    sync: {
+      offlineQueued: { type: Boolean, default: undefined },
+      syncedAt: { type: Date, default: undefined },
+      batchId: { type: String, default: undefined }, // id de la corrida de sync
+    },
     cashSessionId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "cashsessions",
@@ -101,8 +171,52 @@ const PaymentSchema = new mongoose.Schema(
       default: [],
     }, // desglose por períodos aplicado en este pago
 
+    // Imputaciones anteriores (re-imputaciones), de la más vieja a la última
+    allocationHistory: {
+      type: [AllocationRevisionSchema],
+      default: undefined,
+    },
+
     meta: {
       periodsApplied: { type: [String], default: [] }, // para filtros rápidos e informes
+
+      // Débito automático importado (Naranja / BNA)
+      source: { type: String, default: undefined }, // "naranja" | "bna" | "mercadopago"
+      imported: { type: Boolean, default: undefined },
+      autoDebitAttempt: { type: Boolean, default: undefined },
+      autoDebitApproved: { type: Boolean, default: undefined },
+      gatewayResultCode: { type: String, default: undefined },
+      attemptAt: { type: String, default: undefined },
+      importBatchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "debitimportbatches",
+        default: undefined,
+      },
+
+      // Cuota de plan de pagos (refinanciación)
+      paymentPlanId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "paymentplans",
+        default: undefined,
+      },
+
+      // Plan anual (pago adelantado con descuento)
+      prepayment: { type: PrepaymentSchema, default: undefined },
+
+      // Reimputación de crédito (kind "adjustment")
+      creditMoves: { type: [CreditMoveSchema], default: undefined },
+      trigger: { type: String, default: undefined }, // "manual" | "cron"
+
+      // Condonación aprobada (kind "adjustment", concept "writeoff")
+      writeOffId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "writeoffs",
+        default: undefined,
+      },
+
+      // Reversas
+      reason: { type: String, default: undefined },
+      periodsReopened: { type: [String], default: undefined },
     },
 
     // Metadata útil para campo
@@ -127,6 +241,8 @@ PaymentSchema.index({ "cliente.idCliente": 1, createdAt: -1 });
 PaymentSchema.index({ "collector.idCobrador": 1, createdAt: -1 });
 PaymentSchema.index({ status: 1, createdAt: -1 });
 PaymentSchema.index({ method: 1, createdAt: -1 });
+PaymentSchema.index({ "meta.importBatchId": 1 }, { sparse: true });
+PaymentSchema.index({ "meta.paymentPlanId": 1 }, { sparse: true });
 
 // ===== ETAPA 1.2: índices para consultas por período =====
 PaymentSchema.index({ "allocations.period": 1, createdAt: -1 });
@@ -0,0 +1,76 @@
+// src/models/period-charge.model.js
+import mongoose from "mongoose";
+
+/**
+ * Cargo facturado a un grupo en un período (snapshot de la corrida mensual).
+ *
+ * Congela el importe con el que se facturó el mes: si después cambia la
+ * cuota (reprice / increase-percent), los períodos ya facturados NO se
+ * recalculan. getClientPeriodState usa este importe cuando existe y cae a
+ * la cuota vigente sólo para períodos sin snapshot.
+ *
+ * source "prepayment": precio congelado por un plan anual (ver
+ * prepayment.service) — importe con descuento, ya cobrado por paymentId.
+ * La facturación mensual no lo pisa, ni siquiera con force. Si el período
+ * ya tenía snapshot, queda en `previous` y se restaura al reversar el pago.
+ */
+
+// Snapshot previo al plan anual (sin él, la fila se borra al liberar)
+const PreviousChargeSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, required: true },
+    quotaBase: { type: String, enum: ["cuota", "cuotaIdeal"] },
+    rulesVersion: { type: Number, default: 1 },
+    memberId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    source: { type: String, enum: ["billing_run", "manual"] },
+    runId: { type: String, default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+  },
+  { _id: false }
+);
+
+const PeriodChargeSchema = new mongoose.Schema(
+  {
+    idCliente: { type: Number, required: true },
+    period: { type: String, required: true }, // "YYYY-MM"
+
+    amount: { type: Number, required: true, min: 0 },
+    quotaBase: { type: String, enum: ["cuota", "cuotaIdeal"], required: true },
+    rulesVersion: { type: Number, default: 1 }, // GlobalSettings.priceRulesVersion
+
+    // Integrante del que se tomó la cuota (titular del grupo)
+    memberId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "clientes",
+      default: null,
+    },
+
+    source: {
+      type: String,
+      enum: ["billing_run", "manual", "prepayment"],
+      default: "billing_run",
+    },
+    runId: { type: String, default: null }, // corrida que lo generó
+    // Pago del plan anual que congeló el precio (source "prepayment")
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "payments",
+      default: null,
+    },
+    previous: { type: PreviousChargeSchema, default: null },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "userMemorial",
+      default: null,
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+// Un cargo por grupo y período
+PeriodChargeSchema.index({ idCliente: 1, period: 1 }, { unique: true });
+PeriodChargeSchema.index({ period: 1 });
+PeriodChargeSchema.index({ runId: 1 }, { sparse: true });
+PeriodChargeSchema.index({ paymentId: 1 }, { sparse: true });
+
+export default mongoose.model("periodcharges", PeriodChargeSchema);
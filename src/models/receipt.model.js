@@ -16,7 +16,25 @@ const ReceiptSchema = new mongoose.Schema(
     // opcionalmente signature también:
     signature: { type: mongoose.Schema.Types.Mixed, default: null },
 
+    // Saldo del grupo al emitir (cuotas + recargos hasta el período del
+    // cobro): se imprime siempre el mismo, aunque el PDF se regenere después
+    remainingBalance: { type: Number, default: null },
+
     voided: { type: Boolean, default: false },
+    voidedAt: { type: Date, default: null },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    voidReason: { type: String, default: null },
+
+    // Reemisión: recibo anterior del mismo pago (queda voided)
+    reissueOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Receipt",
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -33,10 +33,57 @@ const PriceRulesSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Calendario de facturación (lo lee debt.service vía billingSettings.provider)
+const BillingSettingsSchema = new mongoose.Schema(
+  {
+    goLivePeriod: { type: String, default: "2025-10" }, // "YYYY-MM"
+    dueDay: { type: Number, default: 1, min: 1, max: 28 },
+    // Inicio de facturación de cada grupo (campo del titular)
+    startField: {
+      type: String,
+      enum: ["createdAt", "ingreso", "vigencia"],
+      default: "createdAt",
+    },
+  },
+  { _id: false }
+);
+
+// Recargos por mora (punitorios) sobre períodos vencidos
+const SurchargeRulesSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    mode: { type: String, enum: ["fixed", "percent"], default: "percent" },
+    value: { type: Number, default: 0, min: 0 }, // $ o % por mes de atraso
+    graceDays: { type: Number, default: 10, min: 0 },
+    maxMonths: { type: Number, default: 0, min: 0 }, // 0 = sin tope
+    allocationOrder: {
+      type: String,
+      enum: ["surcharge_first", "capital_first"],
+      default: "surcharge_first",
+    },
+  },
+  { _id: false }
+);
+
+// Plan anual (pago adelantado de N cuotas con descuento)
+const PrepaymentRulesSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    months: { type: Number, default: 12, min: 2, max: 24 },
+    discountPercent: { type: Number, default: 0, min: 0, max: 50 },
+  },
+  { _id: false }
+);
+
 const GlobalSettingsSchema = new mongoose.Schema(
   {
     singleton: { type: String, unique: true, default: "GLOBAL" },
     priceRules: { type: PriceRulesSchema, default: () => ({}) },
+    // Se incrementa en cada cambio de reglas (queda en los PeriodCharge)
+    priceRulesVersion: { type: Number, default: 1 },
+    billing: { type: BillingSettingsSchema, default: () => ({}) },
+    surcharges: { type: SurchargeRulesSchema, default: () => ({}) },
+    prepayment: { type: PrepaymentRulesSchema, default: () => ({}) },
     updatedBy: { type: String },
   },
   { timestamps: true }
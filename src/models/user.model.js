@@ -50,6 +50,21 @@ const userSchema = new mongoose.Schema(
     // Recuperación de contraseña
     resetToken: String,
     resetTokenExpires: Date,
+
+    // 👪 Portal de clientes (rol "client"): grupo familiar vinculado
+    idCliente: { type: Number, index: true },
+    clienteId: { type: mongoose.Schema.Types.ObjectId, ref: "clientes" },
+    portalLinkedAt: Date,
+
+    // Vinculación pendiente: integrante (documento + socio + fecha de
+    // nacimiento) + código por email
+    portalLinkClienteId: { type: mongoose.Schema.Types.ObjectId },
+    portalLinkCode: String, // sha256 del código
+    portalLinkExpires: Date,
+    // Límite por ventana: pedidos de código e intentos fallidos
+    portalLinkWindowStart: Date,
+    portalLinkRequests: { type: Number, default: 0 },
+    portalLinkAttempts: { type: Number, default: 0 },
   },
   {
     timestamps: true,
@@ -60,6 +75,12 @@ const userSchema = new mongoose.Schema(
         delete ret.resetTokenExpires;
         delete ret.emailToken;
         delete ret.emailTokenExpiresAt;
+        delete ret.portalLinkClienteId;
+        delete ret.portalLinkCode;
+        delete ret.portalLinkExpires;
+        delete ret.portalLinkAttempts;
+        delete ret.portalLinkRequests;
+        delete ret.portalLinkWindowStart;
         delete ret.__v;
         return ret;
       },
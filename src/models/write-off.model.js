@@ -0,0 +1,63 @@
+// src/models/write-off.model.js
+import mongoose from "mongoose";
+
+/**
+ * Solicitud de condonación (write-off) de deuda de un grupo/integrante.
+ *
+ * Flujo: un admin la crea con motivo ("pending") y un superAdmin distinto
+ * la aprueba o rechaza. Al aprobarse se registra un Payment kind
+ * "adjustment" con allocations concept "writeoff" (paymentId) y su ledger
+ * contra la cuenta CONDONACIONES.
+ */
+
+const STATUSES = ["pending", "approved", "rejected"];
+
+const WriteOffPeriodSchema = new mongoose.Schema(
+  {
+    period: { type: String, required: true }, // "YYYY-MM"
+    amount: { type: Number, required: true, min: 0.01 },
+  },
+  { _id: false }
+);
+
+const WriteOffSchema = new mongoose.Schema(
+  {
+    idCliente: { type: Number, required: true, index: true },
+    memberId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "clientes",
+      required: true,
+      index: true,
+    },
+    status: { type: String, enum: STATUSES, default: "pending", index: true },
+
+    periods: { type: [WriteOffPeriodSchema], default: [] },
+    totalAmount: { type: Number, required: true, min: 0.01 },
+    reason: { type: String, required: true, trim: true },
+
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "userMemorial",
+      required: true,
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "userMemorial",
+      default: null,
+    },
+    decidedAt: { type: Date, default: null },
+    decisionNote: { type: String, default: null },
+
+    // Ajuste registrado al aprobar
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "payments",
+      default: null,
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+WriteOffSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model("writeoffs", WriteOffSchema);
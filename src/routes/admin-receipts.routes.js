@@ -6,7 +6,10 @@ import {
   adminOnly,
 } from "../middlewares/roles.js"; // ⬅️ TU archivo
 
-import { listAdminReceipts } from "../controllers/admin-receipts.controller.js";
+import {
+  listAdminReceipts,
+  voidAdminReceipt,
+} from "../controllers/admin-receipts.controller.js";
 
 const router = Router();
 
@@ -19,4 +22,13 @@ router.get(
   listAdminReceipts
 );
 
+// 🔹 Anulación de un recibo (motivo obligatorio) + reemisión opcional
+router.post(
+  "/adminReceipts/receipts/:id/void",
+  requireSession,
+  ensureUserLoaded,
+  adminOnly,
+  voidAdminReceipt
+);
+
 export default router;
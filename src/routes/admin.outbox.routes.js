@@ -5,7 +5,13 @@ import {
   ensureUserLoaded,
   adminOnly,
 } from "../middlewares/roles.js";
-import { listAdminOutbox } from "../controllers/admin.outbox.controller.js";
+import {
+  listAdminOutbox,
+  getAdminOutboxEvent,
+  retryAdminOutboxEvent,
+  bulkRequeueAdminOutbox,
+  discardAdminOutboxEvent,
+} from "../controllers/admin.outbox.controller.js";
 
 const router = Router();
 
@@ -21,4 +27,51 @@ router.get(
   listAdminOutbox
 );
 
+/**
+ * POST /admin/outbox/requeue
+ * Reencolado masivo por topic/status/fechas (dryRun=true → sólo cuenta)
+ */
+router.post(
+  "/admin/outbox/requeue",
+  requireSession,
+  ensureUserLoaded,
+  adminOnly,
+  bulkRequeueAdminOutbox
+);
+
+/**
+ * GET /admin/outbox/:id
+ * Evento completo (payload + historial de intentos)
+ */
+router.get(
+  "/admin/outbox/:id",
+  requireSession,
+  ensureUserLoaded,
+  adminOnly,
+  getAdminOutboxEvent
+);
+
+/**
+ * POST /admin/outbox/:id/retry
+ */
+router.post(
+  "/admin/outbox/:id/retry",
+  requireSession,
+  ensureUserLoaded,
+  adminOnly,
+  retryAdminOutboxEvent
+);
+
+/**
+ * POST /admin/outbox/:id/discard
+ * body: { reason }
+ */
+router.post(
+  "/admin/outbox/:id/discard",
+  requireSession,
+  ensureUserLoaded,
+  adminOnly,
+  discardAdminOutboxEvent
+);
+
 export default router;
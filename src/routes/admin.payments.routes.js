@@ -9,7 +9,42 @@ import {
 import {
   createAdminPayment,
   listAdminPayments, // 👈 nuevo import
+  reverseAdminPayment,
+  reallocateAdminPayment,
 } from "../controllers/admin.payments.controller.js";
+import {
+  openMyCashSession,
+  getMyCurrentCashSession,
+  closeMyCashSession,
+  listCashSessions,
+  getCashSessionDetail,
+} from "../controllers/cash-sessions.controller.js";
+import {
+  createPaymentPlan,
+  listPaymentPlans,
+  getPaymentPlan,
+  cancelPaymentPlanAdmin,
+} from "../controllers/admin.payment-plans.controller.js";
+import {
+  runBilling,
+  listPeriodCharges,
+} from "../controllers/admin.billing.controller.js";
+import {
+  previewClientCredit,
+  reconcileClientCreditAdmin,
+  runCreditReconciliationAdmin,
+} from "../controllers/admin.credit.controller.js";
+import {
+  createWriteOff,
+  listWriteOffs,
+  getWriteOff,
+  approveWriteOffAdmin,
+  rejectWriteOffAdmin,
+} from "../controllers/admin.write-offs.controller.js";
+import {
+  createMercadoPagoPreference,
+  getPaymentIntent,
+} from "../controllers/mercadopago.controller.js";
 
 const router = Router();
 
@@ -20,6 +55,100 @@ router.post("/pagos", requireSession, adminOnly, createAdminPayment);
 // Incluye pagos de oficina y de cobradores; se filtra por cliente, fechas, etc.
 router.get("/pagos", requireSession, adminOnly, listAdminPayments);
 
+// 🔹 Reversa de un pago (cualquier canal) → Payment reversal + Ledger espejo + Receipt anulado + Outbox
+router.post("/pagos/:id/reverse", requireSession, adminOnly, reverseAdminPayment);
+
+// 🔹 Re-imputación de un pago a otros períodos (sin tocar ledger) + recibo reemitido
+router.post(
+  "/pagos/:id/reallocate",
+  requireSession,
+  adminOnly,
+  reallocateAdminPayment
+);
+
+// 🔹 Cajas diarias
+// Caja propia del cajero de oficina (CAJA_ADMIN / CAJA_SUPERADMIN)
+router.get(
+  "/cash-sessions/current",
+  requireSession,
+  adminOnly,
+  getMyCurrentCashSession
+);
+router.post("/cash-sessions/open", requireSession, adminOnly, openMyCashSession);
+
+// Listado / detalle de todas las cajas (cobradores y oficina)
+router.get("/cash-sessions", requireSession, adminOnly, listCashSessions);
+router.get("/cash-sessions/:id", requireSession, adminOnly, getCashSessionDetail);
+
+// Cierre con conteo declarado (propia o de un cobrador)
+router.post(
+  "/cash-sessions/:id/close",
+  requireSession,
+  adminOnly,
+  closeMyCashSession
+);
+
+// 🔹 Planes de pago (refinanciación de grupos con 4+ meses de atraso)
+router.post("/payment-plans", requireSession, adminOnly, createPaymentPlan);
+router.get("/payment-plans", requireSession, adminOnly, listPaymentPlans);
+router.get("/payment-plans/:id", requireSession, adminOnly, getPaymentPlan);
+router.post(
+  "/payment-plans/:id/cancel",
+  requireSession,
+  adminOnly,
+  cancelPaymentPlanAdmin
+);
+
+// 🔹 Facturación mensual (cargo congelado por grupo y período)
+router.post("/billing/run", requireSession, superAdminOnly, runBilling);
+router.get("/billing/charges", requireSession, adminOnly, listPeriodCharges);
+
+// 🔹 Crédito a cuenta → períodos adeudados (ajuste auditable)
+router.get(
+  "/clientes/:id/credit",
+  requireSession,
+  adminOnly,
+  previewClientCredit
+);
+router.post(
+  "/clientes/:id/credit/reconcile",
+  requireSession,
+  adminOnly,
+  reconcileClientCreditAdmin
+);
+router.post(
+  "/credit/reconcile",
+  requireSession,
+  superAdminOnly,
+  runCreditReconciliationAdmin
+);
+
+// 🔹 Condonaciones (write-off): las pide un admin, las decide un superAdmin
+router.post("/write-offs", requireSession, adminOnly, createWriteOff);
+router.get("/write-offs", requireSession, adminOnly, listWriteOffs);
+router.get("/write-offs/:id", requireSession, adminOnly, getWriteOff);
+router.post(
+  "/write-offs/:id/approve",
+  requireSession,
+  superAdminOnly,
+  approveWriteOffAdmin
+);
+router.post(
+  "/write-offs/:id/reject",
+  requireSession,
+  superAdminOnly,
+  rejectWriteOffAdmin
+);
+
+// 🔹 Mercado Pago: link de pago por la deuda vencida del grupo
+router.post(
+  "/clientes/:id/mercadopago/preference",
+  requireSession,
+  adminOnly,
+  createMercadoPagoPreference
+);
+router.get("/payment-intents/:id", requireSession, adminOnly, getPaymentIntent);
+
 /**
  * ...aquí siguen/van el resto de rutas de arqueos
  *   router.get("/arqueos/...", requireSession, adminOnly, ... )
@@ -75,6 +75,8 @@ router.post(
  *   applyToIdeal: boolean,
  *   applyToHistorical: boolean,
  * }
+ * Sólo cambia la cuota vigente: los períodos facturados o pagados por plan
+ * anual mantienen su precio (PeriodCharge).
  */
 router.post(
   "/increase-percent",
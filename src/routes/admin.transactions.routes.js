@@ -4,6 +4,18 @@ import {
   listAllPayments,
   importNaranjaResultFile,
   importBancoNacionResultFile,
+  previewNaranjaResultFile,
+  confirmNaranjaImport,
+  previewBancoNacionResultFile,
+  confirmBancoNacionImport,
+  listDebitImportBatches,
+  getDebitImportBatch,
+  undoDebitImportBatch,
+  generateNaranjaPresentationFile,
+  generateBancoNacionPresentationFile,
+  listDebitPresentations,
+  getDebitPresentation,
+  downloadDebitPresentationFile,
 } from "../controllers/admin.transactions.controller.js";
 import {
   requireSession,
@@ -50,4 +62,110 @@ router.post(
   importBancoNacionResultFile
 );
 
+// Vista previa (dry-run) + confirmación con token
+// preview: campo "file" → { token, data: reporte } (no escribe pagos)
+// confirm: body { token } → importa el archivo previsualizado
+router.post(
+  "/import-naranja/preview",
+  requireSession,
+  ensureUserLoaded,
+  adminOnly,
+  upload.single("file"),
+  previewNaranjaResultFile
+);
+
+router.post(
+  "/import-naranja/confirm",
+  requireSession,
+  ensureUserLoaded,
+  adminOnly,
+  confirmNaranjaImport
+);
+
+router.post(
+  "/import-bna/preview",
+  requireSession,
+  ensureUserLoaded,
+  adminOnly,
+  upload.single("file"),
+  previewBancoNacionResultFile
+);
+
+router.post(
+  "/import-bna/confirm",
+  requireSession,
+  ensureUserLoaded,
+  adminOnly,
+  confirmBancoNacionImport
+);
+
+// Historial de lotes importados (hash, quién subió, pagos generados)
+router.get(
+  "/import-batches",
+  requireSession,
+  ensureUserLoaded,
+  adminOnly,
+  listDebitImportBatches
+);
+
+router.get(
+  "/import-batches/:id",
+  requireSession,
+  ensureUserLoaded,
+  adminOnly,
+  getDebitImportBatch
+);
+
+// Deshacer lote: revierte todos sus pagos. body: { reason }
+router.post(
+  "/import-batches/:id/undo",
+  requireSession,
+  ensureUserLoaded,
+  adminOnly,
+  undoDebitImportBatch
+);
+
+// Generar archivo de presentación (lo que ENVIAMOS a Naranja / BNA)
+// body: { period: "YYYY-MM", dueDate?: "YYYY-MM-DD", force?: boolean }
+router.post(
+  "/presentation-naranja",
+  requireSession,
+  ensureUserLoaded,
+  adminOnly,
+  generateNaranjaPresentationFile
+);
+
+router.post(
+  "/presentation-bna",
+  requireSession,
+  ensureUserLoaded,
+  adminOnly,
+  generateBancoNacionPresentationFile
+);
+
+// Lotes de presentación generados (qué grupos entraron y su resultado)
+router.get(
+  "/presentations",
+  requireSession,
+  ensureUserLoaded,
+  adminOnly,
+  listDebitPresentations
+);
+
+router.get(
+  "/presentations/:id",
+  requireSession,
+  ensureUserLoaded,
+  adminOnly,
+  getDebitPresentation
+);
+
+router.get(
+  "/presentations/:id/file",
+  requireSession,
+  ensureUserLoaded,
+  adminOnly,
+  downloadDebitPresentationFile
+);
+
 export default router;
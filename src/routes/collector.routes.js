@@ -13,13 +13,33 @@ import {
 import {
   listCollectorPayments,
   createCollectorPayment,
-  // reverseCollectorPayment, // ⬅️ cuando lo implementes, descomentar
+  reverseCollectorPayment,
 } from "../controllers/collector.payments.controller.js";
 
+// Sincronización offline (PWA)
+import {
+  syncCollectorPaymentsBatch,
+  getCollectorSyncDelta,
+} from "../controllers/collector.sync.controller.js";
+
+// QR dinámico de Mercado Pago
+import {
+  createCollectorQrIntentHandler,
+  getCollectorQrIntent,
+} from "../controllers/mercadopago.controller.js";
+
+// Caja diaria del cobrador
+import {
+  openMyCashSession,
+  getMyCurrentCashSession,
+  closeMyCashSession,
+} from "../controllers/cash-sessions.controller.js";
+
 // Recibos (solo lectura para cobradores) ⬅️ NUEVO
 import {
   listCollectorReceipts, // GET /collector/receipts
   streamCollectorReceiptPdf, // GET /collector/receipts/:id/pdf  (opcional)
+  getCollectorReceipt, // GET /collector/receipts/:id?format=
 } from "../controllers/collector.receipts.controller.js";
 
 import {
@@ -85,15 +105,89 @@ router.post(
   createCollectorPayment
 );
 
-// // POST /collector/pagos/:id/reverse → reversa un pago (cuando implementes el controller)
-// router.post(
-//   "/pagos/:id/reverse",
-//   requireSession,
-//   ensureUserLoaded,
-//   ensureCollectorLoaded,
-//   cobradorOnly,
-//   reverseCollectorPayment
-// );
+// POST /collector/pagos/batch → cola offline del PWA (resultado por ítem)
+router.post(
+  "/pagos/batch",
+  requireSession,
+  ensureUserLoaded,
+  ensureCollectorLoaded,
+  cobradorOnly,
+  syncCollectorPaymentsBatch
+);
+
+// GET /collector/sync/delta?since=<cursor> → clientes y deuda cambiados
+router.get(
+  "/sync/delta",
+  requireSession,
+  ensureUserLoaded,
+  ensureCollectorLoaded,
+  cobradorOnly,
+  getCollectorSyncDelta
+);
+
+// POST /collector/pagos/:id/reverse → reversa un pago propio (Payment reversal + Ledger espejo + Receipt anulado + Outbox)
+router.post(
+  "/pagos/:id/reverse",
+  requireSession,
+  ensureUserLoaded,
+  ensureCollectorLoaded,
+  cobradorOnly,
+  reverseCollectorPayment
+);
+
+/* ──────────────────── QR dinámico (Mercado Pago) ──────────────────── */
+
+// POST /collector/qr-intents → genera el QR por la deuda del cliente { clienteId, amount? }
+router.post(
+  "/qr-intents",
+  requireSession,
+  ensureUserLoaded,
+  ensureCollectorLoaded,
+  cobradorOnly,
+  createCollectorQrIntentHandler
+);
+
+// GET /collector/qr-intents/:id → polling: pending | approved (+ pago y recibo) | …
+router.get(
+  "/qr-intents/:id",
+  requireSession,
+  ensureUserLoaded,
+  ensureCollectorLoaded,
+  cobradorOnly,
+  getCollectorQrIntent
+);
+
+/* ──────────────────────── Caja diaria ──────────────────────── */
+
+// GET /collector/cash-sessions/current → caja abierta + totales en vivo
+router.get(
+  "/cash-sessions/current",
+  requireSession,
+  ensureUserLoaded,
+  ensureCollectorLoaded,
+  cobradorOnly,
+  getMyCurrentCashSession
+);
+
+// POST /collector/cash-sessions/open → abre caja { openingFloat?, notes? }
+router.post(
+  "/cash-sessions/open",
+  requireSession,
+  ensureUserLoaded,
+  ensureCollectorLoaded,
+  cobradorOnly,
+  openMyCashSession
+);
+
+// POST /collector/cash-sessions/:id/close → cierra con conteo { declaredAmount, notes? }
+router.post(
+  "/cash-sessions/:id/close",
+  requireSession,
+  ensureUserLoaded,
+  ensureCollectorLoaded,
+  cobradorOnly,
+  closeMyCashSession
+);
 
 /* ────────────────────────── Recibos ────────────────────────── */
 /**
@@ -124,6 +218,20 @@ router.get(
   streamCollectorReceiptPdf
 );
 
+/**
+ * GET /collector/receipts/:id?format=json|pdf|thermal|escpos&paper=58|80
+ * Recibo en el formato pedido: datos, A4, PDF térmico o ESC/POS para
+ * imprimir en el momento con la impresora Bluetooth del cobrador.
+ */
+router.get(
+  "/receipts/:id",
+  requireSession,
+  ensureUserLoaded,
+  ensureCollectorLoaded,
+  cobradorOnly,
+  getCollectorReceipt
+);
+
 router.get(
   "/summary",
   requireSession,
@@ -0,0 +1,95 @@
+// src/routes/portal.routes.js
+import { Router } from "express";
+
+import {
+  requestPortalLinkHandler,
+  confirmPortalLinkHandler,
+  unlinkPortalHandler,
+  getPortalGroup,
+  getPortalDebt,
+  listPortalPayments,
+  streamPortalReceiptPdf,
+} from "../controllers/portal.controller.js";
+import {
+  requireSession,
+  ensureUserLoaded,
+  clientOnly,
+  portalAccountOnly,
+  ensurePortalLinked,
+} from "../middlewares/roles.js";
+
+const router = Router();
+
+/* ─────────────────── Vinculación de la cuenta ─────────────────── */
+
+// POST /portal/link/request → manda el código al email
+//   { documento, idCliente, fechaNac }
+router.post(
+  "/link/request",
+  requireSession,
+  ensureUserLoaded,
+  portalAccountOnly,
+  requestPortalLinkHandler
+);
+
+// POST /portal/link/confirm → vincula con el código { code }
+router.post(
+  "/link/confirm",
+  requireSession,
+  ensureUserLoaded,
+  portalAccountOnly,
+  confirmPortalLinkHandler
+);
+
+// DELETE /portal/link → desvincula la cuenta del grupo
+router.delete(
+  "/link",
+  requireSession,
+  ensureUserLoaded,
+  clientOnly,
+  unlinkPortalHandler
+);
+
+/* ───────────────── Datos del grupo (solo el propio) ───────────────── */
+
+// GET /portal/me → grupo familiar vinculado
+router.get(
+  "/me",
+  requireSession,
+  ensureUserLoaded,
+  clientOnly,
+  ensurePortalLinked,
+  getPortalGroup
+);
+
+// GET /portal/debt → deuda por período (getClientPeriodState)
+router.get(
+  "/debt",
+  requireSession,
+  ensureUserLoaded,
+  clientOnly,
+  ensurePortalLinked,
+  getPortalDebt
+);
+
+// GET /portal/payments → historial de pagos del grupo
+router.get(
+  "/payments",
+  requireSession,
+  ensureUserLoaded,
+  clientOnly,
+  ensurePortalLinked,
+  listPortalPayments
+);
+
+// GET /portal/receipts/:id/pdf → PDF de un recibo del grupo
+router.get(
+  "/receipts/:id/pdf",
+  requireSession,
+  ensureUserLoaded,
+  clientOnly,
+  ensurePortalLinked,
+  streamPortalReceiptPdf
+);
+
+export default router;
@@ -0,0 +1,10 @@
+// src/routes/public.routes.js
+import { Router } from "express";
+import { verifyReceiptPublic } from "../controllers/public.receipts.controller.js";
+
+const router = Router();
+
+// 🔹 Verificación del QR firmado de un recibo (sin sesión)
+router.get("/receipts/verify", verifyReceiptPublic);
+
+export default router;
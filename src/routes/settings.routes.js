@@ -4,6 +4,17 @@ import {
   getGlobalPriceRules,
   updateGlobalPriceRules,
 } from "../services/priceRules.provider.js";
+import {
+  BILLING_START_FIELDS,
+  getBillingSettings,
+  updateBillingSettings,
+  getSurchargeRules,
+  updateSurchargeRules,
+  getPrepaymentRules,
+  updatePrepaymentRules,
+} from "../services/billingSettings.provider.js";
+import Cliente from "../models/client.model.js";
+import { BILLING_MODES } from "../services/debt-scope.service.js";
 
 // Helpers simples de auth/roles (usamos los tuyos)
 function requireAuth(req, res, next) {
@@ -70,6 +81,217 @@ router.put("/price-rules", requireAuth, requireSuperAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/settings/billing
+ * Calendario de facturación vigente: { goLivePeriod, dueDay, startField }
+ */
+router.get("/billing", requireAuth, async (_req, res) => {
+  try {
+    const billing = await getBillingSettings({ force: true });
+    res.json({ ok: true, billing, startFields: BILLING_START_FIELDS });
+  } catch (err) {
+    res.status(err?.status || 500).json({
+      ok: false,
+      message: err?.message || "Error al obtener calendario",
+    });
+  }
+});
+
+/**
+ * PUT /api/settings/billing
+ * Body: { billing: {...} }  o directamente { goLivePeriod?, dueDay?, startField? }
+ * Merge con lo vigente; devuelve el calendario efectivo.
+ */
+router.put("/billing", requireAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const incoming = req.body?.billing ?? req.body;
+    if (!incoming || typeof incoming !== "object" || Array.isArray(incoming)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Payload inválido: se esperaba un objeto 'billing'.",
+      });
+    }
+    const by = req?.user?._id || req?.user?.id || null;
+    const billing = await updateBillingSettings(incoming, { by });
+    res.json({ ok: true, billing });
+  } catch (err) {
+    res.status(err?.status || 500).json({
+      ok: false,
+      message: err?.message || "Error al actualizar calendario",
+      details: err?.details,
+    });
+  }
+});
+
+/**
+ * GET /api/settings/surcharges
+ * Recargos por mora vigentes:
+ * { enabled, mode, value, graceDays, maxMonths, allocationOrder }
+ */
+router.get("/surcharges", requireAuth, async (_req, res) => {
+  try {
+    const surcharges = await getSurchargeRules({ force: true });
+    res.json({ ok: true, surcharges });
+  } catch (err) {
+    res.status(err?.status || 500).json({
+      ok: false,
+      message: err?.message || "Error al obtener recargos",
+    });
+  }
+});
+
+/**
+ * PUT /api/settings/surcharges
+ * Body: { surcharges: {...} }  o directamente {...}
+ * Merge con lo vigente; devuelve las reglas efectivas.
+ */
+router.put("/surcharges", requireAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const incoming = req.body?.surcharges ?? req.body;
+    if (!incoming || typeof incoming !== "object" || Array.isArray(incoming)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Payload inválido: se esperaba un objeto 'surcharges'.",
+      });
+    }
+    const by = req?.user?._id || req?.user?.id || null;
+    const surcharges = await updateSurchargeRules(incoming, { by });
+    res.json({ ok: true, surcharges });
+  } catch (err) {
+    res.status(err?.status || 500).json({
+      ok: false,
+      message: err?.message || "Error al actualizar recargos",
+      details: err?.details,
+    });
+  }
+});
+
+/**
+ * GET /api/settings/prepayment
+ * Plan anual (pago adelantado) vigente: { enabled, months, discountPercent }
+ */
+router.get("/prepayment", requireAuth, async (_req, res) => {
+  try {
+    const prepayment = await getPrepaymentRules({ force: true });
+    res.json({ ok: true, prepayment });
+  } catch (err) {
+    res.status(err?.status || 500).json({
+      ok: false,
+      message: err?.message || "Error al obtener el plan anual",
+    });
+  }
+});
+
+/**
+ * PUT /api/settings/prepayment
+ * Body: { prepayment: {...} }  o directamente {...}
+ * Merge con lo vigente; devuelve las reglas efectivas.
+ */
+router.put("/prepayment", requireAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const incoming = req.body?.prepayment ?? req.body;
+    if (!incoming || typeof incoming !== "object" || Array.isArray(incoming)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Payload inválido: se esperaba un objeto 'prepayment'.",
+      });
+    }
+    const by = req?.user?._id || req?.user?.id || null;
+    const prepayment = await updatePrepaymentRules(incoming, { by });
+    res.json({ ok: true, prepayment });
+  } catch (err) {
+    res.status(err?.status || 500).json({
+      ok: false,
+      message: err?.message || "Error al actualizar el plan anual",
+      details: err?.details,
+    });
+  }
+});
+
+/**
+ * PUT /api/settings/billing/groups/:idCliente
+ * Body: { startField?: "createdAt" | "ingreso" | "vigencia" | null,
+ *         billingMode?: "group" | "member" }
+ * Override por grupo del inicio de facturación (se guarda en el titular;
+ * null vuelve al setting global) y alcance de la deuda: "group" suma los
+ * pagos de todo el grupo, "member" factura cada integrante aparte.
+ */
+router.put(
+  "/billing/groups/:idCliente",
+  requireAuth,
+  requireSuperAdmin,
+  async (req, res) => {
+    try {
+      const idCliente = Number(req.params.idCliente);
+      const body = req.body || {};
+      const hasMode = body.billingMode !== undefined;
+      // sin billingMode, el body es sólo startField (null = global)
+      const hasStart = body.startField !== undefined || !hasMode;
+      const startField = body.startField ?? null;
+      if (!Number.isFinite(idCliente)) {
+        return res.status(400).json({ ok: false, message: "idCliente inválido" });
+      }
+      if (
+        hasStart &&
+        startField !== null &&
+        !BILLING_START_FIELDS.includes(startField)
+      ) {
+        return res.status(400).json({
+          ok: false,
+          message: `startField debe ser null o uno de: ${BILLING_START_FIELDS.join(", ")}`,
+        });
+      }
+      if (hasMode && !BILLING_MODES.includes(body.billingMode)) {
+        return res.status(400).json({
+          ok: false,
+          message: `billingMode debe ser uno de: ${BILLING_MODES.join(", ")}`,
+        });
+      }
+
+      const titular = await Cliente.findOne({ idCliente })
+        .sort({ integrante: 1, _id: 1 })
+        .select(
+          "_id idCliente createdAt ingreso vigencia billingStartField billingMode"
+        )
+        .lean();
+      if (!titular) {
+        return res
+          .status(404)
+          .json({ ok: false, message: "Grupo no encontrado" });
+      }
+
+      const $set = {};
+      if (hasStart) $set.billingStartField = startField;
+      if (hasMode) $set.billingMode = body.billingMode;
+      await Cliente.updateOne({ _id: titular._id }, { $set });
+
+      res.json({
+        ok: true,
+        data: {
+          idCliente,
+          memberId: titular._id,
+          billingStartField: hasStart
+            ? startField
+            : titular.billingStartField ?? null,
+          billingMode: hasMode
+            ? body.billingMode
+            : titular.billingMode || "group",
+          dates: {
+            createdAt: titular.createdAt || null,
+            ingreso: titular.ingreso || null,
+            vigencia: titular.vigencia || null,
+          },
+        },
+      });
+    } catch (err) {
+      res.status(err?.status || 500).json({
+        ok: false,
+        message: err?.message || "Error al actualizar grupo",
+      });
+    }
+  }
+);
+
 /* =================== OPCIONALES: tareas de mantenimiento ===================
 
 import { recomputeAllGroups, recomputeGroupPricing } from "../services/pricing.services.js";
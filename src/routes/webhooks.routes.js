@@ -0,0 +1,10 @@
+// src/routes/webhooks.routes.js
+import { Router } from "express";
+import { mercadoPagoWebhook } from "../controllers/mercadopago.controller.js";
+
+const router = Router();
+
+// 🔹 Notificaciones de Mercado Pago (sin sesión: se valida x-signature)
+router.post("/mercadopago", mercadoPagoWebhook);
+
+export default router;
@@ -17,38 +17,63 @@ export async function buildAllocationsAuto(
   const todayP = toYYYYMM(new Date());
 
   // Estado de períodos: hasta hoy + futuros
-  const { periods, meta } = await getClientPeriodState(clienteDoc, {
-    includeFuture: Math.max(1, includeFuture),
-  });
+  const { periods, surcharges = [], meta } = await getClientPeriodState(
+    clienteDoc,
+    { includeFuture: Math.max(1, includeFuture) }
+  );
 
   let remaining = payAmount;
   const allocations = [];
 
-  // 1) Cubrir due/partial en orden cronológico
-  for (const p of periods) {
+  // 1) Cubrir due/partial (y recargos por mora) en orden cronológico.
+  //    Orden según meta.surchargeOrder: recargo antes que la cuota de su
+  //    período ("surcharge_first") o todas las cuotas primero.
+  const capitalLines = periods
+    .filter((p) => p.status === "due" || p.status === "partial")
+    .map((p) => ({ period: p.period, balance: p.balance }));
+  const surchargeLines = surcharges
+    .filter((r) => r.balance > 0)
+    .map((r) => ({
+      period: r.period,
+      balance: r.balance,
+      concept: "surcharge",
+    }));
+
+  const lines =
+    meta?.surchargeOrder === "capital_first"
+      ? [...capitalLines, ...surchargeLines]
+      : periods.flatMap((p) => [
+          ...surchargeLines.filter((r) => r.period === p.period),
+          ...capitalLines.filter((c) => c.period === p.period),
+        ]);
+
+  for (const line of lines) {
     if (remaining <= 0) break;
-    if (p.status !== "due" && p.status !== "partial") continue;
 
-    const apply = Math.min(remaining, p.balance);
+    const apply = Math.min(remaining, line.balance);
     if (apply <= 0) continue;
 
     remaining -= apply;
-    const statusAfter = p.balance - apply === 0 ? "paid" : "partial";
+    const statusAfter = line.balance - apply === 0 ? "paid" : "partial";
     allocations.push({
-      period: p.period,
+      period: line.period,
       amountApplied: apply,
       statusAfter,
       memberId: clienteDoc._id,
+      ...(line.concept ? { concept: line.concept } : {}),
     });
   }
 
   // 2) Si sobra, aplicar a período(s) futuros comenzando por el inmediato
   if (remaining > 0) {
-    // Tomamos el primer futuro: nextPeriod(hoy) (o último futuro de periods si ya viene calculado)
-    const lastPeriod = periods[periods.length - 1]?.period || todayP;
-    const firstFuture = nextPeriod(toYYYYMM(new Date())); // futuro inmediato desde hoy
+    // Primer futuro sin cubrir (los que ya tienen crédito quedan atrás)
+    const futureRows = periods.filter((p) => p.period > (meta?.end || todayP));
+    const openFuture = futureRows.find(
+      (p) => p.status === "future" || Number(p.balance) > 0
+    );
     const targetFuture =
-      lastPeriod > firstFuture ? nextPeriod(lastPeriod) : firstFuture;
+      openFuture?.period ||
+      nextPeriod(futureRows[futureRows.length - 1]?.period || todayP);
 
     allocations.push({
       period: targetFuture,
@@ -58,7 +83,7 @@ export async function buildAllocationsAuto(
     });
   }
 
-  const periodsApplied = allocations.map((a) => a.period);
+  const periodsApplied = Array.from(new Set(allocations.map((a) => a.period)));
   return {
     allocations,
     periodsApplied,
@@ -68,8 +93,8 @@ export async function buildAllocationsAuto(
 }
 
 /**
- * breakdown: [{ period:"YYYY-MM", amount:Number }]
- * Regla: suma <= total; amounts > 0; períodos únicos
+ * breakdown: [{ period:"YYYY-MM", amount:Number, concept?:"surcharge" }]
+ * Regla: suma <= total; amounts > 0; períodos únicos (por concepto)
  */
 export function applyManualBreakdown(clienteDoc, total, breakdown = []) {
   const payAmount = ensurePositive(total);
@@ -84,12 +109,15 @@ export function applyManualBreakdown(clienteDoc, total, breakdown = []) {
   for (const row of breakdown) {
     const period = String(row?.period || "").trim();
     const amount = ensurePositive(row?.amount);
+    // concept "surcharge" → recargo por mora del período
+    const concept = row?.concept === "surcharge" ? "surcharge" : null;
+    const key = concept ? `${period}:${concept}` : period;
 
     if (!/^\d{4}-\d{2}$/.test(period))
       throw new Error(`Periodo inválido: ${period}`);
-    if (seen.has(period))
+    if (seen.has(key))
       throw new Error(`Periodo duplicado en breakdown: ${period}`);
-    seen.add(period);
+    seen.add(key);
 
     sum += amount;
     allocations.push({
@@ -97,11 +125,12 @@ export function applyManualBreakdown(clienteDoc, total, breakdown = []) {
       amountApplied: amount,
       statusAfter: "partial", // se recalcula visualmente con debt.service, pero persistimos partial por seguridad conservadora
       memberId: clienteDoc._id,
+      ...(concept ? { concept } : {}),
     });
   }
 
   if (sum > payAmount) throw new Error("La suma del breakdown supera el total");
 
-  const periodsApplied = allocations.map((a) => a.period);
+  const periodsApplied = Array.from(new Set(allocations.map((a) => a.period)));
   return { allocations, periodsApplied };
 }
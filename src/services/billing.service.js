@@ -0,0 +1,144 @@
+// src/services/billing.service.js
+/**
+ * Facturación mensual: snapshot del cargo de cada grupo por período.
+ *
+ * API expuesta:
+ *  - runMonthlyBilling({ period?, force?, idClientes?, by? })
+ *
+ * Reglas:
+ *  - Un PeriodCharge por grupo (idCliente) y período.
+ *  - Importe = cuota vigente del titular (cuota / cuotaIdeal según
+ *    usarCuotaIdeal) al momento de la corrida, + versión de reglas.
+ *  - Sin force, los períodos ya facturados NO se tocan (re-correr es seguro).
+ *  - Los precios congelados por un plan anual (source "prepayment") no se
+ *    tocan nunca.
+ */
+
+import crypto from "crypto";
+
+import Cliente from "../models/client.model.js";
+import PeriodCharge from "../models/period-charge.model.js";
+import { getQuotaFor } from "./debt.service.js";
+import { getGlobalPriceRules } from "./priceRules.provider.js";
+import { toYYYYMM, PERIOD_RE } from "./periods.util.js";
+import { enqueue } from "./outbox.service.js";
+
+const BULK_SIZE = 500;
+
+/** Error con status HTTP + code (lo traducen los controllers) */
+function billingError(status, code, message) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+/**
+ * Corre la facturación de un período para todos los grupos activos
+ * (o sólo idClientes).
+ * return: { runId, period, rulesVersion, groups, created, updated, skipped }
+ */
+export async function runMonthlyBilling({
+  period,
+  force = false,
+  idClientes = null,
+  by = null,
+} = {}) {
+  const currentP = toYYYYMM(new Date());
+  const target = period ? String(period).trim() : currentP;
+  if (!PERIOD_RE.test(target)) {
+    throw billingError(400, "INVALID_PERIOD", "period inválido (YYYY-MM).");
+  }
+  if (target > currentP) {
+    throw billingError(
+      400,
+      "PERIOD_IN_FUTURE",
+      "No se puede facturar un período futuro."
+    );
+  }
+
+  const rules = await getGlobalPriceRules({ force: true });
+  const rulesVersion = Number(rules?._version) || 1;
+  const runId = `bill_${target}_${Date.now()}_${crypto
+    .randomBytes(3)
+    .toString("hex")}`;
+
+  const match = { idCliente: { $ne: null }, activo: { $ne: false } };
+  if (Array.isArray(idClientes) && idClientes.length) {
+    match.idCliente = {
+      $in: idClientes.map(Number).filter(Number.isFinite),
+    };
+  }
+
+  // Titular (menor integrante) de cada grupo
+  const titulares = await Cliente.aggregate([
+    { $match: match },
+    { $sort: { idCliente: 1, integrante: 1, _id: 1 } },
+    {
+      $group: {
+        _id: "$idCliente",
+        memberId: { $first: "$_id" },
+        usarCuotaIdeal: { $first: "$usarCuotaIdeal" },
+        cuota: { $first: "$cuota" },
+        cuotaIdeal: { $first: "$cuotaIdeal" },
+      },
+    },
+  ]).allowDiskUse(true);
+
+  // Grupos con el período ya cobrado por plan anual (precio congelado)
+  const locked = new Set(
+    force
+      ? await PeriodCharge.distinct("idCliente", {
+          period: target,
+          source: "prepayment",
+        })
+      : []
+  );
+
+  const out = {
+    runId,
+    period: target,
+    rulesVersion,
+    groups: titulares.length,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+  };
+
+  for (let i = 0; i < titulares.length; i += BULK_SIZE) {
+    const ops = titulares.slice(i, i + BULK_SIZE).map((t) => {
+      const fields = {
+        amount: getQuotaFor(t),
+        quotaBase: t.usarCuotaIdeal ? "cuotaIdeal" : "cuota",
+        rulesVersion,
+        memberId: t.memberId,
+        source: "billing_run",
+        runId,
+        createdBy: by || null,
+      };
+      return {
+        updateOne: {
+          filter: { idCliente: Number(t._id), period: target },
+          update:
+            force && !locked.has(Number(t._id))
+              ? { $set: fields }
+              : { $setOnInsert: fields },
+          upsert: true,
+        },
+      };
+    });
+
+    const r = await PeriodCharge.bulkWrite(ops, { ordered: false });
+    const created = r.upsertedCount || 0;
+    const updated = force ? r.modifiedCount || 0 : 0;
+    out.created += created;
+    out.updated += updated;
+    out.skipped += ops.length - created - updated;
+  }
+
+  await enqueue("billing.run.completed", { ...out, force: Boolean(force) });
+
+  return out;
+}
+
+export default { runMonthlyBilling };
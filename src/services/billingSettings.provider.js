@@ -0,0 +1,339 @@
+// src/services/billingSettings.provider.js  (ESM)
+// Calendario de facturación + recargos por mora + plan anual (GlobalSettings)
+
+let _cache = null;
+let _cacheAt = 0;
+const TTL_MS = 60_000;
+
+const PERIOD_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/** Campos del titular que pueden marcar el inicio de facturación del grupo */
+export const BILLING_START_FIELDS = ["createdAt", "ingreso", "vigencia"];
+
+/** Calendario por defecto (coincide con lo que estaba fijo en debt.service) */
+export const DEFAULT_BILLING_SETTINGS = {
+  goLivePeriod: "2025-10", // primer período facturable del sistema
+  dueDay: 1, // antes de este día, el mes corriente está "open" (no due)
+  startField: "createdAt", // de dónde sale el inicio de cada grupo
+};
+
+/**
+ * Recargos por mora (punitorios) por defecto: apagados.
+ *  - mode "fixed":   value $ por mes de atraso
+ *  - mode "percent": value % de la cuota del período por mes de atraso
+ *  - graceDays:      días después del vencimiento sin recargo
+ *  - maxMonths:      tope de meses que devengan (0 = sin tope)
+ *  - allocationOrder "surcharge_first": en cada período, recargo antes
+ *                    que la cuota; "capital_first": todas las cuotas
+ *                    primero y después los recargos
+ */
+export const SURCHARGE_MODES = ["fixed", "percent"];
+export const SURCHARGE_ORDERS = ["surcharge_first", "capital_first"];
+export const DEFAULT_SURCHARGE_RULES = {
+  enabled: false,
+  mode: "percent",
+  value: 0,
+  graceDays: 10,
+  maxMonths: 0,
+  allocationOrder: "surcharge_first",
+};
+
+/**
+ * Plan anual (pago adelantado) por defecto: apagado.
+ *  - months:          cuotas que se adelantan (2..24)
+ *  - discountPercent: % de descuento sobre la cuota de cada período (0..50)
+ */
+export const DEFAULT_PREPAYMENT_RULES = {
+  enabled: false,
+  months: 12,
+  discountPercent: 0,
+};
+
+function isFresh() {
+  return Date.now() - _cacheAt < TTL_MS;
+}
+
+function normalizeBillingSettings(raw = {}) {
+  const goLivePeriod = String(
+    raw?.goLivePeriod ?? DEFAULT_BILLING_SETTINGS.goLivePeriod
+  ).trim();
+  const dueDay = Math.floor(
+    Number(raw?.dueDay ?? DEFAULT_BILLING_SETTINGS.dueDay)
+  );
+  const startField = String(
+    raw?.startField ?? DEFAULT_BILLING_SETTINGS.startField
+  ).trim();
+  return { goLivePeriod, dueDay, startField };
+}
+
+function validateBillingSettings(s) {
+  const errors = [];
+  if (!PERIOD_RE.test(s.goLivePeriod)) {
+    errors.push("goLivePeriod debe tener formato YYYY-MM");
+  }
+  if (!Number.isFinite(s.dueDay) || s.dueDay < 1 || s.dueDay > 28) {
+    errors.push("dueDay debe ser un entero entre 1 y 28");
+  }
+  if (!BILLING_START_FIELDS.includes(s.startField)) {
+    errors.push(
+      `startField debe ser uno de: ${BILLING_START_FIELDS.join(", ")}`
+    );
+  }
+  return { ok: errors.length === 0, errors };
+}
+
+function normalizeSurchargeRules(raw = {}) {
+  const d = DEFAULT_SURCHARGE_RULES;
+  return {
+    enabled: raw?.enabled === true || raw?.enabled === "true",
+    mode: String(raw?.mode ?? d.mode).trim(),
+    value: Number(raw?.value ?? d.value),
+    graceDays: Math.floor(Number(raw?.graceDays ?? d.graceDays)),
+    maxMonths: Math.floor(Number(raw?.maxMonths ?? d.maxMonths)),
+    allocationOrder: String(raw?.allocationOrder ?? d.allocationOrder).trim(),
+  };
+}
+
+function validateSurchargeRules(r) {
+  const errors = [];
+  if (!SURCHARGE_MODES.includes(r.mode)) {
+    errors.push(`mode debe ser uno de: ${SURCHARGE_MODES.join(", ")}`);
+  }
+  if (!Number.isFinite(r.value) || r.value < 0) {
+    errors.push("value debe ser un número ≥ 0");
+  }
+  if (r.mode === "percent" && r.value > 100) {
+    errors.push("value (percent) no puede superar 100");
+  }
+  if (!Number.isFinite(r.graceDays) || r.graceDays < 0) {
+    errors.push("graceDays debe ser un entero ≥ 0");
+  }
+  if (!Number.isFinite(r.maxMonths) || r.maxMonths < 0) {
+    errors.push("maxMonths debe ser un entero ≥ 0 (0 = sin tope)");
+  }
+  if (!SURCHARGE_ORDERS.includes(r.allocationOrder)) {
+    errors.push(
+      `allocationOrder debe ser uno de: ${SURCHARGE_ORDERS.join(", ")}`
+    );
+  }
+  return { ok: errors.length === 0, errors };
+}
+
+function normalizePrepaymentRules(raw = {}) {
+  const d = DEFAULT_PREPAYMENT_RULES;
+  return {
+    enabled: raw?.enabled === true || raw?.enabled === "true",
+    months: Math.floor(Number(raw?.months ?? d.months)),
+    discountPercent: Number(raw?.discountPercent ?? d.discountPercent),
+  };
+}
+
+function validatePrepaymentRules(r) {
+  const errors = [];
+  if (!Number.isFinite(r.months) || r.months < 2 || r.months > 24) {
+    errors.push("months debe ser un entero entre 2 y 24");
+  }
+  if (
+    !Number.isFinite(r.discountPercent) ||
+    r.discountPercent < 0 ||
+    r.discountPercent > 50
+  ) {
+    errors.push("discountPercent debe estar entre 0 y 50");
+  }
+  return { ok: errors.length === 0, errors };
+}
+
+/** Lee GlobalSettings (billing + surcharges + prepayment) con cache de 60s */
+async function loadSettings({ force = false } = {}) {
+  if (!force && _cache && isFresh()) return _cache;
+
+  let billing = { ...DEFAULT_BILLING_SETTINGS };
+  let surcharges = { ...DEFAULT_SURCHARGE_RULES };
+  let prepayment = { ...DEFAULT_PREPAYMENT_RULES };
+  try {
+    const mod = await import("../models/settings.model.js");
+    const GlobalSettings = mod.default;
+
+    const doc = await GlobalSettings.findOne({ singleton: "GLOBAL" })
+      .select({ billing: 1, surcharges: 1, prepayment: 1 })
+      .lean();
+
+    if (doc?.billing) {
+      const merged = normalizeBillingSettings({ ...billing, ...doc.billing });
+      if (validateBillingSettings(merged).ok) billing = merged;
+    }
+    if (doc?.surcharges) {
+      const merged = normalizeSurchargeRules({
+        ...surcharges,
+        ...doc.surcharges,
+      });
+      if (validateSurchargeRules(merged).ok) surcharges = merged;
+    }
+    if (doc?.prepayment) {
+      const merged = normalizePrepaymentRules({
+        ...prepayment,
+        ...doc.prepayment,
+      });
+      if (validatePrepaymentRules(merged).ok) prepayment = merged;
+    }
+  } catch {
+    // si falla el modelo, seguimos con defaults
+  }
+
+  _cache = { billing, surcharges, prepayment };
+  _cacheAt = Date.now();
+  return _cache;
+}
+
+/**
+ * Calendario de facturación vigente (cache 60s).
+ * Si `force=true`, ignora el cache.
+ */
+export async function getBillingSettings({ force = false } = {}) {
+  const { billing } = await loadSettings({ force });
+  return billing;
+}
+
+/**
+ * Reglas de recargo por mora vigentes (cache 60s).
+ * Si `force=true`, ignora el cache.
+ */
+export async function getSurchargeRules({ force = false } = {}) {
+  const { surcharges } = await loadSettings({ force });
+  return surcharges;
+}
+
+/**
+ * Reglas del plan anual vigentes (cache 60s).
+ * Si `force=true`, ignora el cache.
+ */
+export async function getPrepaymentRules({ force = false } = {}) {
+  const { prepayment } = await loadSettings({ force });
+  return prepayment;
+}
+
+/**
+ * Persiste el calendario en GlobalSettings.billing (merge con lo vigente).
+ * Acepta { billing: {...} } o {...} directo. 400 si no valida.
+ */
+export async function updateBillingSettings(payload = {}, { by } = {}) {
+  const incoming = payload?.billing ?? payload;
+  const current = await getBillingSettings({ force: true });
+  const normalized = normalizeBillingSettings({ ...current, ...incoming });
+  const { ok, errors } = validateBillingSettings(normalized);
+  if (!ok) {
+    const err = new Error("Calendario de facturación inválido");
+    err.details = errors;
+    err.status = 400;
+    throw err;
+  }
+
+  const mod = await import("../models/settings.model.js");
+  const GlobalSettings = mod.default;
+
+  await GlobalSettings.updateOne(
+    { singleton: "GLOBAL" },
+    {
+      $set: {
+        singleton: "GLOBAL",
+        billing: normalized,
+        ...(by ? { updatedBy: String(by) } : {}),
+      },
+    },
+    { upsert: true }
+  );
+
+  clearBillingSettingsCache();
+  return await getBillingSettings({ force: true });
+}
+
+/**
+ * Persiste las reglas de recargo en GlobalSettings.surcharges (merge con
+ * lo vigente). Acepta { surcharges: {...} } o {...} directo. 400 si no valida.
+ */
+export async function updateSurchargeRules(payload = {}, { by } = {}) {
+  const incoming = payload?.surcharges ?? payload;
+  const current = await getSurchargeRules({ force: true });
+  const normalized = normalizeSurchargeRules({ ...current, ...incoming });
+  const { ok, errors } = validateSurchargeRules(normalized);
+  if (!ok) {
+    const err = new Error("Reglas de recargo inválidas");
+    err.details = errors;
+    err.status = 400;
+    throw err;
+  }
+
+  const mod = await import("../models/settings.model.js");
+  const GlobalSettings = mod.default;
+
+  await GlobalSettings.updateOne(
+    { singleton: "GLOBAL" },
+    {
+      $set: {
+        singleton: "GLOBAL",
+        surcharges: normalized,
+        ...(by ? { updatedBy: String(by) } : {}),
+      },
+    },
+    { upsert: true }
+  );
+
+  clearBillingSettingsCache();
+  return await getSurchargeRules({ force: true });
+}
+
+/**
+ * Persiste las reglas del plan anual en GlobalSettings.prepayment (merge
+ * con lo vigente). Acepta { prepayment: {...} } o {...} directo. 400 si no
+ * valida.
+ */
+export async function updatePrepaymentRules(payload = {}, { by } = {}) {
+  const incoming = payload?.prepayment ?? payload;
+  const current = await getPrepaymentRules({ force: true });
+  const normalized = normalizePrepaymentRules({ ...current, ...incoming });
+  const { ok, errors } = validatePrepaymentRules(normalized);
+  if (!ok) {
+    const err = new Error("Reglas del plan anual inválidas");
+    err.details = errors;
+    err.status = 400;
+    throw err;
+  }
+
+  const mod = await import("../models/settings.model.js");
+  const GlobalSettings = mod.default;
+
+  await GlobalSettings.updateOne(
+    { singleton: "GLOBAL" },
+    {
+      $set: {
+        singleton: "GLOBAL",
+        prepayment: normalized,
+        ...(by ? { updatedBy: String(by) } : {}),
+      },
+    },
+    { upsert: true }
+  );
+
+  clearBillingSettingsCache();
+  return await getPrepaymentRules({ force: true });
+}
+
+/** Limpia el caché manualmente (útil en tareas batch). */
+export function clearBillingSettingsCache() {
+  _cache = null;
+  _cacheAt = 0;
+}
+
+export default {
+  BILLING_START_FIELDS,
+  DEFAULT_BILLING_SETTINGS,
+  DEFAULT_SURCHARGE_RULES,
+  DEFAULT_PREPAYMENT_RULES,
+  getBillingSettings,
+  updateBillingSettings,
+  getSurchargeRules,
+  updateSurchargeRules,
+  getPrepaymentRules,
+  updatePrepaymentRules,
+  clearBillingSettingsCache,
+};
@@ -0,0 +1,284 @@
+// src/services/cash-session.service.js
+/**
+ * Cajas diarias (cash sessions).
+ *
+ * API expuesta:
+ *  - openCashSession({ user, openingFloat?, notes?, actorUserId? })
+ *  - getOpenCashSession(userId, { session? })
+ *  - resolvePaymentCashSession({ session, userId, cashSessionId? })
+ *  - computeCashSessionTotals(cashSession, { session? })
+ *  - closeCashSession({ session, cashSessionId, actorUserId, declaredAmount,
+ *                       notes?, assertCanClose? })
+ *
+ * Reglas:
+ *  - Una sola caja abierta por usuario (índice único parcial).
+ *  - Los pagos del dueño se vinculan solos a su caja abierta; si el cliente
+ *    manda cashSessionId debe ser SU caja y estar abierta.
+ *  - Esperado = fondo inicial + neto (debe − haber) de los LedgerEntry de
+ *    los pagos de la caja sobre su cuenta (CAJA_COBRADOR / CAJA_ADMIN / …).
+ *    Las reversas van a la caja abierta de quien revierte (nunca a una caja
+ *    ya cerrada) y restan ahí.
+ */
+
+import mongoose from "mongoose";
+
+import CashSession from "../models/cash-session.model.js";
+import Payment from "../models/payment.model.js";
+import LedgerEntry from "../models/ledger-entry.model.js";
+import { getCashAccountForRole } from "../config/accounts.js";
+
+/** Error con status HTTP + code (lo traducen los controllers) */
+function cashSessionError(status, code, message, extra = {}) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  Object.assign(e, extra);
+  return e;
+}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+export async function getOpenCashSession(userId, { session } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(String(userId || ""))) return null;
+  return CashSession.findOne({ userId: String(userId), status: "open" })
+    .session(session || null)
+    .lean();
+}
+
+/**
+ * Abre la caja del usuario. 409 CASH_SESSION_ALREADY_OPEN si ya tiene una.
+ * user: { _id, role, idCobrador }
+ */
+export async function openCashSession({
+  user,
+  openingFloat = 0,
+  notes = "",
+  actorUserId,
+} = {}) {
+  if (!user?._id) {
+    throw cashSessionError(
+      400,
+      "INVALID_SESSION",
+      "Sesión inválida: falta userId."
+    );
+  }
+
+  const float = Number(openingFloat || 0);
+  if (!Number.isFinite(float) || float < 0) {
+    throw cashSessionError(
+      400,
+      "INVALID_AMOUNT",
+      "openingFloat inválido (>= 0)."
+    );
+  }
+
+  const current = await getOpenCashSession(user._id);
+  if (current) {
+    throw cashSessionError(
+      409,
+      "CASH_SESSION_ALREADY_OPEN",
+      "Ya tenés una caja abierta. Cerrala antes de abrir otra.",
+      { cashSession: current }
+    );
+  }
+
+  const idCob = Number(user.idCobrador);
+  try {
+    const doc = await CashSession.create({
+      userId: user._id,
+      role: user.role,
+      idCobrador: Number.isFinite(idCob) ? idCob : null,
+      accountCode: getCashAccountForRole(user.role),
+      openedAt: new Date(),
+      openedBy: actorUserId || user._id,
+      openingFloat: round2(float),
+      openingNotes: String(notes || "").trim(),
+    });
+    return doc.toObject();
+  } catch (err) {
+    // Carrera contra el índice único parcial
+    if (err?.code === 11000) {
+      throw cashSessionError(
+        409,
+        "CASH_SESSION_ALREADY_OPEN",
+        "Ya tenés una caja abierta. Cerrala antes de abrir otra."
+      );
+    }
+    throw err;
+  }
+}
+
+/**
+ * Caja a la que va un pago nuevo del usuario:
+ *  - cashSessionId explícito → debe existir, ser del usuario y estar abierta
+ *  - sin cashSessionId      → la caja abierta del usuario (o null si no tiene)
+ */
+export async function resolvePaymentCashSession({
+  session,
+  userId,
+  cashSessionId,
+} = {}) {
+  if (cashSessionId) {
+    if (!mongoose.Types.ObjectId.isValid(String(cashSessionId))) {
+      throw cashSessionError(
+        400,
+        "INVALID_CASH_SESSION",
+        "cashSessionId inválido"
+      );
+    }
+    const cs = await CashSession.findById(cashSessionId)
+      .select("_id userId status")
+      .session(session || null)
+      .lean();
+    if (!cs) {
+      throw cashSessionError(
+        404,
+        "CASH_SESSION_NOT_FOUND",
+        "Caja no encontrada"
+      );
+    }
+    if (String(cs.userId) !== String(userId)) {
+      throw cashSessionError(
+        403,
+        "CASH_SESSION_FORBIDDEN",
+        "La caja no es tuya."
+      );
+    }
+    if (cs.status !== "open") {
+      throw cashSessionError(
+        409,
+        "CASH_SESSION_CLOSED",
+        "La caja está cerrada."
+      );
+    }
+    return cs._id;
+  }
+
+  const open = await getOpenCashSession(userId, { session });
+  return open?._id || null;
+}
+
+/**
+ * Totales de la caja a partir de sus pagos y del ledger.
+ * return: { paymentsCount, paymentsTotal, reversalsCount, ledgerNet,
+ *           expectedAmount, paymentIds }
+ */
+export async function computeCashSessionTotals(cashSession, { session } = {}) {
+  const payments = await Payment.find({ cashSessionId: cashSession._id })
+    .select("_id kind status amount reversalOf")
+    .session(session || null)
+    .lean();
+
+  const paymentIds = payments.map((p) => p._id);
+  // Un pago revertido sólo se descuenta en la caja donde quedó su reversa
+  const reversedHere = new Set(
+    payments
+      .filter((p) => p.kind === "reversal")
+      .map((p) => String(p.reversalOf))
+  );
+  const live = payments.filter(
+    (p) => p.kind === "payment" && !reversedHere.has(String(p._id))
+  );
+
+  const [row] = paymentIds.length
+    ? await LedgerEntry.aggregate([
+        {
+          $match: {
+            paymentId: { $in: paymentIds },
+            accountCode: cashSession.accountCode,
+          },
+        },
+        {
+          $group: {
+            _id: null,
+            debits: {
+              $sum: { $cond: [{ $eq: ["$side", "debit"] }, "$amount", 0] },
+            },
+            credits: {
+              $sum: { $cond: [{ $eq: ["$side", "credit"] }, "$amount", 0] },
+            },
+          },
+        },
+      ]).session(session || null)
+    : [];
+
+  const ledgerNet = round2((row?.debits || 0) - (row?.credits || 0));
+
+  return {
+    paymentsCount: live.length,
+    paymentsTotal: round2(
+      live.reduce((acc, p) => acc + Number(p.amount || 0), 0)
+    ),
+    reversalsCount: payments.filter((p) => p.kind === "reversal").length,
+    ledgerNet,
+    expectedAmount: round2(Number(cashSession.openingFloat || 0) + ledgerNet),
+    paymentIds,
+  };
+}
+
+/**
+ * Cierra la caja con el conteo declarado y deja el snapshot
+ * (esperado / diferencia). Dentro de la TX que recibe.
+ *  - assertCanClose(cs): hook opcional de scope (p.ej. sólo el dueño)
+ */
+export async function closeCashSession({
+  session,
+  cashSessionId,
+  actorUserId,
+  declaredAmount,
+  notes = "",
+  assertCanClose,
+} = {}) {
+  if (!session) throw new Error("closeCashSession: session requerida");
+
+  if (!mongoose.Types.ObjectId.isValid(String(cashSessionId || ""))) {
+    throw cashSessionError(400, "INVALID_ID", "ID de caja inválido");
+  }
+
+  const declared = Number(declaredAmount);
+  if (declaredAmount == null || !Number.isFinite(declared) || declared < 0) {
+    throw cashSessionError(
+      400,
+      "DECLARED_AMOUNT_REQUIRED",
+      "declaredAmount es obligatorio (>= 0)."
+    );
+  }
+
+  const cs = await CashSession.findById(cashSessionId).session(session);
+  if (!cs) {
+    throw cashSessionError(404, "CASH_SESSION_NOT_FOUND", "Caja no encontrada");
+  }
+  if (typeof assertCanClose === "function") {
+    await assertCanClose(cs.toObject());
+  }
+  if (cs.status !== "open") {
+    throw cashSessionError(
+      409,
+      "CASH_SESSION_CLOSED",
+      "La caja ya está cerrada."
+    );
+  }
+
+  const totals = await computeCashSessionTotals(cs, { session });
+
+  cs.status = "closed";
+  cs.closedAt = new Date();
+  cs.closedBy = actorUserId || null;
+  cs.declaredAmount = round2(declared);
+  cs.expectedAmount = totals.expectedAmount;
+  cs.difference = round2(declared - totals.expectedAmount);
+  cs.paymentsCount = totals.paymentsCount;
+  cs.paymentsTotal = totals.paymentsTotal;
+  cs.closingNotes = String(notes || "").trim();
+  await cs.save({ session });
+
+  return { cashSession: cs.toObject(), totals };
+}
+
+export default {
+  getOpenCashSession,
+  openCashSession,
+  resolvePaymentCashSession,
+  computeCashSessionTotals,
+  closeCashSession,
+};
@@ -0,0 +1,654 @@
+// src/services/collector-payment.service.js
+/**
+ * Cobro de campo de un cobrador (POST /collector/pagos y cola offline
+ * POST /collector/pagos/batch):
+ *   cartera → corte 4M → monto → imputación → re-chequeo →
+ *   caja diaria → Payment (posted) + ledger + recibo + outbox.
+ *
+ * Asiento:
+ *   DEBIT  CAJA_COBRADOR
+ *   CREDIT INGRESOS_CUOTAS
+ *   (+ descuento del plan anual, ver prepayment.service)
+ *
+ * Todo dentro de la sesión/transacción que recibe (la abre el controller).
+ * Los rechazos de negocio se lanzan con status + code (+ datos extra).
+ */
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+import Cliente from "../models/client.model.js";
+import Payment from "../models/payment.model.js";
+import LedgerEntry from "../models/ledger-entry.model.js";
+import Receipt from "../models/receipt.model.js";
+import User from "../models/user.model.js";
+
+import { generateReceipt } from "./receipt.service.js";
+import { enqueue } from "./outbox.service.js";
+import { getClientPeriodState } from "./debt.service.js";
+import { resolvePaymentCashSession } from "./cash-session.service.js";
+import {
+  buildAnnualPrepayment,
+  lockPrepaidPeriods,
+  buildPrepaymentDiscountEntries,
+} from "./prepayment.service.js";
+import {
+  toPlanDebtState,
+  syncPaymentPlanProgress,
+} from "./payment-plan.service.js";
+import { ACCOUNTS } from "../config/accounts.js";
+import {
+  yyyymmAR,
+  comparePeriod,
+  fifoAllocateUntilNow,
+  allocationKey,
+  buildBalanceMap,
+  sumSurchargeBalance,
+  toPaymentAllocation,
+  countArrearsMonths,
+} from "./periods.util.js";
+
+/** Error con status HTTP + code (lo traducen los controllers) */
+function collectorPaymentError(status, code, message, extra = {}) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  Object.assign(e, extra);
+  return e;
+}
+
+/**
+ * Pago ya registrado con esa clave de idempotencia (+ su último recibo).
+ * return: { payment, receipt } | null
+ */
+export async function findPaymentByIdempotencyKey(
+  idempotencyKey,
+  { session } = {}
+) {
+  if (!idempotencyKey) return null;
+  const payment = await Payment.findOne({ idempotencyKey })
+    .session(session || null)
+    .lean();
+  if (!payment) return null;
+  const receipt = await Receipt.findOne({ paymentId: payment._id })
+    .sort({ createdAt: -1 })
+    .session(session || null)
+    .lean();
+  return { payment, receipt };
+}
+
+/**
+ * postCollectorPayment({
+ *   session,
+ *   collector: { idCobrador, userId },   // userId: ObjectId
+ *   input: { clienteId, idCliente?, amount?, method?, notes?,
+ *            idempotencyKey?, channel?, intendedPeriod?, externalRef?,
+ *            geo?, device?, ip?, cashSessionId?, strategy?, breakdown?,
+ *            collectedAt?, clientGeneratedId?, paymentPlanId?, annualPlan?,
+ *            sync?: { offlineQueued, batchId } }
+ * })
+ *
+ * return: { payment, receipt, reused }
+ *   reused=true → ya había un pago con esa idempotencyKey (no escribe nada)
+ */
+export async function postCollectorPayment({
+  session,
+  collector,
+  input = {},
+} = {}) {
+  if (!session) throw new Error("postCollectorPayment: session requerida");
+
+  const myCollectorId = Number(collector?.idCobrador);
+  const myUserOid = collector?.userId;
+
+  const {
+    clienteId,
+    idCliente: legacyIdCliente,
+    amount,
+    method,
+    notes,
+    idempotencyKey,
+    channel = "field",
+    intendedPeriod,
+    externalRef,
+    geo,
+    device,
+    ip,
+    cashSessionId,
+    strategy = "auto", // "auto" | "manual"
+    breakdown = [], // [{ period, amount }]
+    collectedAt,
+    clientGeneratedId, // PWA offline
+    paymentPlanId, // cobro de cuota de plan de pagos (refinanciación)
+    annualPlan, // plan anual (pago adelantado con descuento)
+    sync, // { offlineQueued, batchId } (lo setea /pagos/batch)
+  } = input;
+
+  if (!mongoose.Types.ObjectId.isValid(String(clienteId || ""))) {
+    throw collectorPaymentError(
+      400,
+      "INVALID_CLIENTE_ID",
+      "clienteId inválido"
+    );
+  }
+
+  // 1) Validar cliente y scope
+  const member = await Cliente.findById(clienteId)
+    .select(
+      "_id idCliente nombre nombreTitular idCobrador usarCuotaIdeal cuota cuotaIdeal"
+    )
+    .session(session)
+    .lean();
+
+  if (!member) {
+    throw collectorPaymentError(
+      404,
+      "CLIENT_NOT_FOUND",
+      "Cliente no encontrado"
+    );
+  }
+
+  if (Number(member.idCobrador) !== myCollectorId) {
+    throw collectorPaymentError(
+      403,
+      "NOT_YOUR_CLIENT",
+      "El cliente no pertenece a tu cartera."
+    );
+  }
+
+  if (
+    legacyIdCliente != null &&
+    Number(legacyIdCliente) !== Number(member.idCliente)
+  ) {
+    throw collectorPaymentError(
+      400,
+      "IDCLIENTE_MISMATCH",
+      "idCliente no coincide con el del cliente"
+    );
+  }
+
+  // 2) Estado de deuda hasta periodo actual
+  const nowPeriod = yyyymmAR(new Date());
+  let debtState = await getClientPeriodState(member, {
+    to: nowPeriod,
+    includeFuture: 0,
+  });
+
+  // 2.0) Cuota de plan de pagos: la deuda a cobrar es SOLO la del plan
+  const fullDebtState = debtState;
+  const planMode = Boolean(paymentPlanId);
+  if (planMode) {
+    if (String(debtState?.plan?._id || "") !== String(paymentPlanId)) {
+      throw collectorPaymentError(
+        409,
+        "PAYMENT_PLAN_NOT_ACTIVE",
+        "El plan de pagos no existe o no está activo para este cliente."
+      );
+    }
+    debtState = toPlanDebtState(debtState);
+  }
+
+  // 2.0.1) Plan anual: N cuotas adelantadas con descuento
+  const annualMode = annualPlan === true || annualPlan === "true";
+  if (annualMode && planMode) {
+    throw collectorPaymentError(
+      400,
+      "INVALID_PLAN_COMBINATION",
+      "annualPlan y paymentPlanId no se pueden combinar."
+    );
+  }
+  // Rechazos de buildAnnualPrepayment: ya traen status/code/expectedAmount
+  const prepayment = annualMode
+    ? await buildAnnualPrepayment({ clienteDoc: member, amount })
+    : null;
+
+  const totalDueUpToNow =
+    (debtState?.periods || [])
+      .filter((p) => comparePeriod(p.period, nowPeriod) <= 0)
+      .reduce((acc, p) => acc + Math.max(0, Number(p.balance || 0)), 0) +
+    sumSurchargeBalance(debtState, nowPeriod); // + recargos por mora
+
+  if (!prepayment && totalDueUpToNow <= 0) {
+    throw collectorPaymentError(
+      409,
+      "CLIENT_UP_TO_DATE",
+      "El cliente está al día hasta el período actual.",
+      { nowPeriod }
+    );
+  }
+
+  // 2.1) Meses de atraso (solo lectura para reglas de negocio)
+  const arrearsMonths = countArrearsMonths(fullDebtState, nowPeriod);
+
+  // Regla de corte: 4+ meses de atraso → no se permite cobrar por cobrador
+  // (salvo cuotas de un plan de pagos: para eso existe el plan)
+  if (!planMode && arrearsMonths >= 4) {
+    const plan = fullDebtState?.plan || null;
+    throw collectorPaymentError(
+      409,
+      "ARREARS_CUTOFF_4M",
+      "El grupo familiar supera el límite de 4 meses de atraso. Contactar administración.",
+      {
+        nowPeriod,
+        arrearsMonths,
+        paymentPlan: plan
+          ? {
+              _id: plan._id,
+              outstanding: plan.outstanding,
+              nextInstallment: plan.nextInstallment,
+            }
+          : null,
+      }
+    );
+  }
+
+  // 3) Monto final
+  const cuotaVigente =
+    Number(member.usarCuotaIdeal ? member.cuotaIdeal : member.cuota) || 0;
+
+  const hasExplicitAmount = Number(amount) > 0;
+  const isAuto = String(strategy).toLowerCase() === "auto";
+
+  let finalAmount;
+  if (prepayment) {
+    finalAmount = prepayment.netAmount;
+  } else if (hasExplicitAmount) {
+    finalAmount = Number(amount);
+  } else if (planMode) {
+    finalAmount = Math.min(
+      Number(fullDebtState.plan.nextInstallment?.balance || 0),
+      totalDueUpToNow
+    );
+  } else if (isAuto) {
+    finalAmount = totalDueUpToNow;
+  } else {
+    finalAmount = cuotaVigente;
+  }
+
+  if (!(finalAmount > 0)) {
+    throw collectorPaymentError(
+      400,
+      "INVALID_AMOUNT",
+      "No hay monto válido para cobrar (> 0)."
+    );
+  }
+
+  // 4) Método + idempotencia
+  const finalMethod = (method || "efectivo").toString().trim().toLowerCase();
+  const finalIdem =
+    (idempotencyKey && String(idempotencyKey).trim()) ||
+    `pay_${member._id}_${Date.now()}_${crypto
+      .randomBytes(4)
+      .toString("hex")}`;
+
+  const existing = await findPaymentByIdempotencyKey(finalIdem, { session });
+  if (existing) return { ...existing, reused: true };
+
+  // 5) Construcción de imputaciones
+  let allocations = [];
+  let periodsApplied = [];
+
+  // Saldos por línea: cuota del período y recargo por mora (si hay)
+  const balMap = buildBalanceMap(debtState);
+
+  if (prepayment) {
+    allocations = prepayment.allocations;
+    periodsApplied = prepayment.periodsApplied;
+  } else if (String(strategy).toLowerCase() === "manual") {
+    let sum = 0;
+
+    for (const row of breakdown) {
+      const period = String(row?.period || "");
+      const amt = Number(row?.amount || 0);
+      // concept "surcharge" → recargo por mora del período
+      const concept = row?.concept === "surcharge" ? "surcharge" : null;
+
+      if (!period || !(amt > 0)) {
+        throw collectorPaymentError(
+          400,
+          "INVALID_BREAKDOWN",
+          "breakdown inválido"
+        );
+      }
+
+      if (comparePeriod(period, nowPeriod) > 0) {
+        throw collectorPaymentError(
+          409,
+          "PERIOD_IN_FUTURE",
+          `No se puede imputar a un período futuro (${period}).`
+        );
+      }
+
+      const bal = balMap.get(allocationKey({ period, concept })) || 0;
+      if (amt > bal) {
+        throw collectorPaymentError(
+          409,
+          "OVERPAY_PERIOD",
+          `El período ${period} no admite más cobros (saldo: ${bal}).`
+        );
+      }
+
+      sum += amt;
+      allocations.push({
+        period,
+        amountApplied: amt,
+        statusAfter: amt === bal ? "paid" : "partial",
+        memberId: member._id,
+        ...(concept ? { concept } : {}),
+      });
+    }
+
+    if (!hasExplicitAmount && sum > 0) {
+      finalAmount = sum;
+    }
+
+    if (sum > finalAmount) {
+      throw collectorPaymentError(
+        409,
+        "BREAKDOWN_EXCEEDS_AMOUNT",
+        "La suma del breakdown excede el monto del pago."
+      );
+    }
+
+    const remaining = finalAmount - sum;
+
+    if (remaining > 0) {
+      const { allocations: auto } = fifoAllocateUntilNow(
+        debtState,
+        nowPeriod,
+        remaining
+      );
+
+      for (const a of auto) {
+        allocations.push(toPaymentAllocation(a, balMap, member._id));
+      }
+    }
+
+    periodsApplied = Array.from(new Set(allocations.map((a) => a.period)));
+  } else {
+    const { allocations: fifo } = fifoAllocateUntilNow(
+      debtState,
+      nowPeriod,
+      finalAmount
+    );
+
+    const totalAllocated = fifo.reduce((acc, a) => acc + a.amount, 0);
+    if (totalAllocated <= 0) {
+      throw collectorPaymentError(
+        409,
+        "NOTHING_TO_ALLOCATE",
+        "No hay períodos con saldo para imputar hasta el período actual."
+      );
+    }
+
+    allocations = fifo.map((a) => toPaymentAllocation(a, balMap, member._id));
+
+    periodsApplied = Array.from(new Set(allocations.map((a) => a.period)));
+  }
+
+  // 6) Re-chequeo anti-carrera con estado fresco dentro de la misma TX
+  //    (el plan anual se revalida entero: mismos períodos, sin pagos)
+  if (prepayment) {
+    try {
+      await buildAnnualPrepayment({
+        clienteDoc: member,
+        amount: prepayment.netAmount,
+      });
+    } catch (err) {
+      if (!(err?.status && err?.code)) throw err;
+      throw collectorPaymentError(
+        409,
+        "RACE_CONDITION_OVERPAY",
+        `${err.message} Refrescá y reintentá.`
+      );
+    }
+  } else {
+    debtState = await getClientPeriodState(member, {
+      to: nowPeriod,
+      includeFuture: 0,
+    });
+    if (planMode) debtState = toPlanDebtState(debtState);
+
+    const freshBal = buildBalanceMap(debtState);
+
+    for (const a of allocations) {
+      const bal = freshBal.get(allocationKey(a)) ?? 0;
+
+      if (a.amountApplied > bal + 0.0001) {
+        throw collectorPaymentError(
+          409,
+          "RACE_CONDITION_OVERPAY",
+          `El período ${a.period} cambió y ya no admite ${a.amountApplied} (saldo: ${bal}). Refrescá y reintentá.`
+        );
+      }
+
+      freshBal.set(allocationKey(a), Math.max(0, bal - a.amountApplied));
+    }
+  }
+
+  // 6.1) Caja diaria: cashSessionId explícito (validado) o la caja abierta
+  const finalCashSessionId = await resolvePaymentCashSession({
+    session,
+    userId: myUserOid,
+    cashSessionId,
+  });
+
+  // 7) Crear Payment (draft → posted)
+  const payDocs = await Payment.create(
+    [
+      {
+        kind: "payment",
+        cliente: {
+          memberId: member._id,
+          idCliente: member.idCliente,
+          nombre: member.nombre,
+          nombreTitular: member.nombreTitular || null,
+        },
+        collector: { idCobrador: myCollectorId, userId: myUserOid },
+        currency: "ARS",
+        amount: finalAmount,
+        method: finalMethod,
+        channel,
+        intendedPeriod: intendedPeriod || null,
+        notes: notes || "",
+        idempotencyKey: finalIdem,
+        externalRef: externalRef || null,
+        cashSessionId: finalCashSessionId,
+        clientGeneratedId: clientGeneratedId
+          ? String(clientGeneratedId).trim()
+          : undefined,
+        sync: sync?.offlineQueued
+          ? {
+              offlineQueued: true,
+              syncedAt: new Date(),
+              batchId: sync.batchId ? String(sync.batchId) : undefined,
+            }
+          : undefined,
+        geo: geo || undefined,
+        device: device || undefined,
+        ip: ip || undefined,
+        createdBy: myUserOid,
+        allocations,
+        meta: {
+          periodsApplied,
+          arrearsMonthsAtPayment: arrearsMonths,
+          paymentPlanId: planMode ? debtState.plan._id : undefined,
+          prepayment: prepayment
+            ? {
+                months: prepayment.months,
+                discountPercent: prepayment.discountPercent,
+                grossAmount: prepayment.grossAmount,
+                discountAmount: prepayment.discountAmount,
+              }
+            : undefined,
+        },
+      },
+    ],
+    { session }
+  );
+
+  const p = payDocs[0];
+  p.markPosted();
+  if (collectedAt) p.postedAt = new Date(collectedAt);
+  await p.save({ session });
+
+  // 8) Ledger (doble partida por total)
+  const postedAt = p.postedAt || new Date();
+
+  const clientName =
+    String(member?.nombreTitular || member?.nombre || "").trim() ||
+    `Cliente #${member.idCliente}`;
+
+  const collectorUser = await User.findById(myUserOid)
+    .select("_id name email")
+    .session(session)
+    .lean();
+
+  const collectorName =
+    String(collectorUser?.name || collectorUser?.email || "").trim() ||
+    `Cobrador #${myCollectorId}`;
+
+  const ledgerDims = {
+    idCobrador: myCollectorId,
+    idCliente: Number(member.idCliente),
+    canal: String(p.channel || "").trim() || null,
+    plan: null,
+    note: String(p.notes || "").trim(),
+  };
+
+  const amtAbs = Math.abs(Number(p.amount) || 0);
+
+  const baseCommon = {
+    paymentId: p._id,
+    userId: myUserOid, // actor/dueño del asiento
+    kind: "payment_collector",
+    currency: p.currency,
+    postedAt,
+    dimensions: ledgerDims,
+  };
+
+  await LedgerEntry.insertMany(
+    [
+      // DÉBITO: del CLIENTE → al COBRADOR (entra a CAJA_COBRADOR)
+      {
+        ...baseCommon,
+        side: "debit",
+        accountCode: ACCOUNTS.CAJA_COBRADOR,
+        amount: amtAbs,
+
+        fromUser: clientName,
+        toUser: collectorName,
+        fromAccountCode: "CLIENTE",
+        toAccountCode: ACCOUNTS.CAJA_COBRADOR,
+      },
+
+      // CRÉDITO: de CAJA_COBRADOR → a INGRESOS_CUOTAS
+      {
+        ...baseCommon,
+        side: "credit",
+        accountCode: ACCOUNTS.INGRESOS_CUOTAS,
+        amount: amtAbs,
+
+        fromUser: collectorName,
+        toUser: clientName,
+        fromAccountCode: ACCOUNTS.CAJA_COBRADOR,
+        toAccountCode: ACCOUNTS.INGRESOS_CUOTAS,
+      },
+
+      // Plan anual: descuento en líneas propias
+      ...buildPrepaymentDiscountEntries({
+        payment: p,
+        prepayment,
+        userId: myUserOid,
+        dimensions: ledgerDims,
+      }),
+    ],
+    { session, ordered: true }
+  );
+
+  // 8.1) Plan anual: congela el precio con descuento de esos períodos
+  if (prepayment) {
+    await lockPrepaidPeriods({
+      session,
+      prepayment,
+      paymentId: p._id,
+      by: myUserOid,
+    });
+  }
+
+  // 9) Recibo
+  let receiptFields;
+  try {
+    const {
+      pdfPath,
+      pdfUrl,
+      receiptNumber,
+      qrData,
+      signature,
+      remainingBalance,
+    } =
+      await generateReceipt(
+        p.toObject(),
+        {
+          _id: member._id,
+          idCliente: member.idCliente,
+          nombre: member.nombre,
+          nombreTitular: member.nombreTitular || null,
+        },
+        { at: postedAt }
+      );
+    receiptFields = {
+      number: receiptNumber,
+      qrData,
+      pdfPath,
+      pdfUrl,
+      signature,
+      remainingBalance,
+    };
+  } catch {
+    receiptFields = {
+      number: null,
+      qrData: { error: "pdf_generation_failed" },
+      pdfPath: null,
+      pdfUrl: null,
+    };
+  }
+  const [receipt] = await Receipt.create(
+    [{ paymentId: p._id, ...receiptFields, voided: false }],
+    { session }
+  );
+
+  // 10) Outbox
+  await enqueue(
+    "payment.posted",
+    {
+      paymentId: p._id.toString(),
+      idCliente: p.cliente.idCliente,
+      memberId: p.cliente.memberId.toString(),
+      amount: p.amount,
+      currency: p.currency,
+      method: p.method,
+      channel: p.channel,
+      postedAt: postedAt.toISOString(),
+      idCobrador: p.collector.idCobrador,
+      userId: String(p.collector.userId),
+      externalRef: p.externalRef || null,
+      periodsApplied: p.meta?.periodsApplied || [],
+      arrearsMonthsAtPayment: p.meta?.arrearsMonthsAtPayment ?? null,
+    },
+    { session }
+  );
+
+  // 11) Plan de pagos: refrescar cuotas (y cerrar el plan si quedó saldado)
+  if (planMode) {
+    await syncPaymentPlanProgress({ session, planId: paymentPlanId });
+  }
+
+  return {
+    payment: p.toObject(),
+    receipt: receipt.toObject(),
+    reused: false,
+  };
+}
+
+export default { postCollectorPayment, findPaymentByIdempotencyKey };
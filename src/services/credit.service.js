@@ -0,0 +1,337 @@
+// src/services/credit.service.js
+/**
+ * Reimputación de crédito (pagos a cuenta) a períodos adeudados.
+ *
+ * API expuesta:
+ *  - planCreditMoves(debtState)                          ← puro
+ *  - reconcileClientCredit({ clienteDoc, session?, by?, trigger?, dryRun? })
+ *  - runCreditReconciliation({ idClientes?, by?, trigger? })  ← job diario
+ *
+ * Crédito = excedente sobre el cargo en períodos facturables + lo imputado a
+ * períodos futuros (mismo criterio que summary.creditAmount de debt.service).
+ * Se mueve a los períodos con saldo (due / partial / open) más viejos:
+ *  - orígenes: excedentes (más viejos primero), después futuros (del más
+ *    lejano al más cercano)
+ *  - no toca períodos refinanciados (plan de pagos) ni recargos
+ *
+ * Cada reimputación es un Payment kind "adjustment" (posted, sin ledger ni
+ * recibo: no entra plata) con allocations de signo opuesto que suman 0:
+ * negativas en el período origen y positivas en el destino. El detalle
+ * queda en meta.creditMoves.
+ */
+
+import crypto from "crypto";
+
+import Payment from "../models/payment.model.js";
+import Cliente from "../models/client.model.js";
+import { getClientPeriodState } from "./debt.service.js";
+import {
+  resolveDebtScope,
+  paymentScopeFilter,
+} from "./debt-scope.service.js";
+import { enqueue } from "./outbox.service.js";
+import { toYYYYMM, prevPeriod } from "./periods.util.js";
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const TARGET_STATUSES = ["due", "partial", "open"];
+
+/** Error con status HTTP + code (lo traducen los controllers) */
+function creditError(status, code, message) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+/**
+ * Arma los movimientos de crédito a partir del estado de deuda.
+ * return: { moves: [{ from, to, amount }], total, creditAmount }
+ */
+export function planCreditMoves(debtState) {
+  const end = debtState?.meta?.end;
+  // Refinanciados (plan de pagos) y plan anual no son crédito disponible
+  const rows = (debtState?.periods || []).filter(
+    (r) => r.status !== "refinanced" && r.status !== "prepaid"
+  );
+
+  const excess = [];
+  const future = [];
+  for (const r of rows) {
+    const paid = Number(r.paid || 0) + Number(r.writtenOff || 0);
+    if (r.period > end) {
+      if (paid > 0) future.push({ period: r.period, amount: round2(paid) });
+      continue;
+    }
+    const over = round2(paid - Number(r.charge || 0));
+    if (over > 0) excess.push({ period: r.period, amount: over });
+  }
+  const sources = [...excess, ...future.reverse()];
+  const creditAmount = round2(sources.reduce((acc, s) => acc + s.amount, 0));
+
+  const targets = rows
+    .filter(
+      (r) =>
+        r.period <= end &&
+        TARGET_STATUSES.includes(r.status) &&
+        Number(r.balance) > 0
+    )
+    .map((r) => ({ period: r.period, amount: round2(r.balance) }));
+
+  const moves = [];
+  let si = 0;
+  for (const t of targets) {
+    let need = t.amount;
+    while (need > 0 && si < sources.length) {
+      const src = sources[si];
+      const amount = round2(Math.min(need, src.amount));
+      if (amount > 0) moves.push({ from: src.period, to: t.period, amount });
+      need = round2(need - amount);
+      src.amount = round2(src.amount - amount);
+      if (src.amount <= 0) si++;
+    }
+    if (si >= sources.length) break;
+  }
+
+  const total = round2(moves.reduce((acc, m) => acc + m.amount, 0));
+  return { moves, total, creditAmount };
+}
+
+/** moves → allocations netas por período (origen < 0, destino > 0) */
+function toAdjustmentAllocations(moves, debtState, memberId) {
+  const net = new Map();
+  for (const m of moves) {
+    net.set(m.from, round2((net.get(m.from) || 0) - m.amount));
+    net.set(m.to, round2((net.get(m.to) || 0) + m.amount));
+  }
+  const balance = new Map(
+    (debtState?.periods || []).map((r) => [r.period, Number(r.balance || 0)])
+  );
+
+  return [...net.entries()]
+    .filter(([, amount]) => amount !== 0)
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([period, amount]) => ({
+      period,
+      amountApplied: amount,
+      statusAfter:
+        amount > 0 && amount >= (balance.get(period) || 0) ? "paid" : "partial",
+      memberId,
+      concept: "charge",
+    }));
+}
+
+/**
+ * Reimputa el crédito de un cliente (grupo o integrante, según alcance).
+ * Con dryRun no escribe nada y devuelve los movimientos.
+ * return: { moved, total, moves, creditAmount, adjustment? }
+ */
+export async function reconcileClientCredit({
+  clienteDoc,
+  session,
+  by = null,
+  trigger = "manual",
+  dryRun = false,
+} = {}) {
+  if (!clienteDoc?._id) {
+    throw creditError(404, "CLIENT_NOT_FOUND", "Cliente no encontrado");
+  }
+
+  const scope = await resolveDebtScope(clienteDoc);
+  // includeFuture 0: debt.service igual agrega los futuros con crédito
+  const debtState = await getClientPeriodState(clienteDoc, {
+    includeFuture: 0,
+  });
+  const { moves, total, creditAmount } = planCreditMoves(debtState);
+
+  if (!moves.length || dryRun) {
+    return { moved: false, total, moves, creditAmount };
+  }
+
+  // El ajuste hereda el cobrador del último pago que dejó el crédito
+  const sourcePeriods = [...new Set(moves.map((m) => m.from))];
+  const source = await Payment.findOne({
+    ...paymentScopeFilter(scope),
+    kind: "payment",
+    status: { $in: ["posted", "settled"] },
+    "allocations.period": { $in: sourcePeriods },
+  })
+    .sort({ postedAt: -1, _id: -1 })
+    .select("collector createdBy")
+    .session(session || null)
+    .lean();
+  if (!source) {
+    throw creditError(
+      409,
+      "CREDIT_SOURCE_NOT_FOUND",
+      "No se encontró el pago que originó el crédito."
+    );
+  }
+
+  const allocations = toAdjustmentAllocations(
+    moves,
+    debtState,
+    clienteDoc._id
+  );
+  const scopeKey =
+    scope.mode === "group" ? `g${scope.idCliente}` : `m${scope.memberId}`;
+
+  // Clave determinística: mismo alcance + mismo estado (último movimiento)
+  // + mismos movimientos → misma clave. Dos corridas concurrentes sobre el
+  // mismo estado chocan en el índice único y solo una reimputa.
+  const lastMove = await Payment.findOne(paymentScopeFilter(scope))
+    .sort({ _id: -1 })
+    .select("_id")
+    .session(session || null)
+    .lean();
+  const stateHash = crypto
+    .createHash("sha1")
+    .update(JSON.stringify({ last: String(lastMove?._id || ""), moves }))
+    .digest("hex")
+    .slice(0, 16);
+
+  let adjustment;
+  try {
+    [adjustment] = await Payment.create(
+      [
+        {
+          kind: "adjustment",
+          status: "draft",
+          cliente: {
+            memberId: clienteDoc._id,
+            idCliente: scope.idCliente ?? clienteDoc.idCliente,
+            nombre: clienteDoc.nombre,
+          },
+          collector: source.collector,
+          currency: "ARS",
+          amount: total,
+          method: "otro",
+          channel: trigger === "cron" ? "api" : "backoffice",
+          notes: `Reimputación de crédito: ${moves
+            .map((m) => `${m.from}→${m.to} $${m.amount}`)
+            .join(", ")}`,
+          idempotencyKey: `credit_${scopeKey}_${stateHash}`,
+          allocations,
+          meta: {
+            periodsApplied: allocations.map((a) => a.period),
+            source: "credit_reconciliation",
+            creditMoves: moves,
+            trigger,
+          },
+          createdBy: by || source.createdBy,
+        },
+      ],
+      { session: session || undefined }
+    );
+  } catch (err) {
+    if (err?.code === 11000 && err?.keyPattern?.idempotencyKey) {
+      throw creditError(
+        409,
+        "CREDIT_ALREADY_RECONCILED",
+        "El crédito ya fue reimputado para este estado de deuda."
+      );
+    }
+    throw err;
+  }
+  adjustment.markPosted();
+  await adjustment.save({ session: session || undefined });
+
+  await enqueue(
+    "credit.reconciled",
+    {
+      paymentId: String(adjustment._id),
+      idCliente: adjustment.cliente.idCliente,
+      memberId: String(clienteDoc._id),
+      scope: scope.mode,
+      total,
+      moves,
+      trigger,
+    },
+    { session }
+  );
+
+  return {
+    moved: true,
+    total,
+    moves,
+    creditAmount,
+    adjustment: adjustment.toObject(),
+  };
+}
+
+/**
+ * Barrido: grupos/integrantes con imputaciones desde el mes anterior en
+ * adelante (crédito a futuro o que acaba de vencer). Los excedentes más
+ * viejos se reimputan a mano por cliente.
+ * return: { scanned, reconciled, total, errors }
+ */
+export async function runCreditReconciliation({
+  idClientes = null,
+  by = null,
+  trigger = "cron",
+} = {}) {
+  const fromP = prevPeriod(toYYYYMM(new Date()));
+  const match = {
+    kind: "payment",
+    status: { $in: ["posted", "settled"] },
+    "allocations.period": { $gte: fromP },
+  };
+  if (Array.isArray(idClientes) && idClientes.length) {
+    match["cliente.idCliente"] = {
+      $in: idClientes.map(Number).filter(Number.isFinite),
+    };
+  }
+
+  const candidates = await Payment.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { idCliente: "$cliente.idCliente", memberId: "$cliente.memberId" },
+      },
+    },
+  ]).allowDiskUse(true);
+
+  const out = { scanned: 0, reconciled: 0, total: 0, errors: 0 };
+  const seen = new Set();
+
+  for (const { _id } of candidates) {
+    const member = await Cliente.findById(_id.memberId)
+      .select("_id idCliente nombre usarCuotaIdeal cuota cuotaIdeal")
+      .lean();
+    if (!member) continue;
+
+    const scope = await resolveDebtScope(member);
+    const key =
+      scope.mode === "group" ? `g${scope.idCliente}` : `m${member._id}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.scanned++;
+
+    try {
+      const r = await reconcileClientCredit({
+        clienteDoc: member,
+        by,
+        trigger,
+      });
+      if (r.moved) {
+        out.reconciled++;
+        out.total = round2(out.total + r.total);
+      }
+    } catch (err) {
+      // Otra corrida ya reimputó este mismo estado
+      if (err?.code === "CREDIT_ALREADY_RECONCILED") continue;
+      out.errors++;
+      console.error(
+        `❌ [credit] idCliente=${member.idCliente}:`,
+        err?.message || err
+      );
+    }
+  }
+
+  return out;
+}
+
+export default {
+  planCreditMoves,
+  reconcileClientCredit,
+  runCreditReconciliation,
+};
@@ -0,0 +1,101 @@
+// src/services/debt-scope.service.js
+/**
+ * Alcance de la deuda: grupo (idCliente) o integrante.
+ *
+ * API expuesta:
+ *  - BILLING_MODES
+ *  - resolveDebtScope(clienteDoc)
+ *  - paymentScopeFilter(scope)
+ *  - scopeAllocations(scope, payment)
+ *
+ * Reglas:
+ *  - billingMode vive en el titular (menor integrante) del grupo.
+ *  - "group" (default): la deuda es del grupo; cuenta cualquier pago
+ *    registrado contra cualquier integrante del mismo idCliente.
+ *  - "member": cada integrante se factura aparte; sólo cuentan las
+ *    allocations con su memberId (o, si la allocation no trae memberId,
+ *    los pagos registrados contra él).
+ */
+
+import Cliente from "../models/client.model.js";
+
+export const BILLING_MODES = ["group", "member"];
+
+const TITULAR_FIELDS =
+  "_id idCliente integrante createdAt ingreso vigencia billingStartField " +
+  "billingMode cuota cuotaIdeal usarCuotaIdeal";
+
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+/**
+ * return: { mode, idCliente, memberId, titular }
+ *  - titular: doc lean del titular (o null si no se encontró)
+ */
+export async function resolveDebtScope(clienteDoc) {
+  let titular = null;
+  if (clienteDoc?.idCliente != null) {
+    titular = await Cliente.findOne({ idCliente: clienteDoc.idCliente })
+      .sort({ integrante: 1, _id: 1 })
+      .select(TITULAR_FIELDS)
+      .lean();
+  }
+  if (!titular && clienteDoc?._id) {
+    titular = await Cliente.findById(clienteDoc._id)
+      .select(TITULAR_FIELDS)
+      .lean();
+  }
+
+  const idCliente =
+    clienteDoc?.idCliente != null
+      ? Number(clienteDoc.idCliente)
+      : titular?.idCliente != null
+      ? Number(titular.idCliente)
+      : null;
+
+  const mode =
+    idCliente != null && titular?.billingMode !== "member" ? "group" : "member";
+
+  return {
+    mode,
+    idCliente,
+    memberId: clienteDoc?._id || null,
+    titular,
+  };
+}
+
+/** Filtro de Payment para el alcance (sin status) */
+export function paymentScopeFilter(scope) {
+  if (scope.mode === "group") {
+    return {
+      $or: [
+        { "cliente.idCliente": scope.idCliente },
+        // pagos viejos sin idCliente cacheado
+        ...(scope.memberId ? [{ "cliente.memberId": scope.memberId }] : []),
+      ],
+    };
+  }
+  return {
+    $or: [
+      { "cliente.memberId": scope.memberId },
+      { "allocations.memberId": scope.memberId },
+    ],
+  };
+}
+
+/** Allocations del pago que cuentan para el alcance */
+export function scopeAllocations(scope, payment) {
+  const allocs = payment?.allocations || [];
+  if (scope.mode === "group") return allocs;
+  return allocs.filter((a) =>
+    a?.memberId
+      ? sameId(a.memberId, scope.memberId)
+      : sameId(payment?.cliente?.memberId, scope.memberId)
+  );
+}
+
+export default {
+  BILLING_MODES,
+  resolveDebtScope,
+  paymentScopeFilter,
+  scopeAllocations,
+};
@@ -1,14 +1,30 @@
 // /src/services/debt.service.js
 import Payment from "../models/payment.model.js";
-import { toYYYYMM, rangePeriods, nextPeriod } from "./periods.util.js";
-import Cliente from "../models/client.model.js";
-
-/* ================== Parámetros de facturación (MVP) ================== */
-const GO_LIVE_PERIOD = "2025-10"; // primer período facturable del sistema (igual para todos)
-const DUE_DAY = 1; // antes del día 10, el mes corriente está "open" (no due)
+import { toYYYYMM, rangePeriods, nextPeriod, yyyymmAR } from "./periods.util.js";
+import PaymentPlan from "../models/payment-plan.model.js";
+import PeriodCharge from "../models/period-charge.model.js";
+import {
+  getBillingSettings,
+  getSurchargeRules,
+} from "./billingSettings.provider.js";
+import { computePeriodSurcharges } from "./surcharge.service.js";
+import {
+  resolveDebtScope,
+  paymentScopeFilter,
+  scopeAllocations,
+} from "./debt-scope.service.js";
+import {
+  applyPlanToPeriods,
+  computePlanProgress,
+} from "./payment-plan.service.js";
+
+/* ================== Parámetros de facturación ================== */
+// goLivePeriod / dueDay / startField viven en GlobalSettings.billing
+// (editable por superAdmin, ver billingSettings.provider)
 
 /* ================== Helpers ================== */
-function getQuotaFor(clienteDoc) {
+// También la usa billing.service para congelar el cargo del período
+export function getQuotaFor(clienteDoc) {
   const q = clienteDoc?.usarCuotaIdeal
     ? clienteDoc?.cuotaIdeal
     : clienteDoc?.cuota;
@@ -19,52 +35,98 @@ function getQuotaFor(clienteDoc) {
 const maxPeriod = (a, b) => (!a ? b : !b ? a : a > b ? a : b);
 const minPeriod = (a, b) => (!a ? b : !b ? a : a < b ? a : b);
 
-async function ensureClientCreatedAt(clienteDoc) {
-  if (clienteDoc?.createdAt) return clienteDoc.createdAt;
-
-  const id = clienteDoc?._id;
-  if (!id) return null;
+/**
+ * Inicio de facturación del grupo: fecha del titular según
+ * titular.billingStartField (override por grupo) o cfg.startField.
+ * Si el campo elegido está vacío, cae a createdAt.
+ * return: { field, date }
+ */
+function resolveBillingStart(titular, clienteDoc, cfg) {
+  const src = titular || clienteDoc || {};
+  const field = src.billingStartField || cfg.startField;
+  const picked = src[field] ? new Date(src[field]) : null;
+  if (picked && !Number.isNaN(picked.getTime())) {
+    return { field, date: picked };
+  }
 
-  const found = await Cliente.findById(id).select("createdAt").lean();
-  return found?.createdAt || null;
+  const createdAt = src.createdAt || clienteDoc?.createdAt || null;
+  return { field: "createdAt", date: createdAt ? new Date(createdAt) : null };
 }
 
 /**
  * getClientPeriodState(clienteDoc, opts)
  * opts:
- *  - from: "YYYY-MM" (no menor a GO_LIVE_PERIOD)
+ *  - from: "YYYY-MM" (no menor al inicio de facturación)
  *  - to: "YYYY-MM"   (default: período actual)
  *  - includeFuture: number (default: 1)
  *
- * Todos los clientes empiezan a facturar desde GO_LIVE_PERIOD.
+ * Alcance (ver debt-scope.service): por defecto la deuda es del grupo
+ * (idCliente) — cuota del titular y pagos de cualquier integrante — así
+ * que da lo mismo con qué integrante se consulte. Si el titular tiene
+ * billingMode "member", cada integrante tiene su propia cuota y sólo
+ * cuentan las allocations con su memberId (sin snapshots de grupo).
+ *
+ * Cada grupo factura desde max(goLivePeriod, inicio del grupo), donde el
+ * inicio sale de createdAt / ingreso / vigencia del titular (ver
+ * resolveBillingStart). El mes corriente queda "open" antes del dueDay.
  * La deuda real se determina comparando:
- *   - períodos generados [GO_LIVE_PERIOD..hoy]
+ *   - períodos generados [inicio..hoy]
  *   - pagos imputados (Payment.allocations) por período.
  *
+ * Cargo del período: el snapshot de la facturación mensual (PeriodCharge)
+ * si existe; si no, la cuota vigente (chargeSource "current"). Los
+ * períodos de un plan anual traen el precio congelado con descuento
+ * (chargeSource "prepayment") y, si son futuros, status "prepaid".
+ *
+ * Recargos por mora (si están habilitados): van aparte en `surcharges`
+ * (no suman a balance ni a totalBalanceDue). Ver surcharge.service.
+ *
+ * Condonaciones (write-off): allocations con concept "writeoff" de un ajuste
+ * aprobado. Cancelan saldo pero se informan en writtenOff, no en paid.
+ *
+ * Plan de pagos activo: sus períodos salen como status "refinanced"
+ * (balance 0, saldo en refinancedBalance) y las cuotas van en `plan`.
+ *
  * return:
  *  {
- *    periods: [{ period, charge, paid, balance, status }],
- *    summary: { monthsDue, totalBalanceDue, hasCredit, creditAmount, isUpToDate },
- *    meta: { generatedAt, quotaBase, quotaValueUsed, start, end, goLive, dueDay }
+ *    periods: [{ period, charge, chargeSource, paid, writtenOff, balance,
+ *                status }],
+ *    summary: { monthsDue, totalBalanceDue, hasCredit, creditAmount, isUpToDate,
+ *               planOutstanding, planInstallmentsDue, surchargeBalanceDue,
+ *               writtenOffAmount },
+ *    surcharges: [{ period, monthsLate, lateSince, amount, paid, balance,
+ *                   status }],
+ *    plan: null | { _id, status, totalAmount, paidAmount, outstanding,
+ *                   installments, nextInstallment, missedCount },
+ *    meta: { generatedAt, scope, idCliente, memberId, quotaBase,
+ *            quotaValueUsed, snapshotPeriods, start, end, goLive, dueDay,
+ *            billingStart, billingStartField, surchargeOrder }
  *  }
  */
 export async function getClientPeriodState(clienteDoc, opts = {}) {
   const now = new Date();
   const todayP = toYYYYMM(now);
-  const quota = getQuotaFor(clienteDoc); // usa cuota / cuotaIdeal según cliente
+
+  // Grupo (cuota del titular) o integrante facturado aparte (su cuota)
+  const scope = await resolveDebtScope(clienteDoc);
+  const quotaDoc =
+    scope.mode === "group" && scope.titular ? scope.titular : clienteDoc;
+  const quota = getQuotaFor(quotaDoc); // usa cuota / cuotaIdeal según cliente
 
   // Cuántos períodos futuros agregamos al final (0 = solo hasta hoy)
   const includeFuture = Number.isFinite(opts.includeFuture)
     ? Math.max(0, opts.includeFuture)
     : 1;
 
-  // 1) Primer período facturable del cliente
-  // SUPOSICIÓN: se cobra desde el mes del createdAt (inclusive)
-  const createdAt = await ensureClientCreatedAt(clienteDoc);
-  const createdAtP = createdAt ? toYYYYMM(createdAt) : null;
+  // 1) Primer período facturable del grupo (mes del inicio, inclusive)
+  const cfg = await getBillingSettings();
+  const { goLivePeriod, dueDay } = cfg;
+
+  const start = resolveBillingStart(scope.titular, clienteDoc, cfg);
+  const startP = start.date ? toYYYYMM(start.date) : null;
 
-  // si no hay createdAt, caemos al go-live global
-  const billableFrom = maxPeriod(GO_LIVE_PERIOD, createdAtP || GO_LIVE_PERIOD);
+  // sin fecha de inicio (o anterior al go-live) → go-live global
+  const billableFrom = maxPeriod(goLivePeriod, startP || goLivePeriod);
 
   // 2) Ventana solicitada (clamp)
   //    from nunca puede ser menor al billableFrom (cliente)
@@ -87,36 +149,85 @@ export async function getClientPeriodState(clienteDoc, opts = {}) {
 
   const allPeriods = [...basePeriods, ...futurePeriods];
 
-  // 5) Pagos por período del miembro (solo posted/settled)
-  const payments = await Payment.find(
+  // 5) Pagos por período del alcance (solo posted/settled)
+  const rawPayments = await Payment.find(
     {
-      "cliente.memberId": clienteDoc._id,
+      ...paymentScopeFilter(scope),
       "allocations.0": { $exists: true },
       status: { $in: ["posted", "settled"] },
     },
     {
       allocations: 1,
+      postedAt: 1,
+      "cliente.memberId": 1,
     }
   ).lean();
+  const payments = rawPayments.map((pay) => ({
+    ...pay,
+    allocations: scopeAllocations(scope, pay),
+  }));
 
-  const paidByPeriod = new Map(); // period -> sum(amountApplied)
+  const paidByPeriod = new Map(); // period -> sum(amountApplied) de cuota
+  const writtenOffByPeriod = new Map(); // period -> condonado (write-off)
 
   for (const pay of payments) {
     for (const a of pay.allocations || []) {
       if (!a?.period || typeof a.amountApplied !== "number") continue;
+      if (a.concept === "surcharge") continue; // recargos: ver 7.2
       paidByPeriod.set(
         a.period,
         (paidByPeriod.get(a.period) || 0) + a.amountApplied
       );
+      if (a.concept === "writeoff") {
+        writtenOffByPeriod.set(
+          a.period,
+          (writtenOffByPeriod.get(a.period) || 0) + a.amountApplied
+        );
+      }
+    }
+  }
+
+  // 5.0) Futuros con pagos más allá de includeFuture: se agregan (quedan
+  //      "credit") para que summary.creditAmount cuente todo el crédito
+  let lastCredit = null;
+  for (const [period, amt] of paidByPeriod) {
+    if (amt > 0 && period > baseTo) lastCredit = maxPeriod(lastCredit, period);
+  }
+  let lastP = allPeriods.length ? allPeriods[allPeriods.length - 1] : baseTo;
+  while (lastCredit && lastP < lastCredit) {
+    lastP = nextPeriod(lastP);
+    allPeriods.push(lastP);
+  }
+
+  // 5.1) Cargos congelados por la facturación mensual (por grupo)
+  const chargeByPeriod = new Map(); // period -> PeriodCharge.amount
+  const prepaidPeriods = new Set(); // precio congelado por plan anual
+  if (scope.mode === "group" && allPeriods.length) {
+    const snaps = await PeriodCharge.find(
+      {
+        idCliente: scope.idCliente,
+        period: { $in: allPeriods },
+      },
+      { period: 1, amount: 1, source: 1 }
+    ).lean();
+    for (const snap of snaps) {
+      chargeByPeriod.set(snap.period, Number(snap.amount) || 0);
+      if (snap.source === "prepayment") prepaidPeriods.add(snap.period);
     }
   }
 
   // 6) Clasificación período a período -> { period, charge, paid, balance, status }
-  const periods = allPeriods.map((period) => {
+  let periods = allPeriods.map((period) => {
     const isFuture = period > baseTo;
 
-    // Monto de cuota por período
-    const charge = quota;
+    // Monto de cuota por período: snapshot facturado o cuota vigente
+    const chargeSource = prepaidPeriods.has(period)
+      ? "prepayment"
+      : chargeByPeriod.has(period)
+      ? "snapshot"
+      : "current";
+    const charge =
+      chargeSource === "current" ? quota : chargeByPeriod.get(period);
     // Pagos aplicados a ese período
     const paid = paidByPeriod.get(period) || 0;
 
@@ -126,13 +237,21 @@ export async function getClientPeriodState(clienteDoc, opts = {}) {
     if (isFuture) {
       // Futuros no son deuda.
       if (paid > 0) {
-        // Pagos a cuenta al futuro => crédito
-        status = "credit";
+        // Pagos a cuenta al futuro => crédito (salvo plan anual: ya pagado)
+        status =
+          chargeSource === "prepayment" && paid >= charge ? "prepaid" : "credit";
         // balance ya refleja el crédito si es negativo
-        return { period, charge, paid, balance, status };
+        return { period, charge, chargeSource, paid, balance, status };
       }
       // Futuro sin pagos: neutral
-      return { period, charge, paid: 0, balance: 0, status: "future" };
+      return {
+        period,
+        charge,
+        chargeSource,
+        paid: 0,
+        balance: 0,
+        status: "future",
+      };
     }
 
     // Períodos hasta baseTo (facturables)
@@ -141,7 +260,8 @@ export async function getClientPeriodState(clienteDoc, opts = {}) {
       balance = 0;
     } else if (paid <= 0 && charge > 0) {
       status = "due";
-      balance = charge;
+      // paid < 0: se reimputó crédito de un pago que después se revirtió
+      balance = charge - Math.min(0, paid);
     } else if (paid > 0 && paid < charge) {
       status = "partial";
       balance = charge - paid;
@@ -150,13 +270,20 @@ export async function getClientPeriodState(clienteDoc, opts = {}) {
       balance = 0;
     }
 
-    return { period, charge, paid, balance, status };
+    return { period, charge, chargeSource, paid, balance, status };
+  });
+
+  // 6.1) Condonaciones: cancelan saldo pero van aparte de lo pagado
+  //      (paid = cobrado, writtenOff = condonado)
+  periods = periods.map((row) => {
+    const writtenOff = writtenOffByPeriod.get(row.period) || 0;
+    return { ...row, paid: row.paid - writtenOff, writtenOff };
   });
 
   // 7) Regla de vencimiento:
-  //    mes corriente antes del DUE_DAY => "open" (no due)
+  //    mes corriente antes del dueDay configurado => "open" (no due)
   const day = now.getDate();
-  if (day < DUE_DAY) {
+  if (day < dueDay) {
     const idx = periods.findIndex((x) => x.period === todayP);
     if (idx >= 0) {
       const row = periods[idx];
@@ -166,6 +293,51 @@ export async function getClientPeriodState(clienteDoc, opts = {}) {
     }
   }
 
+  // 7.1) Plan de pagos activo: períodos refinanciados + cuotas
+  let plan = null;
+  const planFilter =
+    scope.mode === "group"
+      ? { idCliente: scope.idCliente }
+      : scope.memberId
+      ? { memberId: scope.memberId }
+      : null;
+  const activePlan = planFilter
+    ? await PaymentPlan.findOne({ ...planFilter, status: "active" }).lean()
+    : null;
+
+  if (activePlan) {
+    periods = applyPlanToPeriods(periods, activePlan);
+    const progress = computePlanProgress(activePlan, paidByPeriod, { now });
+    plan = {
+      _id: activePlan._id,
+      status: activePlan.status,
+      totalAmount: activePlan.totalAmount,
+      paidAmount: progress.paidAmount,
+      outstanding: progress.outstanding,
+      installments: progress.installments,
+      nextInstallment: progress.nextInstallment,
+      missedCount: progress.missedCount,
+      dueCount: progress.dueCount,
+      periods: activePlan.periods.map((p) => p.period),
+    };
+  }
+
+  // 7.2) Recargos por mora: líneas aparte, por período vencido
+  const surchargeRules = await getSurchargeRules();
+  const surcharges = computePeriodSurcharges({
+    periods,
+    payments,
+    rules: surchargeRules,
+    dueDay,
+    upTo: baseTo,
+    exclude: plan ? plan.periods : [], // el plan congela esos períodos
+    now,
+  });
+  const surchargeBalanceDue = surcharges.reduce(
+    (acc, r) => acc + Math.max(0, r.balance || 0),
+    0
+  );
+
   // 8) Summary (deuda real: due | partial; excluir open/future/credit/paid)
   const debtRows = periods.filter(
     (r) => r.status === "due" || r.status === "partial"
@@ -178,16 +350,24 @@ export async function getClientPeriodState(clienteDoc, opts = {}) {
     0
   );
 
-  // Crédito global (solo períodos facturables: hasta baseTo)
-  const facturableRows = periods.filter((r) => r.period <= baseTo);
-  const sumDue = facturableRows.reduce((acc, r) => acc + (r.charge || 0), 0);
-  const sumPaid = facturableRows.reduce((acc, r) => acc + (r.paid || 0), 0);
-
-  const creditAmount = Math.max(0, sumPaid - sumDue);
+  // Crédito utilizable: excedente sobre el cargo en períodos facturables +
+  // todo lo imputado a períodos futuros (credit.service lo reimputa a los
+  // períodos adeudados más viejos). Los refinanciados no cuentan.
+  const creditAmount = periods.reduce((acc, r) => {
+    if (r.status === "refinanced" || r.status === "prepaid") return acc;
+    const paid = Number(r.paid || 0) + Number(r.writtenOff || 0);
+    if (r.period > baseTo) return acc + Math.max(0, paid);
+    return acc + Math.max(0, paid - Number(r.charge || 0));
+  }, 0);
   const hasCredit = creditAmount > 0;
 
   const isUpToDate = monthsDue === 0;
 
+  const writtenOffAmount = periods.reduce(
+    (acc, r) => acc + Number(r.writtenOff || 0),
+    0
+  );
+
   return {
     periods,
     summary: {
@@ -196,15 +376,98 @@ export async function getClientPeriodState(clienteDoc, opts = {}) {
       hasCredit,
       creditAmount,
       isUpToDate,
+      planOutstanding: plan ? plan.outstanding : 0,
+      planInstallmentsDue: plan ? plan.dueCount : 0,
+      surchargeBalanceDue,
+      writtenOffAmount,
     },
+    surcharges,
+    plan,
     meta: {
       generatedAt: new Date().toISOString(),
-      quotaBase: clienteDoc?.usarCuotaIdeal ? "cuotaIdeal" : "cuota",
+      scope: scope.mode,
+      idCliente: scope.idCliente,
+      memberId: scope.memberId,
+      quotaBase: quotaDoc?.usarCuotaIdeal ? "cuotaIdeal" : "cuota",
       quotaValueUsed: quota,
+      snapshotPeriods: chargeByPeriod.size,
       start: baseFrom,
       end: baseTo,
-      goLive: GO_LIVE_PERIOD,
-      dueDay: DUE_DAY,
+      goLive: goLivePeriod,
+      dueDay,
+      billingStart: billableFrom,
+      billingStartField: start.field,
+      surchargeOrder: surchargeRules.allocationOrder,
+    },
+  };
+}
+
+/**
+ * Vista de deuda para los endpoints de cliente (admin y cobrador): misma
+ * fuente que getClientPeriodState, más el resumen del período actual.
+ * Si la ventana pedida no llega al mes corriente, se agrega esa fila.
+ *
+ * return:
+ *  {
+ *    clientId, idCliente, scope, currency, from, to,
+ *    periods, surcharges, plan,
+ *    summary: { nowPeriod, cuotaVigente, alreadyAppliedNow, balanceNow,
+ *               totalDueUpToNow, monthsDue, surchargeBalanceDue,
+ *               planOutstanding, creditAmount, writtenOffAmount }
+ *  }
+ */
+export async function buildClientDebtView(clienteDoc, opts = {}) {
+  const base = await getClientPeriodState(clienteDoc, opts);
+  const nowPeriod = yyyymmAR(new Date());
+
+  const periods = Array.isArray(base?.periods) ? [...base.periods] : [];
+  let current = periods.find((p) => p?.period === nowPeriod) || null;
+  if (!current) {
+    const nowState = await getClientPeriodState(clienteDoc, {
+      from: nowPeriod,
+      to: nowPeriod,
+      includeFuture: 0,
+    });
+    current = (nowState?.periods || []).find((p) => p?.period === nowPeriod);
+    if (current) periods.push(current);
+  }
+  periods.sort((a, b) =>
+    a.period < b.period ? -1 : a.period > b.period ? 1 : 0
+  );
+
+  const cuotaVigente =
+    Number(current?.charge ?? base?.meta?.quotaValueUsed) || 0;
+  const alreadyAppliedNow = Number(current?.paid || 0);
+  const balanceNow = Math.max(0, Number(current?.balance || 0));
+
+  const surchargeBalanceDue = Number(base?.summary?.surchargeBalanceDue || 0);
+  const totalDueUpToNow =
+    periods
+      .filter((p) => p.period <= nowPeriod)
+      .reduce((acc, p) => acc + Math.max(0, Number(p.balance || 0)), 0) +
+    surchargeBalanceDue;
+
+  return {
+    clientId: String(clienteDoc._id),
+    idCliente: base?.meta?.idCliente ?? null,
+    scope: base?.meta?.scope || "group",
+    currency: "ARS",
+    from: base?.meta?.start || null,
+    to: base?.meta?.end || null,
+    periods,
+    surcharges: base?.surcharges || [],
+    plan: base?.plan || null,
+    summary: {
+      nowPeriod,
+      cuotaVigente,
+      alreadyAppliedNow,
+      balanceNow,
+      totalDueUpToNow,
+      monthsDue: Number(base?.summary?.monthsDue || 0),
+      surchargeBalanceDue,
+      planOutstanding: Number(base?.summary?.planOutstanding || 0),
+      creditAmount: Number(base?.summary?.creditAmount || 0),
+      writtenOffAmount: Number(base?.summary?.writtenOffAmount || 0),
     },
   };
 }
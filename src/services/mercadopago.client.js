@@ -0,0 +1,254 @@
+// src/services/mercadopago.client.js
+/**
+ * Cliente mínimo de la API de Mercado Pago.
+ *
+ * API expuesta:
+ *  - getMercadoPagoConfig()
+ *  - createPreference(body, { idempotencyKey? })
+ *  - getPayment(id)
+ *  - searchPaymentsByReference(externalReference)
+ *  - createQrOrder(body, { idempotencyKey? })
+ *  - verifyWebhookSignature({ xSignature, xRequestId, dataId, secret? })
+ *
+ * Env vars:
+ *  - MP_ACCESS_TOKEN            (requerido)
+ *  - MP_WEBHOOK_SECRET          (clave secreta de las notificaciones)
+ *  - MP_NOTIFICATION_URL        (URL pública de POST /api/webhooks/mercadopago)
+ *  - MP_BACK_URL                (vuelta al front después del checkout)
+ *  - MP_PREFERENCE_TTL_HOURS=48 (vencimiento del link de pago)
+ *  - MP_SANDBOX=0|1             (usa sandbox_init_point)
+ *  - MP_USER_ID                 (QR dinámico: user_id de la cuenta vendedora)
+ *  - MP_QR_POS_ID               (QR dinámico: external_pos_id de la caja)
+ *  - MP_QR_TTL_MINUTES=15       (vencimiento del QR dinámico)
+ *  - MP_API_BASE_URL            (opcional: stub local de la API; con esto
+ *                                se llama por fetch en vez del SDK)
+ */
+
+import crypto from "crypto";
+import {
+  MercadoPagoConfig,
+  Preference,
+  Payment as MPPayment,
+} from "mercadopago";
+
+const DEFAULT_TIMEOUT_MS = 10_000;
+const API_BASE_URL = "https://api.mercadopago.com";
+
+/** Error con status HTTP + code (lo traducen los controllers) */
+function mpError(status, code, message) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+export function getMercadoPagoConfig() {
+  return {
+    accessToken: process.env.MP_ACCESS_TOKEN || "",
+    webhookSecret: process.env.MP_WEBHOOK_SECRET || "",
+    notificationUrl: process.env.MP_NOTIFICATION_URL || "",
+    backUrl: process.env.MP_BACK_URL || "",
+    ttlHours: Number(process.env.MP_PREFERENCE_TTL_HOURS || 48),
+    sandbox: process.env.MP_SANDBOX === "1",
+    apiBaseUrl: (process.env.MP_API_BASE_URL || "").replace(/\/+$/, ""),
+    userId: process.env.MP_USER_ID || "",
+    qrPosId: process.env.MP_QR_POS_ID || "",
+    qrTtlMinutes: Number(process.env.MP_QR_TTL_MINUTES || 15),
+  };
+}
+
+function requireAccessToken(cfg) {
+  if (!cfg.accessToken) {
+    throw mpError(
+      503,
+      "MP_NOT_CONFIGURED",
+      "Mercado Pago no está configurado (falta MP_ACCESS_TOKEN)."
+    );
+  }
+}
+
+/**
+ * fetch directo: stub local vía MP_API_BASE_URL, o la API real para lo que
+ * el SDK no cubre (órdenes QR in-store)
+ */
+async function apiFetch(cfg, path, { method = "GET", body, headers } = {}) {
+  const res = await fetch(`${cfg.apiBaseUrl || API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${cfg.accessToken}`,
+      "Content-Type": "application/json",
+      ...headers,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(DEFAULT_TIMEOUT_MS),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw mpError(
+      502,
+      "MP_API_ERROR",
+      `Mercado Pago respondió ${res.status}: ${data?.message || "error"}`
+    );
+  }
+  return data;
+}
+
+function sdkClient(cfg, idempotencyKey) {
+  return new MercadoPagoConfig({
+    accessToken: cfg.accessToken,
+    options: {
+      timeout: DEFAULT_TIMEOUT_MS,
+      ...(idempotencyKey ? { idempotencyKey } : {}),
+    },
+  });
+}
+
+/** Crea una preferencia de Checkout Pro */
+export async function createPreference(body, { idempotencyKey } = {}) {
+  const cfg = getMercadoPagoConfig();
+  requireAccessToken(cfg);
+
+  if (cfg.apiBaseUrl) {
+    return apiFetch(cfg, "/checkout/preferences", {
+      method: "POST",
+      body,
+      headers: idempotencyKey ? { "X-Idempotency-Key": idempotencyKey } : {},
+    });
+  }
+  try {
+    return await new Preference(sdkClient(cfg, idempotencyKey)).create({
+      body,
+    });
+  } catch (err) {
+    throw mpError(
+      502,
+      "MP_API_ERROR",
+      `Mercado Pago: ${err?.message || "error al crear la preferencia"}`
+    );
+  }
+}
+
+/** Lee un pago (fuente de verdad: la notificación sólo trae el id) */
+export async function getPayment(id) {
+  const cfg = getMercadoPagoConfig();
+  requireAccessToken(cfg);
+
+  const mpId = encodeURIComponent(String(id));
+  if (cfg.apiBaseUrl) return apiFetch(cfg, `/v1/payments/${mpId}`);
+  try {
+    return await new MPPayment(sdkClient(cfg)).get({ id: mpId });
+  } catch (err) {
+    throw mpError(
+      502,
+      "MP_API_ERROR",
+      `Mercado Pago: ${err?.message || "error al leer el pago"}`
+    );
+  }
+}
+
+/** Pagos asociados a una external_reference (más reciente primero) */
+export async function searchPaymentsByReference(externalReference) {
+  const cfg = getMercadoPagoConfig();
+  requireAccessToken(cfg);
+
+  const ref = String(externalReference);
+  let data;
+  if (cfg.apiBaseUrl) {
+    const qs = new URLSearchParams({
+      external_reference: ref,
+      sort: "date_created",
+      criteria: "desc",
+    });
+    data = await apiFetch(cfg, `/v1/payments/search?${qs}`);
+  } else {
+    try {
+      data = await new MPPayment(sdkClient(cfg)).search({
+        options: {
+          external_reference: ref,
+          sort: "date_created",
+          criteria: "desc",
+        },
+      });
+    } catch (err) {
+      throw mpError(
+        502,
+        "MP_API_ERROR",
+        `Mercado Pago: ${err?.message || "error al buscar pagos"}`
+      );
+    }
+  }
+  return Array.isArray(data?.results) ? data.results : [];
+}
+
+/**
+ * Crea una orden de QR dinámico (modelo in-store) en la caja MP_QR_POS_ID.
+ * return: { in_store_order_id, qr_data }  (qr_data = string EMVCo a dibujar)
+ */
+export async function createQrOrder(body, { idempotencyKey } = {}) {
+  const cfg = getMercadoPagoConfig();
+  requireAccessToken(cfg);
+  if (!cfg.userId || !cfg.qrPosId) {
+    throw mpError(
+      503,
+      "MP_NOT_CONFIGURED",
+      "QR de Mercado Pago no configurado (faltan MP_USER_ID / MP_QR_POS_ID)."
+    );
+  }
+
+  const userId = encodeURIComponent(cfg.userId);
+  const posId = encodeURIComponent(cfg.qrPosId);
+  return apiFetch(
+    cfg,
+    `/instore/orders/qr/seller/collectors/${userId}/pos/${posId}/qrs`,
+    {
+      method: "POST",
+      body,
+      headers: idempotencyKey ? { "X-Idempotency-Key": idempotencyKey } : {},
+    }
+  );
+}
+
+/**
+ * Verifica el header x-signature ("ts=…,v1=…") de una notificación:
+ * HMAC-SHA256(secret, "id:<data.id>;request-id:<x-request-id>;ts:<ts>;")
+ */
+export function verifyWebhookSignature({
+  xSignature,
+  xRequestId,
+  dataId,
+  secret = getMercadoPagoConfig().webhookSecret,
+} = {}) {
+  if (!secret || !xSignature || dataId == null) return false;
+
+  const parts = Object.fromEntries(
+    String(xSignature)
+      .split(",")
+      .map((kv) => kv.split("=").map((s) => s.trim()))
+      .filter(([k, v]) => k && v)
+  );
+  if (!parts.ts || !parts.v1) return false;
+
+  // MP firma el id en minúsculas si es alfanumérico
+  const id = String(dataId).toLowerCase();
+  const manifest =
+    `id:${id};` +
+    (xRequestId ? `request-id:${xRequestId};` : "") +
+    `ts:${parts.ts};`;
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(manifest)
+    .digest("hex");
+
+  const a = Buffer.from(expected, "utf8");
+  const b = Buffer.from(String(parts.v1), "utf8");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+export default {
+  getMercadoPagoConfig,
+  createPreference,
+  getPayment,
+  searchPaymentsByReference,
+  createQrOrder,
+  verifyWebhookSignature,
+};
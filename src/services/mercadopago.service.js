@@ -0,0 +1,531 @@
+// src/services/mercadopago.service.js
+/**
+ * Cobros online con Mercado Pago: Checkout Pro (link de pago desde oficina)
+ * y QR dinámico (cobrador en la puerta del cliente).
+ *
+ * API expuesta:
+ *  - createCheckoutPreference({ clienteDoc, by })
+ *  - createCollectorQrIntent({ clienteDoc, collector, amount? })
+ *  - syncPaymentIntent({ intentId })
+ *  - processPaymentNotification({ mpPaymentId })
+ *
+ * Flujo:
+ *  1) createCheckoutPreference: deuda vencida del grupo (cuotas + recargos)
+ *     → PaymentIntent "pending" → preferencia en MP con external_reference
+ *     = intent._id → link de pago (initPoint).
+ *  2) El webhook (POST /api/webhooks/mercadopago) verifica la firma y llama
+ *     a processPaymentNotification con el id de pago de MP; el pago se lee
+ *     de la API (la notificación no se toma como fuente de verdad).
+ *  3) Aprobado → postPayment (mismo tramo que createAdminPayment): Payment
+ *     posted, ledger DEBIT MERCADOPAGO / CREDIT INGRESOS_CUOTAS, recibo y
+ *     "payment.posted". Idempotente por externalRef = id de pago de MP.
+ *
+ * QR dinámico (flow "qr"):
+ *  - monto = deuda hasta el período actual según getClientPeriodState (o
+ *    uno menor que pida el cobrador); rige el corte de 4 meses de atraso
+ *  - el Payment sale con method "qr", channel "field" y el idCobrador del
+ *    cobrador (cuenta para comisiones); no entra a su caja: el dinero está
+ *    en la cuenta de MP (DEBIT MERCADOPAGO)
+ *  - la app consulta syncPaymentIntent (polling): si el webhook todavía no
+ *    llegó, se busca el pago en MP por external_reference
+ */
+
+import mongoose from "mongoose";
+
+import Cliente from "../models/client.model.js";
+import Payment from "../models/payment.model.js";
+import Receipt from "../models/receipt.model.js";
+import PaymentIntent from "../models/payment-intent.model.js";
+import { getClientPeriodState } from "./debt.service.js";
+import { buildAllocationsAuto } from "./allocation.service.js";
+import { postPayment } from "./payment-posting.service.js";
+import {
+  getMercadoPagoConfig,
+  createPreference,
+  getPayment,
+  searchPaymentsByReference,
+  createQrOrder,
+} from "./mercadopago.client.js";
+import { ACCOUNTS } from "../config/accounts.js";
+import {
+  yyyymmAR,
+  comparePeriod,
+  getDuePeriodsUntilNow,
+  countArrearsMonths,
+  sumSurchargeBalance,
+} from "./periods.util.js";
+
+const ONLINE_COLLECTOR_ID = 0; // idCobrador simbólico (oficina / online)
+const ARREARS_CUTOFF_MONTHS = 4; // mismo corte que el cobro en efectivo
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/** payment_type_id de MP → Payment.method */
+const METHOD_BY_TYPE = {
+  credit_card: "tarjeta",
+  debit_card: "tarjeta",
+  prepaid_card: "tarjeta",
+  account_money: "transferencia",
+  bank_transfer: "transferencia",
+};
+
+/** status de MP → status de la intención (los demás siguen "pending") */
+const INTENT_STATUS_BY_MP = {
+  approved: "approved",
+  rejected: "rejected",
+  cancelled: "cancelled",
+};
+
+/** Error con status HTTP + code (lo traducen los controllers) */
+function mercadoPagoError(status, code, message, extra = {}) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  Object.assign(e, extra);
+  return e;
+}
+
+/**
+ * Crea la intención + preferencia por la deuda vencida del grupo.
+ * return: { intent, preferenceId, initPoint }
+ */
+export async function createCheckoutPreference({ clienteDoc, by } = {}) {
+  if (!clienteDoc?._id) {
+    throw mercadoPagoError(404, "CLIENT_NOT_FOUND", "Cliente no encontrado");
+  }
+  if (!by) {
+    throw mercadoPagoError(
+      400,
+      "INVALID_SESSION",
+      "Sesión inválida: falta userId."
+    );
+  }
+
+  const nowPeriod = yyyymmAR(new Date());
+  const state = await getClientPeriodState(clienteDoc, {
+    to: nowPeriod,
+    includeFuture: 0,
+  });
+  const periods = getDuePeriodsUntilNow(state, nowPeriod);
+  const amount = round2(
+    (state?.periods || [])
+      .filter((r) => periods.includes(r.period))
+      .reduce((acc, r) => acc + Math.max(0, Number(r.balance || 0)), 0) +
+      sumSurchargeBalance(state, nowPeriod)
+  );
+  if (!(amount > 0)) {
+    throw mercadoPagoError(
+      409,
+      "CLIENT_UP_TO_DATE",
+      "El cliente está al día hasta el período actual."
+    );
+  }
+
+  const cfg = getMercadoPagoConfig();
+  const expiresAt = new Date(Date.now() + cfg.ttlHours * 3600 * 1000);
+
+  const intent = await PaymentIntent.create({
+    memberId: clienteDoc._id,
+    idCliente: clienteDoc.idCliente,
+    amount,
+    periods,
+    expiresAt,
+    createdBy: by,
+  });
+
+  const reference = String(intent._id);
+  let pref;
+  try {
+    pref = await createPreference(
+      {
+        items: [
+          {
+            id: `cuotas_${clienteDoc.idCliente}`,
+            title: periods.length
+              ? `Cuotas ${periods.join(", ")} — grupo ${clienteDoc.idCliente}`
+              : `Deuda grupo ${clienteDoc.idCliente}`,
+            quantity: 1,
+            unit_price: amount,
+            currency_id: "ARS",
+          },
+        ],
+        external_reference: reference,
+        metadata: {
+          idCliente: clienteDoc.idCliente,
+          memberId: String(clienteDoc._id),
+        },
+        ...(cfg.notificationUrl
+          ? { notification_url: cfg.notificationUrl }
+          : {}),
+        ...(cfg.backUrl
+          ? {
+              back_urls: {
+                success: cfg.backUrl,
+                pending: cfg.backUrl,
+                failure: cfg.backUrl,
+              },
+              auto_return: "approved",
+            }
+          : {}),
+        expires: true,
+        expiration_date_to: expiresAt.toISOString(),
+      },
+      { idempotencyKey: `mp_pref_${reference}` }
+    );
+  } catch (err) {
+    // Sin preferencia no hay cobro posible: la intención no queda pendiente
+    await PaymentIntent.updateOne(
+      { _id: intent._id, status: "pending" },
+      { $set: { status: "failed", mpStatusDetail: err?.code || null } }
+    ).catch(() => {});
+    throw err;
+  }
+
+  intent.preferenceId = pref?.id ? String(pref.id) : null;
+  intent.initPoint =
+    (cfg.sandbox ? pref?.sandbox_init_point : pref?.init_point) ||
+    pref?.init_point ||
+    null;
+  await intent.save();
+
+  return {
+    intent: intent.toObject(),
+    preferenceId: intent.preferenceId,
+    initPoint: intent.initPoint,
+  };
+}
+
+/**
+ * QR dinámico para que el cliente pague desde su billetera.
+ * collector: { idCobrador, userId } (el cobro queda a su nombre)
+ * amount: opcional, hasta la deuda al período actual (default: toda)
+ * return: { intent }  (intent.qrData = contenido a dibujar como QR)
+ */
+export async function createCollectorQrIntent({
+  clienteDoc,
+  collector,
+  amount,
+} = {}) {
+  if (!clienteDoc?._id) {
+    throw mercadoPagoError(404, "CLIENT_NOT_FOUND", "Cliente no encontrado");
+  }
+  if (!Number.isFinite(Number(collector?.idCobrador)) || !collector?.userId) {
+    throw mercadoPagoError(
+      400,
+      "INVALID_SESSION",
+      "Sesión inválida: falta idCobrador o userId."
+    );
+  }
+
+  // Deuda hasta el período actual (igual que el cobro en efectivo)
+  const nowPeriod = yyyymmAR(new Date());
+  const state = await getClientPeriodState(clienteDoc, {
+    to: nowPeriod,
+    includeFuture: 0,
+  });
+  const dueRows = (state?.periods || []).filter(
+    (r) => comparePeriod(r.period, nowPeriod) <= 0 && Number(r.balance) > 0
+  );
+  const totalDue = round2(
+    dueRows.reduce((acc, r) => acc + Number(r.balance), 0) +
+      sumSurchargeBalance(state, nowPeriod)
+  );
+  if (!(totalDue > 0)) {
+    throw mercadoPagoError(
+      409,
+      "CLIENT_UP_TO_DATE",
+      "El cliente está al día hasta el período actual.",
+      { nowPeriod }
+    );
+  }
+
+  const arrearsMonths = countArrearsMonths(state, nowPeriod);
+  if (arrearsMonths >= ARREARS_CUTOFF_MONTHS) {
+    throw mercadoPagoError(
+      409,
+      "ARREARS_CUTOFF_4M",
+      "El grupo familiar supera el límite de 4 meses de atraso. Contactar administración.",
+      { nowPeriod, arrearsMonths }
+    );
+  }
+
+  const finalAmount = Number(amount) > 0 ? round2(amount) : totalDue;
+  if (finalAmount > totalDue) {
+    throw mercadoPagoError(
+      409,
+      "AMOUNT_EXCEEDS_DEBT",
+      `El monto supera la deuda al período actual (${totalDue}).`,
+      { totalDue }
+    );
+  }
+
+  const cfg = getMercadoPagoConfig();
+  const expiresAt = new Date(Date.now() + cfg.qrTtlMinutes * 60 * 1000);
+
+  const intent = await PaymentIntent.create({
+    flow: "qr",
+    memberId: clienteDoc._id,
+    idCliente: clienteDoc.idCliente,
+    amount: finalAmount,
+    periods: dueRows.map((r) => r.period),
+    expiresAt,
+    collector: {
+      idCobrador: Number(collector.idCobrador),
+      userId: collector.userId,
+    },
+    arrearsMonths,
+    createdBy: collector.userId,
+  });
+
+  const reference = String(intent._id);
+  const title = `Cuotas grupo ${clienteDoc.idCliente}`;
+  let order;
+  try {
+    order = await createQrOrder(
+      {
+        external_reference: reference,
+        title,
+        description: dueRows.length
+          ? `Períodos ${dueRows.map((r) => r.period).join(", ")}`
+          : title,
+        ...(cfg.notificationUrl
+          ? { notification_url: cfg.notificationUrl }
+          : {}),
+        total_amount: finalAmount,
+        expiration_date: expiresAt.toISOString(),
+        items: [
+          {
+            sku_number: `cuotas_${clienteDoc.idCliente}`,
+            category: "services",
+            title,
+            unit_price: finalAmount,
+            quantity: 1,
+            unit_measure: "unit",
+            total_amount: finalAmount,
+          },
+        ],
+      },
+      { idempotencyKey: `mp_qr_${reference}` }
+    );
+  } catch (err) {
+    // Sin orden no hay QR que cobrar: la intención no queda pendiente
+    await PaymentIntent.updateOne(
+      { _id: intent._id, status: "pending" },
+      { $set: { status: "failed", mpStatusDetail: err?.code || null } }
+    ).catch(() => {});
+    throw err;
+  }
+
+  intent.inStoreOrderId = order?.in_store_order_id
+    ? String(order.in_store_order_id)
+    : null;
+  intent.qrData = order?.qr_data || null;
+  await intent.save();
+
+  return { intent: intent.toObject() };
+}
+
+/**
+ * Estado actual de una intención (polling de la app).
+ * Si sigue "pending", busca el pago en MP por external_reference y lo
+ * procesa como si hubiese llegado la notificación; vencida y sin pago →
+ * "expired".
+ * return: { intent, payment?, receipt? }
+ */
+export async function syncPaymentIntent({ intentId } = {}) {
+  let intent = await PaymentIntent.findById(intentId).lean();
+  if (!intent) {
+    throw mercadoPagoError(
+      404,
+      "INTENT_NOT_FOUND",
+      "Intención de pago no encontrada"
+    );
+  }
+
+  if (intent.status === "pending") {
+    const results = await searchPaymentsByReference(intent._id);
+    const found =
+      results.find((r) => r?.status === "approved") || results[0] || null;
+
+    if (found?.id != null) {
+      const out = await processPaymentNotification({ mpPaymentId: found.id });
+      if (out.payment) {
+        return {
+          intent: out.intent,
+          payment: out.payment,
+          receipt: out.receipt,
+        };
+      }
+      intent = out.intent || intent;
+    } else if (intent.expiresAt && new Date(intent.expiresAt) < new Date()) {
+      intent = await PaymentIntent.findOneAndUpdate(
+        { _id: intent._id, status: "pending" },
+        { $set: { status: "expired" } },
+        { new: true }
+      ).lean();
+      if (!intent) return syncPaymentIntent({ intentId });
+    }
+  }
+
+  if (intent.paymentId) {
+    const payment = await Payment.findById(intent.paymentId).lean();
+    const receipt = payment
+      ? await Receipt.findOne({ paymentId: payment._id })
+          .sort({ createdAt: -1 })
+          .lean()
+      : null;
+    return { intent, payment, receipt };
+  }
+  return { intent };
+}
+
+/** Payment ya registrado para un pago de MP (+ su recibo vigente) */
+async function findPostedByMpId(mpPaymentId, session = null) {
+  const existing = await Payment.findOne({
+    externalRef: mpPaymentId,
+    idempotencyKey: `mp_${mpPaymentId}`,
+  })
+    .session(session)
+    .lean();
+  if (!existing) return null;
+  const receipt = await Receipt.findOne({ paymentId: existing._id })
+    .sort({ createdAt: -1 })
+    .session(session)
+    .lean();
+  return { payment: existing, receipt };
+}
+
+/**
+ * Procesa una notificación de pago: lee el pago en MP y, si está aprobado,
+ * registra el cobro (una sola vez por id de pago de MP).
+ * return: { result: "posted" | "duplicate" | "updated" | "ignored",
+ *           intent?, payment?, receipt? }
+ */
+export async function processPaymentNotification({ mpPaymentId } = {}) {
+  const id = String(mpPaymentId || "").trim();
+  if (!id) {
+    throw mercadoPagoError(400, "INVALID_ID", "Falta el id de pago de MP.");
+  }
+
+  const mp = await getPayment(id);
+  const reference = String(mp?.external_reference || "");
+  if (!mongoose.Types.ObjectId.isValid(reference)) {
+    return { result: "ignored", reason: "unknown_reference" };
+  }
+  const intent = await PaymentIntent.findById(reference);
+  if (!intent) return { result: "ignored", reason: "unknown_reference" };
+
+  intent.mpPaymentId = id;
+  intent.mpStatus = mp?.status || null;
+  intent.mpStatusDetail = mp?.status_detail || null;
+  intent.lastNotificationAt = new Date();
+
+  if (mp?.status !== "approved") {
+    if (intent.status === "pending" && INTENT_STATUS_BY_MP[mp?.status]) {
+      intent.status = INTENT_STATUS_BY_MP[mp.status];
+    }
+    await intent.save();
+    return { result: "updated", intent: intent.toObject() };
+  }
+
+  const already = await findPostedByMpId(id);
+  if (already) {
+    if (intent.status !== "approved") {
+      intent.status = "approved";
+      intent.paymentId = already.payment._id;
+      intent.approvedAt = intent.approvedAt || new Date();
+    }
+    await intent.save();
+    return { result: "duplicate", intent: intent.toObject(), ...already };
+  }
+
+  const amount = round2(mp?.transaction_amount);
+  if (!(amount > 0)) {
+    throw mercadoPagoError(
+      422,
+      "MP_INVALID_AMOUNT",
+      `El pago ${id} de Mercado Pago no trae monto válido.`
+    );
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    // QR: el cobro es del cobrador que lo generó (comisiones); checkout: oficina
+    const isQr = intent.flow === "qr";
+    const member = await Cliente.findById(intent.memberId)
+      .select(
+        "_id idCliente nombre nombreTitular usarCuotaIdeal cuota cuotaIdeal"
+      )
+      .session(session)
+      .lean();
+    if (!member) {
+      throw mercadoPagoError(404, "CLIENT_NOT_FOUND", "Cliente no encontrado");
+    }
+
+    // Imputación al momento de la acreditación: vencidos (y recargos) más
+    // viejos primero; si sobra (pagó por otro lado mientras tanto), a cuenta
+    const { allocations, periodsApplied } = await buildAllocationsAuto(
+      member,
+      amount
+    );
+
+    const { payment, receipt } = await postPayment({
+      session,
+      member,
+      collector: isQr
+        ? {
+            idCobrador: intent.collector.idCobrador,
+            userId: intent.collector.userId,
+          }
+        : { idCobrador: ONLINE_COLLECTOR_ID, userId: intent.createdBy },
+      amount,
+      method: isQr ? "qr" : METHOD_BY_TYPE[mp?.payment_type_id] || "otro",
+      channel: isQr ? "field" : "portal",
+      allocations,
+      periodsApplied,
+      cashAccountCode: ACCOUNTS.MERCADOPAGO,
+      postedAt: mp?.date_approved || null,
+      meta: { source: "mercadopago" },
+      fields: {
+        idempotencyKey: `mp_${id}`,
+        externalRef: id,
+        notes: `${isQr ? "QR " : ""}Mercado Pago #${id}`,
+      },
+    });
+
+    intent.status = "approved";
+    intent.paymentId = payment._id;
+    intent.approvedAt = payment.postedAt || new Date();
+    await intent.save({ session });
+
+    await session.commitTransaction();
+    return {
+      result: "posted",
+      intent: intent.toObject(),
+      payment: payment.toObject(),
+      receipt: receipt.toObject(),
+    };
+  } catch (err) {
+    try {
+      await session.abortTransaction();
+    } catch {}
+
+    // Dos notificaciones del mismo pago en paralelo: ganó la otra
+    if (err?.code === 11000 && err?.keyPattern?.idempotencyKey) {
+      const dup = await findPostedByMpId(id);
+      if (dup) {
+        return { result: "duplicate", intent: intent.toObject(), ...dup };
+      }
+    }
+    throw err;
+  } finally {
+    session.endSession();
+  }
+}
+
+export default {
+  createCheckoutPreference,
+  createCollectorQrIntent,
+  syncPaymentIntent,
+  processPaymentNotification,
+};
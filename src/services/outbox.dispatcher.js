@@ -0,0 +1,152 @@
+// src/services/outbox.dispatcher.js
+/**
+ * Dispatcher de Outbox: consume eventos "pending" y los entrega al handler
+ * registrado para su topic.
+ *
+ * API expuesta:
+ *  - registerOutboxHandler(topic, handler)   // handler(event) → Promise
+ *  - unregisterOutboxHandler(topic)
+ *  - clearOutboxHandlers()
+ *  - getRegisteredTopics()
+ *  - dispatchOutboxOnce({ workerId?, limit?, leaseMs?, handlerTimeoutMs? })
+ *
+ * Reglas:
+ *  - Sólo se reclaman topics con handler (o todos si hay handler "*").
+ *  - Cada evento se reclama con lease (claimNext) → no lo toma otro worker.
+ *  - Éxito → markSent. Error/timeout → markFailed (backoff exponencial y,
+ *    al agotar OUTBOX_MAX_ATTEMPTS, queda en "failed").
+ *  - markSent/markFailed sólo escriben si el worker conserva el lease; si
+ *    venció (otro worker lo reclamó), el resultado se descarta ("lost").
+ *
+ * Para probar: registrar un handler fake en proceso y llamar
+ * dispatchOutboxOnce() — no hace falta levantar el intervalo.
+ */
+
+import os from "os";
+import crypto from "crypto";
+import { claimNext, markSent, markFailed } from "./outbox.service.js";
+
+const WILDCARD = "*";
+const DEFAULT_BATCH = Number(process.env.OUTBOX_BATCH_SIZE || 25);
+const DEFAULT_HANDLER_TIMEOUT_MS = Number(
+  process.env.OUTBOX_HANDLER_TIMEOUT_MS || 30_000
+);
+
+const handlers = new Map(); // topic -> handler
+
+export const DEFAULT_WORKER_ID = `${os.hostname()}:${
+  process.pid
+}:${crypto.randomBytes(3).toString("hex")}`;
+
+export function registerOutboxHandler(topic, handler) {
+  const key = String(topic || "").trim();
+  if (!key) throw new Error("registerOutboxHandler: topic requerido");
+  if (typeof handler !== "function") {
+    throw new Error("registerOutboxHandler: handler debe ser una función");
+  }
+  handlers.set(key, handler);
+}
+
+export function unregisterOutboxHandler(topic) {
+  handlers.delete(String(topic || "").trim());
+}
+
+export function clearOutboxHandlers() {
+  handlers.clear();
+}
+
+export function getRegisteredTopics() {
+  return Array.from(handlers.keys());
+}
+
+function resolveHandler(topic) {
+  return handlers.get(topic) || handlers.get(WILDCARD) || null;
+}
+
+function withTimeout(promise, ms, topic) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`handler_timeout (${topic}, ${ms}ms)`)),
+      ms
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Procesa hasta `limit` eventos y devuelve un resumen.
+ * return: { claimed, sent, failed, lost, results: [{ id, topic, ok, error? }] }
+ * lost: eventos cuyo lease venció antes de terminar (el resultado se ignora).
+ */
+export async function dispatchOutboxOnce({
+  workerId = DEFAULT_WORKER_ID,
+  limit = DEFAULT_BATCH,
+  leaseMs,
+  handlerTimeoutMs = DEFAULT_HANDLER_TIMEOUT_MS,
+} = {}) {
+  const summary = { claimed: 0, sent: 0, failed: 0, lost: 0, results: [] };
+
+  if (handlers.size === 0) return summary;
+  const topics = handlers.has(WILDCARD) ? null : getRegisteredTopics();
+
+  for (let i = 0; i < limit; i++) {
+    const event = await claimNext({ workerId, topics, leaseMs });
+    if (!event) break;
+    summary.claimed++;
+
+    const handler = resolveHandler(event.topic);
+    const startedAt = Date.now();
+
+    try {
+      if (!handler) throw new Error(`no_handler (${event.topic})`);
+      await withTimeout(
+        Promise.resolve().then(() => handler(event)),
+        handlerTimeoutMs,
+        event.topic
+      );
+
+      const marked = await markSent(event._id, {}, {
+        workerId,
+        durationMs: Date.now() - startedAt,
+      });
+      if (!marked) {
+        // El lease venció y el evento ya es de otro worker (o se descartó)
+        summary.lost++;
+        summary.results.push({
+          id: event._id,
+          topic: event.topic,
+          ok: false,
+          error: "lease_lost",
+        });
+        continue;
+      }
+      summary.sent++;
+      summary.results.push({ id: event._id, topic: event.topic, ok: true });
+    } catch (err) {
+      const error = err?.message || String(err) || "unknown_error";
+      const marked = await markFailed(event._id, error, {}, {
+        workerId,
+        durationMs: Date.now() - startedAt,
+      });
+      if (marked) summary.failed++;
+      else summary.lost++;
+      summary.results.push({
+        id: event._id,
+        topic: event.topic,
+        ok: false,
+        error,
+      });
+    }
+  }
+
+  return summary;
+}
+
+export default {
+  registerOutboxHandler,
+  unregisterOutboxHandler,
+  clearOutboxHandlers,
+  getRegisteredTopics,
+  dispatchOutboxOnce,
+};
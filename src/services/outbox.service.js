@@ -4,20 +4,61 @@
  *
  * API expuesta:
  *  - enqueue(topic, payload, { session?, dedupeKey?, dedupeTtlMs? })
- *  - markSent(id, extra?, { session? })
- *  - markFailed(id, errorMessage?, extra?, { session? })
- *  - requeue(id, { session? })
+ *  - markSent(id, extra?, { session?, workerId? })   → null si perdió el lease
+ *  - markFailed(id, errorMessage?, extra?, { session?, workerId? })  → idem
+ *  - requeue(id, { session?, resetAttempts?, by?, note? })  → null si hay lease
+ *  - requeueMany(filter, { resetAttempts?, by?, note? })
+ *  - countRequeueable(filter)
+ *  - discard(id, reason, { session?, by? })                 → null si hay lease
+ *  - claimNext({ workerId, topics?, leaseMs? })   ← usado por el dispatcher
+ *  - computeBackoffMs(attempts)
  *  - getById(id)
  *
  * Requisitos mínimos del modelo:
  *  - fields: topic (String), payload (Mixed), status (String), attempts (Number)
  *  - opcionales (si tu schema los tiene): dedupeKey, lastError, lastAttemptAt, processedAt, meta
+ *  - dispatcher: nextAttemptAt, lockedUntil, lockedBy, history[]
  */
 
 import mongoose from "mongoose";
 import Outbox from "../models/outbox.model.js";
 
 const DEFAULT_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 10);
+const BACKOFF_BASE_MS = Number(process.env.OUTBOX_BACKOFF_BASE_MS || 30_000);
+const BACKOFF_MAX_MS = Number(process.env.OUTBOX_BACKOFF_MAX_MS || 3_600_000);
+const DEFAULT_LEASE_MS = Number(process.env.OUTBOX_LEASE_MS || 60_000);
+const HISTORY_MAX = 50; // últimos N intentos guardados en el evento
+
+const RELEASE_LEASE = { lockedUntil: null, lockedBy: null };
+
+/**
+ * Filtro de "lease vigente": el evento sigue pending y en manos de workerId.
+ * Si el lease venció y otro worker lo reclamó (o un admin lo descartó), el
+ * update no matchea y el resultado del worker viejo se ignora.
+ */
+function leaseFilter(_id, workerId) {
+  return workerId
+    ? { _id, status: "pending", lockedBy: String(workerId) }
+    : { _id, status: "pending" };
+}
+
+/** Sin lease vigente: ningún worker lo está procesando ahora */
+const unleased = (now = new Date()) => ({
+  $or: [
+    { lockedUntil: null },
+    { lockedUntil: { $exists: false } },
+    { lockedUntil: { $lte: now } },
+  ],
+});
+
+/**
+ * Backoff exponencial: base * 2^(attempts-1), con tope.
+ * attempts = cantidad de intentos fallidos YA registrados (1, 2, 3…)
+ */
+export function computeBackoffMs(attempts) {
+  const n = Math.max(1, Number(attempts) || 1);
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (n - 1));
+}
 
 /** Normaliza un ObjectId válido o null */
 function asObjectId(id) {
@@ -82,33 +123,57 @@ export async function enqueue(
 /**
  * Marca un evento como enviado/procesado con éxito.
  * Intenta setear campos opcionales si existen en el schema.
+ * Devuelve null si el worker ya no tiene el lease (no se toca el evento).
  */
-export async function markSent(id, extra = {}, { session } = {}) {
+export async function markSent(
+  id,
+  extra = {},
+  { session, workerId = null, durationMs = null } = {}
+) {
   const _id = asObjectId(id);
   if (!_id) throw new Error("markSent: id inválido");
 
+  const now = new Date();
   const update = {
     $set: {
       status: "sent",
-      processedAt: new Date(),
+      processedAt: now,
+      lastAttemptAt: now,
+      nextAttemptAt: null,
+      ...RELEASE_LEASE,
       ...(extra || {}),
     },
+    $push: {
+      history: {
+        $each: [{ at: now, ok: true, error: null, workerId, durationMs }],
+        $slice: -HISTORY_MAX,
+      },
+    },
   };
 
-  await Outbox.updateOne({ _id }, update, { session: session || undefined });
+  const r = await Outbox.updateOne(leaseFilter(_id, workerId), update, {
+    session: session || undefined,
+  });
+  if (!r.matchedCount) return null;
   return await Outbox.findById(_id).lean();
 }
 
 /**
  * Marca un evento como fallido (incrementa attempts).
  * Si supera OUTBOX_MAX_ATTEMPTS, lo deja en status="failed" definitivo.
- * Si no, lo deja en "pending" para reintento.
+ * Si no, lo deja en "pending" para reintento con nextAttemptAt (backoff exponencial).
+ * Devuelve null si el worker ya no tiene el lease (no se toca el evento).
  */
 export async function markFailed(
   id,
   errorMessage = "unknown_error",
   extra = {},
-  { session } = {}
+  {
+    session,
+    workerId = null,
+    durationMs = null,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  } = {}
 ) {
   const _id = asObjectId(id);
   if (!_id) throw new Error("markFailed: id inválido");
@@ -120,28 +185,49 @@ export async function markFailed(
   if (!cur) throw new Error("markFailed: evento no encontrado");
 
   const nextAttempts = Number(cur.attempts || 0) + 1;
-  const reachedMax = nextAttempts >= DEFAULT_MAX_ATTEMPTS;
+  const reachedMax = nextAttempts >= maxAttempts;
+  const now = new Date();
+  const error = String(errorMessage || "unknown_error");
 
   const update = {
     $set: {
       status: reachedMax ? "failed" : "pending",
-      lastError: String(errorMessage || "unknown_error"),
-      lastAttemptAt: new Date(),
+      lastError: error,
+      lastAttemptAt: now,
+      nextAttemptAt: reachedMax
+        ? null
+        : new Date(now.getTime() + computeBackoffMs(nextAttempts)),
+      ...RELEASE_LEASE,
       ...(extra || {}),
     },
     $inc: { attempts: 1 },
+    $push: {
+      history: {
+        $each: [{ at: now, ok: false, error, workerId, durationMs }],
+        $slice: -HISTORY_MAX,
+      },
+    },
   };
 
-  await Outbox.updateOne({ _id }, update, { session: session || undefined });
+  const r = await Outbox.updateOne(leaseFilter(_id, workerId), update, {
+    session: session || undefined,
+  });
+  if (!r.matchedCount) return null;
   return await Outbox.findById(_id).lean();
 }
 
 /**
  * Reencola manualmente (acción "Reintentar" en el panel).
- * - Resetea status a "pending" si estaba "failed"
- * - (Opcional) reduce attempts en 1 para no bloquear por límite (configurable si querés).
+ * - Resetea status a "pending" si estaba "failed"/"discarded"
+ * - resetAttempts=true vuelve attempts a 0 (si no, un evento que ya llegó al
+ *   máximo vuelve a "failed" en el primer error).
+ * - Un evento con lease vigente (un worker lo está despachando) no se toca:
+ *   devuelve null.
  */
-export async function requeue(id, { session } = {}) {
+export async function requeue(
+  id,
+  { session, resetAttempts = false, by = null, note = null } = {}
+) {
   const _id = asObjectId(id);
   if (!_id) throw new Error("requeue: id inválido");
 
@@ -150,17 +236,163 @@ export async function requeue(id, { session } = {}) {
     .lean();
   if (!cur) throw new Error("requeue: evento no encontrado");
 
-  const update = {
+  const update = buildRequeueUpdate({
+    action: "retry",
+    resetAttempts,
+    by,
+    note,
+  });
+
+  const r = await Outbox.updateOne(
+    { _id, status: { $ne: "sent" }, ...unleased() },
+    update,
+    { session: session || undefined }
+  );
+  if (!r.matchedCount) return null;
+  return await Outbox.findById(_id).lean();
+}
+
+function buildRequeueUpdate({ action, resetAttempts, by, note }) {
+  return {
     $set: {
       status: "pending",
-      lastError: undefined,
+      nextAttemptAt: null,
+      discardReason: null,
+      discardedBy: null,
+      discardedAt: null,
+      ...RELEASE_LEASE,
+      ...(resetAttempts ? { attempts: 0 } : {}),
+    },
+    $unset: { lastError: 1 },
+    $push: {
+      history: {
+        $each: [
+          {
+            at: new Date(),
+            action,
+            ok: true,
+            by: by ? String(by) : null,
+            note: note ? String(note) : null,
+          },
+        ],
+        $slice: -HISTORY_MAX,
+      },
     },
   };
+}
 
-  await Outbox.updateOne({ _id }, update, { session: session || undefined });
+/**
+ * Reencolado masivo (panel admin). `filter` es un filtro Mongo ya armado
+ * por el controller (topic/status/fechas). Nunca toca eventos "sent" ni los
+ * que un worker tiene tomados (lease vigente).
+ * Devuelve { matched, modified }.
+ */
+const requeueManyFilter = (filter = {}) => ({
+  $and: [filter, { status: { $ne: "sent" } }, unleased()],
+});
+
+/** Cuántos eventos tocaría requeueMany (dry run del panel) */
+export async function countRequeueable(filter = {}) {
+  return await Outbox.countDocuments(requeueManyFilter(filter));
+}
+
+export async function requeueMany(
+  filter = {},
+  { resetAttempts = false, by = null, note = null } = {}
+) {
+  const r = await Outbox.updateMany(
+    requeueManyFilter(filter),
+    buildRequeueUpdate({ action: "requeue", resetAttempts, by, note })
+  );
+  return { matched: r.matchedCount ?? 0, modified: r.modifiedCount ?? 0 };
+}
+
+/**
+ * Descarta un evento (no se reintenta más). reason obligatorio.
+ * Con lease vigente no se descarta (devuelve null): el worker terminaría
+ * después y el resultado quedaría inconsistente.
+ */
+export async function discard(id, reason, { session, by = null } = {}) {
+  const _id = asObjectId(id);
+  if (!_id) throw new Error("discard: id inválido");
+
+  const motivo = String(reason || "").trim();
+  if (!motivo) throw new Error("discard: reason requerido");
+
+  const now = new Date();
+  const r = await Outbox.updateOne(
+    { _id, status: { $nin: ["sent", "discarded"] }, ...unleased(now) },
+    {
+      $set: {
+        status: "discarded",
+        discardReason: motivo,
+        discardedBy: by ? String(by) : null,
+        discardedAt: now,
+        nextAttemptAt: null,
+        ...RELEASE_LEASE,
+      },
+      $push: {
+        history: {
+          $each: [
+            {
+              at: now,
+              action: "discard",
+              ok: true,
+              by: by ? String(by) : null,
+              note: motivo,
+            },
+          ],
+          $slice: -HISTORY_MAX,
+        },
+      },
+    },
+    { session: session || undefined }
+  );
+  if (!r.matchedCount) return null;
   return await Outbox.findById(_id).lean();
 }
 
+/**
+ * Reclama (lease) el próximo evento despachable de forma atómica.
+ * - status="pending", nextAttemptAt vencido (o null) y sin lease vigente.
+ * - topics: restringe a los topics con handler registrado (null = todos).
+ * Devuelve el documento (lean) ya bloqueado por workerId, o null.
+ */
+export async function claimNext({
+  workerId,
+  topics = null,
+  leaseMs = DEFAULT_LEASE_MS,
+  now = new Date(),
+} = {}) {
+  if (!workerId) throw new Error("claimNext: workerId requerido");
+
+  const filter = {
+    status: "pending",
+    $and: [
+      {
+        $or: [
+          { nextAttemptAt: null },
+          { nextAttemptAt: { $exists: false } },
+          { nextAttemptAt: { $lte: now } },
+        ],
+      },
+      unleased(now),
+    ],
+  };
+  if (Array.isArray(topics)) filter.topic = { $in: topics };
+
+  return await Outbox.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        lockedBy: String(workerId),
+        lockedUntil: new Date(now.getTime() + Number(leaseMs)),
+      },
+    },
+    { new: true, sort: { createdAt: 1, _id: 1 } }
+  ).lean();
+}
+
 /** Utilidad simple */
 export async function getById(id) {
   const _id = asObjectId(id);
@@ -0,0 +1,320 @@
+// src/services/payment-plan.service.js
+/**
+ * Planes de pago (refinanciación).
+ *
+ * API expuesta:
+ *  - buildInstallments({ total, count, firstDueDate })
+ *  - computePlanProgress(plan, paidByPeriod, { now? })
+ *  - applyPlanToPeriods(periods, plan)           ← lo usa debt.service
+ *  - toPlanDebtState(debtState)                  ← cobro de cuota del plan
+ *  - syncPaymentPlanProgress({ session?, planId })
+ *  - cancelPaymentPlan({ session?, planId, reason, by? })
+ *  - runPaymentPlanSweep({ now? })               ← job diario
+ *
+ * Avance del plan = lo imputado a los períodos refinanciados DESPUÉS de
+ * crear el plan (paid actual − paidAtStart). Se reparte en las cuotas en
+ * orden: una cuota está paga cuando el acumulado la cubre.
+ */
+
+import PaymentPlan from "../models/payment-plan.model.js";
+import Payment from "../models/payment.model.js";
+import { enqueue } from "./outbox.service.js";
+import {
+  resolveDebtScope,
+  paymentScopeFilter,
+  scopeAllocations,
+} from "./debt-scope.service.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/**
+ * Reparte `total` en `count` cuotas mensuales (la última absorbe el redondeo).
+ * firstDueDate: Date de la 1ª cuota; las siguientes, mismo día de cada mes
+ * (o el último, si el mes es más corto: 31/01 → 28/02 → 31/03).
+ */
+export function buildInstallments({ total, count, firstDueDate }) {
+  const n = Math.max(1, Math.floor(Number(count) || 1));
+  const base = Math.floor((Number(total) / n) * 100) / 100;
+  const first = new Date(firstDueDate);
+
+  const out = [];
+  let acc = 0;
+  for (let i = 0; i < n; i++) {
+    const y = first.getFullYear();
+    const m = first.getMonth() + i;
+    const daysInMonth = new Date(y, m + 1, 0).getDate();
+    const dueDate = new Date(first);
+    dueDate.setFullYear(y, m, Math.min(first.getDate(), daysInMonth));
+    const amount = i === n - 1 ? round2(Number(total) - acc) : base;
+    acc = round2(acc + amount);
+    out.push({ number: i + 1, dueDate, amount, paid: 0, status: "pending" });
+  }
+  return out;
+}
+
+/**
+ * Estado de las cuotas según lo pagado a los períodos del plan.
+ * paidByPeriod: Map period → total imputado (posted/settled)
+ */
+export function computePlanProgress(
+  plan,
+  paidByPeriod,
+  { now = new Date() } = {}
+) {
+  const paidAmount = round2(
+    (plan.periods || []).reduce((acc, p) => {
+      const paidNow = Number(paidByPeriod.get(p.period) || 0);
+      const since = paidNow - Number(p.paidAtStart || 0);
+      return acc + Math.min(Math.max(0, since), Number(p.balanceAtStart || 0));
+    }, 0)
+  );
+
+  const graceMs = Number(plan.graceDays || 0) * DAY_MS;
+  let remaining = paidAmount;
+
+  const installments = (plan.installments || []).map((it) => {
+    const amount = Number(it.amount || 0);
+    const paid = round2(Math.min(amount, Math.max(0, remaining)));
+    remaining = round2(remaining - paid);
+
+    const due = new Date(it.dueDate).getTime();
+    let status = "pending";
+    if (paid >= amount) status = "paid";
+    else if (now.getTime() > due + graceMs) status = "missed";
+    else if (now.getTime() > due) status = "due";
+    else if (paid > 0) status = "partial";
+
+    return {
+      number: it.number,
+      dueDate: it.dueDate,
+      amount,
+      paid,
+      balance: round2(amount - paid),
+      status,
+      paidAt: status === "paid" ? it.paidAt || null : null,
+    };
+  });
+
+  const outstanding = round2(Number(plan.totalAmount || 0) - paidAmount);
+  const nextInstallment =
+    installments.find((it) => it.status !== "paid") || null;
+
+  return {
+    paidAmount,
+    outstanding,
+    installments,
+    missedCount: installments.filter((it) => it.status === "missed").length,
+    dueCount: installments.filter(
+      (it) => it.status === "due" || it.status === "missed"
+    ).length,
+    nextInstallment,
+    isCompleted: outstanding <= 0.009,
+  };
+}
+
+/**
+ * Marca como "refinanced" los períodos del plan: el saldo sale de la deuda
+ * común (balance 0, fuera del corte 4M / FIFO) y queda en refinancedBalance.
+ */
+export function applyPlanToPeriods(periods, plan) {
+  const inPlan = new Set((plan?.periods || []).map((p) => p.period));
+  return periods.map((row) => {
+    if (!inPlan.has(row.period) || !(Number(row.balance) > 0)) return row;
+    return {
+      ...row,
+      refinancedBalance: row.balance,
+      balance: 0,
+      status: "refinanced",
+      planId: plan._id,
+    };
+  });
+}
+
+/**
+ * Vista de deuda SOLO del plan (para cobrar cuotas): los períodos
+ * refinanciados vuelven a tener su saldo y el resto queda afuera.
+ */
+export function toPlanDebtState(debtState) {
+  const periods = (debtState?.periods || [])
+    .filter((r) => r.status === "refinanced")
+    .map((r) => {
+      const balance = Number(r.refinancedBalance || 0);
+      return {
+        ...r,
+        balance,
+        status: balance < Number(r.charge || 0) ? "partial" : "due",
+      };
+    });
+  // Las cuotas del plan no arrastran recargos por mora
+  return {
+    ...debtState,
+    periods,
+    surcharges: [],
+    summary: { ...(debtState?.summary || {}), surchargeBalanceDue: 0 },
+  };
+}
+
+/** paidByPeriod del plan (mismo alcance grupo/integrante que debt.service) */
+async function loadPaidByPeriod(plan, { session } = {}) {
+  const scope = await resolveDebtScope({
+    _id: plan.memberId,
+    idCliente: plan.idCliente,
+  });
+  const payments = await Payment.find(
+    {
+      ...paymentScopeFilter(scope),
+      "allocations.0": { $exists: true },
+      status: { $in: ["posted", "settled"] },
+    },
+    { allocations: 1, "cliente.memberId": 1 }
+  )
+    .session(session || null)
+    .lean();
+
+  const map = new Map();
+  for (const pay of payments) {
+    for (const a of scopeAllocations(scope, pay)) {
+      if (!a?.period || typeof a.amountApplied !== "number") continue;
+      // recargos aparte; condonaciones no son cobro (paidAtStart tampoco
+      // las cuenta: sale de row.paid de debt.service)
+      if (a.concept === "surcharge" || a.concept === "writeoff") continue;
+      map.set(a.period, (map.get(a.period) || 0) + a.amountApplied);
+    }
+  }
+  return map;
+}
+
+/**
+ * Persiste el snapshot de avance de las cuotas y cierra el plan si quedó
+ * saldado. Se llama después de cada cobro de cuota (misma TX) y en el job.
+ * return: { plan, progress } | null
+ */
+export async function syncPaymentPlanProgress({ session, planId, now } = {}) {
+  const plan = await PaymentPlan.findById(planId).session(session || null);
+  if (!plan || plan.status !== "active") return null;
+
+  const paidByPeriod = await loadPaidByPeriod(plan, { session });
+  const progress = computePlanProgress(plan, paidByPeriod, { now });
+
+  const prevPaid = new Map(plan.installments.map((it) => [it.number, it]));
+  plan.installments = progress.installments.map((it) => {
+    const prev = prevPaid.get(it.number);
+    return {
+      number: it.number,
+      dueDate: it.dueDate,
+      amount: it.amount,
+      paid: it.paid,
+      // "due" es sólo de lectura; persistimos pending/partial/paid/missed
+      status:
+        it.status === "due"
+          ? it.paid > 0
+            ? "partial"
+            : "pending"
+          : it.status,
+      paidAt:
+        it.status === "paid" ? prev?.paidAt || now || new Date() : null,
+    };
+  });
+
+  if (progress.isCompleted) {
+    plan.status = "completed";
+    plan.completedAt = now || new Date();
+  }
+  await plan.save({ session: session || undefined });
+
+  if (progress.isCompleted) {
+    await enqueue(
+      "payment_plan.completed",
+      {
+        planId: String(plan._id),
+        idCliente: plan.idCliente,
+        memberId: String(plan.memberId),
+        totalAmount: plan.totalAmount,
+      },
+      { session }
+    );
+  }
+
+  return { plan: plan.toObject(), progress };
+}
+
+/**
+ * Cancela un plan activo. Los períodos refinanciados vuelven a la deuda
+ * común (con lo que se haya pagado por el plan ya imputado).
+ */
+export async function cancelPaymentPlan({
+  session,
+  planId,
+  reason,
+  by = null,
+} = {}) {
+  const plan = await PaymentPlan.findOneAndUpdate(
+    { _id: planId, status: "active" },
+    {
+      $set: {
+        status: "cancelled",
+        cancelledAt: new Date(),
+        cancelledBy: by || null,
+        cancelReason: String(reason || "").trim() || "manual",
+      },
+    },
+    { new: true, session: session || undefined }
+  ).lean();
+
+  if (!plan) return null;
+
+  await enqueue(
+    "payment_plan.cancelled",
+    {
+      planId: String(plan._id),
+      idCliente: plan.idCliente,
+      memberId: String(plan.memberId),
+      reason: plan.cancelReason,
+    },
+    { session }
+  );
+
+  return plan;
+}
+
+/**
+ * Barrido diario: refresca avance de todos los planes activos y cancela
+ * los que acumularon maxMissedInstallments cuotas vencidas (+ gracia).
+ * return: { scanned, completed, cancelled }
+ */
+export async function runPaymentPlanSweep({ now = new Date() } = {}) {
+  const out = { scanned: 0, completed: 0, cancelled: 0 };
+  const active = await PaymentPlan.find({ status: "active" })
+    .select("_id maxMissedInstallments")
+    .lean();
+
+  for (const { _id, maxMissedInstallments } of active) {
+    out.scanned++;
+    const r = await syncPaymentPlanProgress({ planId: _id, now });
+    if (!r) continue;
+    if (r.progress.isCompleted) {
+      out.completed++;
+      continue;
+    }
+    if (r.progress.missedCount >= Number(maxMissedInstallments || 1)) {
+      const c = await cancelPaymentPlan({
+        planId: _id,
+        reason: "missed_installments",
+      });
+      if (c) out.cancelled++;
+    }
+  }
+
+  return out;
+}
+
+export default {
+  buildInstallments,
+  computePlanProgress,
+  applyPlanToPeriods,
+  toPlanDebtState,
+  syncPaymentPlanProgress,
+  cancelPaymentPlan,
+  runPaymentPlanSweep,
+};
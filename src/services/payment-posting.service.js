@@ -0,0 +1,232 @@
+// src/services/payment-posting.service.js
+/**
+ * Registro de un cobro ya imputado: Payment (draft → posted) + ledger +
+ * recibo + evento "payment.posted" en outbox.
+ *
+ * Es el tramo final de createAdminPayment; lo reusan los cobros que no
+ * pasan por una caja física (Mercado Pago, ver mercadopago.service).
+ *
+ * Asiento:
+ *   DEBIT  cashAccountCode (caja de oficina, cuenta MP, …)
+ *   CREDIT INGRESOS_CUOTAS
+ *   (+ descuento del plan anual, ver prepayment.service)
+ *
+ * Todo dentro de la sesión/transacción que recibe.
+ */
+
+import Payment from "../models/payment.model.js";
+import LedgerEntry from "../models/ledger-entry.model.js";
+import Receipt from "../models/receipt.model.js";
+import { generateReceipt } from "./receipt.service.js";
+import { enqueue } from "./outbox.service.js";
+import {
+  lockPrepaidPeriods,
+  buildPrepaymentDiscountEntries,
+} from "./prepayment.service.js";
+import { ACCOUNTS } from "../config/accounts.js";
+
+/**
+ * postPayment({
+ *   session, member, collector: { idCobrador, userId }, amount, method,
+ *   channel, allocations, periodsApplied, cashAccountCode,
+ *   prepayment?, paymentPlanId?, postedAt?, meta?,
+ *   fields?: { idempotencyKey, intendedPeriod, notes, externalRef,
+ *              cashSessionId, geo, device, ip }
+ * })
+ *
+ * return: { payment (doc), receipt (doc) }
+ */
+export async function postPayment({
+  session,
+  member,
+  collector,
+  amount,
+  method,
+  channel,
+  allocations,
+  periodsApplied,
+  cashAccountCode,
+  prepayment = null,
+  paymentPlanId = null,
+  postedAt: collectedAt = null,
+  meta = {},
+  fields = {},
+} = {}) {
+  if (!session) throw new Error("postPayment: session requerida");
+  if (!cashAccountCode) {
+    throw new Error(
+      "Configuración de cuentas contables inválida: falta la cuenta de caja."
+    );
+  }
+  if (!ACCOUNTS.INGRESOS_CUOTAS) {
+    throw new Error(
+      "Configuración de cuentas contables inválida: falta INGRESOS_CUOTAS en ACCOUNTS."
+    );
+  }
+
+  // 1) Payment (draft → posted)
+  const payDocs = await Payment.create(
+    [
+      {
+        kind: "payment",
+        cliente: {
+          memberId: member._id,
+          idCliente: member.idCliente,
+          nombre: member.nombre,
+          nombreTitular: member.nombreTitular || null,
+        },
+        collector,
+        currency: "ARS",
+        amount,
+        method,
+        channel,
+        intendedPeriod: fields.intendedPeriod || null,
+        notes: fields.notes || "",
+        idempotencyKey: fields.idempotencyKey,
+        externalRef: fields.externalRef || null,
+        cashSessionId: fields.cashSessionId || null,
+        geo: fields.geo || undefined,
+        device: fields.device || undefined,
+        ip: fields.ip || undefined,
+        createdBy: collector.userId,
+        allocations,
+        meta: {
+          ...meta,
+          periodsApplied,
+          paymentPlanId: paymentPlanId || undefined,
+          prepayment: prepayment
+            ? {
+                months: prepayment.months,
+                discountPercent: prepayment.discountPercent,
+                grossAmount: prepayment.grossAmount,
+                discountAmount: prepayment.discountAmount,
+              }
+            : undefined,
+        },
+      },
+    ],
+    { session }
+  );
+
+  const p = payDocs[0];
+  p.markPosted();
+  if (collectedAt) p.postedAt = new Date(collectedAt);
+  await p.save({ session });
+
+  const postedAt = p.postedAt || new Date();
+
+  // 2) Ledger (doble partida) — caja vs INGRESOS_CUOTAS
+  const dimensions = {
+    idCobrador: collector.idCobrador,
+    idCliente: p.cliente.idCliente,
+    canal: p.channel,
+  };
+  await LedgerEntry.insertMany(
+    [
+      {
+        paymentId: p._id,
+        userId: collector.userId,
+        side: "debit",
+        accountCode: cashAccountCode,
+        amount: Math.abs(p.amount),
+        currency: p.currency,
+        postedAt,
+        dimensions,
+      },
+      {
+        paymentId: p._id,
+        userId: collector.userId,
+        side: "credit",
+        accountCode: ACCOUNTS.INGRESOS_CUOTAS,
+        amount: Math.abs(p.amount),
+        currency: p.currency,
+        postedAt,
+        dimensions,
+      },
+      // Plan anual: descuento en líneas propias
+      ...buildPrepaymentDiscountEntries({
+        payment: p,
+        prepayment,
+        userId: collector.userId,
+        dimensions,
+      }),
+    ],
+    { session }
+  );
+
+  // 2.1) Plan anual: congela el precio con descuento de esos períodos
+  if (prepayment) {
+    await lockPrepaidPeriods({
+      session,
+      prepayment,
+      paymentId: p._id,
+      by: collector.userId,
+    });
+  }
+
+  // 3) Recibo
+  let receiptFields;
+  try {
+    const {
+      pdfPath,
+      pdfUrl,
+      receiptNumber,
+      qrData,
+      signature,
+      remainingBalance,
+    } =
+      await generateReceipt(
+        p.toObject(),
+        {
+          _id: member._id,
+          idCliente: member.idCliente,
+          nombre: member.nombre,
+          nombreTitular: member.nombreTitular || null,
+        },
+        { at: postedAt }
+      );
+    receiptFields = {
+      number: receiptNumber,
+      qrData,
+      pdfPath,
+      pdfUrl,
+      signature,
+      remainingBalance,
+    };
+  } catch {
+    receiptFields = {
+      number: null,
+      qrData: { error: "pdf_generation_failed" },
+      pdfPath: null,
+      pdfUrl: null,
+    };
+  }
+  const [receipt] = await Receipt.create(
+    [{ paymentId: p._id, ...receiptFields, voided: false }],
+    { session }
+  );
+
+  // 4) Outbox
+  await enqueue(
+    "payment.posted",
+    {
+      paymentId: p._id.toString(),
+      idCliente: p.cliente.idCliente,
+      memberId: p.cliente.memberId.toString(),
+      amount: p.amount,
+      currency: p.currency,
+      method: p.method,
+      channel: p.channel,
+      postedAt: postedAt.toISOString(),
+      idCobrador: p.collector.idCobrador,
+      userId: String(p.collector.userId),
+      externalRef: p.externalRef || null,
+      periodsApplied: p.meta?.periodsApplied || [],
+    },
+    { session }
+  );
+
+  return { payment: p, receipt };
+}
+
+export default { postPayment };
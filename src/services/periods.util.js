@@ -44,3 +44,196 @@ export function rangePeriods(from, to) {
   }
   return out;
 }
+
+/* ============ Períodos (YYYY-MM, TZ Mendoza) ============ */
+const fmtAR = new Intl.DateTimeFormat("en-CA", {
+  timeZone: "America/Argentina/Mendoza",
+  year: "numeric",
+  month: "2-digit",
+});
+export const yyyymmAR = (date = new Date()) => fmtAR.format(date); // "YYYY-MM"
+
+export const PERIOD_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+export const normalizePeriod = (s) => {
+  const str = String(s || "").trim();
+  return PERIOD_RE.test(str) ? str : null;
+};
+
+export const comparePeriod = (a, b) => {
+  const A = normalizePeriod(a);
+  const B = normalizePeriod(b);
+  if (!A || !B) return 0; // si alguno es inválido, no ordenamos
+  return A === B ? 0 : A < B ? -1 : 1;
+};
+
+/* ============ Estado de deuda: vencidos y atraso ============ */
+const safeNumber = (v, def = 0) =>
+  Number.isFinite(Number(v)) ? Number(v) : def;
+
+// Filas del estado de deuda que NO cuentan como vencidas aunque tengan saldo
+const NOT_DUE_STATUSES = new Set([
+  "open",
+  "future",
+  "credit",
+  "prepaid",
+  "refinanced",
+]);
+
+const dayAR = (date = new Date()) =>
+  Number(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: "America/Argentina/Mendoza",
+      day: "numeric",
+    }).format(date)
+  );
+
+/**
+ * Devuelve la lista de períodos vencidos (con balance > 0)
+ * hasta nowPeriod (inclusive), ordenados ascendente (viejo → nuevo).
+ *
+ * Respeta el calendario de getClientPeriodState: el mes corriente "open"
+ * (antes del dueDay configurado) no está vencido. Si las filas no traen
+ * status, se usa debtState.meta.dueDay.
+ *
+ * SUPOSICIÓN: debtState tiene forma:
+ * { periods: [{ period: "YYYY-MM", balance: Number, status? }, ...],
+ *   meta?: { dueDay } }
+ */
+export function getDuePeriodsUntilNow(debtState, nowPeriod) {
+  const np = normalizePeriod(nowPeriod);
+  if (!np) return [];
+
+  const periods = Array.isArray(debtState?.periods) ? debtState.periods : [];
+  const dueDay = Number(debtState?.meta?.dueDay);
+  const currentIsOpen = Number.isFinite(dueDay) && dayAR() < dueDay;
+
+  return periods
+    .filter((p) => {
+      const per = normalizePeriod(p?.period);
+      const bal = safeNumber(p?.balance, 0);
+      if (!per || bal <= 0 || comparePeriod(per, np) > 0) return false;
+      if (p?.status) return !NOT_DUE_STATUSES.has(p.status);
+      return !(currentIsOpen && per === yyyymmAR());
+    })
+    .map((p) => p.period)
+    .sort((a, b) => (a < b ? -1 : 1)); // asc (viejo → nuevo)
+}
+
+/**
+ * Cantidad de meses en atraso (períodos vencidos con balance > 0)
+ * hasta nowPeriod inclusive.
+ *
+ * Esto NO aplica ninguna regla de negocio (3 meses, 4 meses, etc.),
+ * solo devuelve el número de períodos adeudados. La regla se maneja
+ * en los controladores de pago.
+ */
+export function countArrearsMonths(debtState, nowPeriod) {
+  return getDuePeriodsUntilNow(debtState, nowPeriod).length;
+}
+
+/* ============ Recargos por mora (debtState.surcharges) ============ */
+/** Clave de saldo de una imputación: cuota por período o recargo del período */
+export const allocationKey = (a) =>
+  a?.concept === "surcharge" ? `${a.period}:surcharge` : a?.period;
+
+/**
+ * Saldos imputables del estado de deuda:
+ *  "YYYY-MM" → saldo de la cuota · "YYYY-MM:surcharge" → saldo del recargo
+ */
+export function buildBalanceMap(debtState) {
+  const map = new Map(
+    (debtState?.periods || []).map((p) => [
+      p.period,
+      Math.max(0, Number(p.balance || 0)),
+    ])
+  );
+  for (const r of debtState?.surcharges || []) {
+    map.set(
+      allocationKey({ period: r.period, concept: "surcharge" }),
+      Math.max(0, Number(r.balance || 0))
+    );
+  }
+  return map;
+}
+
+/** Saldo de recargos de períodos <= nowPeriod */
+export function sumSurchargeBalance(debtState, nowPeriod) {
+  return (debtState?.surcharges || [])
+    .filter((r) => comparePeriod(r.period, nowPeriod) <= 0)
+    .reduce((acc, r) => acc + Math.max(0, Number(r.balance || 0)), 0);
+}
+
+/**
+ * Imputación fifo → allocation del Payment (statusAfter contra el saldo
+ * de la línea correspondiente: cuota o recargo).
+ */
+export function toPaymentAllocation(a, balMap, memberId) {
+  const bal = balMap.get(allocationKey(a)) || 0;
+  return {
+    period: a.period,
+    amountApplied: a.amount,
+    statusAfter: a.amount >= bal ? "paid" : "partial",
+    memberId,
+    ...(a.concept === "surcharge" ? { concept: "surcharge" } : {}),
+  };
+}
+
+/* ============ FIFO hasta nowPeriod (sin futuros) ============ */
+/**
+ * Imputa `amount` contra las líneas vencidas hasta nowPeriod, de la más
+ * vieja a la más nueva. Si el estado trae recargos, el orden lo define
+ * debtState.meta.surchargeOrder:
+ *  - "surcharge_first" (default): en cada período, recargo y después cuota
+ *  - "capital_first": todas las cuotas y después los recargos
+ * return: { allocations: [{ period, amount, concept? }], leftover }
+ */
+export function fifoAllocateUntilNow(debtState, nowPeriod, amount) {
+  const np = normalizePeriod(nowPeriod);
+  let remaining = safeNumber(amount, 0);
+  const out = [];
+  if (!np || remaining <= 0) return { allocations: out, leftover: remaining };
+
+  const isDue = (p) => {
+    const per = normalizePeriod(p?.period);
+    const bal = safeNumber(p?.balance, 0);
+    return per && bal > 0 && comparePeriod(per, np) <= 0;
+  };
+
+  // Filtramos períodos válidos, con balance > 0 y <= nowPeriod
+  const capital = (Array.isArray(debtState?.periods) ? debtState.periods : [])
+    .filter(isDue)
+    .map((p) => ({ period: p.period, balance: p.balance }));
+  const surcharges = (debtState?.surcharges || []).filter(isDue).map((r) => ({
+    period: r.period,
+    balance: r.balance,
+    concept: "surcharge",
+  }));
+
+  // asc (viejo → nuevo); en el mismo período, recargo antes que cuota
+  const byPeriod = (a, b) =>
+    a.period === b.period ? 0 : a.period < b.period ? -1 : 1;
+  const surchargeFirst = (a, b) =>
+    (b.concept === "surcharge") - (a.concept === "surcharge");
+
+  const lines =
+    debtState?.meta?.surchargeOrder === "capital_first"
+      ? [...capital.sort(byPeriod), ...surcharges.sort(byPeriod)]
+      : [...capital, ...surcharges].sort(
+          (a, b) => byPeriod(a, b) || surchargeFirst(a, b)
+        );
+
+  for (const p of lines) {
+    if (remaining <= 0) break;
+    const bal = safeNumber(p.balance, 0);
+    const take = Math.min(remaining, bal);
+    if (take > 0) {
+      out.push({
+        period: p.period,
+        amount: +take.toFixed(2), // redondeo suave
+        ...(p.concept ? { concept: p.concept } : {}),
+      });
+      remaining = +(remaining - take).toFixed(2);
+    }
+  }
+  return { allocations: out, leftover: remaining };
+}
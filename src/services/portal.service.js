@@ -0,0 +1,283 @@
+// src/services/portal.service.js
+/**
+ * Portal de autogestión: vinculación de una cuenta userMemorial a un grupo.
+ *
+ * API expuesta:
+ *  - requestPortalLink({ userId, documento, idCliente, fechaNac })
+ *  - confirmPortalLink({ userId, code })
+ *  - unlinkPortal({ userId })
+ *
+ * Flujo:
+ *  1) el usuario informa documento + número de socio (idCliente) + fecha de
+ *     nacimiento del integrante; si los tres coinciden con un integrante
+ *     activo se manda un código de 6 dígitos al email (ya verificado) de la
+ *     cuenta
+ *  2) con el código correcto la cuenta queda vinculada (idCliente +
+ *     clienteId) y pasa a rol "client"
+ *
+ * El código se guarda hasheado y vence a los PORTAL_LINK_CODE_TTL_MINUTES
+ * (default 15). Por cuenta y por ventana de PORTAL_LINK_WINDOW_MINUTES
+ * (default 60) se admiten PORTAL_LINK_MAX_REQUESTS pedidos (default 3) y
+ * PORTAL_LINK_MAX_ATTEMPTS códigos incorrectos (default 5): pedir un código
+ * nuevo no reinicia los intentos.
+ *
+ * Si los datos no coinciden la respuesta es la misma y queda un código
+ * pendiente que nunca valida (no se filtra quién es socio).
+ */
+
+import crypto from "crypto";
+
+import User from "../models/user.model.js";
+import Cliente from "../models/client.model.js";
+import { sendPortalLinkCodeEmail } from "../controllers/sendEmail.controller.js";
+
+const CODE_TTL_MINUTES = Number(
+  process.env.PORTAL_LINK_CODE_TTL_MINUTES || 15
+);
+const MAX_ATTEMPTS = Number(process.env.PORTAL_LINK_MAX_ATTEMPTS || 5);
+const MAX_REQUESTS = Number(process.env.PORTAL_LINK_MAX_REQUESTS || 3);
+const WINDOW_MINUTES = Number(process.env.PORTAL_LINK_WINDOW_MINUTES || 60);
+const LINKABLE_ROLES = ["client", "user"];
+
+const onlyDigits = (s = "") => String(s).replace(/\D+/g, "");
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(String(code)).digest("hex");
+
+/** Error con status HTTP + code (lo traducen los controllers) */
+function portalError(status, code, message) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+/** "juan@mail.com" → "j***@mail.com" */
+const maskEmail = (email = "") => {
+  const [user, domain] = String(email).split("@");
+  if (!domain) return "***";
+  return `${user.slice(0, 1)}***@${domain}`;
+};
+
+async function loadLinkableUser(userId) {
+  const user = await User.findById(userId);
+  if (!user) throw portalError(401, "USER_NOT_FOUND", "Usuario no encontrado");
+  if (!LINKABLE_ROLES.includes(user.role)) {
+    throw portalError(
+      403,
+      "PORTAL_ROLE_NOT_ALLOWED",
+      "Esta cuenta no puede vincularse a un grupo familiar."
+    );
+  }
+  return user;
+}
+
+/** "1980-05-03" | "03/05/1980" → "1980-05-03" (o null) */
+function normalizeBirthDate(v) {
+  const s = String(v || "").trim();
+  let m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(s);
+  if (m) return `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+  return null;
+}
+
+const fmtDayAR = new Intl.DateTimeFormat("en-CA", {
+  timeZone: "America/Argentina/Mendoza",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+
+/**
+ * fechaNac guardada (medianoche UTC o local según el origen del padrón)
+ * vs "YYYY-MM-DD"
+ */
+function sameBirthDate(stored, ymd) {
+  if (!stored || !ymd) return false;
+  const d = new Date(stored);
+  if (Number.isNaN(d.getTime())) return false;
+  return d.toISOString().slice(0, 10) === ymd || fmtDayAR.format(d) === ymd;
+}
+
+/**
+ * Ventana de pedidos/intentos de la cuenta: si venció, arranca una nueva.
+ * (muta el doc; lo guarda quien llama)
+ */
+function refreshLinkWindow(user, now = new Date()) {
+  const start = user.portalLinkWindowStart;
+  if (!start || now - start > WINDOW_MINUTES * 60 * 1000) {
+    user.portalLinkWindowStart = now;
+    user.portalLinkRequests = 0;
+    user.portalLinkAttempts = 0;
+  }
+}
+
+/**
+ * Integrante activo del grupo con ese documento (con o sin puntos) y esa
+ * fecha de nacimiento. return: member | null
+ */
+async function findMemberForLink({ documento, idCliente, birthDate }) {
+  const raw = String(documento || "").trim();
+  const digits = onlyDigits(raw);
+
+  const members = await Cliente.find({
+    idCliente,
+    documento: { $in: Array.from(new Set([raw, digits])) },
+    activo: { $ne: false },
+    baja: { $not: { $type: "date" } },
+  })
+    .select("_id idCliente nombre fechaNac")
+    .lean();
+
+  return members.find((m) => sameBirthDate(m.fechaNac, birthDate)) || null;
+}
+
+/**
+ * Paso 1: pide el código. return: { sentTo, expiresAt }
+ * (misma respuesta coincidan o no los datos)
+ */
+export async function requestPortalLink({
+  userId,
+  documento,
+  idCliente,
+  fechaNac,
+} = {}) {
+  const user = await loadLinkableUser(userId);
+  if (!user.emailVerified) {
+    throw portalError(
+      409,
+      "EMAIL_NOT_VERIFIED",
+      "Confirmá tu email antes de vincular el grupo."
+    );
+  }
+
+  if (onlyDigits(documento).length < 6) {
+    throw portalError(400, "INVALID_DOCUMENTO", "Documento inválido.");
+  }
+  const groupId = Number(idCliente);
+  if (!Number.isInteger(groupId) || groupId <= 0) {
+    throw portalError(400, "INVALID_ID_CLIENTE", "Número de socio inválido.");
+  }
+  const birthDate = normalizeBirthDate(fechaNac);
+  if (!birthDate) {
+    throw portalError(
+      400,
+      "INVALID_FECHA_NAC",
+      "Fecha de nacimiento inválida (AAAA-MM-DD o DD/MM/AAAA)."
+    );
+  }
+
+  const now = new Date();
+  refreshLinkWindow(user, now);
+  if (Number(user.portalLinkRequests || 0) >= MAX_REQUESTS) {
+    await user.save();
+    throw portalError(
+      429,
+      "PORTAL_TOO_MANY_REQUESTS",
+      "Demasiados pedidos de código. Probá de nuevo más tarde."
+    );
+  }
+  user.portalLinkRequests = Number(user.portalLinkRequests || 0) + 1;
+
+  const member = await findMemberForLink({
+    documento,
+    idCliente: groupId,
+    birthDate,
+  });
+  const expiresAt = new Date(now.getTime() + CODE_TTL_MINUTES * 60 * 1000);
+
+  // Sin coincidencia también queda un código pendiente (que nunca se envía):
+  // la confirmación responde igual que ante un código incorrecto
+  const code = String(crypto.randomInt(0, 1_000_000)).padStart(6, "0");
+  user.portalLinkClienteId = member?._id || undefined;
+  user.portalLinkCode = hashCode(member ? code : crypto.randomUUID());
+  user.portalLinkExpires = expiresAt;
+  await user.save();
+
+  if (member) {
+    await sendPortalLinkCodeEmail({
+      name: user.name,
+      email: user.email,
+      code,
+      expiresMinutes: CODE_TTL_MINUTES,
+    });
+  }
+
+  return { sentTo: maskEmail(user.email), expiresAt };
+}
+
+/**
+ * Paso 2: valida el código y vincula. return: { idCliente, clienteId }
+ */
+export async function confirmPortalLink({ userId, code } = {}) {
+  const user = await loadLinkableUser(userId);
+
+  if (!user.portalLinkCode) {
+    throw portalError(
+      409,
+      "PORTAL_LINK_NOT_REQUESTED",
+      "No hay una vinculación pendiente: pedí un código."
+    );
+  }
+  if (!user.portalLinkExpires || user.portalLinkExpires < new Date()) {
+    throw portalError(410, "PORTAL_CODE_EXPIRED", "El código venció.");
+  }
+  refreshLinkWindow(user);
+  if (Number(user.portalLinkAttempts || 0) >= MAX_ATTEMPTS) {
+    await user.save();
+    throw portalError(
+      429,
+      "PORTAL_TOO_MANY_ATTEMPTS",
+      "Demasiados intentos. Probá de nuevo más tarde."
+    );
+  }
+
+  const a = Buffer.from(hashCode(String(code || "").trim()), "utf8");
+  const b = Buffer.from(user.portalLinkCode, "utf8");
+  const matches = a.length === b.length && crypto.timingSafeEqual(a, b);
+  if (!matches || !user.portalLinkClienteId) {
+    user.portalLinkAttempts = Number(user.portalLinkAttempts || 0) + 1;
+    await user.save();
+    throw portalError(400, "PORTAL_CODE_INVALID", "Código incorrecto.");
+  }
+
+  // El integrante pudo darse de baja entre el pedido y la confirmación
+  const member = await Cliente.findOne({
+    _id: user.portalLinkClienteId,
+    activo: { $ne: false },
+    baja: { $not: { $type: "date" } },
+  })
+    .select("_id idCliente")
+    .lean();
+  if (!member) {
+    throw portalError(
+      409,
+      "PORTAL_MEMBER_INACTIVE",
+      "El integrante ya no está activo. Contactar administración."
+    );
+  }
+
+  user.idCliente = Number(member.idCliente);
+  user.clienteId = member._id;
+  user.portalLinkedAt = new Date();
+  user.portalLinkClienteId = undefined;
+  user.portalLinkCode = undefined;
+  user.portalLinkExpires = undefined;
+  user.portalLinkAttempts = 0;
+  user.portalLinkRequests = 0;
+  user.portalLinkWindowStart = undefined;
+  if (user.role === "user") user.role = "client";
+  await user.save();
+
+  return { idCliente: user.idCliente, clienteId: String(member._id) };
+}
+
+/** Desvincula la cuenta del grupo */
+export async function unlinkPortal({ userId } = {}) {
+  await User.updateOne(
+    { _id: userId },
+    { $unset: { idCliente: 1, clienteId: 1, portalLinkedAt: 1 } }
+  );
+}
+
+export default { requestPortalLink, confirmPortalLink, unlinkPortal };
@@ -0,0 +1,301 @@
+// src/services/prepayment.service.js
+/**
+ * Plan anual: pago adelantado de N cuotas con descuento.
+ *
+ * API expuesta:
+ *  - buildAnnualPrepayment({ clienteDoc, amount? })
+ *  - lockPrepaidPeriods({ session, prepayment, paymentId, by? })
+ *  - releasePrepaidPeriods({ session, paymentId })
+ *  - buildPrepaymentDiscountEntries({ payment, prepayment, userId, dimensions })
+ *
+ * Reglas (GlobalSettings.prepayment, ver billingSettings.provider):
+ *  - sólo grupos facturados en conjunto (billingMode "group") y al día
+ *  - arranca en el mes corriente si no tiene pagos; si ya está pagado,
+ *    en el siguiente; los N períodos no pueden tener imputaciones previas
+ *  - cada período se cobra a cuota × (1 − discountPercent/100) y queda
+ *    "paid"; ese importe se congela en PeriodCharge (source "prepayment")
+ *    para que ni increase-percent ni la facturación mensual lo cambien
+ *  - el descuento va al ledger en líneas propias: DEBIT DESCUENTOS_PREPAGO /
+ *    CREDIT INGRESOS_CUOTAS (el asiento del cobro queda por el neto)
+ */
+
+import PeriodCharge from "../models/period-charge.model.js";
+import { getClientPeriodState } from "./debt.service.js";
+import { resolveDebtScope } from "./debt-scope.service.js";
+import { getPrepaymentRules } from "./billingSettings.provider.js";
+import { getGlobalPriceRules } from "./priceRules.provider.js";
+import { nextPeriod, yyyymmAR } from "./periods.util.js";
+import { ACCOUNTS } from "../config/accounts.js";
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const DEBT_STATUSES = ["due", "partial"];
+
+/** Error con status HTTP + code (lo traducen los controllers) */
+function prepaymentError(status, code, message, extra = {}) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  Object.assign(e, extra);
+  return e;
+}
+
+/**
+ * Arma el plan anual del grupo (no escribe nada).
+ * amount: si viene, tiene que coincidir con el total con descuento.
+ * return: {
+ *   idCliente, titularId, quotaBase, months, discountPercent,
+ *   periods: [{ period, charge, amount }],
+ *   grossAmount, discountAmount, netAmount,
+ *   allocations: [{ period, amountApplied, statusAfter, memberId }],
+ *   periodsApplied
+ * }
+ */
+export async function buildAnnualPrepayment({ clienteDoc, amount } = {}) {
+  const rules = await getPrepaymentRules();
+  if (!rules.enabled) {
+    throw prepaymentError(
+      409,
+      "PREPAYMENT_DISABLED",
+      "El plan anual no está habilitado."
+    );
+  }
+
+  const scope = await resolveDebtScope(clienteDoc);
+  if (scope.mode !== "group") {
+    throw prepaymentError(
+      409,
+      "PREPAYMENT_GROUP_ONLY",
+      "El plan anual sólo está disponible para grupos facturados en conjunto."
+    );
+  }
+
+  const nowPeriod = yyyymmAR(new Date());
+  const months = rules.months;
+  const state = await getClientPeriodState(clienteDoc, {
+    to: nowPeriod,
+    includeFuture: months,
+  });
+
+  // Al día: sin períodos vencidos, recargos ni plan de pagos
+  const owes =
+    state?.plan ||
+    Number(state?.summary?.surchargeBalanceDue || 0) > 0 ||
+    (state?.periods || []).some(
+      (r) =>
+        r.period < nowPeriod &&
+        DEBT_STATUSES.includes(r.status) &&
+        Number(r.balance) > 0
+    );
+  if (owes) {
+    throw prepaymentError(
+      409,
+      "CLIENT_HAS_DEBT",
+      "El grupo tiene deuda: primero hay que cancelarla.",
+      { nowPeriod }
+    );
+  }
+
+  const rows = new Map((state?.periods || []).map((r) => [r.period, r]));
+  const applied = (r) => Number(r?.paid || 0) + Number(r?.writtenOff || 0);
+
+  // Mes corriente: sin pagos → entra al plan; pagado → arranca el siguiente
+  const current = rows.get(nowPeriod);
+  let start = nowPeriod;
+  if (current && applied(current) > 0) {
+    if (Number(current.balance) > 0) {
+      throw prepaymentError(
+        409,
+        "PREPAYMENT_PARTIAL_PERIOD",
+        `El período ${nowPeriod} tiene un pago parcial: completalo primero.`
+      );
+    }
+    start = nextPeriod(nowPeriod);
+  }
+
+  const factor = 1 - rules.discountPercent / 100;
+  const periods = [];
+  let p = start;
+  for (let i = 0; i < months; i++) {
+    const row = rows.get(p);
+    if (applied(row) !== 0) {
+      throw prepaymentError(
+        409,
+        "PREPAYMENT_OVERLAP",
+        `El período ${p} ya tiene pagos imputados.`
+      );
+    }
+    const charge = round2(row?.charge ?? state?.meta?.quotaValueUsed);
+    if (!(charge > 0)) {
+      throw prepaymentError(
+        400,
+        "NO_QUOTA",
+        "No hay cuota vigente definida (> 0)."
+      );
+    }
+    periods.push({ period: p, charge, amount: round2(charge * factor) });
+    p = nextPeriod(p);
+  }
+
+  const grossAmount = round2(periods.reduce((acc, r) => acc + r.charge, 0));
+  const netAmount = round2(periods.reduce((acc, r) => acc + r.amount, 0));
+  const discountAmount = round2(grossAmount - netAmount);
+
+  if (Number(amount) > 0 && Math.abs(round2(amount) - netAmount) > 0.009) {
+    throw prepaymentError(
+      409,
+      "PREPAYMENT_AMOUNT_MISMATCH",
+      `El plan anual es de ${netAmount} (recibido: ${round2(amount)}).`,
+      { expectedAmount: netAmount }
+    );
+  }
+
+  return {
+    idCliente: scope.idCliente,
+    titularId: scope.titular?._id || clienteDoc._id,
+    quotaBase: state?.meta?.quotaBase === "cuotaIdeal" ? "cuotaIdeal" : "cuota",
+    months,
+    discountPercent: rules.discountPercent,
+    periods,
+    grossAmount,
+    discountAmount,
+    netAmount,
+    allocations: periods.map((r) => ({
+      period: r.period,
+      amountApplied: r.amount,
+      statusAfter: "paid",
+      memberId: clienteDoc._id,
+    })),
+    periodsApplied: periods.map((r) => r.period),
+  };
+}
+
+/**
+ * Congela el precio con descuento de cada período del plan (PeriodCharge
+ * source "prepayment"). Si la facturación ya había dejado un snapshot, se
+ * guarda en `previous` para restaurarlo si el pago se reversa.
+ */
+export async function lockPrepaidPeriods({
+  session,
+  prepayment,
+  paymentId,
+  by = null,
+} = {}) {
+  const rules = await getGlobalPriceRules();
+  const rulesVersion = Number(rules?._version) || 1;
+
+  const existing = await PeriodCharge.find({
+    idCliente: prepayment.idCliente,
+    period: { $in: prepayment.periods.map((r) => r.period) },
+  })
+    .session(session || null)
+    .lean();
+  const byPeriod = new Map(existing.map((c) => [c.period, c]));
+
+  const ops = prepayment.periods.map((r) => {
+    const prev = byPeriod.get(r.period);
+    return {
+      updateOne: {
+        filter: { idCliente: prepayment.idCliente, period: r.period },
+        update: {
+          $set: {
+            amount: r.amount,
+            quotaBase: prepayment.quotaBase,
+            rulesVersion,
+            memberId: prepayment.titularId,
+            source: "prepayment",
+            runId: null,
+            paymentId,
+            previous:
+              prev && prev.source !== "prepayment"
+                ? {
+                    amount: prev.amount,
+                    quotaBase: prev.quotaBase,
+                    rulesVersion: prev.rulesVersion,
+                    memberId: prev.memberId || null,
+                    source: prev.source,
+                    runId: prev.runId || null,
+                    createdBy: prev.createdBy || null,
+                  }
+                : prev?.previous || null,
+            createdBy: by || null,
+          },
+        },
+        upsert: true,
+      },
+    };
+  });
+
+  await PeriodCharge.bulkWrite(ops, { session, ordered: true });
+}
+
+/**
+ * Libera los precios congelados por un pago de plan anual (reversa):
+ * vuelve el snapshot de la facturación que había antes (`previous`) o, si
+ * no había, borra la fila y el período toma la cuota vigente.
+ * return: cantidad de períodos liberados
+ */
+export async function releasePrepaidPeriods({ session, paymentId } = {}) {
+  const rows = await PeriodCharge.find({ paymentId, source: "prepayment" })
+    .session(session || null)
+    .lean();
+  if (!rows.length) return 0;
+
+  const ops = rows.map((c) =>
+    c.previous
+      ? {
+          updateOne: {
+            filter: { _id: c._id },
+            update: {
+              $set: {
+                amount: c.previous.amount,
+                quotaBase: c.previous.quotaBase,
+                rulesVersion: c.previous.rulesVersion,
+                memberId: c.previous.memberId || null,
+                source: c.previous.source,
+                runId: c.previous.runId || null,
+                createdBy: c.previous.createdBy || null,
+                paymentId: null,
+                previous: null,
+              },
+            },
+          },
+        }
+      : { deleteOne: { filter: { _id: c._id } } }
+  );
+
+  await PeriodCharge.bulkWrite(ops, { session, ordered: true });
+  return rows.length;
+}
+
+/** Líneas de ledger del descuento (se suman al asiento del cobro) */
+export function buildPrepaymentDiscountEntries({
+  payment,
+  prepayment,
+  userId,
+  dimensions,
+}) {
+  if (!(prepayment?.discountAmount > 0)) return [];
+  const common = {
+    paymentId: payment._id,
+    userId,
+    kind: "prepayment_discount",
+    amount: prepayment.discountAmount,
+    currency: payment.currency,
+    postedAt: payment.postedAt || new Date(),
+    dimensions: {
+      ...dimensions,
+      note: `Plan anual ${prepayment.months} meses (-${prepayment.discountPercent}%)`,
+    },
+  };
+  return [
+    { ...common, side: "debit", accountCode: ACCOUNTS.DESCUENTOS_PREPAGO },
+    { ...common, side: "credit", accountCode: ACCOUNTS.INGRESOS_CUOTAS },
+  ];
+}
+
+export default {
+  buildAnnualPrepayment,
+  lockPrepaidPeriods,
+  releasePrepaidPeriods,
+  buildPrepaymentDiscountEntries,
+};
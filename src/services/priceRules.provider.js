@@ -114,8 +114,8 @@ function validatePriceRules(rules) {
   return { ok: errors.length === 0, errors };
 }
 
-function stamp(obj) {
-  return { ...obj, _appliedAt: new Date().toISOString() };
+function stamp(obj, version = 1) {
+  return { ...obj, _version: version, _appliedAt: new Date().toISOString() };
 }
 
 /* -------------------------------- providers -------------------------------- */
@@ -123,6 +123,7 @@ function stamp(obj) {
 /**
  * Lee las reglas globales desde cache/env/DB y devuelve una versión normalizada.
  * Si `force=true`, ignora el cache.
+ * `_version` = GlobalSettings.priceRulesVersion (1 si nunca se editaron).
  */
 export async function getGlobalPriceRules({ force = false } = {}) {
   if (!force && _cache && isFresh()) return _cache;
@@ -140,8 +141,9 @@ export async function getGlobalPriceRules({ force = false } = {}) {
     const GlobalSettings = mod.default;
 
     const doc = await GlobalSettings.findOne({ singleton: "GLOBAL" })
-      .select({ priceRules: 1 })
+      .select({ priceRules: 1, priceRulesVersion: 1 })
       .lean();
+    const version = Number(doc?.priceRulesVersion) || 1;
 
     if (doc?.priceRules) {
       // merge + normalize
@@ -150,9 +152,11 @@ export async function getGlobalPriceRules({ force = false } = {}) {
         ...asPlainObject(doc.priceRules),
       });
       const { ok } = validatePriceRules(merged);
-      _cache = ok ? stamp(merged) : stamp(normalizePriceRules(rules));
+      _cache = ok
+        ? stamp(merged, version)
+        : stamp(normalizePriceRules(rules), version);
     } else {
-      _cache = stamp(normalizePriceRules(rules));
+      _cache = stamp(normalizePriceRules(rules), version);
     }
   } catch {
     // si falla el modelo, seguimos con defaults/env
@@ -191,6 +195,7 @@ export async function updateGlobalPriceRules(payload = {}) {
       priceRules: normalized,
       updatedAt: new Date(),
     },
+    $inc: { priceRulesVersion: 1 },
     $setOnInsert: { createdAt: new Date() },
   };
 
@@ -0,0 +1,311 @@
+// src/services/reallocation.service.js
+/**
+ * Re-imputación de un pago ya registrado a otros períodos.
+ *
+ * El cobro (monto, ledger, caja) no cambia: sólo se reemplazan las
+ * allocations del Payment.
+ *  - breakdown manual validado igual que applyManualBreakdown + saldo por
+ *    período/recargo (descontando lo que este mismo pago ya aplicaba)
+ *  - allocations anteriores → Payment.allocationHistory
+ *  - meta.periodsApplied regenerado
+ *  - recibo anterior → voided; recibo nuevo con reissueOf
+ *  - evento "payment.reallocated" en outbox
+ *
+ * Todo dentro de la sesión/transacción que recibe (la abre el controller).
+ */
+
+import mongoose from "mongoose";
+
+import Payment from "../models/payment.model.js";
+import Receipt from "../models/receipt.model.js";
+import Cliente from "../models/client.model.js";
+import { applyManualBreakdown } from "./allocation.service.js";
+import { getClientPeriodState } from "./debt.service.js";
+import { generateReceipt } from "./receipt.service.js";
+import { enqueue } from "./outbox.service.js";
+import { yyyymmAR, comparePeriod, allocationKey } from "./periods.util.js";
+
+const REALLOCATABLE_STATUSES = ["posted", "settled"];
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/** Error con status HTTP + code (lo traducen los controllers) */
+function reallocationError(status, code, message) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+/** key (period | period:surcharge) → suma de amountApplied */
+function sumByKey(allocations = []) {
+  const map = new Map();
+  for (const a of allocations) {
+    if (!a?.period) continue;
+    const k = allocationKey(a);
+    map.set(k, (map.get(k) || 0) + Number(a.amountApplied || 0));
+  }
+  return map;
+}
+
+/**
+ * Saldo disponible por línea si este pago no estuviera imputado:
+ * cargo (o recargo) − (pagado − lo que aplica este pago).
+ * Los períodos refinanciados no admiten imputación (ver plan de pagos).
+ */
+function availableByKey(debtState, ownByKey) {
+  const map = new Map();
+  for (const r of debtState?.periods || []) {
+    if (r.status === "refinanced") continue;
+    const own = ownByKey.get(r.period) || 0;
+    const applied = Number(r.paid || 0) + Number(r.writtenOff || 0);
+    const paidByOthers = applied - own;
+    const charge = Number(r.charge || 0);
+    map.set(r.period, round2(Math.max(0, charge - paidByOthers)));
+  }
+  for (const s of debtState?.surcharges || []) {
+    const k = allocationKey({ period: s.period, concept: "surcharge" });
+    const own = ownByKey.get(k) || 0;
+    const paidByOthers = Number(s.paid || 0) - own;
+    map.set(k, round2(Math.max(0, Number(s.amount || 0) - paidByOthers)));
+  }
+  return map;
+}
+
+/**
+ * reallocatePayment({ session, paymentId, breakdown, reason, actorUserId })
+ *
+ * breakdown: [{ period: "YYYY-MM", amount, concept?: "surcharge" }]
+ *
+ * return: { payment, receipt, previousReceipt }
+ */
+export async function reallocatePayment({
+  session,
+  paymentId,
+  breakdown,
+  reason,
+  actorUserId,
+} = {}) {
+  if (!session) throw new Error("reallocatePayment: session requerida");
+
+  const motivo = String(reason || "").trim();
+  if (!motivo) {
+    throw reallocationError(
+      400,
+      "REASON_REQUIRED",
+      "El motivo es obligatorio."
+    );
+  }
+  if (!mongoose.Types.ObjectId.isValid(String(paymentId || ""))) {
+    throw reallocationError(400, "INVALID_ID", "ID de pago inválido");
+  }
+  if (!actorUserId) {
+    throw reallocationError(
+      400,
+      "INVALID_SESSION",
+      "Sesión inválida: falta userId."
+    );
+  }
+  const actorOid = new mongoose.Types.ObjectId(String(actorUserId));
+
+  const payment = await Payment.findById(paymentId).session(session);
+  if (!payment) {
+    throw reallocationError(404, "PAYMENT_NOT_FOUND", "Pago no encontrado");
+  }
+  if (payment.kind !== "payment") {
+    throw reallocationError(
+      409,
+      "NOT_REALLOCATABLE_KIND",
+      `Sólo se pueden re-imputar pagos (kind=${payment.kind}).`
+    );
+  }
+  if (!REALLOCATABLE_STATUSES.includes(payment.status)) {
+    throw reallocationError(
+      409,
+      "NOT_REALLOCATABLE_STATUS",
+      `El pago está en estado "${payment.status}" y no puede re-imputarse.`
+    );
+  }
+  if (payment.meta?.paymentPlanId) {
+    throw reallocationError(
+      409,
+      "PAYMENT_PLAN_PAYMENT",
+      "Las cuotas de un plan de pagos no se re-imputan."
+    );
+  }
+  if (payment.meta?.prepayment) {
+    throw reallocationError(
+      409,
+      "PREPAYMENT_PAYMENT",
+      "Un plan anual no se re-imputa (precio congelado por período)."
+    );
+  }
+
+  const member = await Cliente.findById(payment.cliente?.memberId)
+    .select(
+      "_id idCliente nombre nombreTitular usarCuotaIdeal cuota cuotaIdeal"
+    )
+    .session(session)
+    .lean();
+  if (!member) {
+    throw reallocationError(404, "CLIENT_NOT_FOUND", "Cliente no encontrado");
+  }
+
+  // 1) Misma validación que applyManualBreakdown (formato, únicos, suma)
+  let next;
+  try {
+    next = applyManualBreakdown(member, payment.amount, breakdown);
+  } catch (err) {
+    throw reallocationError(400, "INVALID_BREAKDOWN", err.message);
+  }
+
+  // 2) Saldo por línea, sin contar lo que ya aplicaba este pago
+  const nowPeriod = yyyymmAR(new Date());
+  const debtState = await getClientPeriodState(member, {
+    to: nowPeriod,
+    includeFuture: 0,
+  });
+  const refinanced = new Set(
+    (debtState?.periods || [])
+      .filter((r) => r.status === "refinanced")
+      .map((r) => r.period)
+  );
+  const touched = [...(payment.allocations || []), ...next.allocations];
+  const inPlan = touched.find((a) => refinanced.has(a.period));
+  if (inPlan) {
+    throw reallocationError(
+      409,
+      "PERIOD_REFINANCED",
+      `El período ${inPlan.period} está en un plan de pagos activo.`
+    );
+  }
+
+  const available = availableByKey(debtState, sumByKey(payment.allocations));
+  for (const a of next.allocations) {
+    if (comparePeriod(a.period, nowPeriod) > 0) {
+      throw reallocationError(
+        409,
+        "PERIOD_IN_FUTURE",
+        `No se puede imputar a un período futuro (${a.period}).`
+      );
+    }
+    const k = allocationKey(a);
+    const bal = available.get(k) || 0;
+    if (a.amountApplied > bal + 0.0001) {
+      throw reallocationError(
+        409,
+        "OVERPAY_PERIOD",
+        `El período ${a.period} no admite ${a.amountApplied} (saldo: ${bal}).`
+      );
+    }
+    a.statusAfter = a.amountApplied >= bal ? "paid" : "partial";
+    available.set(k, round2(bal - a.amountApplied));
+  }
+
+  // 3) Recibo vigente → anulado (queda referenciado en el historial)
+  const now = new Date();
+  const previousReceipt = await Receipt.findOneAndUpdate(
+    { paymentId: payment._id, voided: { $ne: true } },
+    {
+      $set: {
+        voided: true,
+        voidedAt: now,
+        voidedBy: actorOid,
+        voidReason: `Re-imputación: ${motivo}`,
+      },
+    },
+    { new: true, sort: { createdAt: -1 }, session }
+  ).lean();
+
+  // 4) Historial + nuevas allocations
+  const previous = (payment.allocations || []).map((a) =>
+    typeof a.toObject === "function" ? a.toObject() : a
+  );
+  payment.allocationHistory = [
+    ...(payment.allocationHistory || []),
+    {
+      allocations: previous,
+      periodsApplied: [...(payment.meta?.periodsApplied || [])],
+      receiptId: previousReceipt?._id || null,
+      receiptNumber: previousReceipt?.number || null,
+      reason: motivo,
+      replacedAt: now,
+      replacedBy: actorOid,
+    },
+  ];
+  payment.allocations = next.allocations;
+  payment.meta.periodsApplied = next.periodsApplied;
+  payment.updatedBy = actorOid;
+  await payment.save({ session });
+
+  // 5) Recibo reemitido (mismo pago, nuevo número)
+  const client = {
+    _id: member._id,
+    idCliente: member.idCliente,
+    nombre: member.nombre,
+    nombreTitular: member.nombreTitular || null,
+  };
+  let receiptFields;
+  try {
+    const {
+      pdfPath,
+      pdfUrl,
+      receiptNumber,
+      qrData,
+      signature,
+      remainingBalance,
+    } =
+      await generateReceipt(payment.toObject(), client, { at: now });
+    receiptFields = {
+      number: receiptNumber,
+      qrData,
+      pdfPath,
+      pdfUrl,
+      signature,
+      remainingBalance,
+    };
+  } catch {
+    receiptFields = {
+      number: null,
+      qrData: { error: "pdf_generation_failed" },
+      pdfPath: null,
+      pdfUrl: null,
+    };
+  }
+  const [receipt] = await Receipt.create(
+    [
+      {
+        paymentId: payment._id,
+        ...receiptFields,
+        voided: false,
+        reissueOf: previousReceipt?._id || null,
+      },
+    ],
+    { session }
+  );
+
+  // 6) Outbox
+  await enqueue(
+    "payment.reallocated",
+    {
+      paymentId: payment._id.toString(),
+      idCliente: payment.cliente?.idCliente ?? null,
+      memberId: String(payment.cliente?.memberId || ""),
+      amount: payment.amount,
+      previousPeriods: [...new Set(previous.map((a) => a.period))],
+      periodsApplied: next.periodsApplied,
+      receiptNumber: receipt.number || null,
+      previousReceiptNumber: previousReceipt?.number || null,
+      userId: String(actorOid),
+      reason: motivo,
+    },
+    { session }
+  );
+
+  return {
+    payment: payment.toObject(),
+    receipt: receipt.toObject(),
+    previousReceipt,
+  };
+}
+
+export default { reallocatePayment };
@@ -0,0 +1,207 @@
+// src/services/receipt-verification.service.js
+/**
+ * Verificación pública de recibos (QR firmado).
+ *
+ * API expuesta:
+ *  - parseReceiptQr(raw)
+ *  - verifyReceipt({ qr?, number?, sig?, ip? })
+ *
+ * Se recalcula el HMAC con los datos guardados (recibo + pago) y se compara
+ * con la firma presentada. Si el QR trae monto o pago distintos a los del
+ * sistema, también es inválido (firma real pegada a datos adulterados).
+ *
+ * Resultado (status):
+ *  - "invalid": número inexistente, firma o datos que no coinciden (mismo
+ *    resultado en todos los casos: no revela qué números existen)
+ *  - "valid" | "voided" | "reversed": recibo auténtico y su estado actual
+ *
+ * Sólo se exponen datos mínimos y enmascarados. Por IP se admiten
+ * RECEIPT_VERIFY_MAX_REQUESTS consultas (default 30) por ventana de
+ * RECEIPT_VERIFY_WINDOW_MINUTES (default 10); después, 429.
+ */
+
+import crypto from "crypto";
+
+import Receipt from "../models/receipt.model.js";
+import Payment from "../models/payment.model.js";
+import {
+  signReceipt,
+  isReceiptSigningConfigured,
+} from "./receipt.service.js";
+
+const MAX_REQUESTS = Number(process.env.RECEIPT_VERIFY_MAX_REQUESTS || 30);
+const WINDOW_MINUTES = Number(process.env.RECEIPT_VERIFY_WINDOW_MINUTES || 10);
+
+/** Error con status HTTP + code (lo traducen los controllers) */
+function verificationError(status, code, message) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+const safeEqualHex = (a, b) => {
+  const x = Buffer.from(String(a || ""), "utf8");
+  const y = Buffer.from(String(b || ""), "utf8");
+  return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+/** "Juan Carlos Pérez" → "J*** C*** P***" */
+const maskName = (name = "") =>
+  String(name)
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((w) => `${w.slice(0, 1).toUpperCase()}***`)
+    .join(" ");
+
+/** 12345 → "***45" */
+const maskId = (id) => (id == null ? null : `***${String(id).slice(-2)}`);
+
+/* ============ Límite de consultas por IP (en memoria) ============ */
+const hitsByIp = new Map(); // ip → { start, count }
+
+function consumeVerifyQuota(ip, now = Date.now()) {
+  const windowMs = WINDOW_MINUTES * 60 * 1000;
+  const key = String(ip || "unknown");
+
+  // Limpieza de ventanas vencidas para que el mapa no crezca sin tope
+  if (hitsByIp.size > 10_000) {
+    for (const [k, v] of hitsByIp) {
+      if (now - v.start > windowMs) hitsByIp.delete(k);
+    }
+  }
+
+  let entry = hitsByIp.get(key);
+  if (!entry || now - entry.start > windowMs) {
+    entry = { start: now, count: 0 };
+    hitsByIp.set(key, entry);
+  }
+  if (entry.count >= MAX_REQUESTS) {
+    throw verificationError(
+      429,
+      "TOO_MANY_REQUESTS",
+      "Demasiadas consultas. Probá de nuevo más tarde."
+    );
+  }
+  entry.count++;
+}
+
+/**
+ * Contenido del QR (JSON de buildQrPayload, tal cual o en base64/base64url)
+ * return: { r, sig, a?, p? } | null
+ */
+export function parseReceiptQr(raw) {
+  const text = String(raw || "").trim();
+  if (!text) return null;
+
+  const candidates = [text];
+  if (!text.startsWith("{")) {
+    candidates.push(Buffer.from(text, "base64url").toString("utf8"));
+  }
+  for (const c of candidates) {
+    try {
+      const obj = JSON.parse(c);
+      if (obj && typeof obj === "object" && obj.r && obj.sig) return obj;
+    } catch {}
+  }
+  return null;
+}
+
+/**
+ * Verifica un recibo por QR o por número + firma.
+ * return: { authentic, status, receipt? }
+ */
+export async function verifyReceipt({ qr, number, sig, ip } = {}) {
+  if (!isReceiptSigningConfigured()) {
+    throw verificationError(
+      503,
+      "VERIFICATION_UNAVAILABLE",
+      "La verificación de recibos no está disponible."
+    );
+  }
+  consumeVerifyQuota(ip);
+
+  let payload = null;
+  if (qr) {
+    payload = parseReceiptQr(qr);
+    if (!payload) {
+      throw verificationError(400, "INVALID_QR", "El QR no es un recibo.");
+    }
+  } else if (number && sig) {
+    payload = { r: String(number).trim(), sig: String(sig).trim() };
+  } else {
+    throw verificationError(
+      400,
+      "INVALID_INPUT",
+      "Enviá el contenido del QR (qr) o el número y la firma (number, sig)."
+    );
+  }
+
+  const INVALID = { authentic: false, status: "invalid" };
+
+  const rx = await Receipt.findOne({ number: String(payload.r) }).lean();
+  if (!rx) return INVALID;
+
+  const payment = await Payment.findById(rx.paymentId).lean();
+  if (!payment) return INVALID;
+
+  // Firma recalculada; el integrante firmado es el del pago (o el del QR
+  // guardado, si el recibo se emitió a nombre de otro integrante)
+  const clientIds = Array.from(
+    new Set(
+      [payment.cliente?.memberId, rx.qrData?.c?._id]
+        .filter(Boolean)
+        .map(String)
+    )
+  );
+  const signatureOk = clientIds.some((clientId) =>
+    safeEqualHex(
+      signReceipt({
+        receiptNumber: rx.number,
+        payment,
+        clientId,
+        at: rx.createdAt,
+      }),
+      payload.sig
+    )
+  );
+
+  // Datos visibles del QR que no coinciden con el sistema
+  const dataOk =
+    (payload.a == null ||
+      Math.abs(Number(payload.a) - Number(payment.amount)) < 0.005) &&
+    (payload.p == null || String(payload.p) === String(payment._id));
+
+  if (!signatureOk || !dataOk) return INVALID;
+
+  const reversed =
+    payment.status === "reversed" ||
+    Boolean(await Payment.exists({ kind: "reversal", reversalOf: payment._id }));
+  const replacement = rx.voided
+    ? await Receipt.findOne({ reissueOf: rx._id }).select("number").lean()
+    : null;
+
+  const status = reversed ? "reversed" : rx.voided ? "voided" : "valid";
+
+  return {
+    authentic: true,
+    status,
+    receipt: {
+      number: rx.number,
+      issuedAt: rx.createdAt,
+      postedAt: payment.postedAt || payment.createdAt,
+      amount: payment.amount,
+      currency: payment.currency || "ARS",
+      method: payment.method,
+      periods: payment.meta?.periodsApplied || [],
+      cliente: {
+        idCliente: maskId(payment.cliente?.idCliente),
+        nombre: maskName(payment.cliente?.nombre),
+      },
+      replacedBy: replacement?.number || null,
+    },
+  };
+}
+
+export default { parseReceiptQr, verifyReceipt };
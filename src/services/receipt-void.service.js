@@ -0,0 +1,191 @@
+// src/services/receipt-void.service.js
+/**
+ * Anulación (y reemisión opcional) de un recibo por un admin.
+ *
+ * El cobro no cambia (monto, ledger, caja): sólo el comprobante.
+ *  - recibo → voided + voidedAt/voidedBy/voidReason
+ *  - reissue: recibo nuevo del mismo pago, otro número, reissueOf → anulado
+ *  - evento "receipt.voided" en outbox
+ *
+ * Todo dentro de la sesión/transacción que recibe (la abre el controller).
+ * El sello "ANULADO" en el PDF guardado se aplica después del commit
+ * (restampReceiptPdf), porque es un archivo y no se puede deshacer.
+ */
+
+import mongoose from "mongoose";
+
+import Payment from "../models/payment.model.js";
+import Receipt from "../models/receipt.model.js";
+import Cliente from "../models/client.model.js";
+import { generateReceipt } from "./receipt.service.js";
+import { enqueue } from "./outbox.service.js";
+
+// Un pago reversado no admite recibo nuevo
+const REISSUABLE_STATUSES = ["posted", "settled"];
+
+/** Error con status HTTP + code (lo traducen los controllers) */
+function receiptVoidError(status, code, message) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+/**
+ * voidReceipt({ session, receiptId, reason, reissue, actorUserId })
+ *
+ * return: { receipt, reissued }  (reissued = recibo nuevo o null)
+ */
+export async function voidReceipt({
+  session,
+  receiptId,
+  reason,
+  reissue = false,
+  actorUserId,
+} = {}) {
+  if (!session) throw new Error("voidReceipt: session requerida");
+
+  const motivo = String(reason || "").trim();
+  if (!motivo) {
+    throw receiptVoidError(400, "REASON_REQUIRED", "El motivo es obligatorio.");
+  }
+  if (!mongoose.Types.ObjectId.isValid(String(receiptId || ""))) {
+    throw receiptVoidError(400, "INVALID_ID", "ID de recibo inválido");
+  }
+  if (!actorUserId) {
+    throw receiptVoidError(
+      400,
+      "INVALID_SESSION",
+      "Sesión inválida: falta userId."
+    );
+  }
+  const actorOid = new mongoose.Types.ObjectId(String(actorUserId));
+
+  const current = await Receipt.findById(receiptId).session(session).lean();
+  if (!current) {
+    throw receiptVoidError(404, "RECEIPT_NOT_FOUND", "Recibo no encontrado");
+  }
+  if (current.voided) {
+    throw receiptVoidError(
+      409,
+      "ALREADY_VOIDED",
+      "El recibo ya está anulado."
+    );
+  }
+
+  const payment = await Payment.findById(current.paymentId)
+    .session(session)
+    .lean();
+  if (reissue) {
+    if (!payment || !REISSUABLE_STATUSES.includes(payment.status)) {
+      throw receiptVoidError(
+        409,
+        "PAYMENT_NOT_REISSUABLE",
+        `El pago está en estado "${
+          payment?.status || "inexistente"
+        }" y no admite un recibo nuevo.`
+      );
+    }
+  }
+
+  // 1) Anulación (condicional: dos admins a la vez → uno solo gana)
+  const now = new Date();
+  const receipt = await Receipt.findOneAndUpdate(
+    { _id: current._id, voided: { $ne: true } },
+    {
+      $set: {
+        voided: true,
+        voidedAt: now,
+        voidedBy: actorOid,
+        voidReason: motivo,
+      },
+    },
+    { new: true, session }
+  ).lean();
+  if (!receipt) {
+    throw receiptVoidError(
+      409,
+      "ALREADY_VOIDED",
+      "El recibo ya está anulado."
+    );
+  }
+
+  // 2) Reemisión (mismo pago, nuevo número)
+  let reissued = null;
+  if (reissue) {
+    const member = await Cliente.findById(payment.cliente?.memberId)
+      .select("_id idCliente nombre nombreTitular")
+      .session(session)
+      .lean();
+    const client = member
+      ? {
+          _id: member._id,
+          idCliente: member.idCliente,
+          nombre: member.nombre,
+          nombreTitular: member.nombreTitular || null,
+        }
+      : {
+          _id: payment.cliente?.memberId,
+          idCliente: payment.cliente?.idCliente,
+          nombre: payment.cliente?.nombre,
+        };
+
+    let receiptFields;
+    try {
+      const {
+        pdfPath,
+        pdfUrl,
+        receiptNumber,
+        qrData,
+        signature,
+        remainingBalance,
+      } = await generateReceipt(payment, client, { at: now });
+      receiptFields = {
+        number: receiptNumber,
+        qrData,
+        pdfPath,
+        pdfUrl,
+        signature,
+        remainingBalance,
+      };
+    } catch {
+      receiptFields = {
+        number: null,
+        qrData: { error: "pdf_generation_failed" },
+        pdfPath: null,
+        pdfUrl: null,
+      };
+    }
+    const [created] = await Receipt.create(
+      [
+        {
+          paymentId: payment._id,
+          ...receiptFields,
+          voided: false,
+          reissueOf: receipt._id,
+        },
+      ],
+      { session }
+    );
+    reissued = created.toObject();
+  }
+
+  // 3) Outbox
+  await enqueue(
+    "receipt.voided",
+    {
+      receiptId: receipt._id.toString(),
+      receiptNumber: receipt.number || null,
+      paymentId: String(receipt.paymentId),
+      idCliente: payment?.cliente?.idCliente ?? null,
+      reissuedNumber: reissued?.number || null,
+      userId: String(actorOid),
+      reason: motivo,
+    },
+    { session }
+  );
+
+  return { receipt, reissued };
+}
+
+export default { voidReceipt };
@@ -4,11 +4,21 @@ import path from "path";
 import PDFDocument from "pdfkit";
 import QRCode from "qrcode";
 import Counter from "../models/counter.model.js";
+import Cliente from "../models/client.model.js";
+import Payment from "../models/payment.model.js";
+import User from "../models/user.model.js";
 import { ensureDirp, joinSafe } from "../utils/fs.util.js";
 import {
   hmacSign,
   canonicalizeReceiptSignature,
 } from "../utils/crypto.util.js";
+import { renderReceipt } from "../utils/receiptTemplate.util.js";
+import { getClientPeriodState } from "./debt.service.js";
+import {
+  yyyymmAR,
+  comparePeriod,
+  sumSurchargeBalance,
+} from "./periods.util.js";
 
 const PROD_ORIGIN_STATIC = "https://www.api.memorialsanrafael.com.ar";
 
@@ -78,7 +88,7 @@ export function buildQrPayload({ receiptNumber, payment, client, signature }) {
   };
 }
 
-async function generateQrPngBuffer(payloadObj) {
+export async function generateQrPngBuffer(payloadObj) {
   const data = JSON.stringify(payloadObj);
   return await QRCode.toBuffer(data, {
     errorCorrectionLevel: "M",
@@ -87,9 +97,156 @@ async function generateQrPngBuffer(payloadObj) {
   });
 }
 
+/** Datos de la empresa para el encabezado del recibo */
+export const getReceiptCompany = () => ({
+  name: COMPANY_NAME,
+  address: COMPANY_ADDRESS,
+  taxId: COMPANY_TAX_ID,
+});
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/**
+ * Saldo del grupo (cuotas + recargos hasta el período actual) después de
+ * este pago. El recibo se arma dentro de la transacción del cobro, así que
+ * getClientPeriodState todavía no ve la imputación nueva: se descuenta a
+ * mano (y se devuelve la ya confirmada si es una reimputación).
+ */
+async function computeRemainingBalance(payment, client) {
+  const member = await Cliente.findById(client._id)
+    .select("_id idCliente nombre usarCuotaIdeal cuota cuotaIdeal")
+    .lean();
+  if (!member) return null;
+
+  const nowPeriod = yyyymmAR(new Date());
+  const state = await getClientPeriodState(member, {
+    to: nowPeriod,
+    includeFuture: 0,
+  });
+  const due =
+    (state?.periods || [])
+      .filter((r) => comparePeriod(r.period, nowPeriod) <= 0)
+      .reduce((acc, r) => acc + Math.max(0, Number(r.balance || 0)), 0) +
+    sumSurchargeBalance(state, nowPeriod);
+
+  const upToNow = (allocs = []) =>
+    allocs
+      .filter((a) => comparePeriod(a.period, nowPeriod) <= 0)
+      .reduce((acc, a) => acc + Number(a.amountApplied || 0), 0);
+
+  const committed = await Payment.findById(payment._id)
+    .select("status allocations")
+    .lean();
+  const alreadyCounted = ["posted", "settled"].includes(committed?.status)
+    ? upToNow(committed.allocations)
+    : 0;
+
+  return round2(
+    Math.max(0, due + alreadyCounted - upToNow(payment.allocations))
+  );
+}
+
+/**
+ * Datos del recibo que no vienen en el pago: nombre del cobrador y saldo
+ * del grupo. Si algo falla, el recibo sale igual (sin esa línea).
+ * Con `receipt` (re-render de un recibo ya emitido) el saldo es el
+ * guardado al emitir; no se recalcula contra la deuda de hoy.
+ * return: { collectorName, remainingBalance }
+ */
+export async function loadReceiptExtras({ payment, client, receipt = null }) {
+  let collectorName = null;
+  try {
+    const user = payment?.collector?.userId
+      ? await User.findById(payment.collector.userId)
+          .select("name email")
+          .lean()
+      : null;
+    collectorName =
+      String(user?.name || user?.email || "").trim() ||
+      (payment?.collector?.idCobrador
+        ? `Cobrador #${payment.collector.idCobrador}`
+        : null);
+  } catch {}
+
+  let remainingBalance = null;
+  if (receipt) {
+    remainingBalance = receipt.remainingBalance ?? null;
+  } else {
+    try {
+      if (payment?._id && client?._id) {
+        remainingBalance = await computeRemainingBalance(payment, client);
+      }
+    } catch {}
+  }
+
+  return { collectorName, remainingBalance };
+}
+
+/**
+ * Datos de renderReceipt para un recibo ya emitido (lo que haya guardado).
+ * Lo usan el generador de respaldo (A4) y el formato térmico.
+ * return: data de renderReceipt + qrData (payload firmado o null)
+ */
+export async function loadReceiptRenderData(rx) {
+  const payment = rx.paymentId
+    ? await Payment.findById(rx.paymentId).lean()
+    : null;
+  const client = payment
+    ? {
+        _id: payment.cliente?.memberId,
+        idCliente: payment.cliente?.idCliente,
+        nombre: payment.cliente?.nombre,
+      }
+    : { nombre: rx.clientName, idCliente: rx.clientId };
+  const { collectorName, remainingBalance } = payment
+    ? await loadReceiptExtras({ payment, client, receipt: rx })
+    : { collectorName: null, remainingBalance: rx.remainingBalance ?? null };
+
+  // QR: el payload firmado que quedó en el recibo (si es válido)
+  const qrData = rx.qrData?.r && rx.qrData?.sig ? rx.qrData : null;
+  let qrPng = null;
+  if (qrData) {
+    try {
+      qrPng = await generateQrPngBuffer(qrData);
+    } catch {}
+  }
+
+  return {
+    company: getReceiptCompany(),
+    receiptNumber: rx.number || String(rx._id),
+    issuedAt: rx.createdAt || new Date(),
+    client,
+    payment: payment || { amount: rx.amount },
+    allocations: payment?.allocations || [],
+    remainingBalance,
+    collectorName,
+    qrPng,
+    qrData,
+    voided: rx.voided ? { at: rx.voidedAt, reason: rx.voidReason } : null,
+  };
+}
+
+/**
+ * Firma HMAC de un recibo (la que viaja en el QR como `sig`).
+ * clientId: _id del integrante que figura en el recibo.
+ */
+export function signReceipt({ receiptNumber, payment, clientId, at }) {
+  const canonical = canonicalizeReceiptSignature({
+    receiptNumber,
+    paymentId: String(payment._id),
+    clientId: String(clientId),
+    amount: payment.amount,
+    postedAt: payment.postedAt || payment.createdAt || at,
+  });
+  return hmacSign(canonical, RECEIPT_HMAC_SECRET);
+}
+
+/** Sin RECEIPT_HMAC_SECRET la firma no prueba nada (clave vacía) */
+export const isReceiptSigningConfigured = () => Boolean(RECEIPT_HMAC_SECRET);
+
 /**
  * Devuelve:
- *   { pdfPath, pdfUrl, receiptNumber, qrData, signature }
+ *   { pdfPath, pdfUrl, receiptNumber, qrData, signature, remainingBalance }
  * - pdfPath: ruta ABSOLUTA en disco (para el server)
  * - pdfUrl:  URL ABSOLUTA pública (para el front) -> SERVER_PUBLIC_ORIGIN + FILES_PUBLIC_BASE + /receipts/<AÑO>/<NRO>.pdf
  */
@@ -103,14 +260,12 @@ export async function buildReceiptPDF(
 
   const receiptNumber = await getNextReceiptNumber({ at });
 
-  const canonical = canonicalizeReceiptSignature({
+  const signature = signReceipt({
     receiptNumber,
-    paymentId: String(payment._id),
-    clientId: String(client._id),
-    amount: payment.amount,
-    postedAt: payment.postedAt || payment.createdAt || at,
+    payment,
+    clientId: client._id,
+    at,
   });
-  const signature = hmacSign(canonical, RECEIPT_HMAC_SECRET);
 
   const qrData = buildQrPayload({ receiptNumber, payment, client, signature });
   const qrPng = await generateQrPngBuffer(qrData);
@@ -132,104 +287,46 @@ export async function buildReceiptPDF(
   const pdfUrl = `${SERVER_PUBLIC_ORIGIN.replace(/\/+$/, "")}${publicPath}`;
 
   // === Render PDF ===
+  const { collectorName, remainingBalance } = await loadReceiptExtras({
+    payment,
+    client,
+  });
   await new Promise((resolve, reject) => {
-    const doc = new PDFDocument({ size: "A4", margin: 48 });
+    const doc = new PDFDocument({ size: "A4", margin: 48, bufferPages: true });
     const stream = fs.createWriteStream(pdfPath);
     doc.pipe(stream);
 
-    // Header
-    doc
-      .fontSize(18)
-      .font("Helvetica-Bold")
-      .text(COMPANY_NAME, { align: "left" });
-    doc.moveDown(0.2);
-    doc.fontSize(10).font("Helvetica").text(COMPANY_ADDRESS);
-    doc.text(COMPANY_TAX_ID);
-    doc.moveDown(0.8);
-
-    doc
-      .fontSize(12)
-      .font("Helvetica-Bold")
-      .text(`RECIBO: ${receiptNumber}`, { align: "right" });
-    doc
-      .fontSize(10)
-      .font("Helvetica")
-      .text(
-        `Fecha: ${new Date(at).toLocaleString("es-AR", {
-          timeZone: "America/Argentina/Mendoza",
-          year: "numeric",
-          month: "2-digit",
-          day: "2-digit",
-          hour: "2-digit",
-          minute: "2-digit",
-        })}`,
-        { align: "right" }
-      );
-
-    doc.moveDown(1);
-
-    // Cliente
-    doc.fontSize(12).font("Helvetica-Bold").text("Datos del Cliente");
-    doc.moveDown(0.2);
-    doc
-      .fontSize(10)
-      .font("Helvetica")
-      .text(`Nombre: ${client?.nombre || client?.name || "-"}`);
-    doc.text(`ID Cliente: ${client?.idCliente ?? "-"}`);
-    if (client?.documento) doc.text(`Documento: ${client.documento}`);
-    doc.moveDown(0.8);
-    doc
-      .moveTo(48, doc.y)
-      .lineTo(548, doc.y)
-      .strokeColor("#999")
-      .stroke()
-      .moveDown(0.8);
-
-    // Pago
-    doc.fontSize(12).font("Helvetica-Bold").text("Detalle del Pago");
-    doc.moveDown(0.2);
-    doc
-      .fontSize(10)
-      .font("Helvetica")
-      .text(`Payment ID: ${String(payment._id)}`);
-    doc.text(`Método: ${String(payment.method || "efectivo")}`);
-    doc.text(`Estado: ${String(payment.status || "posted")}`);
-    doc.text(
-      `Fecha imputación: ${
-        payment.postedAt
-          ? new Date(payment.postedAt).toLocaleString("es-AR", {
-              timeZone: "America/Argentina/Mendoza",
-            })
-          : "-"
-      }`
-    );
-    doc.text(`Monto: $ ${Number(payment.amount || 0).toFixed(2)}`);
-    if (payment?.notes) doc.text(`Notas: ${String(payment.notes)}`);
-
-    doc.moveDown(0.8);
-    doc
-      .moveTo(48, doc.y)
-      .lineTo(548, doc.y)
-      .strokeColor("#999")
-      .stroke()
-      .moveDown(0.8);
-
-    // Footer
-    doc.moveDown(1.2);
-    doc
-      .fontSize(8)
-      .fillColor("#555")
-      .text(
-        "Este comprobante corresponde a un cobro registrado en el sistema Memorial. Cualquier alteración invalida el documento.",
-        { align: "center" }
-      );
+    renderReceipt(doc, {
+      company: {
+        name: COMPANY_NAME,
+        address: COMPANY_ADDRESS,
+        taxId: COMPANY_TAX_ID,
+      },
+      receiptNumber,
+      issuedAt: at,
+      client,
+      payment,
+      allocations: Array.isArray(payment?.allocations)
+        ? payment.allocations
+        : [],
+      remainingBalance,
+      collectorName,
+      qrPng,
+    });
 
     doc.end();
     stream.on("finish", resolve);
     stream.on("error", reject);
   });
 
-  return { pdfPath, pdfUrl, receiptNumber, qrData, signature };
+  return {
+    pdfPath,
+    pdfUrl,
+    receiptNumber,
+    qrData,
+    signature,
+    remainingBalance,
+  };
 }
 
 export async function generateReceipt(payment, client, opts = {}) {
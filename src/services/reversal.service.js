@@ -0,0 +1,249 @@
+// src/services/reversal.service.js
+/**
+ * Reversa de pagos (anulación contable WORM).
+ *
+ * Un pago nunca se borra ni se edita: se revierte creando
+ *  - un Payment kind="reversal" (reversalOf → original), sin allocations
+ *  - asientos espejo de cada LedgerEntry del original (side invertido)
+ *  - Receipt del original → voided
+ *  - plan anual: se liberan los precios congelados (ver prepayment.service)
+ *  - original.status → "reversed" (debt.service sólo suma posted/settled,
+ *    así que los períodos imputados vuelven a quedar adeudados)
+ *  - evento "payment.reversed" en outbox
+ *
+ * Todo dentro de la sesión/transacción que recibe (la abre el controller).
+ */
+
+import mongoose from "mongoose";
+
+import Payment from "../models/payment.model.js";
+import LedgerEntry from "../models/ledger-entry.model.js";
+import Receipt from "../models/receipt.model.js";
+import { enqueue } from "./outbox.service.js";
+import { resolvePaymentCashSession } from "./cash-session.service.js";
+import { releasePrepaidPeriods } from "./prepayment.service.js";
+
+const REVERSIBLE_STATUSES = ["posted", "settled"];
+
+/** Error con status HTTP + code (lo traducen los controllers) */
+function reversalError(status, code, message, extra = {}) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  Object.assign(e, extra);
+  return e;
+}
+
+const flipSide = (side) => (side === "debit" ? "credit" : "debit");
+
+/**
+ * reversePayment({ session, paymentId, actorUserId, reason, ... })
+ *
+ * opts:
+ *  - session:        sesión Mongo con transacción abierta (requerida)
+ *  - paymentId:      _id del Payment a revertir
+ *  - actorUserId:    usuario que ejecuta la reversa (auditoría)
+ *  - reason:         motivo (obligatorio)
+ *  - allowStatuses:  estados admitidos del original (default posted/settled)
+ *  - assertCanReverse(payment): hook opcional para reglas de scope (cobrador)
+ *  - channel:        canal de la reversa (default: el del original)
+ *
+ * return: { reused, reversal, original, ledgerEntries, receipt }
+ */
+export async function reversePayment({
+  session,
+  paymentId,
+  actorUserId,
+  reason,
+  allowStatuses = REVERSIBLE_STATUSES,
+  assertCanReverse,
+  channel,
+} = {}) {
+  if (!session) throw new Error("reversePayment: session requerida");
+
+  const motivo = String(reason || "").trim();
+  if (!motivo) {
+    throw reversalError(400, "REASON_REQUIRED", "El motivo es obligatorio.");
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(String(paymentId || ""))) {
+    throw reversalError(400, "INVALID_ID", "ID de pago inválido");
+  }
+  if (!actorUserId) {
+    throw reversalError(400, "INVALID_SESSION", "Sesión inválida: falta userId.");
+  }
+  const actorOid = new mongoose.Types.ObjectId(String(actorUserId));
+
+  const original = await Payment.findById(paymentId).session(session);
+  if (!original) {
+    throw reversalError(404, "PAYMENT_NOT_FOUND", "Pago no encontrado");
+  }
+
+  if (original.kind !== "payment") {
+    throw reversalError(
+      409,
+      "NOT_REVERSIBLE_KIND",
+      `Sólo se pueden revertir pagos (kind=${original.kind}).`
+    );
+  }
+
+  // Idempotencia: una sola reversa por pago (el original ya quedó "reversed")
+  const revIdem = `rev_${original._id}`;
+  const already = await Payment.findOne({ idempotencyKey: revIdem })
+    .session(session)
+    .lean();
+  if (!already && !allowStatuses.includes(original.status)) {
+    throw reversalError(
+      409,
+      "NOT_REVERSIBLE_STATUS",
+      `El pago está en estado "${original.status}" y no puede revertirse.`
+    );
+  }
+
+  // Scope/permisos también para el reintento: no se filtra la reversa ajena
+  if (typeof assertCanReverse === "function") {
+    await assertCanReverse(original.toObject());
+  }
+
+  if (already) {
+    return { reused: true, reversal: already, original: original.toObject() };
+  }
+
+  const now = new Date();
+  const periodsReopened = Array.from(
+    new Set((original.allocations || []).map((a) => a.period).filter(Boolean))
+  );
+
+  // La reversa va a la caja abierta de quien la hace (nunca a la caja del
+  // original: si ya cerró, le cambiaría los totales)
+  const cashSessionId = await resolvePaymentCashSession({
+    session,
+    userId: actorOid,
+  });
+
+  // 1) Payment compensatorio
+  const revDocs = await Payment.create(
+    [
+      {
+        kind: "reversal",
+        status: "draft",
+        cliente: original.cliente,
+        collector: original.collector,
+        currency: original.currency,
+        amount: original.amount,
+        method: original.method,
+        channel: channel || original.channel,
+        intendedPeriod: original.intendedPeriod || null,
+        notes: `Reversa de pago ${original._id}: ${motivo}`,
+        reversalOf: original._id,
+        idempotencyKey: revIdem,
+        externalRef: original.externalRef || null,
+        cashSessionId,
+        allocations: [],
+        meta: {
+          periodsApplied: [],
+          reason: motivo,
+          periodsReopened,
+        },
+        createdBy: actorOid,
+      },
+    ],
+    { session }
+  );
+
+  const reversal = revDocs[0];
+  reversal.markPosted();
+  await reversal.save({ session });
+
+  // 2) Original → reversed
+  original.status = "reversed";
+  original.updatedBy = actorOid;
+  await original.save({ session });
+
+  // 3) Ledger espejo (mismo dueño/cuenta, lado invertido)
+  const origEntries = await LedgerEntry.find({ paymentId: original._id })
+    .session(session)
+    .lean();
+
+  const mirror = origEntries.map((le) => ({
+    paymentId: reversal._id,
+    userId: le.userId, // dueño de la caja original (el saldo debe volver)
+    kind: "payment_reversal",
+    side: flipSide(le.side),
+    accountCode: le.accountCode,
+    amount: Math.abs(Number(le.amount || 0)),
+    currency: le.currency || original.currency,
+    postedAt: reversal.postedAt || now,
+
+    fromUser: le.toUser ?? null,
+    toUser: le.fromUser ?? null,
+    fromAccountCode: le.toAccountCode ?? null,
+    toAccountCode: le.fromAccountCode ?? null,
+
+    dimensions: {
+      idCobrador: le.dimensions?.idCobrador ?? null,
+      idCliente: le.dimensions?.idCliente ?? null,
+      plan: le.dimensions?.plan ?? null,
+      canal: le.dimensions?.canal ?? null,
+      note: `Reversa: ${motivo}`,
+    },
+  }));
+
+  const ledgerEntries = mirror.length
+    ? await LedgerEntry.insertMany(mirror, { session, ordered: true })
+    : [];
+
+  // 4) Recibo vigente del original → anulado (los reemitidos ya lo están)
+  const receipt = await Receipt.findOneAndUpdate(
+    { paymentId: original._id, voided: { $ne: true } },
+    {
+      $set: {
+        voided: true,
+        voidedAt: now,
+        voidedBy: actorOid,
+        voidReason: `Reversa: ${motivo}`,
+      },
+    },
+    { new: true, sort: { createdAt: -1 }, session }
+  ).lean();
+
+  // 4.1) Plan anual: esos períodos vuelven a la facturación común
+  if (original.meta?.prepayment) {
+    await releasePrepaidPeriods({ session, paymentId: original._id });
+  }
+
+  // 5) Outbox
+  await enqueue(
+    "payment.reversed",
+    {
+      paymentId: reversal._id.toString(),
+      reversalOf: original._id.toString(),
+      idCliente: original.cliente?.idCliente ?? null,
+      memberId: original.cliente?.memberId
+        ? original.cliente.memberId.toString()
+        : null,
+      amount: reversal.amount,
+      currency: reversal.currency,
+      method: original.method,
+      channel: reversal.channel,
+      postedAt: (reversal.postedAt || now).toISOString(),
+      idCobrador: original.collector?.idCobrador ?? null,
+      userId: String(actorOid),
+      externalRef: original.externalRef || null,
+      periodsReopened,
+      receiptNumber: receipt?.number || null,
+      reason: motivo,
+    },
+    { session }
+  );
+
+  return {
+    reused: false,
+    reversal: reversal.toObject(),
+    original: original.toObject(),
+    ledgerEntries,
+    receipt,
+  };
+}
+
+export default { reversePayment };
@@ -0,0 +1,135 @@
+// src/services/surcharge.service.js
+/**
+ * Recargos por mora (punitorios) por período vencido.
+ *
+ * API expuesta:
+ *  - computePeriodSurcharges({ periods, payments, rules, dueDay, upTo,
+ *                              exclude?, now? })
+ *
+ * Reglas (GlobalSettings.surcharges, ver billingSettings.provider):
+ *  - El período P vence el día dueDay de P; el recargo arranca pasados
+ *    graceDays desde el vencimiento.
+ *  - Devenga 1 mes de atraso apenas vence la gracia y uno más por cada mes
+ *    calendario siguiente, hasta que la cuota del período queda saldada
+ *    (fecha del pago que la completó) o hasta hoy. Tope: maxMonths (0 = sin).
+ *  - fixed:   value por mes · percent: value% de la cuota por mes.
+ *  - Lo cobrado al recargo son allocations con concept "surcharge".
+ */
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+function addMonths(date, n) {
+  const d = new Date(date);
+  d.setMonth(d.getMonth() + n);
+  return d;
+}
+
+/** Inicio del recargo del período "YYYY-MM" (vencimiento + gracia) */
+function lateStartOf(period, dueDay, graceDays) {
+  const [y, m] = String(period).split("-").map(Number);
+  const d = new Date(y, m - 1, dueDay);
+  d.setDate(d.getDate() + Number(graceDays || 0));
+  return d;
+}
+
+/** Meses de atraso devengados entre lateStart y end (0 si no llegó) */
+function monthsLateBetween(lateStart, end, maxMonths = 0) {
+  let months = 0;
+  while (addMonths(lateStart, months).getTime() <= end.getTime()) {
+    months++;
+    if (maxMonths > 0 && months >= maxMonths) break;
+  }
+  return months;
+}
+
+/**
+ * periods:  filas de getClientPeriodState ({ period, charge, status })
+ * payments: [{ postedAt, allocations: [{ period, amountApplied, concept }] }]
+ * upTo:     último período facturable ("YYYY-MM"); los futuros no devengan
+ * exclude:  períodos que no devengan (p.ej. los de un plan de pagos activo)
+ *
+ * return: [{ period, monthsLate, lateSince, amount, paid, balance, status }]
+ *   (sólo períodos con recargo devengado o cobrado)
+ */
+export function computePeriodSurcharges({
+  periods = [],
+  payments = [],
+  rules,
+  dueDay = 1,
+  upTo,
+  exclude = [],
+  now = new Date(),
+}) {
+  // Cobros: capital acumulado por período (en orden de fecha) y recargo
+  const capitalPaid = new Map();
+  const paidOffAt = new Map(); // period -> fecha en que la cuota quedó saldada
+  const surchargePaid = new Map();
+  const chargeOf = new Map(periods.map((r) => [r.period, Number(r.charge)]));
+
+  const sorted = [...payments].sort(
+    (a, b) => new Date(a.postedAt || 0) - new Date(b.postedAt || 0)
+  );
+  for (const pay of sorted) {
+    for (const a of pay.allocations || []) {
+      if (!a?.period || typeof a.amountApplied !== "number") continue;
+      if (a.concept === "surcharge") {
+        surchargePaid.set(
+          a.period,
+          (surchargePaid.get(a.period) || 0) + a.amountApplied
+        );
+        continue;
+      }
+      const acc = (capitalPaid.get(a.period) || 0) + a.amountApplied;
+      capitalPaid.set(a.period, acc);
+      const charge = chargeOf.get(a.period);
+      if (!paidOffAt.has(a.period) && charge > 0 && acc >= charge) {
+        paidOffAt.set(a.period, new Date(pay.postedAt || now));
+      }
+    }
+  }
+
+  const enabled = Boolean(rules?.enabled) && Number(rules?.value) > 0;
+  const skip = new Set(exclude);
+  const out = [];
+
+  for (const row of periods) {
+    if (upTo && row.period > upTo) continue;
+    if (skip.has(row.period)) continue;
+
+    const paid = round2(surchargePaid.get(row.period) || 0);
+    let monthsLate = 0;
+    let amount = 0;
+    let lateSince = null;
+
+    if (enabled && Number(row.charge) > 0) {
+      const start = lateStartOf(row.period, dueDay, rules.graceDays);
+      const end = paidOffAt.get(row.period) || now;
+      monthsLate = monthsLateBetween(start, end, Number(rules.maxMonths || 0));
+      if (monthsLate > 0) {
+        lateSince = start;
+        const perMonth =
+          rules.mode === "fixed"
+            ? Number(rules.value)
+            : (Number(row.charge) * Number(rules.value)) / 100;
+        amount = round2(perMonth * monthsLate);
+      }
+    }
+
+    if (amount <= 0 && paid <= 0) continue;
+
+    const balance = round2(Math.max(0, amount - paid));
+    out.push({
+      period: row.period,
+      monthsLate,
+      lateSince,
+      amount,
+      paid,
+      balance,
+      status: balance <= 0 ? "paid" : paid > 0 ? "partial" : "due",
+    });
+  }
+
+  return out;
+}
+
+export default { computePeriodSurcharges };
@@ -0,0 +1,417 @@
+// src/services/writeoff.service.js
+/**
+ * Condonación de deuda (write-off) con aprobación.
+ *
+ * API expuesta:
+ *  - createWriteOffRequest({ clienteDoc, periods, reason, by })
+ *  - approveWriteOff({ session, id, by, note? })
+ *  - rejectWriteOff({ session, id, by, note? })
+ *
+ * Reglas:
+ *  - sólo períodos vencidos (due / partial) con saldo; ni futuros, ni
+ *    refinanciados (plan de pagos), ni recargos
+ *  - una solicitud pendiente por período del grupo/integrante
+ *  - aprueba un superAdmin distinto del que la pidió; los saldos se
+ *    revalidan al aprobar
+ *
+ * Al aprobar: Payment kind "adjustment" (posted, sin recibo) con
+ * allocations concept "writeoff" + ledger DEBIT CONDONACIONES /
+ * CREDIT INGRESOS_CUOTAS (la cuota condonada se reconoce y se da de baja
+ * como pérdida) + evento "writeoff.approved".
+ */
+
+import mongoose from "mongoose";
+
+import WriteOff from "../models/write-off.model.js";
+import Payment from "../models/payment.model.js";
+import LedgerEntry from "../models/ledger-entry.model.js";
+import Cliente from "../models/client.model.js";
+import { getClientPeriodState } from "./debt.service.js";
+import { resolveDebtScope } from "./debt-scope.service.js";
+import { enqueue } from "./outbox.service.js";
+import { ACCOUNTS } from "../config/accounts.js";
+import { yyyymmAR, normalizePeriod } from "./periods.util.js";
+
+const ADMIN_COLLECTOR_ID = 0; // idCobrador simbólico (oficina)
+const WRITABLE_STATUSES = ["due", "partial"];
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/** Error con status HTTP + code (lo traducen los controllers) */
+function writeOffError(status, code, message) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+/** period → saldo condonable del estado de deuda actual */
+async function loadWritableBalances(clienteDoc) {
+  const state = await getClientPeriodState(clienteDoc, {
+    to: yyyymmAR(new Date()),
+    includeFuture: 0,
+  });
+  const map = new Map();
+  for (const r of state?.periods || []) {
+    if (!WRITABLE_STATUSES.includes(r.status)) continue;
+    const bal = round2(r.balance);
+    if (bal > 0) map.set(r.period, bal);
+  }
+  return map;
+}
+
+/**
+ * Valida periods contra los saldos.
+ * periods: [{ period, amount? }] — sin amount se condona el saldo completo
+ * return: [{ period, amount }] ordenado asc
+ */
+function resolvePeriods(periods, balances) {
+  if (!Array.isArray(periods) || !periods.length) {
+    throw writeOffError(
+      400,
+      "PERIODS_REQUIRED",
+      "Indicá al menos un período a condonar."
+    );
+  }
+
+  const seen = new Set();
+  const out = [];
+  for (const row of periods) {
+    const period = normalizePeriod(
+      typeof row === "string" ? row : row?.period
+    );
+    if (!period) {
+      throw writeOffError(400, "INVALID_PERIOD", "Período inválido (YYYY-MM).");
+    }
+    if (seen.has(period)) {
+      throw writeOffError(
+        400,
+        "DUPLICATE_PERIOD",
+        `Período repetido: ${period}.`
+      );
+    }
+    seen.add(period);
+
+    const bal = balances.get(period) || 0;
+    if (bal <= 0) {
+      throw writeOffError(
+        409,
+        "PERIOD_NOT_DUE",
+        `El período ${period} no tiene saldo vencido condonable.`
+      );
+    }
+
+    const raw = typeof row === "object" ? row?.amount : null;
+    const amount = raw == null || raw === "" ? bal : round2(raw);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw writeOffError(
+        400,
+        "INVALID_AMOUNT",
+        `Monto inválido para ${period}.`
+      );
+    }
+    if (amount > bal + 0.0001) {
+      throw writeOffError(
+        409,
+        "AMOUNT_EXCEEDS_BALANCE",
+        `El período ${period} no admite ${amount} (saldo: ${bal}).`
+      );
+    }
+    out.push({ period, amount });
+  }
+
+  return out.sort((a, b) => (a.period < b.period ? -1 : 1));
+}
+
+/**
+ * Crea la solicitud (status "pending").
+ * return: WriteOff (lean)
+ */
+export async function createWriteOffRequest({
+  clienteDoc,
+  periods,
+  reason,
+  by,
+} = {}) {
+  if (!clienteDoc?._id) {
+    throw writeOffError(404, "CLIENT_NOT_FOUND", "Cliente no encontrado");
+  }
+  const motivo = String(reason || "").trim();
+  if (!motivo) {
+    throw writeOffError(400, "REASON_REQUIRED", "El motivo es obligatorio.");
+  }
+  if (!by) {
+    throw writeOffError(
+      400,
+      "INVALID_SESSION",
+      "Sesión inválida: falta userId."
+    );
+  }
+
+  const scope = await resolveDebtScope(clienteDoc);
+  const balances = await loadWritableBalances(clienteDoc);
+  const lines = resolvePeriods(periods, balances);
+
+  const overlap = await WriteOff.findOne({
+    ...(scope.mode === "group"
+      ? { idCliente: scope.idCliente }
+      : { memberId: clienteDoc._id }),
+    status: "pending",
+    "periods.period": { $in: lines.map((l) => l.period) },
+  })
+    .select("_id")
+    .lean();
+  if (overlap) {
+    const e = writeOffError(
+      409,
+      "WRITE_OFF_PENDING",
+      "Ya hay una condonación pendiente para alguno de esos períodos."
+    );
+    e.writeOffId = String(overlap._id);
+    throw e;
+  }
+
+  const doc = await WriteOff.create({
+    idCliente: scope.idCliente ?? clienteDoc.idCliente,
+    memberId: clienteDoc._id,
+    periods: lines,
+    totalAmount: round2(lines.reduce((acc, l) => acc + l.amount, 0)),
+    reason: motivo,
+    requestedBy: by,
+  });
+
+  await enqueue("writeoff.requested", {
+    writeOffId: String(doc._id),
+    idCliente: doc.idCliente,
+    memberId: String(doc.memberId),
+    totalAmount: doc.totalAmount,
+    periods: lines.map((l) => l.period),
+    requestedBy: String(by),
+    reason: motivo,
+  });
+
+  return doc.toObject();
+}
+
+/** Toma la solicitud pendiente (sólo un decisor gana la carrera) */
+async function claimPending({ session, id, by, status, note }) {
+  if (!mongoose.Types.ObjectId.isValid(String(id || ""))) {
+    throw writeOffError(400, "INVALID_ID", "ID inválido");
+  }
+  if (!by) {
+    throw writeOffError(
+      400,
+      "INVALID_SESSION",
+      "Sesión inválida: falta userId."
+    );
+  }
+
+  const current = await WriteOff.findById(id).session(session).lean();
+  if (!current) {
+    throw writeOffError(404, "WRITE_OFF_NOT_FOUND", "Condonación no encontrada");
+  }
+  if (current.status !== "pending") {
+    throw writeOffError(
+      409,
+      "WRITE_OFF_NOT_PENDING",
+      `La condonación está en estado "${current.status}".`
+    );
+  }
+  if (String(current.requestedBy) === String(by)) {
+    throw writeOffError(
+      409,
+      "SELF_APPROVAL",
+      "Quien pidió la condonación no puede decidirla."
+    );
+  }
+
+  const claimed = await WriteOff.findOneAndUpdate(
+    { _id: current._id, status: "pending" },
+    {
+      $set: {
+        status,
+        decidedBy: by,
+        decidedAt: new Date(),
+        decisionNote: String(note || "").trim() || null,
+      },
+    },
+    { new: true, session }
+  );
+  if (!claimed) {
+    throw writeOffError(
+      409,
+      "WRITE_OFF_NOT_PENDING",
+      "La condonación ya fue decidida."
+    );
+  }
+  return claimed;
+}
+
+/**
+ * Aprueba: revalida saldos, registra el ajuste + ledger.
+ * return: { writeOff, adjustment, ledgerEntries }
+ */
+export async function approveWriteOff({ session, id, by, note } = {}) {
+  if (!session) throw new Error("approveWriteOff: session requerida");
+
+  const writeOff = await claimPending({
+    session,
+    id,
+    by,
+    status: "approved",
+    note,
+  });
+
+  const member = await Cliente.findById(writeOff.memberId)
+    .select("_id idCliente nombre usarCuotaIdeal cuota cuotaIdeal")
+    .session(session)
+    .lean();
+  if (!member) {
+    throw writeOffError(404, "CLIENT_NOT_FOUND", "Cliente no encontrado");
+  }
+
+  // Entre la solicitud y la aprobación pudo haber cobros
+  const balances = await loadWritableBalances(member);
+  for (const l of writeOff.periods) {
+    const bal = balances.get(l.period) || 0;
+    if (l.amount > bal + 0.0001) {
+      throw writeOffError(
+        409,
+        "WRITE_OFF_STALE",
+        `El saldo de ${l.period} cambió (saldo: ${bal}); pedí una nueva condonación.`
+      );
+    }
+  }
+
+  const byOid = new mongoose.Types.ObjectId(String(by));
+  const [adjustment] = await Payment.create(
+    [
+      {
+        kind: "adjustment",
+        status: "draft",
+        cliente: {
+          memberId: member._id,
+          idCliente: writeOff.idCliente,
+          nombre: member.nombre,
+        },
+        collector: { idCobrador: ADMIN_COLLECTOR_ID, userId: byOid },
+        currency: "ARS",
+        amount: writeOff.totalAmount,
+        method: "otro",
+        channel: "backoffice",
+        notes: `Condonación: ${writeOff.reason}`,
+        idempotencyKey: `writeoff_${writeOff._id}`,
+        allocations: writeOff.periods.map((l) => ({
+          period: l.period,
+          amountApplied: l.amount,
+          statusAfter:
+            l.amount >= (balances.get(l.period) || 0) ? "paid" : "partial",
+          memberId: member._id,
+          concept: "writeoff",
+        })),
+        meta: {
+          periodsApplied: writeOff.periods.map((l) => l.period),
+          source: "writeoff",
+          reason: writeOff.reason,
+          writeOffId: writeOff._id,
+        },
+        createdBy: byOid,
+      },
+    ],
+    { session }
+  );
+  adjustment.markPosted();
+  await adjustment.save({ session });
+
+  const postedAt = adjustment.postedAt || new Date();
+  const dimensions = {
+    idCobrador: ADMIN_COLLECTOR_ID,
+    idCliente: writeOff.idCliente,
+    canal: adjustment.channel,
+    note: `Condonación: ${writeOff.reason}`,
+  };
+  const ledgerEntries = await LedgerEntry.insertMany(
+    [
+      {
+        paymentId: adjustment._id,
+        userId: byOid,
+        kind: "writeoff",
+        side: "debit",
+        accountCode: ACCOUNTS.CONDONACIONES,
+        amount: writeOff.totalAmount,
+        currency: adjustment.currency,
+        postedAt,
+        dimensions,
+      },
+      {
+        paymentId: adjustment._id,
+        userId: byOid,
+        kind: "writeoff",
+        side: "credit",
+        accountCode: ACCOUNTS.INGRESOS_CUOTAS,
+        amount: writeOff.totalAmount,
+        currency: adjustment.currency,
+        postedAt,
+        dimensions,
+      },
+    ],
+    { session, ordered: true }
+  );
+
+  writeOff.paymentId = adjustment._id;
+  await writeOff.save({ session });
+
+  await enqueue(
+    "writeoff.approved",
+    {
+      writeOffId: String(writeOff._id),
+      paymentId: String(adjustment._id),
+      idCliente: writeOff.idCliente,
+      memberId: String(writeOff.memberId),
+      totalAmount: writeOff.totalAmount,
+      periods: writeOff.periods.map((l) => l.period),
+      requestedBy: String(writeOff.requestedBy),
+      approvedBy: String(byOid),
+      reason: writeOff.reason,
+    },
+    { session }
+  );
+
+  return {
+    writeOff: writeOff.toObject(),
+    adjustment: adjustment.toObject(),
+    ledgerEntries,
+  };
+}
+
+/**
+ * Rechaza la solicitud (no toca la deuda).
+ * return: WriteOff (lean)
+ */
+export async function rejectWriteOff({ session, id, by, note } = {}) {
+  if (!session) throw new Error("rejectWriteOff: session requerida");
+
+  const writeOff = await claimPending({
+    session,
+    id,
+    by,
+    status: "rejected",
+    note,
+  });
+
+  await enqueue(
+    "writeoff.rejected",
+    {
+      writeOffId: String(writeOff._id),
+      idCliente: writeOff.idCliente,
+      memberId: String(writeOff.memberId),
+      totalAmount: writeOff.totalAmount,
+      rejectedBy: String(by),
+      note: writeOff.decisionNote,
+    },
+    { session }
+  );
+
+  return writeOff.toObject();
+}
+
+export default { createWriteOffRequest, approveWriteOff, rejectWriteOff };
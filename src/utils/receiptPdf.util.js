@@ -2,6 +2,9 @@ import fs from "node:fs";
 import path from "node:path";
 import PDFDocument from "pdfkit";
 import Receipt from "../models/receipt.model.js";
+import { renderReceipt } from "./receiptTemplate.util.js";
+import { loadReceiptRenderData } from "../services/receipt.service.js";
+import { locateReceiptPdf } from "./receiptFile.util.js";
 
 const FILES_BASE_DIR =
   (process.env.FILES_BASE_DIR && process.env.FILES_BASE_DIR.trim()) ||
@@ -17,6 +20,24 @@ function ensureDirSync(dir) {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 }
 
+function writeReceiptPdf(absPath, data) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 48,
+      bufferPages: true, // el sello ANULADO vuelve a cada página
+    });
+    const stream = fs.createWriteStream(absPath);
+    doc.pipe(stream);
+
+    renderReceipt(doc, data);
+
+    doc.end();
+    stream.on("finish", resolve);
+    stream.on("error", reject);
+  });
+}
+
 export async function ensureReceiptPdf(rx) {
   if (!rx) throw new Error("Receipt requerido");
   // Si ya lo tiene, devolvémoslo
@@ -39,26 +60,8 @@ export async function ensureReceiptPdf(rx) {
   const filename = `Recibo_${safeNumber}.pdf`;
   const absPath = path.resolve(absDir, filename);
 
-  // Generar PDF (mínimo ejemplo — reemplazá por tu template real)
-  await new Promise((resolve, reject) => {
-    const doc = new PDFDocument({ size: "A4", margin: 36 });
-    const stream = fs.createWriteStream(absPath);
-    doc.pipe(stream);
-
-    doc.fontSize(18).text("RECIBO MEMORIAL", { align: "center" }).moveDown();
-    doc.fontSize(12).text(`Recibo: ${rx.number || rx._id}`);
-    if (rx.clientName) doc.text(`Cliente: ${rx.clientName}`);
-    if (rx.clientId) doc.text(`Cliente #${rx.clientId}`);
-    if (rx.amount != null) doc.text(`Importe: $ ${Number(rx.amount || 0)}`);
-    doc.text(
-      `Fecha: ${new Date(rx.createdAt || Date.now()).toLocaleString("es-AR")}`
-    );
-    doc.moveDown().text("Gracias por su pago.", { align: "left" });
-
-    doc.end();
-    stream.on("finish", resolve);
-    stream.on("error", reject);
-  });
+  // Mismo template que buildReceiptPDF, con lo que haya guardado
+  await writeReceiptPdf(absPath, await loadReceiptRenderData(rx));
 
   const rel = path.relative(FILES_BASE_DIR, absPath).replaceAll("\\", "/");
   const pdfUrl = `${FILES_PUBLIC_BASE}/${rel}`;
@@ -71,3 +74,17 @@ export async function ensureReceiptPdf(rx) {
 
   return { absPath, pdfUrl };
 }
+
+/**
+ * Regenera el PDF guardado de un recibo anulado con el sello "ANULADO"
+ * (mismo archivo → los links ya compartidos muestran la anulación).
+ * Si el archivo no aparece, se genera uno nuevo con ensureReceiptPdf.
+ */
+export async function restampReceiptPdf(rx) {
+  const found = await locateReceiptPdf(rx);
+  if (!found?.absPath) {
+    return ensureReceiptPdf({ ...rx, pdfPath: null });
+  }
+  await writeReceiptPdf(found.absPath, await loadReceiptRenderData(rx));
+  return { absPath: found.absPath, pdfUrl: rx.pdfUrl || null };
+}
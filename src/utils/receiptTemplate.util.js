@@ -0,0 +1,341 @@
+// src/utils/receiptTemplate.util.js
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+/**
+ * Plantilla única del recibo (A4). La usan buildReceiptPDF y el generador
+ * de respaldo (receiptPdf.util.js) para que ambos saquen el mismo documento.
+ *
+ * Partes: logo · número y fecha · cliente · pago (método, cobrador, monto)
+ * · tabla de imputación (período, concepto, importe, estado) · saldo del
+ * grupo · QR firmado.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const RECEIPT_LOGO_PATH =
+  process.env.RECEIPT_LOGO_PATH ||
+  path.resolve(__dirname, "../images/logoextended.png");
+
+const TZ = "America/Argentina/Mendoza";
+const MARGIN = 48;
+
+export const money = (n) => `$ ${Number(n || 0).toFixed(2)}`;
+export const fmtDateTime = (d) =>
+  d
+    ? new Date(d).toLocaleString("es-AR", {
+        timeZone: TZ,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "-";
+export const fmtDate = (d) =>
+  new Date(d).toLocaleDateString("es-AR", {
+    timeZone: TZ,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  });
+
+export const CONCEPT_LABEL = {
+  surcharge: "Recargo por mora",
+  writeoff: "Condonación",
+  charge: "Cuota",
+};
+export const STATUS_LABEL = { paid: "Pagado", partial: "Parcial" };
+
+function separator(doc) {
+  const right = doc.page.width - MARGIN;
+  doc
+    .moveTo(MARGIN, doc.y)
+    .lineTo(right, doc.y)
+    .strokeColor("#999")
+    .stroke()
+    .moveDown(0.8);
+}
+
+/** Logo (si el archivo no existe o no es una imagen válida → nombre) */
+function drawLogo(doc, logoPath, companyName) {
+  try {
+    if (logoPath && fs.existsSync(logoPath)) {
+      doc.image(logoPath, MARGIN, MARGIN, { fit: [200, 60] });
+      doc.y = MARGIN + 64;
+      return;
+    }
+  } catch {
+    // PNG dañado: seguimos con el nombre en texto
+  }
+  doc.fontSize(18).font("Helvetica-Bold").text(companyName, MARGIN, MARGIN);
+  doc.moveDown(0.2);
+}
+
+/** Tabla de imputación con salto de página si no entra */
+function drawAllocations(doc, allocations) {
+  const x = MARGIN;
+  const cols = [
+    { label: "Período", x, width: 90 },
+    { label: "Concepto", x: x + 95, width: 160 },
+    { label: "Importe", x: x + 260, width: 110, align: "right" },
+    { label: "Estado", x: x + 390, width: 100 },
+  ];
+  const rowH = 16;
+  const bottom = doc.page.height - MARGIN - 40;
+
+  const header = () => {
+    const y = doc.y;
+    doc.fontSize(9).font("Helvetica-Bold").fillColor("#000");
+    for (const c of cols) {
+      doc.text(c.label, c.x, y, { width: c.width, align: c.align || "left" });
+    }
+    doc.y = y + rowH;
+    doc.font("Helvetica");
+  };
+
+  doc.fontSize(11).font("Helvetica-Bold").text("Imputación", x);
+  doc.moveDown(0.3);
+  header();
+
+  // Por período; en el mismo período, el recargo antes que la cuota
+  const rank = (a) => (a.concept === "surcharge" ? 0 : 1);
+  const sorted = [...allocations].sort((a, b) =>
+    a.period === b.period
+      ? rank(a) - rank(b)
+      : a.period < b.period
+      ? -1
+      : 1
+  );
+
+  for (const a of sorted) {
+    if (doc.y + rowH > bottom) {
+      doc.addPage();
+      header();
+    }
+    const y = doc.y;
+    const cells = [
+      a.period,
+      CONCEPT_LABEL[a.concept || "charge"] || a.concept,
+      money(a.amountApplied),
+      STATUS_LABEL[a.statusAfter] || a.statusAfter || "-",
+    ];
+    cells.forEach((text, i) =>
+      doc.text(String(text ?? "-"), cols[i].x, y, {
+        width: cols[i].width,
+        align: cols[i].align || "left",
+      })
+    );
+    doc.y = y + rowH;
+  }
+
+  const total = allocations.reduce(
+    (acc, a) => acc + Number(a.amountApplied || 0),
+    0
+  );
+  const y = doc.y + 2;
+  doc.font("Helvetica-Bold");
+  doc.text("Total imputado", cols[1].x, y, { width: cols[1].width });
+  doc.text(money(total), cols[2].x, y, {
+    width: cols[2].width,
+    align: "right",
+  });
+  doc.font("Helvetica");
+  doc.x = x;
+  doc.y = y + rowH;
+}
+
+/**
+ * Dibuja el recibo en un PDFDocument ya creado (no llama a doc.end()).
+ *
+ * data: {
+ *   company: { name, address, taxId },
+ *   receiptNumber, issuedAt,
+ *   client: { nombre, idCliente, documento? },
+ *   payment: { _id, method, status, postedAt, amount, notes? },
+ *   allocations: [{ period, amountApplied, statusAfter, concept? }],
+ *   remainingBalance: Number | null,   // saldo del grupo al emitir
+ *   collectorName: String | null,
+ *   qrPng: Buffer | null,
+ *   voided?: { at, reason } | null,   // recibo anulado → sello
+ *   logoPath?
+ * }
+ */
+export function renderReceipt(doc, data) {
+  const {
+    company = {},
+    receiptNumber,
+    issuedAt = new Date(),
+    client = {},
+    payment = {},
+    allocations = [],
+    remainingBalance = null,
+    collectorName = null,
+    qrPng = null,
+    voided = null,
+    logoPath = RECEIPT_LOGO_PATH,
+  } = data || {};
+  const right = doc.page.width - MARGIN;
+  const contentWidth = right - MARGIN;
+
+  // Header: logo a la izquierda, número y fecha a la derecha
+  drawLogo(doc, logoPath, company.name || "");
+  const afterLogoY = doc.y;
+  doc
+    .fontSize(12)
+    .font("Helvetica-Bold")
+    .text(`RECIBO: ${receiptNumber || "-"}`, MARGIN, MARGIN, {
+      width: contentWidth,
+      align: "right",
+    });
+  doc
+    .fontSize(10)
+    .font("Helvetica")
+    .text(`Fecha: ${fmtDateTime(issuedAt)}`, {
+      width: contentWidth,
+      align: "right",
+    });
+
+  doc.x = MARGIN;
+  doc.y = Math.max(afterLogoY, doc.y);
+  doc.fontSize(10).font("Helvetica");
+  if (company.address) doc.text(company.address);
+  if (company.taxId) doc.text(company.taxId);
+  doc.moveDown(0.8);
+
+  // Cliente
+  doc.fontSize(12).font("Helvetica-Bold").text("Datos del Cliente");
+  doc.moveDown(0.2);
+  doc
+    .fontSize(10)
+    .font("Helvetica")
+    .text(`Nombre: ${client.nombre || client.name || "-"}`);
+  doc.text(`ID Cliente: ${client.idCliente ?? "-"}`);
+  if (client.documento) doc.text(`Documento: ${client.documento}`);
+  doc.moveDown(0.8);
+  separator(doc);
+
+  // Pago
+  doc.fontSize(12).font("Helvetica-Bold").text("Detalle del Pago");
+  doc.moveDown(0.2);
+  doc.fontSize(10).font("Helvetica");
+  if (payment._id) doc.text(`Payment ID: ${String(payment._id)}`);
+  doc.text(`Método: ${String(payment.method || "efectivo")}`);
+  doc.text(`Estado: ${String(payment.status || "posted")}`);
+  doc.text(`Fecha imputación: ${fmtDateTime(payment.postedAt)}`);
+  if (collectorName) doc.text(`Cobrado por: ${collectorName}`);
+  doc.font("Helvetica-Bold").text(`Monto: ${money(payment.amount)}`);
+  doc.font("Helvetica");
+  if (payment.notes) doc.text(`Notas: ${String(payment.notes)}`);
+
+  if (allocations.length) {
+    doc.moveDown(0.8);
+    drawAllocations(doc, allocations);
+  }
+
+  // Saldo del grupo
+  if (remainingBalance != null) {
+    doc.moveDown(0.6);
+    doc
+      .fontSize(10)
+      .font("Helvetica-Bold")
+      .text(
+        remainingBalance > 0
+          ? `Saldo pendiente del grupo al ${fmtDate(issuedAt)}: ${money(
+              remainingBalance
+            )}`
+          : `Grupo al día al ${fmtDate(issuedAt)}.`,
+        MARGIN
+      )
+      .font("Helvetica");
+  }
+
+  doc.moveDown(0.8);
+  separator(doc);
+
+  // QR firmado (verificación pública)
+  if (qrPng) {
+    const size = 120;
+    if (doc.y + size + 60 > doc.page.height - MARGIN) doc.addPage();
+    const y = doc.y;
+    try {
+      doc.image(qrPng, right - size, y, { fit: [size, size] });
+      doc
+        .fontSize(8)
+        .fillColor("#555")
+        .text(
+          "Escaneá el código para verificar la autenticidad de este recibo.",
+          MARGIN,
+          y + size / 2 - 10,
+          { width: contentWidth - size - 16 }
+        )
+        .fillColor("#000");
+    } catch {
+      // sin QR el recibo sigue siendo válido
+    }
+    doc.x = MARGIN;
+    doc.y = y + size + 8;
+  }
+
+  // Footer
+  doc.moveDown(1.2);
+  doc
+    .fontSize(8)
+    .fillColor("#555")
+    .text(
+      "Este comprobante corresponde a un cobro registrado en el sistema Memorial. Cualquier alteración invalida el documento.",
+      MARGIN,
+      doc.y,
+      { width: contentWidth, align: "center" }
+    )
+    .fillColor("#000");
+
+  if (voided) stampVoided(doc, voided);
+}
+
+/** Leyenda de anulación (fecha y motivo), para cualquier formato */
+export const voidedLegend = ({ at, reason } = {}) =>
+  [`Anulado el ${at ? fmtDateTime(at) : "-"}`, reason && `Motivo: ${reason}`]
+    .filter(Boolean)
+    .join(" · ");
+
+/**
+ * Sello "ANULADO" en diagonal + leyenda arriba, en todas las páginas
+ * (el documento tiene que crearse con bufferPages: true)
+ */
+function stampVoided(doc, voided) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const { width, height } = doc.page;
+
+    doc.save();
+    doc.rotate(-35, { origin: [width / 2, height / 2] });
+    doc
+      .fontSize(110)
+      .font("Helvetica-Bold")
+      .fillColor("#c00")
+      .fillOpacity(0.25)
+      .text("ANULADO", 0, height / 2 - 55, {
+        width,
+        align: "center",
+        lineBreak: false,
+      });
+    doc.restore();
+
+    doc
+      .fontSize(9)
+      .font("Helvetica-Bold")
+      .fillColor("#c00")
+      .text(voidedLegend(voided), MARGIN, 20, {
+        width: width - MARGIN * 2,
+        align: "center",
+        lineBreak: false,
+      })
+      .fillColor("#000")
+      .font("Helvetica");
+  }
+}
+
+export default { renderReceipt, RECEIPT_LOGO_PATH };
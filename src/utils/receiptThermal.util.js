@@ -0,0 +1,382 @@
+// src/utils/receiptThermal.util.js
+import PDFDocument from "pdfkit";
+import {
+  money,
+  fmtDate,
+  fmtDateTime,
+  voidedLegend,
+  CONCEPT_LABEL,
+  STATUS_LABEL,
+} from "./receiptTemplate.util.js";
+
+/**
+ * Recibo para impresoras térmicas de cobradores (58 mm / 80 mm).
+ * Mismos datos que renderReceipt (ver loadReceiptRenderData), dos salidas:
+ *  - buildThermalReceiptPdf(data, { paper }) → PDF angosto (Buffer)
+ *  - buildEscPosReceipt(data, { paper })     → bytes ESC/POS con QR nativo
+ *
+ * paper: 58 | 80 (mm). Cualquier otro valor → 58.
+ */
+
+export const THERMAL_PAPERS = [58, 80];
+
+const MM_TO_PT = 72 / 25.4;
+
+const PAPER = {
+  58: { cols: 32, fontSize: 7.5, qrModule: 5 },
+  80: { cols: 48, fontSize: 9, qrModule: 6 },
+};
+
+const paperOf = (p) => (Number(p) === 80 ? 80 : 58);
+
+/** Imputación por período; en el mismo período, el recargo primero */
+function sortedAllocations(allocations = []) {
+  const rank = (a) => (a.concept === "surcharge" ? 0 : 1);
+  return [...allocations].sort((a, b) =>
+    a.period === b.period
+      ? rank(a) - rank(b)
+      : a.period < b.period
+      ? -1
+      : 1
+  );
+}
+
+function allocationLabel(a) {
+  const concept = CONCEPT_LABEL[a.concept || "charge"] || a.concept;
+  const partial =
+    a.statusAfter === "partial" ? ` (${STATUS_LABEL.partial})` : "";
+  return `${a.period} ${concept}${partial}`;
+}
+
+const totalApplied = (allocations = []) =>
+  allocations.reduce((acc, a) => acc + Number(a.amountApplied || 0), 0);
+
+const balanceLine = (remainingBalance, issuedAt) =>
+  remainingBalance > 0
+    ? `Saldo pendiente al ${fmtDate(issuedAt)}: ${money(remainingBalance)}`
+    : `Grupo al día al ${fmtDate(issuedAt)}.`;
+
+/* ============================ PDF angosto ============================ */
+
+/** Dibuja el recibo en una página angosta; devuelve el y final */
+function drawThermal(doc, data, paper) {
+  const {
+    company = {},
+    receiptNumber,
+    issuedAt = new Date(),
+    client = {},
+    payment = {},
+    allocations = [],
+    remainingBalance = null,
+    collectorName = null,
+    qrPng = null,
+    voided = null,
+  } = data || {};
+  const { fontSize } = PAPER[paper];
+  const margin = doc.page.margins.left;
+  const width = doc.page.width - margin * 2;
+  const center = { width, align: "center" };
+
+  const rule = () => {
+    doc
+      .moveDown(0.3)
+      .moveTo(margin, doc.y)
+      .lineTo(margin + width, doc.y)
+      .dash(1.5, { space: 1.5 })
+      .strokeColor("#000")
+      .stroke()
+      .undash()
+      .moveDown(0.4);
+  };
+  const pair = (left, right, bold = false) => {
+    const y = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+    doc.text(right, margin, y, { width, align: "right" });
+    const rightWidth = doc.widthOfString(right) + 4;
+    doc.text(left, margin, y, { width: width - rightWidth });
+    doc.font("Helvetica");
+  };
+
+  doc.fillColor("#000");
+  doc
+    .fontSize(fontSize + 3)
+    .font("Helvetica-Bold")
+    .text(company.name || "", margin, margin, center);
+  doc.fontSize(fontSize).font("Helvetica");
+  if (company.address) doc.text(company.address, center);
+  if (company.taxId) doc.text(company.taxId, center);
+  rule();
+
+  doc
+    .fontSize(fontSize + 1)
+    .font("Helvetica-Bold")
+    .text(`RECIBO ${receiptNumber || "-"}`, center);
+  doc.fontSize(fontSize).font("Helvetica");
+  doc.text(fmtDateTime(issuedAt), center);
+  if (voided) {
+    doc
+      .moveDown(0.3)
+      .fontSize(fontSize + 5)
+      .font("Helvetica-Bold")
+      .text("*** ANULADO ***", center);
+    doc.fontSize(fontSize).text(voidedLegend(voided), center);
+    doc.font("Helvetica");
+  }
+  rule();
+
+  doc.text(`Cliente: ${client.nombre || client.name || "-"}`, margin);
+  doc.text(`ID Cliente: ${client.idCliente ?? "-"}`);
+  doc.text(`Método: ${String(payment.method || "efectivo")}`);
+  if (collectorName) doc.text(`Cobrado por: ${collectorName}`);
+  rule();
+
+  for (const a of sortedAllocations(allocations)) {
+    pair(allocationLabel(a), money(a.amountApplied));
+  }
+  if (allocations.length) rule();
+
+  doc.fontSize(fontSize + 2);
+  pair("TOTAL", money(payment.amount ?? totalApplied(allocations)), true);
+  doc.fontSize(fontSize);
+
+  if (remainingBalance != null) {
+    doc.moveDown(0.3);
+    doc.text(balanceLine(remainingBalance, issuedAt), margin, doc.y, center);
+  }
+
+  if (qrPng) {
+    rule();
+    const size = Math.min(width, 130);
+    const y = doc.y;
+    try {
+      doc.image(qrPng, margin + (width - size) / 2, y, {
+        fit: [size, size],
+      });
+      doc.y = y + size + 2;
+      doc
+        .fontSize(fontSize - 1)
+        .text(
+          "Escaneá el código para verificar este recibo.",
+          margin,
+          doc.y,
+          center
+        );
+    } catch {
+      doc.y = y;
+    }
+  }
+
+  doc.moveDown(0.6);
+  doc
+    .fontSize(fontSize - 1)
+    .text("Gracias por su pago.", margin, doc.y, center);
+  return doc.y;
+}
+
+/**
+ * PDF de ancho 58/80 mm y alto justo: se dibuja una vez para medir y otra
+ * en una página del alto resultante.
+ */
+export function buildThermalReceiptPdf(data, { paper = 58 } = {}) {
+  const p = paperOf(paper);
+  const width = p * MM_TO_PT;
+  const margin = p === 80 ? 10 : 6;
+
+  const probe = new PDFDocument({ size: [width, 14000], margin });
+  const height = Math.ceil(drawThermal(probe, data, p) + margin * 2);
+  probe.end();
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: [width, height], margin });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    drawThermal(doc, data, p);
+    doc.end();
+  });
+}
+
+/* ============================== ESC/POS ============================== */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Code page 850 (ESC t 2): lo que usa el español
+const CP850 = new Map(
+  Object.entries({
+    á: 0xa0,
+    é: 0x82,
+    í: 0xa1,
+    ó: 0xa2,
+    ú: 0xa3,
+    ñ: 0xa4,
+    Ñ: 0xa5,
+    ü: 0x81,
+    Ü: 0x9a,
+    Á: 0xb5,
+    É: 0x90,
+    Í: 0xd6,
+    Ó: 0xe0,
+    Ú: 0xe9,
+    "¿": 0xa8,
+    "¡": 0xad,
+    "°": 0xf8,
+    "·": 0xfa,
+  })
+);
+
+function encodeText(str) {
+  const bytes = [];
+  for (const ch of String(str ?? "")) {
+    const code = ch.charCodeAt(0);
+    if (code < 0x80) bytes.push(code);
+    else if (/\s/.test(ch)) bytes.push(0x20); // p.ej. el espacio de "a. m."
+    else if (CP850.has(ch)) bytes.push(CP850.get(ch));
+    else {
+      // Sin equivalente: sin tilde o "?"
+      const plain = ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+      const c = plain ? plain.charCodeAt(0) : 0x3f;
+      bytes.push(c < 0x80 ? c : 0x3f);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/** Parte un texto en renglones de `cols` caracteres (corta por palabras) */
+function wrap(str, cols) {
+  const lines = [];
+  let line = "";
+  for (const word of String(str ?? "").split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length <= cols) line = candidate;
+    else {
+      if (line) lines.push(line);
+      line = word.slice(0, cols);
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * "izquierda ....... derecha"; si no entra en un renglón, la izquierda va
+ * partida arriba y el importe solo, a la derecha, abajo.
+ */
+function pairLines(left, right, cols) {
+  const l = String(left);
+  const r = String(right);
+  if (l.length + r.length + 1 <= cols) {
+    return [l + " ".repeat(cols - l.length - r.length) + r];
+  }
+  return [...wrap(l, cols), r.padStart(cols)];
+}
+
+/** QR nativo (GS ( k): modelo 2, corrección M */
+function qrCommands(text, moduleSize) {
+  const data = Buffer.from(text, "utf8");
+  const len = data.length + 3;
+  return Buffer.concat([
+    Buffer.from([GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]),
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, moduleSize]),
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31]),
+    Buffer.from([GS, 0x28, 0x6b, len & 0xff, len >> 8, 0x31, 0x50, 0x30]),
+    data,
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30]),
+  ]);
+}
+
+/**
+ * Bytes ESC/POS listos para mandar a la impresora (Bluetooth/serie).
+ * El QR lleva el mismo payload firmado que el del PDF (data.qrData).
+ */
+export function buildEscPosReceipt(data, { paper = 58 } = {}) {
+  const {
+    company = {},
+    receiptNumber,
+    issuedAt = new Date(),
+    client = {},
+    payment = {},
+    allocations = [],
+    remainingBalance = null,
+    collectorName = null,
+    qrData = null,
+    voided = null,
+  } = data || {};
+  const { cols, qrModule } = PAPER[paperOf(paper)];
+
+  const out = [];
+  const raw = (...bytes) => out.push(Buffer.from(bytes));
+  const line = (str = "") => {
+    out.push(encodeText(str));
+    raw(0x0a);
+  };
+  const lines = (str) => wrap(str, cols).forEach((l) => line(l));
+  const align = (n) => raw(ESC, 0x61, n); // 0 izq · 1 centro · 2 der
+  const bold = (on) => raw(ESC, 0x45, on ? 1 : 0);
+  const rule = () => line("-".repeat(cols));
+
+  raw(ESC, 0x40); // init
+  raw(ESC, 0x74, 2); // code page 850
+
+  align(1);
+  bold(true);
+  lines(company.name || "");
+  bold(false);
+  if (company.address) lines(company.address);
+  if (company.taxId) lines(company.taxId);
+  rule();
+
+  bold(true);
+  lines(`RECIBO ${receiptNumber || "-"}`);
+  bold(false);
+  line(fmtDateTime(issuedAt));
+  if (voided) {
+    raw(GS, 0x21, 0x11); // doble alto y ancho
+    bold(true);
+    line("ANULADO");
+    raw(GS, 0x21, 0x00);
+    lines(voidedLegend(voided));
+    bold(false);
+  }
+  rule();
+
+  align(0);
+  lines(`Cliente: ${client.nombre || client.name || "-"}`);
+  line(`ID Cliente: ${client.idCliente ?? "-"}`);
+  line(`Método: ${String(payment.method || "efectivo")}`);
+  if (collectorName) lines(`Cobrado por: ${collectorName}`);
+  rule();
+
+  for (const a of sortedAllocations(allocations)) {
+    pairLines(allocationLabel(a), money(a.amountApplied), cols).forEach(
+      (l) => line(l)
+    );
+  }
+  if (allocations.length) rule();
+
+  bold(true);
+  const total = money(payment.amount ?? totalApplied(allocations));
+  pairLines("TOTAL", total, cols).forEach((l) => line(l));
+  bold(false);
+
+  if (remainingBalance != null) lines(balanceLine(remainingBalance, issuedAt));
+
+  if (qrData) {
+    rule();
+    align(1);
+    out.push(qrCommands(JSON.stringify(qrData), qrModule));
+    raw(0x0a);
+    lines("Escaneá el código para verificar este recibo.");
+  }
+
+  align(1);
+  line();
+  line("Gracias por su pago.");
+  raw(ESC, 0x64, 4); // avanzar 4 renglones
+  raw(GS, 0x56, 0x42, 0x00); // corte parcial (si la impresora tiene)
+
+  return Buffer.concat(out);
+}
+
+export default { buildThermalReceiptPdf, buildEscPosReceipt, THERMAL_PAPERS };